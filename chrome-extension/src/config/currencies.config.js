@@ -1,6 +1,28 @@
 /**
  * Currency configuration
- * Central source of truth for all supported currencies
+ * Central source of truth for all supported currencies. Detection patterns,
+ * parsing, formatting and the popup rate list are all generated from this
+ * registry, so adding a currency means adding one entry here.
+ *
+ * Entry fields:
+ * - symbol: display symbol
+ * - code: ISO 4217 code (also detected before or after amounts, uppercase only)
+ * - name: display name
+ * - locale: locale used to format and read amounts in this currency
+ * - symbols: symbols and abbreviations detected before or after amounts.
+ *   A symbol listed by several currencies ('$', '¥', 'kr', 'Rs') belongs
+ *   to the first of them in this registry unless the page says otherwise.
+ * - caseInsensitiveSymbols: symbols also matched in any letter case
+ * - prefixOnlySymbols: symbols only detected before an amount, where after
+ *   one they are more often a word or a letter ("R 350" but not
+ *   "Top 10 R packages")
+ * - languages: language codes that on their own point to the currency
+ *   (used to tell 'kr' or '¥' apart on pages without a region)
+ * - countries: ISO 3166 country codes that use the currency
+ * - minorUnits: ISO 4217 digits after the decimal point (default 2; 0 for
+ *   JPY, 3 for KWD)
+ * - cashRounding: smallest step cash payments are rounded to, where it's
+ *   coarser than the minor unit (CHF 0.05)
  */
 
 const SUPPORTED_CURRENCIES = {
@@ -9,31 +31,28 @@ const SUPPORTED_CURRENCIES = {
     code: 'USD',
     name: 'US Dollar',
     locale: 'en-US',
-    detectPatterns: [
-      /(?<![A-Z])\$\s*([\d,]+(?:\.\d{1,2})?)/g,
-      /USD\s*([\d,]+(?:\.\d{1,2})?)/gi,
-      /US\$\s*([\d,]+(?:\.\d{1,2})?)/gi
-    ]
+    symbols: ['US$', '$'],
+    countries: ['US', 'EC', 'SV', 'PA', 'PR']
   },
   INR: {
     symbol: '₹',
     code: 'INR',
     name: 'Indian Rupee',
     locale: 'en-IN',
-    detectPatterns: [
-      /₹\s*([\d,]+(?:\.\d{1,2})?)/g,
-      /\bRs\.?\s*([\d,]+(?:\.\d{1,2})?)/gi,
-      /INR\s*([\d,]+(?:\.\d{1,2})?)/gi
-    ]
+    symbols: ['₹', '₨', 'Rs'],
+    caseInsensitiveSymbols: ['Rs'],
+    languages: ['hi'],
+    countries: ['IN']
   },
   EUR: {
     symbol: '€',
     code: 'EUR',
     name: 'Euro',
     locale: 'de-DE',
-    detectPatterns: [
-      /€\s*([\d,]+(?:\.\d{1,2})?)/g,
-      /EUR\s*([\d,]+(?:\.\d{1,2})?)/gi
+    symbols: ['€'],
+    countries: [
+      'DE', 'FR', 'ES', 'IT', 'NL', 'AT', 'BE', 'PT', 'IE', 'FI',
+      'GR', 'SK', 'SI', 'LT', 'LV', 'EE', 'LU', 'MT', 'CY', 'HR'
     ]
   },
   GBP: {
@@ -41,28 +60,474 @@ const SUPPORTED_CURRENCIES = {
     code: 'GBP',
     name: 'British Pound',
     locale: 'en-GB',
-    detectPatterns: [
-      /£\s*([\d,]+(?:\.\d{1,2})?)/g,
-      /GBP\s*([\d,]+(?:\.\d{1,2})?)/gi
-    ]
+    symbols: ['£'],
+    countries: ['GB']
+  },
+  JPY: {
+    symbol: '¥',
+    code: 'JPY',
+    name: 'Japanese Yen',
+    locale: 'ja-JP',
+    minorUnits: 0,
+    symbols: ['JP¥', '¥', '￥', '円'],
+    languages: ['ja'],
+    countries: ['JP']
+  },
+  CNY: {
+    symbol: '¥',
+    code: 'CNY',
+    name: 'Chinese Yuan',
+    locale: 'zh-CN',
+    symbols: ['CN¥', 'RMB', '¥', '￥', '元'],
+    languages: ['zh'],
+    countries: ['CN']
+  },
+  CAD: {
+    symbol: '$',
+    code: 'CAD',
+    name: 'Canadian Dollar',
+    locale: 'en-CA',
+    cashRounding: 0.05,
+    symbols: ['CA$', 'C$', '$'],
+    countries: ['CA']
+  },
+  AUD: {
+    symbol: '$',
+    code: 'AUD',
+    name: 'Australian Dollar',
+    locale: 'en-AU',
+    cashRounding: 0.05,
+    symbols: ['AU$', 'A$', '$'],
+    countries: ['AU']
+  },
+  CHF: {
+    symbol: 'CHF',
+    code: 'CHF',
+    name: 'Swiss Franc',
+    locale: 'de-CH',
+    cashRounding: 0.05,
+    symbols: ['SFr', 'Fr'],
+    prefixOnlySymbols: ['SFr', 'Fr'],
+    countries: ['CH', 'LI']
+  },
+  KRW: {
+    symbol: '₩',
+    code: 'KRW',
+    name: 'South Korean Won',
+    locale: 'ko-KR',
+    minorUnits: 0,
+    symbols: ['₩', '원'],
+    countries: ['KR']
+  },
+  SEK: {
+    symbol: 'kr',
+    code: 'SEK',
+    name: 'Swedish Krona',
+    locale: 'sv-SE',
+    cashRounding: 1,
+    symbols: ['kr'],
+    languages: ['sv'],
+    countries: ['SE']
+  },
+  NOK: {
+    symbol: 'kr',
+    code: 'NOK',
+    name: 'Norwegian Krone',
+    locale: 'nb-NO',
+    cashRounding: 1,
+    symbols: ['kr'],
+    languages: ['nb', 'nn', 'no'],
+    countries: ['NO']
+  },
+  DKK: {
+    symbol: 'kr.',
+    code: 'DKK',
+    name: 'Danish Krone',
+    locale: 'da-DK',
+    cashRounding: 0.5,
+    symbols: ['kr'],
+    languages: ['da'],
+    countries: ['DK']
+  },
+  ISK: {
+    symbol: 'kr',
+    code: 'ISK',
+    name: 'Icelandic Krona',
+    locale: 'is-IS',
+    minorUnits: 0,
+    symbols: ['kr'],
+    languages: ['is'],
+    countries: ['IS']
+  },
+  NZD: {
+    symbol: '$',
+    code: 'NZD',
+    name: 'New Zealand Dollar',
+    locale: 'en-NZ',
+    cashRounding: 0.1,
+    symbols: ['NZ$', '$'],
+    countries: ['NZ']
+  },
+  SGD: {
+    symbol: '$',
+    code: 'SGD',
+    name: 'Singapore Dollar',
+    locale: 'en-SG',
+    symbols: ['SG$', 'S$', '$'],
+    countries: ['SG']
+  },
+  HKD: {
+    symbol: '$',
+    code: 'HKD',
+    name: 'Hong Kong Dollar',
+    locale: 'en-HK',
+    symbols: ['HK$', '$'],
+    countries: ['HK']
+  },
+  MXN: {
+    symbol: '$',
+    code: 'MXN',
+    name: 'Mexican Peso',
+    locale: 'es-MX',
+    symbols: ['MX$', 'Mex$', '$'],
+    countries: ['MX']
+  },
+  BRL: {
+    symbol: 'R$',
+    code: 'BRL',
+    name: 'Brazilian Real',
+    locale: 'pt-BR',
+    symbols: ['R$'],
+    countries: ['BR']
+  },
+  PLN: {
+    symbol: 'zł',
+    code: 'PLN',
+    name: 'Polish Zloty',
+    locale: 'pl-PL',
+    symbols: ['zł'],
+    countries: ['PL']
+  },
+  THB: {
+    symbol: '฿',
+    code: 'THB',
+    name: 'Thai Baht',
+    locale: 'th-TH',
+    symbols: ['฿'],
+    countries: ['TH']
+  },
+  ZAR: {
+    symbol: 'R',
+    code: 'ZAR',
+    name: 'South African Rand',
+    locale: 'en-ZA',
+    symbols: ['R'],
+    prefixOnlySymbols: ['R'],
+    countries: ['ZA']
+  },
+  AED: {
+    symbol: 'د.إ',
+    code: 'AED',
+    name: 'UAE Dirham',
+    locale: 'en-AE',
+    symbols: ['د.إ', 'Dhs'],
+    countries: ['AE']
+  },
+  SAR: {
+    symbol: '﷼',
+    code: 'SAR',
+    name: 'Saudi Riyal',
+    locale: 'en-SA',
+    symbols: ['﷼', 'ر.س', 'SR'],
+    countries: ['SA']
+  },
+  TWD: {
+    symbol: 'NT$',
+    code: 'TWD',
+    name: 'New Taiwan Dollar',
+    locale: 'zh-TW',
+    symbols: ['NT$', '$'],
+    countries: ['TW']
+  },
+  MYR: {
+    symbol: 'RM',
+    code: 'MYR',
+    name: 'Malaysian Ringgit',
+    locale: 'ms-MY',
+    symbols: ['RM'],
+    countries: ['MY']
+  },
+  PHP: {
+    symbol: '₱',
+    code: 'PHP',
+    name: 'Philippine Peso',
+    locale: 'en-PH',
+    symbols: ['₱'],
+    countries: ['PH']
+  },
+  IDR: {
+    symbol: 'Rp',
+    code: 'IDR',
+    name: 'Indonesian Rupiah',
+    locale: 'id-ID',
+    symbols: ['Rp'],
+    countries: ['ID']
+  },
+  TRY: {
+    symbol: '₺',
+    code: 'TRY',
+    name: 'Turkish Lira',
+    locale: 'tr-TR',
+    symbols: ['₺', 'TL'],
+    countries: ['TR']
+  },
+  RUB: {
+    symbol: '₽',
+    code: 'RUB',
+    name: 'Russian Ruble',
+    locale: 'ru-RU',
+    symbols: ['₽', 'руб'],
+    countries: ['RU']
+  },
+  CZK: {
+    symbol: 'Kč',
+    code: 'CZK',
+    name: 'Czech Koruna',
+    locale: 'cs-CZ',
+    cashRounding: 1,
+    symbols: ['Kč'],
+    countries: ['CZ']
+  },
+  HUF: {
+    symbol: 'Ft',
+    code: 'HUF',
+    name: 'Hungarian Forint',
+    locale: 'hu-HU',
+    cashRounding: 5,
+    symbols: ['Ft'],
+    countries: ['HU']
+  },
+  ILS: {
+    symbol: '₪',
+    code: 'ILS',
+    name: 'Israeli Shekel',
+    locale: 'he-IL',
+    symbols: ['₪'],
+    countries: ['IL']
+  },
+  CLP: {
+    symbol: '$',
+    code: 'CLP',
+    name: 'Chilean Peso',
+    locale: 'es-CL',
+    minorUnits: 0,
+    symbols: ['CLP$', '$'],
+    countries: ['CL']
+  },
+  ARS: {
+    symbol: '$',
+    code: 'ARS',
+    name: 'Argentine Peso',
+    locale: 'es-AR',
+    symbols: ['AR$', '$'],
+    countries: ['AR']
+  },
+  COP: {
+    symbol: '$',
+    code: 'COP',
+    name: 'Colombian Peso',
+    locale: 'es-CO',
+    symbols: ['COL$', '$'],
+    countries: ['CO']
+  },
+  PEN: {
+    symbol: 'S/',
+    code: 'PEN',
+    name: 'Peruvian Sol',
+    locale: 'es-PE',
+    symbols: ['S/'],
+    prefixOnlySymbols: ['S/'],
+    countries: ['PE']
+  },
+  EGP: {
+    symbol: 'E£',
+    code: 'EGP',
+    name: 'Egyptian Pound',
+    locale: 'en-EG',
+    symbols: ['E£', 'ج.م'],
+    countries: ['EG']
+  },
+  NGN: {
+    symbol: '₦',
+    code: 'NGN',
+    name: 'Nigerian Naira',
+    locale: 'en-NG',
+    symbols: ['₦'],
+    countries: ['NG']
+  },
+  KES: {
+    symbol: 'KSh',
+    code: 'KES',
+    name: 'Kenyan Shilling',
+    locale: 'en-KE',
+    symbols: ['KSh', 'Ksh'],
+    countries: ['KE']
+  },
+  PKR: {
+    symbol: '₨',
+    code: 'PKR',
+    name: 'Pakistani Rupee',
+    locale: 'en-PK',
+    symbols: ['₨', 'Rs'],
+    languages: ['ur'],
+    countries: ['PK']
+  },
+  BDT: {
+    symbol: '৳',
+    code: 'BDT',
+    name: 'Bangladeshi Taka',
+    locale: 'en-BD',
+    symbols: ['৳', 'Tk'],
+    countries: ['BD']
+  },
+  VND: {
+    symbol: '₫',
+    code: 'VND',
+    name: 'Vietnamese Dong',
+    locale: 'vi-VN',
+    minorUnits: 0,
+    symbols: ['₫'],
+    countries: ['VN']
+  },
+  RON: {
+    symbol: 'lei',
+    code: 'RON',
+    name: 'Romanian Leu',
+    locale: 'ro-RO',
+    symbols: ['lei'],
+    countries: ['RO']
+  },
+  BGN: {
+    symbol: 'лв',
+    code: 'BGN',
+    name: 'Bulgarian Lev',
+    locale: 'bg-BG',
+    symbols: ['лв'],
+    countries: ['BG']
+  },
+  HRK: {
+    symbol: 'kn',
+    code: 'HRK',
+    name: 'Croatian Kuna',
+    locale: 'hr-HR',
+    symbols: ['kn'],
+    countries: []
+  },
+  UAH: {
+    symbol: '₴',
+    code: 'UAH',
+    name: 'Ukrainian Hryvnia',
+    locale: 'uk-UA',
+    symbols: ['₴', 'грн'],
+    countries: ['UA']
+  },
+  QAR: {
+    symbol: 'QR',
+    code: 'QAR',
+    name: 'Qatari Riyal',
+    locale: 'en-QA',
+    symbols: ['QR', 'ر.ق'],
+    countries: ['QA']
+  },
+  KWD: {
+    symbol: 'KD',
+    code: 'KWD',
+    name: 'Kuwaiti Dinar',
+    locale: 'en-KW',
+    minorUnits: 3,
+    symbols: ['KD', 'د.ك'],
+    countries: ['KW']
+  },
+  BHD: {
+    symbol: 'BD',
+    code: 'BHD',
+    name: 'Bahraini Dinar',
+    locale: 'en-BH',
+    minorUnits: 3,
+    symbols: ['BD', '.د.ب'],
+    countries: ['BH']
+  },
+  OMR: {
+    symbol: 'ر.ع.',
+    code: 'OMR',
+    name: 'Omani Rial',
+    locale: 'en-OM',
+    minorUnits: 3,
+    symbols: ['ر.ع.'],
+    countries: ['OM']
+  },
+  JOD: {
+    symbol: 'JD',
+    code: 'JOD',
+    name: 'Jordanian Dinar',
+    locale: 'en-JO',
+    minorUnits: 3,
+    symbols: ['JD'],
+    countries: ['JO']
+  },
+  LKR: {
+    symbol: 'Rs',
+    code: 'LKR',
+    name: 'Sri Lankan Rupee',
+    locale: 'en-LK',
+    symbols: ['රු', 'Rs'],
+    languages: ['si'],
+    countries: ['LK']
+  },
+  MMK: {
+    symbol: 'K',
+    code: 'MMK',
+    name: 'Myanmar Kyat',
+    locale: 'en-MM',
+    symbols: ['Ks'],
+    countries: ['MM']
+  },
+  NPR: {
+    symbol: 'रू',
+    code: 'NPR',
+    name: 'Nepalese Rupee',
+    locale: 'en-NP',
+    symbols: ['रू', 'Rs'],
+    languages: ['ne'],
+    countries: ['NP']
   }
 };
 
-const LOCALE_CURRENCY_MAP = {
-  'US': 'USD',
-  'GB': 'GBP',
-  'IN': 'INR',
-  'DE': 'EUR',
-  'FR': 'EUR',
-  'ES': 'EUR',
-  'IT': 'EUR',
-  'NL': 'EUR',
-  'AT': 'EUR',
-  'BE': 'EUR',
-  'PT': 'EUR',
-  'IE': 'EUR',
-  'FI': 'EUR'
-};
+/**
+ * Country code to currency code, generated from the registry
+ */
+const LOCALE_CURRENCY_MAP = Object.values(SUPPORTED_CURRENCIES).reduce(
+  (map, currency) => {
+    currency.countries.forEach(country => {
+      map[country] = currency.code;
+    });
+    return map;
+  },
+  {}
+);
+
+/**
+ * Language code to currency code, generated from the registry
+ */
+const LANGUAGE_CURRENCY_MAP = Object.values(SUPPORTED_CURRENCIES).reduce(
+  (map, currency) => {
+    (currency.languages || []).forEach(language => {
+      map[language] = currency.code;
+    });
+    return map;
+  },
+  {}
+);
 
 /**
  * Get the default home currency based on browser locale
@@ -75,9 +540,62 @@ function getDefaultHomeCurrency(locale) {
   return LOCALE_CURRENCY_MAP[countryCode] || 'USD';
 }
 
+/**
+ * Get the number of digits a currency has after the decimal point
+ * @param {string} code - Currency code
+ * @returns {number} ISO 4217 minor units (2 for unknown currencies)
+ */
+function getMinorUnits(code) {
+  return SUPPORTED_CURRENCIES[code]?.minorUnits ?? 2;
+}
+
+/**
+ * Get the step cash payments in a currency are rounded to
+ * @param {string} code - Currency code
+ * @returns {number|null} Rounding step (e.g., 0.05), or null if cash is
+ *   paid to the minor unit
+ */
+function getCashRounding(code) {
+  return SUPPORTED_CURRENCIES[code]?.cashRounding ?? null;
+}
+
+/**
+ * Get every detectable symbol with the currencies that use it
+ * ISO codes are included as symbols of their own currency.
+ * @returns {Array<{symbol: string, currencies: string[], caseInsensitive: boolean, prefixOnly: boolean}>}
+ *   Symbols sorted longest first (so 'US$' wins over '$')
+ */
+function getCurrencySymbols() {
+  const bySymbol = {};
+
+  Object.values(SUPPORTED_CURRENCIES).forEach(currency => {
+    const caseInsensitive = currency.caseInsensitiveSymbols || [];
+    const prefixOnly = currency.prefixOnlySymbols || [];
+    [...currency.symbols, currency.code].forEach(symbol => {
+      if (!bySymbol[symbol]) {
+        bySymbol[symbol] = { symbol, currencies: [], caseInsensitive: false, prefixOnly: true };
+      }
+      bySymbol[symbol].currencies.push(currency.code);
+      if (caseInsensitive.includes(symbol)) {
+        bySymbol[symbol].caseInsensitive = true;
+      }
+      // Prefix-only unless every currency using it says so
+      if (!prefixOnly.includes(symbol)) {
+        bySymbol[symbol].prefixOnly = false;
+      }
+    });
+  });
+
+  return Object.values(bySymbol).sort((a, b) => b.symbol.length - a.symbol.length);
+}
+
 // Make available globally
 if (typeof window !== 'undefined') {
   window.SUPPORTED_CURRENCIES = SUPPORTED_CURRENCIES;
   window.LOCALE_CURRENCY_MAP = LOCALE_CURRENCY_MAP;
+  window.LANGUAGE_CURRENCY_MAP = LANGUAGE_CURRENCY_MAP;
   window.getDefaultHomeCurrency = getDefaultHomeCurrency;
+  window.getCurrencySymbols = getCurrencySymbols;
+  window.getMinorUnits = getMinorUnits;
+  window.getCashRounding = getCashRounding;
 }
@@ -0,0 +1,159 @@
+/**
+ * Ingredient configuration
+ * Densities of common recipe ingredients, used to show a quantity in cups
+ * or spoons also as a weight ("2 cups flour" is 250 g) and a weight also
+ * as a volume. Densities are of the ingredient as measured in a recipe:
+ * flour spooned into the cup, brown sugar packed; values follow the
+ * weight charts baking sites publish (a cup of flour is 125 g).
+ *
+ * Entry fields:
+ * - code: ingredient code used internally
+ * - label: display label
+ * - density: grams per millilitre (kilograms per litre)
+ * - names: words the ingredient is written as after a quantity
+ */
+
+const INGREDIENTS = {
+  flour: {
+    code: 'flour',
+    label: 'flour',
+    density: 0.528,
+    names: ['flour']
+  },
+  sugar: {
+    code: 'sugar',
+    label: 'sugar',
+    density: 0.845,
+    names: ['sugar']
+  },
+  brownsugar: {
+    code: 'brownsugar',
+    label: 'brown sugar',
+    density: 0.93,
+    names: ['brown sugar']
+  },
+  powderedsugar: {
+    code: 'powderedsugar',
+    label: 'powdered sugar',
+    density: 0.507,
+    names: [
+      'powdered sugar',
+      'icing sugar',
+      "confectioners' sugar",
+      'confectioners sugar'
+    ]
+  },
+  butter: {
+    code: 'butter',
+    label: 'butter',
+    density: 0.959,
+    names: ['butter']
+  },
+  rice: {
+    code: 'rice',
+    label: 'rice',
+    density: 0.845,
+    names: ['rice']
+  },
+  oats: {
+    code: 'oats',
+    label: 'oats',
+    density: 0.38,
+    names: ['oats']
+  },
+  milk: {
+    code: 'milk',
+    label: 'milk',
+    density: 1.03,
+    names: ['milk']
+  },
+  water: {
+    code: 'water',
+    label: 'water',
+    density: 1,
+    names: ['water']
+  },
+  oil: {
+    code: 'oil',
+    label: 'oil',
+    density: 0.92,
+    names: ['oil']
+  },
+  honey: {
+    code: 'honey',
+    label: 'honey',
+    density: 1.42,
+    names: ['honey']
+  },
+  salt: {
+    code: 'salt',
+    label: 'salt',
+    density: 1.2,
+    names: ['salt']
+  },
+  cocoa: {
+    code: 'cocoa',
+    label: 'cocoa powder',
+    density: 0.42,
+    names: ['cocoa powder', 'cocoa']
+  }
+};
+
+/**
+ * An ingredient right after a quantity: after an optional note in brackets
+ * and "of", at most two words before its name ("all-purpose flour",
+ * "packed brown sugar"), and nothing after it but the end of the phrase
+ * ("milk chocolate" isn't milk). Longest names first, so "brown sugar" wins
+ * over "sugar".
+ */
+const INGREDIENT_PATTERN = (() => {
+  const names = Object.values(INGREDIENTS)
+    .flatMap(ingredient => ingredient.names)
+    .sort((a, b) => b.length - a.length)
+    .map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/ /g, '\\s+'));
+  return new RegExp(
+    `^\\s*(?:\\([^)]*\\)\\s*)?(?:of\\s+)?(?:[\\p{L}'-]+\\s+){0,2}?(?<name>${names.join('|')})` +
+      '(?=$|\\s*[,;.:()]|\\s+(?:and|or|plus|for|to|at|in|with|from)\\b)',
+    'iu'
+  );
+})();
+
+/**
+ * Ingredient code of each name (lowercase)
+ */
+const INGREDIENT_NAME_MAP = Object.values(INGREDIENTS).reduce((map, ingredient) => {
+  ingredient.names.forEach(name => {
+    map[name.toLowerCase()] = ingredient.code;
+  });
+  return map;
+}, {});
+
+/**
+ * Find the ingredient a quantity is of, in the text after it
+ * @param {string} text - Text following the quantity (e.g., ' all-purpose
+ *   flour, sifted')
+ * @returns {object|null} INGREDIENTS entry, or null if the text doesn't
+ *   start with a known ingredient
+ */
+function findIngredient(text) {
+  const match = typeof text === 'string' && text.match(INGREDIENT_PATTERN);
+  if (!match) return null;
+  const name = match.groups.name.toLowerCase().replace(/\s+/g, ' ');
+  return INGREDIENTS[INGREDIENT_NAME_MAP[name]] || null;
+}
+
+/**
+ * Get an ingredient by its code
+ * @param {string} code - Ingredient code (e.g., 'flour')
+ * @returns {object|null} INGREDIENTS entry, or null if unknown
+ */
+function getIngredient(code) {
+  return INGREDIENTS[code] || null;
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+  window.INGREDIENTS = INGREDIENTS;
+  window.findIngredient = findIngredient;
+  window.getIngredient = getIngredient;
+}
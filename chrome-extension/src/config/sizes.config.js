@@ -0,0 +1,246 @@
+/**
+ * Size configuration
+ * Clothing and shoe size charts, used to convert size labels ("EU 42",
+ * "UK 8", "US 10.5 W") between regions. Each row ties one body measurement
+ * to the size it is in every region, so a size maps to a measurement and
+ * to its equivalents elsewhere. Values follow the charts common retailers
+ * publish; brands differ by half a size or so.
+ *
+ * Chart fields:
+ * - code: chart code used internally
+ * - label: display label
+ * - kind: 'shoes' or 'clothing'
+ * - group: 'men', 'women' or 'kids'
+ * - measurement: { name, unit } of the body measurement the rows start with
+ * - rows: [measurement, then the size in each of SIZE_REGIONS]
+ *
+ * Sizes are written as on labels: '10.5', '2T' (toddlers), '10C' / '1Y'
+ * (children's and youth shoes), 'M' (Japanese clothing letters).
+ */
+
+/**
+ * Regions sizes are converted between, in the order of the row columns
+ */
+const SIZE_REGIONS = ['US', 'UK', 'EU', 'IN', 'JP'];
+
+const SIZE_CHARTS = {
+  'shoes-men': {
+    code: 'shoes-men',
+    label: "Men's shoes",
+    kind: 'shoes',
+    group: 'men',
+    measurement: { name: 'Foot length', unit: 'cm' },
+    // India uses UK shoe sizes, Japan the foot length in cm
+    rows: [
+      [24, '6', '5.5', '38.5', '5.5', '24'],
+      [24.5, '6.5', '6', '39', '6', '24.5'],
+      [25, '7', '6.5', '40', '6.5', '25'],
+      [25.5, '7.5', '7', '40.5', '7', '25.5'],
+      [26, '8', '7.5', '41', '7.5', '26'],
+      [26.5, '8.5', '8', '42', '8', '26.5'],
+      [27, '9', '8.5', '42.5', '8.5', '27'],
+      [27.5, '9.5', '9', '43', '9', '27.5'],
+      [28, '10', '9.5', '44', '9.5', '28'],
+      [28.5, '10.5', '10', '44.5', '10', '28.5'],
+      [29, '11', '10.5', '45', '10.5', '29'],
+      [29.5, '11.5', '11', '45.5', '11', '29.5'],
+      [30, '12', '11.5', '46', '11.5', '30'],
+      [31, '13', '12.5', '47.5', '12.5', '31']
+    ]
+  },
+  'shoes-women': {
+    code: 'shoes-women',
+    label: "Women's shoes",
+    kind: 'shoes',
+    group: 'women',
+    measurement: { name: 'Foot length', unit: 'cm' },
+    rows: [
+      [22, '5', '2.5', '35.5', '2.5', '22'],
+      [22.5, '5.5', '3', '36', '3', '22.5'],
+      [23, '6', '3.5', '36.5', '3.5', '23'],
+      [23.5, '6.5', '4', '37.5', '4', '23.5'],
+      [24, '7', '4.5', '38', '4.5', '24'],
+      [24.5, '7.5', '5', '38.5', '5', '24.5'],
+      [25, '8', '5.5', '39', '5.5', '25'],
+      [25.5, '8.5', '6', '40', '6', '25.5'],
+      [26, '9', '6.5', '40.5', '6.5', '26'],
+      [26.5, '9.5', '7', '41', '7', '26.5'],
+      [27, '10', '7.5', '42', '7.5', '27'],
+      [27.5, '10.5', '8', '42.5', '8', '27.5'],
+      [28, '11', '8.5', '43', '8.5', '28']
+    ]
+  },
+  'shoes-kids': {
+    code: 'shoes-kids',
+    label: "Children's shoes",
+    kind: 'shoes',
+    group: 'kids',
+    measurement: { name: 'Foot length', unit: 'cm' },
+    rows: [
+      [16.5, '10C', '9.5', '27', '9.5', '16.5'],
+      [17, '11C', '10.5', '28', '10.5', '17'],
+      [18, '12C', '11.5', '29.5', '11.5', '18'],
+      [19, '13C', '12.5', '31', '12.5', '19'],
+      [20, '1Y', '13.5', '32', '13.5', '20'],
+      [21, '2Y', '1.5', '33.5', '1.5', '21'],
+      [22, '3Y', '2.5', '35', '2.5', '22'],
+      [23, '4Y', '3.5', '36', '3.5', '23'],
+      [23.5, '5Y', '4.5', '37.5', '4.5', '23.5']
+    ]
+  },
+  'clothing-women': {
+    code: 'clothing-women',
+    label: "Women's clothing",
+    kind: 'clothing',
+    group: 'women',
+    measurement: { name: 'Bust', unit: 'cm' },
+    // Indian brands size by bust in inches
+    rows: [
+      [78, '0', '4', '32', '30', '5'],
+      [81, '2', '6', '34', '32', '7'],
+      [84, '4', '8', '36', '34', '9'],
+      [88, '6', '10', '38', '36', '11'],
+      [92, '8', '12', '40', '38', '13'],
+      [96, '10', '14', '42', '40', '15'],
+      [101, '12', '16', '44', '42', '17'],
+      [106, '14', '18', '46', '44', '19'],
+      [111, '16', '20', '48', '46', '21']
+    ]
+  },
+  'clothing-men': {
+    code: 'clothing-men',
+    label: "Men's clothing",
+    kind: 'clothing',
+    group: 'men',
+    measurement: { name: 'Chest', unit: 'cm' },
+    // US, UK and India size by chest in inches
+    rows: [
+      [86, '34', '34', '44', '34', 'S'],
+      [91, '36', '36', '46', '36', 'M'],
+      [97, '38', '38', '48', '38', 'L'],
+      [102, '40', '40', '50', '40', 'LL'],
+      [107, '42', '42', '52', '42', '3L'],
+      [112, '44', '44', '54', '44', '4L'],
+      [117, '46', '46', '56', '46', '5L']
+    ]
+  },
+  'clothing-kids': {
+    code: 'clothing-kids',
+    label: "Children's clothing",
+    kind: 'clothing',
+    group: 'kids',
+    measurement: { name: 'Height', unit: 'cm' },
+    // UK and India size by age, Europe and Japan by height
+    rows: [
+      [92, '2T', '2', '92', '2', '90'],
+      [98, '3T', '3', '98', '3', '100'],
+      [104, '4T', '4', '104', '4', '110'],
+      [116, '6', '6', '116', '6', '120'],
+      [128, '8', '8', '128', '8', '130'],
+      [140, '10', '10', '140', '10', '140'],
+      [152, '12', '12', '152', '12', '150'],
+      [164, '14', '14', '164', '14', '160']
+    ]
+  }
+};
+
+/**
+ * Size region of each country that doesn't use EU sizes
+ */
+const SIZE_REGION_MAP = {
+  US: 'US',
+  CA: 'US',
+  GB: 'UK',
+  IE: 'UK',
+  IN: 'IN',
+  JP: 'JP'
+};
+
+/**
+ * Write a size the way the charts do ('10,5' and '10½' are '10.5')
+ * @param {string} size - Size as written on a label
+ * @returns {string} Normalized size
+ */
+function normalizeSize(size) {
+  return String(size)
+    .replace(/\s+/g, '')
+    .replace(/½$/, '.5')
+    .replace(',', '.')
+    .toUpperCase();
+}
+
+/**
+ * Find a size in a chart
+ * @param {string} chartCode - Chart code (e.g., 'shoes-men')
+ * @param {string} region - One of SIZE_REGIONS
+ * @param {string} size - Size as written on a label (e.g., '10.5')
+ * @returns {object|null} { measurement, sizes } (sizes by region), or null
+ *   if the chart has no such size
+ */
+function findSizeRow(chartCode, region, size) {
+  const chart = SIZE_CHARTS[chartCode];
+  const column = SIZE_REGIONS.indexOf(region);
+  if (!chart || column === -1) return null;
+
+  const wanted = normalizeSize(size);
+  const row = chart.rows.find(row => row[column + 1] === wanted);
+  if (!row) return null;
+
+  const sizes = {};
+  SIZE_REGIONS.forEach((name, i) => {
+    sizes[name] = row[i + 1];
+  });
+  return { measurement: row[0], sizes };
+}
+
+/**
+ * Get the body measurement a size is made for
+ * @param {string} chartCode - Chart code (e.g., 'shoes-men')
+ * @param {string} region - One of SIZE_REGIONS
+ * @param {string} size - Size as written on a label
+ * @returns {object|null} { name, value, unit } (e.g., foot length 28 cm),
+ *   or null if the chart has no such size
+ */
+function getSizeMeasurement(chartCode, region, size) {
+  const row = findSizeRow(chartCode, region, size);
+  if (!row) return null;
+  return { ...SIZE_CHARTS[chartCode].measurement, value: row.measurement };
+}
+
+/**
+ * Get the charts a size could be from, the most likely first
+ * @param {string} region - One of SIZE_REGIONS
+ * @param {string} size - Size as written on a label
+ * @param {object} [hints] - { kind, group } known from the page
+ * @returns {object[]} SIZE_CHARTS entries that have the size
+ */
+function findSizeCharts(region, size, hints = {}) {
+  return Object.values(SIZE_CHARTS)
+    .filter(chart =>
+      (!hints.kind || chart.kind === hints.kind) &&
+      (!hints.group || chart.group === hints.group) &&
+      findSizeRow(chart.code, region, size)
+    );
+}
+
+/**
+ * Get the default size region based on browser locale
+ * @param {string} locale - Browser locale string (e.g., 'en-GB')
+ * @returns {string} One of SIZE_REGIONS
+ */
+function getDefaultSizeRegion(locale) {
+  if (!locale || !locale.includes('-')) return 'US';
+  const countryCode = locale.split('-').pop().toUpperCase();
+  return SIZE_REGION_MAP[countryCode] || 'EU';
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+  window.SIZE_REGIONS = SIZE_REGIONS;
+  window.SIZE_CHARTS = SIZE_CHARTS;
+  window.normalizeSize = normalizeSize;
+  window.findSizeRow = findSizeRow;
+  window.getSizeMeasurement = getSizeMeasurement;
+  window.findSizeCharts = findSizeCharts;
+  window.getDefaultSizeRegion = getDefaultSizeRegion;
+}
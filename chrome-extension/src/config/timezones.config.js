@@ -0,0 +1,201 @@
+/**
+ * Time zone configuration
+ * Time zones times on pages are written in ("3pm EST", "15:00 CET",
+ * "10:00 UTC+5:30", "9:00 Europe/Paris"). Offsets of named zones, daylight
+ * saving time included, come from the browser's time zone data through
+ * Intl, so nothing is fetched.
+ *
+ * Abbreviation fields:
+ * - code: the abbreviation as written (upper case)
+ * - label: display label
+ * - offset: minutes from UTC, for abbreviations of one fixed offset
+ *   ("PST" is always UTC−8, "PDT" UTC−7)
+ * - zone: IANA zone, for abbreviations of a region's time whichever it is
+ *   ("PT" is UTC−8 in winter and UTC−7 in summer)
+ *
+ * Where an abbreviation means several zones, the one English pages mean
+ * most often wins: CST is US Central, IST India and BST British Summer Time.
+ */
+
+/**
+ * Ways a time is written: 12-hour clock (3:00 PM) or 24-hour (15:00)
+ */
+const TIME_FORMATS = ['12h', '24h'];
+
+const TIME_ZONE_ABBREVIATIONS = {
+  // Universal
+  UTC: { code: 'UTC', label: 'Coordinated Universal Time', offset: 0 },
+  GMT: { code: 'GMT', label: 'Greenwich Mean Time', offset: 0 },
+
+  // North America
+  ET: { code: 'ET', label: 'Eastern Time', zone: 'America/New_York' },
+  EST: { code: 'EST', label: 'Eastern Standard Time', offset: -300 },
+  EDT: { code: 'EDT', label: 'Eastern Daylight Time', offset: -240 },
+  CT: { code: 'CT', label: 'Central Time', zone: 'America/Chicago' },
+  CST: { code: 'CST', label: 'Central Standard Time', offset: -360 },
+  CDT: { code: 'CDT', label: 'Central Daylight Time', offset: -300 },
+  MT: { code: 'MT', label: 'Mountain Time', zone: 'America/Denver' },
+  MST: { code: 'MST', label: 'Mountain Standard Time', offset: -420 },
+  MDT: { code: 'MDT', label: 'Mountain Daylight Time', offset: -360 },
+  PT: { code: 'PT', label: 'Pacific Time', zone: 'America/Los_Angeles' },
+  PST: { code: 'PST', label: 'Pacific Standard Time', offset: -480 },
+  PDT: { code: 'PDT', label: 'Pacific Daylight Time', offset: -420 },
+  AKST: { code: 'AKST', label: 'Alaska Standard Time', offset: -540 },
+  AKDT: { code: 'AKDT', label: 'Alaska Daylight Time', offset: -480 },
+  HST: { code: 'HST', label: 'Hawaii Standard Time', offset: -600 },
+  AST: { code: 'AST', label: 'Atlantic Standard Time', offset: -240 },
+  NST: { code: 'NST', label: 'Newfoundland Standard Time', offset: -210 },
+
+  // South America
+  BRT: { code: 'BRT', label: 'Brasília Time', offset: -180 },
+  ART: { code: 'ART', label: 'Argentina Time', offset: -180 },
+
+  // Europe and Africa
+  WET: { code: 'WET', label: 'Western European Time', offset: 0 },
+  WEST: { code: 'WEST', label: 'Western European Summer Time', offset: 60 },
+  BST: { code: 'BST', label: 'British Summer Time', offset: 60 },
+  IST: { code: 'IST', label: 'India Standard Time', offset: 330 },
+  CET: { code: 'CET', label: 'Central European Time', offset: 60 },
+  CEST: { code: 'CEST', label: 'Central European Summer Time', offset: 120 },
+  EET: { code: 'EET', label: 'Eastern European Time', offset: 120 },
+  EEST: { code: 'EEST', label: 'Eastern European Summer Time', offset: 180 },
+  MSK: { code: 'MSK', label: 'Moscow Time', offset: 180 },
+  SAST: { code: 'SAST', label: 'South Africa Standard Time', offset: 120 },
+  WAT: { code: 'WAT', label: 'West Africa Time', offset: 60 },
+  EAT: { code: 'EAT', label: 'East Africa Time', offset: 180 },
+
+  // Asia and Oceania
+  GST: { code: 'GST', label: 'Gulf Standard Time', offset: 240 },
+  PKT: { code: 'PKT', label: 'Pakistan Standard Time', offset: 300 },
+  ICT: { code: 'ICT', label: 'Indochina Time', offset: 420 },
+  WIB: { code: 'WIB', label: 'Western Indonesia Time', offset: 420 },
+  SGT: { code: 'SGT', label: 'Singapore Time', offset: 480 },
+  HKT: { code: 'HKT', label: 'Hong Kong Time', offset: 480 },
+  PHT: { code: 'PHT', label: 'Philippine Time', offset: 480 },
+  AWST: { code: 'AWST', label: 'Australian Western Standard Time', offset: 480 },
+  JST: { code: 'JST', label: 'Japan Standard Time', offset: 540 },
+  KST: { code: 'KST', label: 'Korea Standard Time', offset: 540 },
+  ACST: { code: 'ACST', label: 'Australian Central Standard Time', offset: 570 },
+  ACDT: { code: 'ACDT', label: 'Australian Central Daylight Time', offset: 630 },
+  AEST: { code: 'AEST', label: 'Australian Eastern Standard Time', offset: 600 },
+  AEDT: { code: 'AEDT', label: 'Australian Eastern Daylight Time', offset: 660 },
+  NZST: { code: 'NZST', label: 'New Zealand Standard Time', offset: 720 },
+  NZDT: { code: 'NZDT', label: 'New Zealand Daylight Time', offset: 780 }
+};
+
+/**
+ * A UTC offset as written after "UTC" or "GMT" ("+5:30", "-08:00", "+1")
+ */
+const UTC_OFFSET_PATTERN = /^(?:UTC|GMT)\s?([+\-−])\s?(\d{1,2})(?::?(\d{2}))?$/;
+
+/**
+ * Check whether the browser knows an IANA time zone
+ * @param {string} name - Zone name (e.g., 'Europe/Paris')
+ * @returns {boolean} True if Intl can use it
+ */
+function isValidTimeZone(name) {
+  if (typeof name !== 'string' || !name) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: name });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Get what a time zone as written on a page stands for
+ * @param {string} text - Abbreviation ('EST'), UTC offset ('UTC+5:30') or
+ *   IANA name ('Europe/Paris')
+ * @returns {object|null} { name, label, offset } for fixed offsets or
+ *   { name, label, zone } for IANA zones (name: the zone as written,
+ *   normalized), or null if unknown
+ */
+function resolveTimeZone(text) {
+  if (typeof text !== 'string') return null;
+  const name = text.trim().replace(/\s+/g, '');
+
+  const abbreviation = TIME_ZONE_ABBREVIATIONS[name];
+  if (abbreviation) return { name, ...abbreviation };
+
+  const offset = name.match(UTC_OFFSET_PATTERN);
+  if (offset) {
+    const [, sign, hours, minutes = '0'] = offset;
+    if (Number(hours) > 14 || Number(minutes) > 59) return null;
+    const total = (Number(hours) * 60 + Number(minutes)) * (sign === '+' ? 1 : -1);
+    return { name, label: name, offset: total };
+  }
+
+  // IANA names have a region ('Europe/Paris')
+  if (name.includes('/') && isValidTimeZone(name)) {
+    return { name, label: name.replace(/_/g, ' '), zone: name };
+  }
+  return null;
+}
+
+/**
+ * Get the offset of an IANA zone from UTC at a moment (daylight saving
+ * time included)
+ * @param {string} zone - IANA zone (e.g., 'America/New_York')
+ * @param {Date} date - The moment
+ * @returns {number} Minutes from UTC (e.g., -240 for New York in summer)
+ */
+function getTimeZoneOffset(zone, date) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: zone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+  const part = type => Number(parts.find(p => p.type === type).value);
+
+  const wallClock = Date.UTC(
+    part('year'),
+    part('month') - 1,
+    part('day'),
+    part('hour'),
+    part('minute'),
+    part('second')
+  );
+  const instant = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((wallClock - instant) / 60000);
+}
+
+/**
+ * Get the time zone the browser is in
+ * @returns {string} IANA zone (e.g., 'Europe/Berlin'; 'UTC' if unknown)
+ */
+function getDefaultTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * Get the default clock based on browser locale
+ * @param {string} locale - Browser locale string (e.g., 'en-US')
+ * @returns {string} '12h' or '24h'
+ */
+function getDefaultTimeFormat(locale) {
+  try {
+    const { hourCycle } = new Intl.DateTimeFormat(locale || 'en-US', {
+      hour: 'numeric'
+    }).resolvedOptions();
+    return hourCycle === 'h11' || hourCycle === 'h12' ? '12h' : '24h';
+  } catch (e) {
+    return '12h';
+  }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+  window.TIME_FORMATS = TIME_FORMATS;
+  window.TIME_ZONE_ABBREVIATIONS = TIME_ZONE_ABBREVIATIONS;
+  window.isValidTimeZone = isValidTimeZone;
+  window.resolveTimeZone = resolveTimeZone;
+  window.getTimeZoneOffset = getTimeZoneOffset;
+  window.getDefaultTimeZone = getDefaultTimeZone;
+  window.getDefaultTimeFormat = getDefaultTimeFormat;
+}
@@ -0,0 +1,767 @@
+/**
+ * Unit configuration
+ * Central source of truth for the measurement units detected on pages.
+ * Detection patterns and conversions are generated from this registry, so
+ * adding a unit means adding one entry here.
+ *
+ * Every unit converts through its dimension's base unit (see
+ * UNIT_DIMENSIONS): value -> toBase -> fromBase of the target unit. Most
+ * units are a plain factor (linear); temperatures also have an offset and
+ * fuel economy in distance per volume is the inverse of volume per distance.
+ *
+ * Entry fields:
+ * - code: unit code used internally
+ * - label: display label
+ * - dimension: a key of UNIT_DIMENSIONS
+ * - systems: the measurement systems using the unit (see
+ *   MEASUREMENT_SYSTEMS); a measurement is never converted into a system
+ *   it's already in
+ * - toBase / fromBase: convert a value of this unit to the base unit and
+ *   back
+ * - symbols: abbreviations and names detected after numbers. Symbols of
+ *   more than three letters are also matched in any letter case.
+ * - ukVariant: the UK imperial unit the same symbols mean on British pages
+ *   (a gallon there is the imperial gallon)
+ * - targetFrom: when converting into this unit's systems, the unit is used
+ *   for values from this many base units up (units without it are only
+ *   detected, never converted to)
+ * - kitchen: a recipe measure (cups, spoons); quantities in kitchen
+ *   measures, or of an ingredient, are converted into kitchen measures
+ * - kitchenFrom: as targetFrom, for kitchen quantities (dimensions without
+ *   it use targetFrom)
+ * - ingredient: the only ingredient the unit is read before (sticks of
+ *   butter; see ingredients.config.js)
+ */
+
+/**
+ * Measurement systems measurements are converted into: metric, US
+ * customary and UK imperial (US and UK share inches, feet, miles, ounces and
+ * pounds but not gallons, pints or fluid ounces; temperatures are Celsius
+ * in the UK)
+ */
+const MEASUREMENT_SYSTEMS = ['metric', 'us', 'uk'];
+
+/**
+ * Dimensions and their base units. Signed dimensions have values below
+ * zero ("-5 °C"), so their detection reads a minus sign.
+ */
+const UNIT_DIMENSIONS = {
+  length: { base: 'm' },
+  weight: { base: 'kg' },
+  volume: { base: 'l' },
+  area: { base: 'm2' },
+  temperature: { base: 'k', signed: true },
+  fuel: { base: 'l100km' }
+};
+
+/**
+ * A unit that is a multiple of the base unit
+ * @param {number} factor - Size of the unit in base units
+ * @returns {object} { toBase, fromBase }
+ */
+function linear(factor) {
+  return {
+    toBase: value => value * factor,
+    fromBase: value => value / factor
+  };
+}
+
+/**
+ * A unit with its zero somewhere else than the base unit's
+ * @param {number} factor - Size of one degree in base units
+ * @param {number} zero - The unit's zero, in base units
+ * @returns {object} { toBase, fromBase }
+ */
+function offset(factor, zero) {
+  return {
+    toBase: value => value * factor + zero,
+    fromBase: value => (value - zero) / factor
+  };
+}
+
+/**
+ * A unit inversely proportional to the base unit (miles per gallon against
+ * litres per 100 km: more of one is less of the other)
+ * @param {number} product - The value of the unit times the base value
+ * @returns {object} { toBase, fromBase }
+ */
+function inverse(product) {
+  return {
+    toBase: value => product / value,
+    fromBase: value => product / value
+  };
+}
+
+/**
+ * A unit read off a table of points, in between by straight lines (gas
+ * marks, which aren't evenly spaced below mark 1)
+ * @param {Array<number[]>} points - [unit value, base value] pairs, both
+ *   increasing
+ * @returns {object} { toBase, fromBase }
+ */
+function table(points) {
+  const interpolate = (value, from, to) => {
+    const last = points.length - 1;
+    let i = 0;
+    while (i < last - 1 && value > points[i + 1][from]) i++;
+    const [a, b] = [points[i], points[i + 1]];
+    return a[to] + ((value - a[from]) * (b[to] - a[to])) / (b[from] - a[from]);
+  };
+  return {
+    toBase: value => interpolate(value, 0, 1),
+    fromBase: value => interpolate(value, 1, 0)
+  };
+}
+
+const SUPPORTED_UNITS = {
+  // Length (base: metre)
+  mm: {
+    code: 'mm',
+    label: 'mm',
+    dimension: 'length',
+    systems: ['metric'],
+    ...linear(0.001),
+    symbols: ['mm', 'millimeters', 'millimetres', 'millimeter', 'millimetre'],
+    targetFrom: 0
+  },
+  cm: {
+    code: 'cm',
+    label: 'cm',
+    dimension: 'length',
+    systems: ['metric'],
+    ...linear(0.01),
+    symbols: ['cm', 'centimeters', 'centimetres', 'centimeter', 'centimetre'],
+    targetFrom: 0.01
+  },
+  m: {
+    code: 'm',
+    label: 'm',
+    dimension: 'length',
+    systems: ['metric'],
+    ...linear(1),
+    symbols: ['m', 'meters', 'metres', 'meter', 'metre'],
+    targetFrom: 1
+  },
+  km: {
+    code: 'km',
+    label: 'km',
+    dimension: 'length',
+    systems: ['metric'],
+    ...linear(1000),
+    symbols: ['km', 'kilometers', 'kilometres', 'kilometer', 'kilometre'],
+    targetFrom: 1000
+  },
+  in: {
+    code: 'in',
+    label: 'in',
+    dimension: 'length',
+    systems: ['us', 'uk'],
+    ...linear(0.0254),
+    // Not a bare "in": "2 in 1", "5 in stock"
+    symbols: ['inches', 'inch', 'in.'],
+    targetFrom: 0
+  },
+  ft: {
+    code: 'ft',
+    label: 'ft',
+    dimension: 'length',
+    systems: ['us', 'uk'],
+    ...linear(0.3048),
+    symbols: ['ft', 'feet', 'foot'],
+    targetFrom: 0.9144
+  },
+  yd: {
+    code: 'yd',
+    label: 'yd',
+    dimension: 'length',
+    systems: ['us', 'uk'],
+    ...linear(0.9144),
+    symbols: ['yd', 'yds', 'yards', 'yard']
+  },
+  mi: {
+    code: 'mi',
+    label: 'mi',
+    dimension: 'length',
+    systems: ['us', 'uk'],
+    ...linear(1609.344),
+    symbols: ['mi', 'miles', 'mile'],
+    targetFrom: 1609.344
+  },
+
+  // Weight (base: kilogram)
+  mg: {
+    code: 'mg',
+    label: 'mg',
+    dimension: 'weight',
+    systems: ['metric'],
+    ...linear(0.000001),
+    symbols: ['mg', 'milligrams', 'milligram'],
+    targetFrom: 0
+  },
+  g: {
+    code: 'g',
+    label: 'g',
+    dimension: 'weight',
+    systems: ['metric'],
+    ...linear(0.001),
+    symbols: ['g', 'grams', 'gram'],
+    targetFrom: 0.001
+  },
+  kg: {
+    code: 'kg',
+    label: 'kg',
+    dimension: 'weight',
+    systems: ['metric'],
+    ...linear(1),
+    symbols: ['kg', 'kgs', 'kilograms', 'kilogram', 'kilos'],
+    targetFrom: 1
+  },
+  oz: {
+    code: 'oz',
+    label: 'oz',
+    dimension: 'weight',
+    systems: ['us', 'uk'],
+    ...linear(0.028349523125),
+    symbols: ['oz', 'ounces', 'ounce'],
+    targetFrom: 0
+  },
+  lb: {
+    code: 'lb',
+    label: 'lb',
+    dimension: 'weight',
+    systems: ['us', 'uk'],
+    ...linear(0.45359237),
+    // Not "pounds": that's as often money
+    symbols: ['lbs', 'lb'],
+    targetFrom: 0.45359237
+  },
+  st: {
+    code: 'st',
+    label: 'st',
+    dimension: 'weight',
+    systems: ['uk'],
+    ...linear(6.35029318),
+    // Not "st": "1st", "5 St"
+    symbols: ['stones', 'stone']
+  },
+
+  // Volume (base: litre)
+  ml: {
+    code: 'ml',
+    label: 'ml',
+    dimension: 'volume',
+    systems: ['metric'],
+    ...linear(0.001),
+    symbols: ['ml', 'mL', 'milliliters', 'millilitres', 'milliliter', 'millilitre'],
+    targetFrom: 0,
+    kitchenFrom: 0
+  },
+  cl: {
+    code: 'cl',
+    label: 'cl',
+    dimension: 'volume',
+    systems: ['metric'],
+    ...linear(0.01),
+    symbols: ['cl', 'cL']
+  },
+  l: {
+    code: 'l',
+    label: 'L',
+    dimension: 'volume',
+    systems: ['metric'],
+    ...linear(1),
+    symbols: ['l', 'L', 'liters', 'litres', 'liter', 'litre'],
+    targetFrom: 1,
+    kitchenFrom: 1
+  },
+  floz: {
+    code: 'floz',
+    label: 'fl oz',
+    dimension: 'volume',
+    systems: ['us'],
+    ukVariant: 'ukfloz',
+    ...linear(0.0295735295625),
+    symbols: ['fl oz', 'fl. oz.', 'fl. oz', 'fluid ounces', 'fluid ounce'],
+    targetFrom: 0
+  },
+  pt: {
+    code: 'pt',
+    label: 'pt',
+    dimension: 'volume',
+    systems: ['us'],
+    ukVariant: 'ukpt',
+    ...linear(0.473176473),
+    symbols: ['pt', 'pints', 'pint']
+  },
+  qt: {
+    code: 'qt',
+    label: 'qt',
+    dimension: 'volume',
+    systems: ['us'],
+    ukVariant: 'ukqt',
+    ...linear(0.946352946),
+    symbols: ['qt', 'quarts', 'quart'],
+    targetFrom: 0.946352946
+  },
+  gal: {
+    code: 'gal',
+    label: 'gal',
+    dimension: 'volume',
+    systems: ['us'],
+    ukVariant: 'ukgal',
+    ...linear(3.785411784),
+    symbols: ['gal', 'gallons', 'gallon'],
+    targetFrom: 3.785411784
+  },
+  ukfloz: {
+    code: 'ukfloz',
+    label: 'UK fl oz',
+    dimension: 'volume',
+    systems: ['uk'],
+    ...linear(0.0284130625),
+    symbols: ['imp fl oz', 'UK fl oz', 'imperial fluid ounces'],
+    targetFrom: 0,
+    // From 2 fl oz, below that spoons
+    kitchenFrom: 0.056826125
+  },
+  ukpt: {
+    code: 'ukpt',
+    label: 'UK pt',
+    dimension: 'volume',
+    systems: ['uk'],
+    ...linear(0.56826125),
+    symbols: ['imp pt', 'UK pints', 'UK pint', 'imperial pints', 'imperial pint'],
+    targetFrom: 0.56826125,
+    kitchenFrom: 0.56826125
+  },
+  ukqt: {
+    code: 'ukqt',
+    label: 'UK qt',
+    dimension: 'volume',
+    systems: ['uk'],
+    ...linear(1.1365225),
+    symbols: ['imp qt', 'imperial quarts', 'imperial quart']
+  },
+  ukgal: {
+    code: 'ukgal',
+    label: 'UK gal',
+    dimension: 'volume',
+    systems: ['uk'],
+    ...linear(4.54609),
+    symbols: [
+      'imp gal',
+      'UK gallons',
+      'UK gallon',
+      'imperial gallons',
+      'imperial gallon'
+    ],
+    targetFrom: 4.54609
+  },
+
+  // Kitchen measures (recipes; US spoons and cups, 5 ml and 15 ml UK
+  // spoons, 250 ml metric cups)
+  tsp: {
+    code: 'tsp',
+    label: 'tsp',
+    dimension: 'volume',
+    systems: ['us'],
+    ukVariant: 'uktsp',
+    kitchen: true,
+    ...linear(0.00492892159375),
+    symbols: ['tsp', 'teaspoons', 'teaspoon'],
+    kitchenFrom: 0
+  },
+  tbsp: {
+    code: 'tbsp',
+    label: 'tbsp',
+    dimension: 'volume',
+    systems: ['us'],
+    ukVariant: 'uktbsp',
+    kitchen: true,
+    ...linear(0.01478676478125),
+    symbols: ['tbsp', 'tbs', 'tablespoons', 'tablespoon'],
+    kitchenFrom: 0.01478676478125
+  },
+  cup: {
+    code: 'cup',
+    label: 'cup',
+    dimension: 'volume',
+    systems: ['us'],
+    kitchen: true,
+    ...linear(0.2365882365),
+    symbols: ['cup', 'cups', 'US cups', 'US cup'],
+    // From a quarter cup
+    kitchenFrom: 0.0591470591
+  },
+  stick: {
+    code: 'stick',
+    label: 'stick',
+    dimension: 'volume',
+    systems: ['us'],
+    kitchen: true,
+    ingredient: 'butter',
+    ...linear(0.11829411825),
+    symbols: ['sticks', 'stick']
+  },
+  metriccup: {
+    code: 'metriccup',
+    label: 'metric cup',
+    dimension: 'volume',
+    systems: ['metric'],
+    kitchen: true,
+    ...linear(0.25),
+    symbols: ['metric cups', 'metric cup']
+  },
+  uktsp: {
+    code: 'uktsp',
+    label: 'tsp',
+    dimension: 'volume',
+    systems: ['uk'],
+    kitchen: true,
+    ...linear(0.005),
+    symbols: ['UK tsp'],
+    kitchenFrom: 0
+  },
+  uktbsp: {
+    code: 'uktbsp',
+    label: 'tbsp',
+    dimension: 'volume',
+    systems: ['uk'],
+    kitchen: true,
+    ...linear(0.015),
+    symbols: ['UK tbsp'],
+    kitchenFrom: 0.015
+  },
+
+  // Area (base: square metre)
+  cm2: {
+    code: 'cm2',
+    label: 'cm²',
+    dimension: 'area',
+    systems: ['metric'],
+    ...linear(0.0001),
+    symbols: ['cm²', 'cm2', 'sq cm', 'square centimeters', 'square centimetres'],
+    targetFrom: 0
+  },
+  m2: {
+    code: 'm2',
+    label: 'm²',
+    dimension: 'area',
+    systems: ['metric'],
+    ...linear(1),
+    symbols: ['m²', 'm2', 'sq m', 'sqm', 'square meters', 'square metres'],
+    targetFrom: 1
+  },
+  ha: {
+    code: 'ha',
+    label: 'ha',
+    dimension: 'area',
+    systems: ['metric'],
+    ...linear(10000),
+    symbols: ['ha', 'hectares', 'hectare']
+  },
+  km2: {
+    code: 'km2',
+    label: 'km²',
+    dimension: 'area',
+    systems: ['metric'],
+    ...linear(1000000),
+    symbols: ['km²', 'km2', 'sq km', 'square kilometers', 'square kilometres'],
+    targetFrom: 1000000
+  },
+  sqin: {
+    code: 'sqin',
+    label: 'sq in',
+    dimension: 'area',
+    systems: ['us', 'uk'],
+    ...linear(0.00064516),
+    symbols: ['in²', 'sq in', 'sq. in.', 'square inches'],
+    targetFrom: 0
+  },
+  sqft: {
+    code: 'sqft',
+    label: 'sq ft',
+    dimension: 'area',
+    systems: ['us', 'uk'],
+    ...linear(0.09290304),
+    symbols: ['ft²', 'sq ft', 'sq. ft.', 'sq. ft', 'sqft', 'square feet'],
+    targetFrom: 0.09290304
+  },
+  acre: {
+    code: 'acre',
+    label: 'acres',
+    dimension: 'area',
+    systems: ['us', 'uk'],
+    ...linear(4046.8564224),
+    symbols: ['acres', 'acre'],
+    targetFrom: 4046.8564224
+  },
+  sqmi: {
+    code: 'sqmi',
+    label: 'sq mi',
+    dimension: 'area',
+    systems: ['us', 'uk'],
+    ...linear(2589988.110336),
+    symbols: ['mi²', 'sq mi', 'square miles'],
+    targetFrom: 2589988.110336
+  },
+
+  // Temperature (base: kelvin)
+  c: {
+    code: 'c',
+    label: '°C',
+    dimension: 'temperature',
+    systems: ['metric', 'uk'],
+    ...offset(1, 273.15),
+    symbols: ['° C', 'º C', '℃', 'degrees Celsius', 'degrees C', 'celsius'],
+    targetFrom: 0
+  },
+  f: {
+    code: 'f',
+    label: '°F',
+    dimension: 'temperature',
+    systems: ['us'],
+    ...offset(5 / 9, 255.3722222222222),
+    symbols: ['° F', 'º F', '℉', 'degrees Fahrenheit', 'degrees F', 'fahrenheit'],
+    targetFrom: 0
+  },
+  k: {
+    code: 'k',
+    label: 'K',
+    dimension: 'temperature',
+    systems: ['metric'],
+    ...linear(1),
+    // Not a bare "K": "5K run", "100K followers"
+    symbols: ['kelvins', 'kelvin']
+  },
+  gasmark: {
+    code: 'gasmark',
+    label: 'gas mark',
+    dimension: 'temperature',
+    systems: ['uk'],
+    // Gas mark 1/4 is 225 °F, 1/2 250 °F, then 25 °F a mark from 275 °F
+    ...table([
+      [0.25, 380.372],
+      [0.5, 394.261],
+      [1, 408.15],
+      [10, 533.15]
+    ]),
+    // Written before the number ("Gas Mark 4"), so never detected
+    symbols: []
+  },
+
+  // Fuel economy (base: litres per 100 km)
+  l100km: {
+    code: 'l100km',
+    label: 'L/100 km',
+    dimension: 'fuel',
+    systems: ['metric'],
+    ...linear(1),
+    symbols: ['L/100 km', 'l/100 km'],
+    targetFrom: 0
+  },
+  kml: {
+    code: 'kml',
+    label: 'km/L',
+    dimension: 'fuel',
+    systems: ['metric'],
+    ...inverse(100),
+    symbols: ['km/L', 'km/l', 'kmpl']
+  },
+  mpg: {
+    code: 'mpg',
+    label: 'mpg',
+    dimension: 'fuel',
+    systems: ['us'],
+    ukVariant: 'ukmpg',
+    // 100 km / 1 US gallon in miles per gallon
+    ...inverse(235.2145833),
+    symbols: ['mpg', 'MPG', 'miles per gallon'],
+    targetFrom: 0
+  },
+  ukmpg: {
+    code: 'ukmpg',
+    label: 'mpg (UK)',
+    dimension: 'fuel',
+    systems: ['uk'],
+    // 100 km / 1 imperial gallon in miles per gallon
+    ...inverse(282.4809363),
+    symbols: ['mpg (UK)', 'mpg (imperial)', 'imperial mpg'],
+    targetFrom: 0
+  }
+};
+
+/**
+ * Compound forms: a measurement written in two units of one system, the
+ * larger one whole ("5′ 11″", "3 lb 4 oz")
+ *
+ * Entry fields:
+ * - code: form code used internally
+ * - dimension / systems: as for units
+ * - units: codes of the larger and the smaller unit
+ * - labels: written after each part's number (a leading space where the
+ *   part is spaced out)
+ * - marks: more symbols of each unit, read only inside the compound
+ *   (primes, a bare "in": "5' 11\"", "5 ft 11 in")
+ * - range: [from, to) in base units where converting into the system
+ *   gives this form rather than a single unit (heights); forms without
+ *   it are only read from pages
+ */
+const COMPOUND_UNITS = {
+  'ft-in': {
+    code: 'ft-in',
+    dimension: 'length',
+    systems: ['us', 'uk'],
+    units: ['ft', 'in'],
+    labels: ['′', '″'],
+    marks: [["'", '′', '’'], ['"', '″', '”', "''", 'in']],
+    range: [0.6096, 3.048]
+  },
+  'lb-oz': {
+    code: 'lb-oz',
+    dimension: 'weight',
+    systems: ['us', 'uk'],
+    units: ['lb', 'oz'],
+    labels: [' lb', ' oz'],
+    marks: [['pounds', 'pound'], []]
+  },
+  'st-lb': {
+    code: 'st-lb',
+    dimension: 'weight',
+    systems: ['uk'],
+    units: ['st', 'lb'],
+    labels: [' st', ' lb'],
+    marks: [['st'], ['pounds', 'pound']],
+    // Body weights
+    range: [25, 250]
+  }
+};
+
+/**
+ * Countries that measure in US customary units rather than metric
+ */
+const US_CUSTOMARY_COUNTRIES = ['US', 'LR', 'MM'];
+
+/**
+ * Countries that measure in UK imperial units rather than metric
+ */
+const UK_IMPERIAL_COUNTRIES = ['GB'];
+
+/**
+ * Symbol to unit code, generated from the registry (symbols of more than
+ * three letters are stored lowercase, and symbols with a space also
+ * without it; see getUnit)
+ */
+const UNIT_SYMBOL_MAP = Object.values(SUPPORTED_UNITS).reduce(
+  (map, unit) => {
+    [unit.code, ...unit.symbols].forEach(symbol => {
+      [symbol, symbol.replace(/ /g, '')].forEach(variant => {
+        const key = variant.length > 3 ? variant.toLowerCase() : variant;
+        if (!map[key]) map[key] = unit.code;
+      });
+    });
+    return map;
+  },
+  {}
+);
+
+/**
+ * Get a unit by its code or one of its symbols
+ * @param {string} symbol - Unit code or symbol (e.g., 'lbs', 'Kilometres',
+ *   '° F')
+ * @returns {object|null} Registry entry, or null if unknown
+ */
+function getUnit(symbol) {
+  if (!symbol) return null;
+  symbol = symbol.replace(/\s+/g, ' ');
+  const code =
+    UNIT_SYMBOL_MAP[symbol] || UNIT_SYMBOL_MAP[symbol.toLowerCase()];
+  // Short symbols are case-sensitive: 'M' isn't metres
+  if (!code || (symbol.length <= 3 && !UNIT_SYMBOL_MAP[symbol])) return null;
+  return SUPPORTED_UNITS[code];
+}
+
+/**
+ * Get the unit a symbol means on a page: on British pages, US units with a
+ * UK variant mean the imperial one ("2 gallons" on a .co.uk shop)
+ * @param {object} unit - Registry entry read from the symbol
+ * @param {string|null} locale - Page language (e.g., 'en-GB')
+ * @returns {object} Registry entry
+ */
+function getRegionalUnit(unit, locale) {
+  if (!unit?.ukVariant || !locale || !locale.includes('-')) return unit;
+  const countryCode = locale.split('-').pop().toUpperCase();
+  return UK_IMPERIAL_COUNTRIES.includes(countryCode)
+    ? SUPPORTED_UNITS[unit.ukVariant]
+    : unit;
+}
+
+/**
+ * Get the unit to show a value in, in a measurement system
+ * @param {string} dimension - A key of UNIT_DIMENSIONS
+ * @param {string} system - A measurement system (see MEASUREMENT_SYSTEMS)
+ * @param {number} baseValue - The value in the dimension's base unit
+ * @param {boolean} [kitchen] - Whether the value is a recipe quantity (in
+ *   cups and spoons where the dimension has them)
+ * @returns {object|null} Registry entry, or null if the system has none
+ */
+function getTargetUnit(dimension, system, baseValue, kitchen = false) {
+  const size = Math.abs(baseValue);
+  const candidates = Object.values(SUPPORTED_UNITS).filter(unit =>
+    unit.dimension === dimension && unit.systems.includes(system)
+  );
+  const key =
+    kitchen && candidates.some(unit => unit.kitchenFrom !== undefined)
+      ? 'kitchenFrom'
+      : 'targetFrom';
+  return candidates
+    .filter(unit => unit[key] !== undefined && unit[key] <= size)
+    .reduce((best, unit) => (!best || unit[key] > best[key] ? unit : best), null);
+}
+
+/**
+ * Get the compound form to show a value in, in a measurement system
+ * @param {string} dimension - A key of UNIT_DIMENSIONS
+ * @param {string} system - A measurement system (see MEASUREMENT_SYSTEMS)
+ * @param {number} baseValue - The value in the dimension's base unit
+ * @returns {object|null} COMPOUND_UNITS entry, or null to use a single unit
+ */
+function getCompoundUnit(dimension, system, baseValue) {
+  const size = Math.abs(baseValue);
+  return (
+    Object.values(COMPOUND_UNITS).find(form =>
+      form.dimension === dimension &&
+      form.systems.includes(system) &&
+      form.range &&
+      size >= form.range[0] &&
+      size < form.range[1]
+    ) || null
+  );
+}
+
+/**
+ * Get the default measurement system based on browser locale
+ * @param {string} locale - Browser locale string (e.g., 'en-US')
+ * @returns {string} 'us', 'uk' or 'metric'
+ */
+function getDefaultMeasurementSystem(locale) {
+  if (!locale || !locale.includes('-')) return 'us';
+  const countryCode = locale.split('-').pop().toUpperCase();
+  if (US_CUSTOMARY_COUNTRIES.includes(countryCode)) return 'us';
+  if (UK_IMPERIAL_COUNTRIES.includes(countryCode)) return 'uk';
+  return 'metric';
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+  window.MEASUREMENT_SYSTEMS = MEASUREMENT_SYSTEMS;
+  window.UNIT_DIMENSIONS = UNIT_DIMENSIONS;
+  window.SUPPORTED_UNITS = SUPPORTED_UNITS;
+  window.COMPOUND_UNITS = COMPOUND_UNITS;
+  window.UNIT_SYMBOL_MAP = UNIT_SYMBOL_MAP;
+  window.getUnit = getUnit;
+  window.getRegionalUnit = getRegionalUnit;
+  window.getTargetUnit = getTargetUnit;
+  window.getCompoundUnit = getCompoundUnit;
+  window.getDefaultMeasurementSystem = getDefaultMeasurementSystem;
+}
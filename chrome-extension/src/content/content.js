@@ -10,11 +10,49 @@
   let settings = {
     enabled: true,
     homeCurrency: "USD",
+    siteCurrencyOverrides: {},
+    detectionMode: "overlay",
+    roundingMode: "exact",
+    measurementSystem: "us",
+    sizeRegion: "US",
+    homeTimeZone: "auto",
+    timeFormat: "12h",
   };
 
   let exchangeRates = null;
   let tooltip = null;
   let isInitialized = false;
+  let isRunning = false;
+  let observer = null;
+
+  // Bumped by every start() and stop(), so a start() that was waiting for
+  // rates can tell it has been superseded
+  let runGeneration = 0;
+
+  // Hovered price, measurement, time or size, and the latest pointer
+  // position waiting for a hit test
+  let currentPrice = null;
+  let currentUnit = null;
+  let currentTime = null;
+  let currentSize = null;
+  let pendingMove = null;
+
+  // URL the page was last scanned at (see checkNavigation)
+  let lastUrl = null;
+
+  // What the MutationObserver watches: added nodes, rewritten text and
+  // attributes that can show or hide an element
+  const observerOptions = {
+    childList: true,
+    characterData: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: ["class", "style", "hidden", "contenteditable"],
+  };
+
+  // Shadow roots already being observed, and the stylesheets added to them
+  let observedShadowRoots = new WeakSet();
+  let shadowStyleLinks = [];
 
   /**
    * Initialize the extension
@@ -26,24 +64,95 @@
     // Load settings
     await loadSettings();
 
-    if (!settings.enabled) return;
+    // Settings and rate updates are followed even while disabled, so the
+    // popup toggle can switch detection on without a reload
+    setupSettingsListeners();
+
+    if (settings.enabled) {
+      await start();
+    }
+  }
+
+  /**
+   * Start detecting prices: scan the page, follow hovers and DOM changes
+   */
+  async function start() {
+    if (isRunning) return;
+    isRunning = true;
+    const generation = ++runGeneration;
 
     // Create tooltip element
     createTooltip();
 
     // Fetch exchange rates
-    await fetchExchangeRates();
-
-    // Initial DOM scan
-    if (document.body) {
-      PriceDetector.scanDOM(document.body);
+    if (!exchangeRates) {
+      await fetchExchangeRates();
     }
 
+    // Switched off (and maybe on again) while the rates were loading
+    if (generation !== runGeneration) return;
+
+    // Initial DOM scan, in idle-time chunks (text on screen first)
+    PriceDetector.setMode(settings.detectionMode);
+    ScanScheduler.onShadowRoot = observeShadowRoot;
+    ScanScheduler.onRefresh = revalidateHoveredPrice;
+    ScanScheduler.scan(document.body || document.documentElement);
+
     // Set up event listeners
     setupEventListeners();
 
     // Set up MutationObserver for dynamic content
     setupMutationObserver();
+    setupNavigationListeners();
+  }
+
+  /**
+   * Stop detecting prices and undo every change made to the page: the
+   * observer, hover listeners, tooltip, shadow root styles and price marks
+   */
+  function stop() {
+    if (!isRunning) return;
+    isRunning = false;
+    runGeneration++;
+
+    if (observer) {
+      observer.disconnect();
+      observer = null;
+    }
+    ScanScheduler.stop();
+
+    removeNavigationListeners();
+    document.removeEventListener("mousemove", onMouseMove);
+    document.removeEventListener("mouseout", onMouseOut);
+    currentPrice = null;
+    currentUnit = null;
+    currentTime = null;
+    currentSize = null;
+    pendingMove = null;
+
+    if (tooltip) {
+      tooltip.remove();
+      tooltip = null;
+    }
+
+    shadowStyleLinks.forEach((link) => link.remove());
+    shadowStyleLinks = [];
+    observedShadowRoots = new WeakSet();
+
+    // Times and measurements first: their spans may sit in text split
+    // around prices
+    SizeDetector.clear();
+    TimeDetector.clear(document.body || document.documentElement);
+    UnitDetector.clear(document.body || document.documentElement);
+    PriceDetector.clear(document.body || document.documentElement);
+  }
+
+  /**
+   * Start over, e.g. with a different detection mode
+   */
+  async function restart() {
+    stop();
+    await start();
   }
 
   /**
@@ -51,16 +160,94 @@
    */
   async function loadSettings() {
     try {
-      const result = await chrome.storage.sync.get(["enabled", "homeCurrency"]);
+      const result = await chrome.storage.sync.get([
+        "enabled",
+        "homeCurrency",
+        "siteCurrencyOverrides",
+        "detectionMode",
+        "roundingMode",
+        "measurementSystem",
+        "sizeRegion",
+        "homeTimeZone",
+        "timeFormat",
+      ]);
       settings = {
         enabled: result.enabled !== false, // Default to true
         homeCurrency: result.homeCurrency || "USD",
+        siteCurrencyOverrides: result.siteCurrencyOverrides || {},
+        // Overlay leaves the page's DOM alone; "wrap" is the older behavior
+        detectionMode: result.detectionMode === "wrap" ? "wrap" : "overlay",
+        // "cash" adds what would be paid in cash where coins don't go down
+        // to the minor unit (CHF 12.34 is paid as CHF 12.35)
+        roundingMode: result.roundingMode === "cash" ? "cash" : "exact",
+        // Measurements are converted into this system (by default the
+        // browser region's), never from it
+        measurementSystem: readMeasurementSystem(result.measurementSystem),
+        sizeRegion: readSizeRegion(result.sizeRegion),
+        // "auto" follows the computer's time zone
+        homeTimeZone: result.homeTimeZone || "auto",
+        timeFormat: readTimeFormat(result.timeFormat),
       };
+      applySiteOverrides();
     } catch (e) {
       console.warn("Currency Converter: Could not load settings", e);
     }
   }
 
+  /**
+   * Read the stored measurement system, falling back to the browser
+   * region's
+   * @param {string} [stored] - Stored value
+   * @returns {string} 'metric', 'us' or 'uk'
+   */
+  function readMeasurementSystem(stored) {
+    return MEASUREMENT_SYSTEMS.includes(stored)
+      ? stored
+      : getDefaultMeasurementSystem(navigator.language || "en-US");
+  }
+
+  /**
+   * Read the stored size region, falling back to the browser region's
+   * @param {string} [stored] - Stored value
+   * @returns {string} One of SIZE_REGIONS
+   */
+  function readSizeRegion(stored) {
+    return SIZE_REGIONS.includes(stored)
+      ? stored
+      : getDefaultSizeRegion(navigator.language || "en-US");
+  }
+
+  /**
+   * Read the stored clock format, falling back to the browser locale's
+   * @param {string} [stored] - Stored value
+   * @returns {string} '12h' or '24h'
+   */
+  function readTimeFormat(stored) {
+    return TIME_FORMATS.includes(stored)
+      ? stored
+      : getDefaultTimeFormat(navigator.language || "en-US");
+  }
+
+  /**
+   * Get the time zone times are converted into
+   * @returns {string} IANA zone: the one chosen in the popup, or the
+   *   computer's
+   */
+  function getHomeTimeZone() {
+    const zone = settings.homeTimeZone;
+    return zone !== "auto" && isValidTimeZone(zone)
+      ? zone
+      : getDefaultTimeZone();
+  }
+
+  /**
+   * Pass the user's currency overrides for this site to the resolver
+   */
+  function applySiteOverrides() {
+    const hostname = window.location.hostname;
+    CurrencyResolver.setSiteOverrides(settings.siteCurrencyOverrides[hostname]);
+  }
+
   /**
    * Fetch exchange rates from the background service worker
    */
@@ -86,23 +273,33 @@
     tooltip.setAttribute("role", "tooltip");
     tooltip.innerHTML =
       '<div class="currency-converter-tooltip-content"></div>';
-    document.body.appendChild(tooltip);
+    (document.body || document.documentElement).appendChild(tooltip);
   }
 
   /**
    * Show tooltip with converted price
-   * @param {Element} priceElement - The price element being hovered
+   * @param {object} price - The hovered price (see PriceDetector.getPrices)
    */
-  function showTooltip(priceElement) {
+  function showTooltip(price) {
     if (!tooltip || !settings.enabled) return;
 
-    const amount = parseFloat(priceElement.getAttribute("data-amount"));
-    const currency = priceElement.getAttribute("data-currency");
+    const {
+      amount,
+      amountHigh,
+      currency,
+      compactStyle,
+      confidence,
+      score,
+      signStyle,
+    } = price;
 
     if (isNaN(amount) || !currency) return;
 
     // Don't convert if already in home currency
-    if (currency === settings.homeCurrency) return;
+    if (currency === settings.homeCurrency) {
+      hideTooltip();
+      return;
+    }
 
     const targetCurrency = settings.homeCurrency;
 
@@ -112,44 +309,263 @@
         loading: true,
         message: "Loading rates...",
       });
-      positionTooltip(priceElement);
+      positionTooltip(PriceDetector.getPriceRect(price));
       tooltip.classList.add("visible");
       return;
     }
 
-    // Calculate conversion using full rates object
-    const convertedAmount = Converters.convertCurrency(
-      amount,
-      currency,
-      targetCurrency,
-      exchangeRates,
-    );
-    const formattedConverted = Converters.formatCurrency(
-      convertedAmount,
-      targetCurrency,
+    // Answer "$1.5M" in the same compact style, and a signed amount with
+    // the sign written the way each currency's locale writes it
+    const format = (money) =>
+      compactStyle
+        ? Converters.formatCompactCurrency(
+            Money.toNumber(money),
+            money.currency,
+            compactStyle,
+          )
+        : Converters.formatMoney(money, {
+            accounting: signStyle === "accounting",
+          });
+
+    // Convert both ends of a range exactly, rounding once to the home
+    // currency's minor units
+    const amounts = (
+      amountHigh === undefined ? [amount] : [amount, amountHigh]
+    ).map((value) => Money.of(value, currency));
+    const converted = amounts.map((money) =>
+      Money.convert(money, targetCurrency, exchangeRates),
     );
-    const formattedOriginal = Converters.formatCurrency(amount, currency);
+    if (converted.includes(null)) {
+      updateTooltipContent({ error: `No rate for ${currency}` });
+      positionTooltip(PriceDetector.getPriceRect(price));
+      tooltip.classList.add("visible");
+      return;
+    }
+    const formattedConverted = converted.map(format).join(" – ");
+    const formattedOriginal = amounts.map(format).join(" – ");
 
-    // Calculate the display rate (1 source = X home)
-    const oneUnitConverted = Converters.convertCurrency(
-      1,
-      currency,
-      targetCurrency,
-      exchangeRates,
-    );
+    // The display rate (1 source = X home)
+    const rate = Money.rate(currency, targetCurrency, exchangeRates);
 
     // Update tooltip content
     updateTooltipContent({
       value: formattedConverted,
       original: `${formattedOriginal} ${currency}`,
-      rate: `1 ${currency} = ${oneUnitConverted.toFixed(2)} ${targetCurrency}`,
+      rate: `1 ${currency} = ${rate} ${targetCurrency}`,
+      assumed: CurrencyResolver.isAssumed(confidence)
+        ? `assumed ${currency}`
+        : null,
+      weak: PriceScorer.isWeak(score) ? "may not be a price" : null,
+      cash: formatCash(converted, format),
     });
 
     // Position and show
-    positionTooltip(priceElement);
+    positionTooltip(PriceDetector.getPriceRect(price));
     tooltip.classList.add("visible");
   }
 
+  /**
+   * Show tooltip with a converted measurement
+   * @param {object} unit - The hovered measurement (see UnitDetector.getUnits)
+   */
+  function showUnitTooltip(unit) {
+    if (!tooltip || !settings.enabled) return;
+
+    // Nothing to show for a measurement already in the user's system
+    const content = describeMeasurement(unit, navigator.language || "en-US");
+    if (!content) {
+      hideTooltip();
+      return;
+    }
+
+    updateTooltipContent(content);
+
+    positionTooltip(UnitDetector.getUnitRect(unit));
+    tooltip.classList.add("visible");
+  }
+
+  /**
+   * Write a measurement and its conversion into the user's measurement
+   * system: sides side by side ("11.8 × 15.7 × 19.7 in"), heights in the
+   * system's compound form ("5′ 11″"), recipe quantities as a volume and
+   * a weight ("473 ml · 250 g")
+   * @param {object} unit - Measurement from UnitDetector
+   * @param {string} locale - Locale to write the numbers in
+   * @returns {object|null} { value, original }, or null if the measurement
+   *   is already in the user's system
+   */
+  function describeMeasurement(unit, locale) {
+    const system = settings.measurementSystem;
+
+    // An ingredient's other side is worth showing in any system
+    if (unit.ingredient) {
+      const converted = Converters.convertIngredient(
+        unit.value,
+        unit.unit,
+        unit.ingredient,
+        system,
+      );
+      if (converted) {
+        const { volume, weight, ingredient } = converted;
+        return {
+          value: [volume, weight]
+            .map((side) =>
+              Converters.formatMeasurement(side.value, side.unit.code, locale),
+            )
+            .join(" · "),
+          original: `${Converters.formatMeasurement(unit.value, unit.unit, locale)} ${ingredient.label}`,
+        };
+      }
+    }
+
+    if (unit.values) {
+      const converted = Converters.convertDimensions(
+        unit.values,
+        unit.unit,
+        system,
+      );
+      return (
+        converted && {
+          value: Converters.formatDimensions(
+            converted.values,
+            converted.unit.code,
+            locale,
+          ),
+          original: Converters.formatDimensions(unit.values, unit.unit, locale),
+        }
+      );
+    }
+
+    const converted = Converters.convertMeasurement(
+      unit.value,
+      unit.unit,
+      system,
+    );
+    if (!converted) return null;
+
+    const form = unit.compound && window.COMPOUND_UNITS[unit.compound];
+    return {
+      value: converted.parts
+        ? Converters.formatCompound(converted.parts, locale)
+        : Converters.formatMeasurement(
+            converted.value,
+            converted.unit.code,
+            locale,
+          ),
+      original: form
+        ? Converters.formatCompound(
+            Converters.toCompound(unit.value, unit.unit, form),
+            locale,
+          )
+        : Converters.formatMeasurement(unit.value, unit.unit, locale),
+    };
+  }
+
+  /**
+   * Show tooltip with a time converted into the user's time zone
+   * @param {object} time - The hovered time (see TimeDetector.getTimes)
+   */
+  function showTimeTooltip(time) {
+    if (!tooltip || !settings.enabled) return;
+
+    // Nothing to show for a time in the user's zone
+    const content = describeTime(time, navigator.language || "en-US");
+    if (!content) {
+      hideTooltip();
+      return;
+    }
+
+    updateTooltipContent(content);
+
+    positionTooltip(TimeDetector.getTimeRect(time));
+    tooltip.classList.add("visible");
+  }
+
+  /**
+   * Write a time, its equivalent in the user's time zone and whether that
+   * falls on another day there
+   * @param {object} time - Time from TimeDetector
+   * @param {string} locale - Locale to write the times in
+   * @returns {object|null} { value, original, detail }, or null if the time
+   *   is at the user's offset
+   */
+  function describeTime(time, locale) {
+    const zone = getHomeTimeZone();
+    const converted = Converters.convertTime(time, zone);
+    if (!converted) return null;
+
+    const format = settings.timeFormat;
+    const days = { "-1": "previous day", 1: "next day" };
+    return {
+      value: Converters.formatTime(converted.date, zone, format, locale, true),
+      original: `${Converters.formatClock(time.hour, time.minute, format, locale)} ${converted.source.name} · ${converted.source.label}`,
+      detail: days[converted.dayShift] || null,
+    };
+  }
+
+  /**
+   * Show tooltip with a size converted into the user's size region
+   * @param {object} size - The hovered size (see SizeDetector.getSizes)
+   */
+  function showSizeTooltip(size) {
+    if (!tooltip || !settings.enabled) return;
+
+    // Nothing to show for a size already in the user's region
+    const content = describeSize(size, navigator.language || "en-US");
+    if (!content) {
+      hideTooltip();
+      return;
+    }
+
+    updateTooltipContent(content);
+
+    positionTooltip(size.element.getBoundingClientRect());
+    tooltip.classList.add("visible");
+  }
+
+  /**
+   * Write a size, its equivalent in the user's size region and the body
+   * measurement it is made for
+   * @param {object} size - Size from SizeDetector
+   * @param {string} locale - Locale to write the measurement in
+   * @returns {object|null} { value, original, detail }, or null if the size
+   *   is already in the user's region
+   */
+  function describeSize(size, locale) {
+    const converted = Converters.convertSize(
+      size.chart,
+      size.region,
+      size.size,
+      settings.sizeRegion,
+    );
+    if (!converted) return null;
+
+    const { name, value, unit } = converted.measurement;
+    return {
+      value: `${converted.region} ${converted.size}`,
+      original: `${size.region} ${size.size} · ${SIZE_CHARTS[size.chart].label}`,
+      detail: `${name} ${Converters.formatMeasurement(value, unit, locale)}`,
+    };
+  }
+
+  /**
+   * Describe what converted amounts come to in cash, if the user asked for
+   * cash amounts and rounding changes them
+   * @param {object[]} values - Converted money values (both ends of a range)
+   * @param {Function} format - Formatter used for the converted amounts
+   * @returns {string|null} Text such as "CHF 12.35 in cash", or null
+   */
+  function formatCash(values, format) {
+    if (settings.roundingMode !== "cash") return null;
+
+    const rounded = values.map((money) => Converters.roundToCash(money));
+    if (rounded.every((money, i) => money.minor === values[i].minor)) {
+      return null;
+    }
+
+    return `${rounded.map(format).join(" – ")} in cash`;
+  }
+
   /**
    * Update tooltip content
    * @param {object} content - Content to display
@@ -172,17 +588,20 @@
       container.innerHTML = `
         <div class="currency-converter-tooltip-value">${content.value}</div>
         <div class="currency-converter-tooltip-original">${content.original}</div>
-        <div class="currency-converter-tooltip-rate">${content.rate}</div>
+        ${content.detail ? `<div class="currency-converter-tooltip-detail">${content.detail}</div>` : ""}
+        ${content.rate ? `<div class="currency-converter-tooltip-rate">${content.rate}</div>` : ""}
+        ${content.cash ? `<div class="currency-converter-tooltip-cash">${content.cash}</div>` : ""}
+        ${content.assumed ? `<div class="currency-converter-tooltip-assumed">${content.assumed}</div>` : ""}
+        ${content.weak ? `<div class="currency-converter-tooltip-weak">${content.weak}</div>` : ""}
       `;
     }
   }
 
   /**
-   * Position tooltip near the price element
-   * @param {Element} priceElement - The price element
+   * Position tooltip near a price
+   * @param {DOMRect} rect - Bounding rect of the price
    */
-  function positionTooltip(priceElement) {
-    const rect = priceElement.getBoundingClientRect();
+  function positionTooltip(rect) {
     const tooltipRect = tooltip.getBoundingClientRect();
     const viewportHeight = window.innerHeight;
     const viewportWidth = window.innerWidth;
@@ -208,6 +627,10 @@
       left = viewportWidth - tooltipRect.width - 10;
     }
 
+    // In a small frame there may be no room above either: stay inside it
+    top = Math.max(0, Math.min(top, viewportHeight - tooltipRect.height));
+    left = Math.max(0, left);
+
     tooltip.style.top = `${top}px`;
     tooltip.style.left = `${left}px`;
   }
@@ -222,41 +645,160 @@
   }
 
   /**
-   * Set up event listeners for price hover
+   * Identify a price across hit tests (wrapped prices are read afresh from
+   * their element each time)
+   * @param {object|null} price - A detected price
+   * @returns {object|null} Its element, or the recorded price itself
    */
-  function setupEventListeners() {
-    // Track currently hovered price element to avoid re-triggering
-    let currentPriceEl = null;
-
-    // Use mouseover/mouseout for proper event delegation (they bubble)
-    document.body.addEventListener("mouseover", (e) => {
-      const priceEl = e.target.closest(".currency-converter-price");
-      if (priceEl && priceEl !== currentPriceEl) {
-        currentPriceEl = priceEl;
-        showTooltip(priceEl);
+  function priceKey(price) {
+    return price ? price.element || price : null;
+  }
+
+  /**
+   * Hit-test on mousemove (at most once per frame): overlay prices are
+   * parts of text nodes, so entering one fires no mouseover. Events from
+   * inside shadow roots are retargeted to the host, so pass the composed
+   * path (it's only available while the event is dispatched).
+   * @param {MouseEvent} e - Mouse event
+   */
+  function onMouseMove(e) {
+    const scheduled = pendingMove !== null;
+    pendingMove = {
+      path: e.composedPath ? e.composedPath() : [e.target],
+      x: e.clientX,
+      y: e.clientY,
+    };
+    if (scheduled) return;
+
+    requestAnimationFrame(() => {
+      // Stopped since the move
+      if (!pendingMove) return;
+
+      const { path, x, y } = pendingMove;
+      pendingMove = null;
+
+      const price = PriceDetector.findPriceAt(path, x, y);
+      const unit = price ? null : UnitDetector.findUnitAt(path, x, y);
+      const time = price || unit ? null : TimeDetector.findTimeAt(path, x, y);
+      const size = price || unit || time ? null : SizeDetector.findSizeAt(path);
+      if (
+        priceKey(price) === priceKey(currentPrice) &&
+        priceKey(unit) === priceKey(currentUnit) &&
+        priceKey(time) === priceKey(currentTime) &&
+        priceKey(size) === priceKey(currentSize)
+      ) {
+        return;
       }
-    });
 
-    document.body.addEventListener("mouseout", (e) => {
-      const priceEl = e.target.closest(".currency-converter-price");
-      if (priceEl) {
-        // Check if we're moving to another element inside the same price container
-        const relatedTarget = e.relatedTarget;
-        if (!relatedTarget || !priceEl.contains(relatedTarget)) {
-          currentPriceEl = null;
-          hideTooltip();
-        }
+      currentPrice = price;
+      currentUnit = unit;
+      currentTime = time;
+      currentSize = size;
+      if (price) {
+        showTooltip(price);
+      } else if (unit) {
+        showUnitTooltip(unit);
+      } else if (time) {
+        showTimeTooltip(time);
+      } else if (size) {
+        showSizeTooltip(size);
+      } else {
+        hideTooltip();
       }
     });
+  }
+
+  /**
+   * Hide the tooltip when the pointer leaves the page (or frame) entirely
+   * @param {MouseEvent} e - Mouse event
+   */
+  function onMouseOut(e) {
+    if (!e.relatedTarget) {
+      currentPrice = null;
+      currentUnit = null;
+      currentTime = null;
+      currentSize = null;
+      hideTooltip();
+    }
+  }
+
+  /**
+   * Re-render the tooltip of the hovered price (after the home currency or
+   * the rates change)
+   */
+  function refreshTooltip() {
+    if (currentPrice) {
+      showTooltip(currentPrice);
+    } else if (currentUnit) {
+      showUnitTooltip(currentUnit);
+    } else if (currentTime) {
+      showTimeTooltip(currentTime);
+    } else if (currentSize) {
+      showSizeTooltip(currentSize);
+    }
+  }
+
+  /**
+   * Set up event listeners for price hover
+   */
+  function setupEventListeners() {
+    document.addEventListener("mousemove", onMouseMove);
+    document.addEventListener("mouseout", onMouseOut);
+  }
 
-    // Listen for settings changes
+  /**
+   * Set up listeners for settings changes and rate updates
+   */
+  function setupSettingsListeners() {
     chrome.storage.onChanged.addListener((changes, namespace) => {
-      if (namespace === "sync") {
-        if (changes.enabled !== undefined) {
-          settings.enabled = changes.enabled.newValue;
+      if (namespace !== "sync") return;
+
+      if (changes.homeCurrency !== undefined) {
+        settings.homeCurrency = changes.homeCurrency.newValue;
+        refreshTooltip();
+      }
+      if (changes.siteCurrencyOverrides !== undefined) {
+        settings.siteCurrencyOverrides =
+          changes.siteCurrencyOverrides.newValue || {};
+        applySiteOverrides();
+        if (isRunning) {
+          PriceDetector.refreshAmbiguousPrices(document.body);
         }
-        if (changes.homeCurrency !== undefined) {
-          settings.homeCurrency = changes.homeCurrency.newValue;
+      }
+      if (changes.roundingMode !== undefined) {
+        settings.roundingMode =
+          changes.roundingMode.newValue === "cash" ? "cash" : "exact";
+        refreshTooltip();
+      }
+      if (changes.measurementSystem !== undefined) {
+        settings.measurementSystem = readMeasurementSystem(
+          changes.measurementSystem.newValue,
+        );
+        refreshTooltip();
+      }
+      if (changes.homeTimeZone !== undefined) {
+        settings.homeTimeZone = changes.homeTimeZone.newValue || "auto";
+        refreshTooltip();
+      }
+      if (changes.timeFormat !== undefined) {
+        settings.timeFormat = readTimeFormat(changes.timeFormat.newValue);
+        refreshTooltip();
+      }
+      if (changes.sizeRegion !== undefined) {
+        settings.sizeRegion = readSizeRegion(changes.sizeRegion.newValue);
+        refreshTooltip();
+      }
+      if (changes.detectionMode !== undefined) {
+        settings.detectionMode =
+          changes.detectionMode.newValue === "wrap" ? "wrap" : "overlay";
+        if (isRunning) restart();
+      }
+      if (changes.enabled !== undefined) {
+        settings.enabled = changes.enabled.newValue !== false;
+        if (settings.enabled) {
+          start();
+        } else {
+          stop();
         }
       }
     });
@@ -265,32 +807,168 @@
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       if (message.action === "ratesUpdated" && message.rates) {
         exchangeRates = message.rates;
+        refreshTooltip();
       }
     });
   }
 
+  /**
+   * Watch an open shadow root found by the scanner: observe it for new
+   * content and give it the price styles (page stylesheets don't reach
+   * inside)
+   * @param {ShadowRoot} shadowRoot - The shadow root
+   */
+  function observeShadowRoot(shadowRoot) {
+    if (observedShadowRoots.has(shadowRoot)) return;
+    observedShadowRoots.add(shadowRoot);
+
+    const link = document.createElement("link");
+    link.rel = "stylesheet";
+    link.href = chrome.runtime.getURL("src/content/tooltip.css");
+    shadowRoot.appendChild(link);
+    shadowStyleLinks.push(link);
+
+    observer?.observe(shadowRoot, observerOptions);
+  }
+
+  /**
+   * Re-check the hovered price, measurement, time or size after changed
+   * text was re-detected: it may have changed (or gone) under the pointer
+   */
+  function revalidateHoveredPrice() {
+    if (currentPrice) {
+      currentPrice = PriceDetector.getLatestPrice(currentPrice);
+    } else if (currentUnit) {
+      currentUnit = UnitDetector.getLatestUnit(currentUnit);
+    } else if (currentTime) {
+      currentTime = TimeDetector.getLatestTime(currentTime);
+    } else if (currentSize) {
+      currentSize = SizeDetector.getLatestSize(currentSize.element);
+    } else {
+      return;
+    }
+
+    if (currentPrice || currentUnit || currentTime || currentSize) {
+      refreshTooltip();
+    } else {
+      hideTooltip();
+    }
+  }
+
   /**
    * Set up MutationObserver for dynamic content
    */
   function setupMutationObserver() {
-    const observer = new MutationObserver((mutations) => {
-      if (!settings.enabled) return;
+    observer?.disconnect();
+    observer = new MutationObserver((mutations) => {
+      if (!isRunning) return;
+
+      // A single-page app swapped routes: everything is stale
+      if (checkNavigation()) return;
 
+      // Only queue work here; the scheduler batches it into idle time
       mutations.forEach((mutation) => {
-        // Process added nodes
+        // An element may have been shown (or hidden)
+        if (mutation.type === "attributes") {
+          if (PriceDetector.forgetSkipDecision(mutation.target)) {
+            ScanScheduler.scan(mutation.target);
+          }
+          return;
+        }
+
+        // Rewritten text, or children replaced inside a detected price,
+        // measurement or time
+        if (
+          mutation.type === "characterData" ||
+          (mutation.target.nodeType === Node.ELEMENT_NODE &&
+            (PriceDetector.isInsidePrice(mutation.target) ||
+              UnitDetector.isInsideUnit(mutation.target) ||
+              TimeDetector.isInsideTime(mutation.target)))
+        ) {
+          ScanScheduler.refresh(mutation.target);
+          return;
+        }
+
+        if (mutation.removedNodes.length > 0) {
+          ScanScheduler.pruneLater();
+        }
+
+        // Process added nodes (including their shadow roots)
         mutation.addedNodes.forEach((node) => {
           if (node.nodeType === Node.ELEMENT_NODE) {
-            // Scan the new element for prices
-            PriceDetector.scanDOM(node);
+            ScanScheduler.scan(node);
+          } else if (node.nodeType === Node.TEXT_NODE) {
+            ScanScheduler.refresh(node);
           }
         });
       });
     });
 
-    observer.observe(document.body, {
-      childList: true,
-      subtree: true,
-    });
+    // Frameset documents have no body
+    const root = document.body || document.documentElement;
+    observer.observe(root, observerOptions);
+  }
+
+  /**
+   * Re-scan the whole page after a same-document navigation (pushState,
+   * back/forward, hash changes) if the URL changed
+   * @returns {boolean} True if the page was re-scanned
+   */
+  function checkNavigation() {
+    if (!isRunning || window.location.href === lastUrl) return false;
+    lastUrl = window.location.href;
+
+    // Page signals, structured offers and the site adapter depend on the URL
+    StructuredData.reset();
+    SiteAdapters.reset();
+    CurrencyResolver.reset();
+    applySiteOverrides();
+
+    const root = document.body || document.documentElement;
+    ScanScheduler.stop();
+    SizeDetector.clear();
+    TimeDetector.clear(root);
+    UnitDetector.clear(root);
+    PriceDetector.clear(root);
+    ScanScheduler.scan(root);
+
+    // Our own changes to the page don't need another look
+    observer?.takeRecords();
+
+    currentPrice = null;
+    currentUnit = null;
+    currentTime = null;
+    currentSize = null;
+    hideTooltip();
+    return true;
+  }
+
+  /**
+   * Listen for same-document navigations. Content scripts can't see the
+   * page's history.pushState calls, so use the Navigation API where it
+   * exists; the MutationObserver also checks the URL on every change.
+   */
+  function setupNavigationListeners() {
+    lastUrl = window.location.href;
+    window.addEventListener("popstate", onNavigate);
+    window.addEventListener("hashchange", onNavigate);
+    window.navigation?.addEventListener("navigatesuccess", onNavigate);
+  }
+
+  /**
+   * Stop listening for same-document navigations
+   */
+  function removeNavigationListeners() {
+    window.removeEventListener("popstate", onNavigate);
+    window.removeEventListener("hashchange", onNavigate);
+    window.navigation?.removeEventListener("navigatesuccess", onNavigate);
+  }
+
+  /**
+   * Handle a same-document navigation event
+   */
+  function onNavigate() {
+    checkNavigation();
   }
 
   // Initialize when DOM is ready
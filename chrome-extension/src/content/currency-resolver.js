@@ -0,0 +1,219 @@
+/**
+ * Currency resolver
+ * Picks the most likely currency for symbols shared by several currencies
+ * ($, ¥, kr, Rs) from what the page and the user tell us
+ */
+
+const CurrencyResolver = {
+  // How much each signal counts towards a candidate currency
+  weights: {
+    override: 1,
+    structuredData: 1,
+    nearbyCode: 0.9,
+    siteDefault: 0.9,
+    priceCurrency: 0.8,
+    tld: 0.6,
+    ogLocale: 0.5,
+    langRegion: 0.5,
+    language: 0.3,
+    default: 0.25,
+  },
+
+  // Below this confidence the tooltip says the currency was assumed
+  assumedThreshold: 0.5,
+
+  // Page-level signals (computed once per page, see getPageSignals)
+  pageSignals: null,
+
+  // User overrides for the current site: { symbol: currencyCode }
+  siteOverrides: {},
+
+  /**
+   * Set the user's per-site overrides for the current page
+   * @param {object} overrides - Map of symbol to currency code (e.g., { $: 'CAD' })
+   */
+  setSiteOverrides(overrides) {
+    this.siteOverrides = overrides || {};
+  },
+
+  /**
+   * Forget cached page signals (e.g., after navigation)
+   */
+  reset() {
+    this.pageSignals = null;
+  },
+
+  /**
+   * Get the hostname of the current page
+   * @returns {string} Hostname (lowercase, may be empty)
+   */
+  getHostname() {
+    return (document.location?.hostname || "").toLowerCase();
+  },
+
+  /**
+   * Split a locale tag into language and region
+   * @param {string} tag - Locale tag (e.g., 'en-CA', 'en_CA', 'sv')
+   * @returns {object} { language: string|null, region: string|null }
+   */
+  parseLocaleTag(tag) {
+    if (!tag) return { language: null, region: null };
+    const parts = tag.trim().split(/[-_]/);
+    const language = parts[0] ? parts[0].toLowerCase() : null;
+    const region = parts.slice(1).find((p) => /^[A-Za-z]{2}$/.test(p));
+    return { language, region: region ? region.toUpperCase() : null };
+  },
+
+  /**
+   * Get the country a hostname's top-level domain belongs to
+   * @param {string} hostname - e.g., 'shop.example.com.au'
+   * @returns {string|null} ISO 3166 country code (e.g., 'AU') or null
+   */
+  getTldCountry(hostname) {
+    const tld = hostname.split(".").pop();
+    if (!/^[a-z]{2}$/.test(tld)) return null;
+    return tld === "uk" ? "GB" : tld.toUpperCase();
+  },
+
+  /**
+   * Collect ISO codes declared on their own by schema.org / Open Graph
+   * metadata (complete offers are read by StructuredData)
+   * @returns {string[]} Currency codes found on the page
+   */
+  getDeclaredPriceCurrencies() {
+    const codes = [];
+
+    document
+      .querySelectorAll(
+        '[itemprop="priceCurrency"], meta[property="product:price:currency"], meta[property="og:price:currency"]',
+      )
+      .forEach((el) => {
+        codes.push(el.getAttribute("content") || el.textContent);
+      });
+
+    return codes
+      .map((code) => (code || "").trim().toUpperCase())
+      .filter((code) => /^[A-Z]{3}$/.test(code));
+  },
+
+  /**
+   * Gather the page-level signals once per page
+   * @returns {object} Signals (each a currency code or null)
+   */
+  getPageSignals() {
+    if (this.pageSignals) return this.pageSignals;
+
+    const countryCurrency = (country) =>
+      (country && window.LOCALE_CURRENCY_MAP?.[country]) || null;
+    const languageCurrency = (language) =>
+      (language && window.LANGUAGE_CURRENCY_MAP?.[language]) || null;
+
+    const lang = this.parseLocaleTag(
+      document.documentElement?.getAttribute("lang"),
+    );
+    const ogLocale = this.parseLocaleTag(
+      document
+        .querySelector('meta[property="og:locale"]')
+        ?.getAttribute("content"),
+    );
+
+    this.pageSignals = {
+      tld: countryCurrency(this.getTldCountry(this.getHostname())),
+      langRegion: countryCurrency(lang.region),
+      language: languageCurrency(lang.language),
+      ogLocale:
+        countryCurrency(ogLocale.region) || languageCurrency(ogLocale.language),
+      structuredCurrencies: window.StructuredData?.getCurrencies() || [],
+      siteDefault: window.SiteAdapters?.getPageDefaultCurrency() || null,
+      priceCurrencies: this.getDeclaredPriceCurrencies(),
+    };
+
+    return this.pageSignals;
+  },
+
+  /**
+   * Find ISO codes of candidate currencies written near an element
+   * ("$25 CAD", "All prices in AUD")
+   * @param {Element} element - Element containing the price
+   * @param {string[]} candidates - Candidate currency codes
+   * @returns {string|null} Currency code or null
+   */
+  findNearbyCode(element, candidates) {
+    if (!element) return null;
+
+    // Use the surrounding block, unless it's too large to be "nearby"
+    const parentText = element.parentElement?.textContent || "";
+    const text =
+      parentText.length <= 300 ? parentText : element.textContent || "";
+
+    const pattern = new RegExp(`\\b(${candidates.join("|")})\\b`);
+    const match = text.match(pattern);
+    return match ? match[1] : null;
+  },
+
+  /**
+   * Resolve which currency a symbol stands for
+   * @param {string} symbol - Symbol as written on the page (e.g., '$')
+   * @param {string[]} candidates - Currencies using the symbol, default first
+   * @param {Element} [element] - Element containing the price
+   * @returns {object|null} { currency: string, confidence: number } or null
+   */
+  resolve(symbol, candidates, element = null) {
+    if (!candidates || candidates.length === 0) return null;
+    if (candidates.length === 1) {
+      return { currency: candidates[0], confidence: 1 };
+    }
+
+    const scores = {};
+    candidates.forEach((code) => {
+      scores[code] = 0;
+    });
+    const vote = (code, weight) => {
+      if (code && code in scores) scores[code] += weight;
+    };
+
+    const override =
+      this.siteOverrides[symbol] ||
+      this.siteOverrides[symbol.replace(/\.$/, "")];
+    if (override && override in scores) {
+      return { currency: override, confidence: 1 };
+    }
+
+    const signals = this.getPageSignals();
+    vote(this.findNearbyCode(element, candidates), this.weights.nearbyCode);
+    vote(
+      signals.structuredCurrencies.find((code) => code in scores),
+      this.weights.structuredData,
+    );
+    vote(
+      signals.priceCurrencies.find((code) => code in scores),
+      this.weights.priceCurrency,
+    );
+    vote(signals.siteDefault, this.weights.siteDefault);
+    vote(signals.tld, this.weights.tld);
+    vote(signals.ogLocale, this.weights.ogLocale);
+    vote(signals.langRegion, this.weights.langRegion);
+    vote(signals.language, this.weights.language);
+    vote(candidates[0], this.weights.default);
+
+    const [currency, score] = Object.entries(scores).sort(
+      (a, b) => b[1] - a[1],
+    )[0];
+
+    return { currency, confidence: Math.min(1, Math.round(score * 100) / 100) };
+  },
+
+  /**
+   * Check whether a resolved currency should be shown as assumed
+   * @param {number} confidence - Confidence from resolve()
+   * @returns {boolean} True if the tooltip should say "assumed"
+   */
+  isAssumed(confidence) {
+    return confidence < this.assumedThreshold;
+  },
+};
+
+// Make available globally
+if (typeof window !== "undefined") {
+  window.CurrencyResolver = CurrencyResolver;
+}
@@ -1,118 +1,885 @@
 /**
  * Price detection module
- * Detects currency patterns in DOM text nodes and wraps them for conversion
+ * Detects currency patterns in DOM text nodes and marks them for conversion,
+ * either by wrapping them in spans or by recording their position (overlay)
  */
 
 const PriceDetector = {
-  // Currency detection patterns
-  patterns: {
-    INR: [
-      // ₹1,234.56 or ₹ 1,234.56
-      /₹\s*([\d,]+(?:\.\d{1,2})?)/g,
-      // Rs. 1,234.56 or Rs 1,234.56 (word boundary prevents matching "hours 20")
-      /\bRs\.?\s*([\d,]+(?:\.\d{1,2})?)/gi,
-      // INR 1,234.56
-      /INR\s*([\d,]+(?:\.\d{1,2})?)/gi,
-    ],
-    USD: [
-      // $1,234.56 or $ 1,234.56 (not preceded by other currency symbols)
-      /(?<![A-Z])\$\s*([\d,]+(?:\.\d{1,2})?)/g,
-      // USD 1,234.56
-      /USD\s*([\d,]+(?:\.\d{1,2})?)/gi,
-      // US$ 1,234.56
-      /US\$\s*([\d,]+(?:\.\d{1,2})?)/gi,
-    ],
-    EUR: [
-      // €1,234.56 or € 1,234.56
-      /€\s*([\d,]+(?:\.\d{1,2})?)/g,
-      // EUR 1,234.56
-      /EUR\s*([\d,]+(?:\.\d{1,2})?)/gi,
-    ],
-    GBP: [
-      // £1,234.56 or £ 1,234.56
-      /£\s*([\d,]+(?:\.\d{1,2})?)/g,
-      // GBP 1,234.56
-      /GBP\s*([\d,]+(?:\.\d{1,2})?)/gi,
-    ],
-  },
-
-  // Combined pattern for matching any price
+  // How detected prices are marked (see setMode):
+  // - "wrap": prices found in text go in a <span class="currency-converter-price">
+  //   and price elements get data-* attributes
+  // - "overlay": the page's DOM is left untouched; prices are recorded as
+  //   offsets into its text nodes and found under the pointer by findPriceAt
+  mode: "wrap",
+
+  // Overlay mode: every recorded price, and the prices of each text node
+  // or element
+  overlayPrices: new Set(),
+  overlayIndex: new WeakMap(),
+
+  // Overlay mode: CSS Custom Highlights underlining recorded prices, and
+  // (more faintly) weak matches (see PriceScorer)
+  highlight: null,
+  weakHighlight: null,
+
+  // Wrap mode: for each wrapper span, the text node it was cut from and
+  // the nodes that replaced it (so clear() can put the original back)
+  wrappedText: new WeakMap(),
+
+  // Skip decisions by tag, style and editability (see shouldSkipElement),
+  // dropped by forgetSkipDecision when an element's attributes change
+  skipCache: new WeakMap(),
+
+  // Regions skipped by default: code samples and editable text, where
+  // "$1" or "$HOME" is rarely a price
+  skipSelector:
+    'pre, code, kbd, samp, var, [contenteditable]:not([contenteditable="false"]), [role="textbox"]',
+
+  // Attributes writePriceAttributes may add
+  priceAttributes: [
+    "data-price-detected",
+    "data-amount",
+    "data-amount-high",
+    "data-compact-style",
+    "data-currency",
+    "data-currency-confidence",
+    "data-currency-symbol",
+    "data-price-source",
+    "data-price-score",
+    "data-sign-style",
+  ],
+
+  // Combined pattern for matching any price (global, for scanning text)
   combinedPattern: null,
 
+  // The same pattern unanchored/non-global and anchored to a whole string
+  pricePattern: null,
+  exactPattern: null,
+
+  // Price ranges ("$10 – $20", "$10-20", "10 – 20 €"): global, unanchored
+  // and anchored variants, like the single price patterns above
+  combinedRangePattern: null,
+  rangePattern: null,
+  exactRangePattern: null,
+
+  // Match a currency symbol or a number on its own (for split prices)
+  symbolPattern: null,
+  bareAmountPattern: null,
+
+  // A whole string that is just a currency symbol ("$", "€", "Rs.")
+  symbolOnlyPattern: null,
+
+  // Split prices: fraction digits ("99" of "$19<sup>99</sup>", three for
+  // dinars), and the most text an element holding one split price may have
+  splitFractionPattern: /^\d{2,3}$/,
+  maxSplitPriceLength: 40,
+
+  // Regex source for a formatted amount ("1,234.56", "1.234,56", "1 234")
+  amountPattern: null,
+
+  // Symbol -> currency codes, built from the currency registry
+  symbolIndex: {},
+  caseInsensitiveSymbolIndex: {},
+
+  /**
+   * Escape a string for use in a regex, optionally matching any letter case
+   * @param {string} text - Literal text
+   * @param {boolean} caseInsensitive - Match letters in any case
+   * @returns {string} Regex source
+   */
+  escapeSymbol(text, caseInsensitive = false) {
+    return Array.from(text)
+      .map((char) => {
+        const escaped = char.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        const lower = char.toLowerCase();
+        const upper = char.toUpperCase();
+        return caseInsensitive && lower !== upper
+          ? `[${upper}${lower}]`
+          : escaped;
+      })
+      .join("");
+  },
+
+  /**
+   * Build the regex source for a symbol written before the amount
+   * @param {object} entry - Symbol entry from getCurrencySymbols()
+   * @param {string[]} allSymbols - Every detectable symbol
+   * @returns {string} Regex source
+   */
+  prefixSymbolSource(entry, allSymbols) {
+    const { symbol, caseInsensitive } = entry;
+    let source = this.escapeSymbol(symbol, caseInsensitive);
+
+    // Word-like symbols ("Rs", "kr", "USD") must start a word so "hours 20"
+    // isn't read as "Rs 20"; "$" must not be the tail of "US$"/"C$"
+    const startsWord = /^\p{L}/u.test(symbol);
+    const isTailOfOther = allSymbols.some(
+      (other) => other !== symbol && other.endsWith(symbol),
+    );
+    if (startsWord || isTailOfOther) {
+      source = `(?<!\\p{L})${source}`;
+    }
+
+    // Abbreviations may carry a trailing dot ("Rs.", "Fr.")
+    if (/[\p{Lu}\p{Ll}]$/u.test(symbol)) {
+      source = `${source}\\.?`;
+    }
+
+    return source;
+  },
+
+  // Standards written as a designator and a number ("ISO 9001"), which a
+  // code after the number doesn't make a price
+  standardDesignators: "ISO|IEC|EN|DIN|BS|RFC|ANSI|ASTM|IEEE",
+
+  /**
+   * Build the regex source for a symbol written after the amount
+   * @param {object} entry - Symbol entry from getCurrencySymbols()
+   * @returns {string} Regex source
+   */
+  suffixSymbolSource(entry) {
+    const { symbol, caseInsensitive } = entry;
+    let source = this.escapeSymbol(symbol, caseInsensitive);
+
+    // Alphabetic symbols must end a word ("20 USDC" isn't a price); symbols
+    // from uncased scripts (円, 元) are often followed directly by text
+    if (/[\p{Lu}\p{Ll}]$/u.test(symbol)) {
+      source = `${source}(?![\\p{Lu}\\p{Ll}])`;
+    }
+
+    // Don't steal the symbol of a following prefix price ("100 $200")
+    return `${source}(?!\\d)`;
+  },
+
   /**
-   * Initialize the combined pattern
+   * Initialize the symbol index and price patterns from the currency registry
    */
   init() {
-    const inrPatterns = [
-      "₹\\s*[\\d,]+(?:\\.\\d{1,2})?",
-      "\\bRs\\.?\\s*[\\d,]+(?:\\.\\d{1,2})?",
-      "INR\\s*[\\d,]+(?:\\.\\d{1,2})?",
-    ];
-    const usdPatterns = [
-      "(?<![A-Z])\\$\\s*[\\d,]+(?:\\.\\d{1,2})?",
-      "USD\\s*[\\d,]+(?:\\.\\d{1,2})?",
-      "US\\$\\s*[\\d,]+(?:\\.\\d{1,2})?",
-    ];
-    const eurPatterns = [
-      "€\\s*[\\d,]+(?:\\.\\d{1,2})?",
-      "EUR\\s*[\\d,]+(?:\\.\\d{1,2})?",
-    ];
-    const gbpPatterns = [
-      "£\\s*[\\d,]+(?:\\.\\d{1,2})?",
-      "GBP\\s*[\\d,]+(?:\\.\\d{1,2})?",
-    ];
+    const amount = window.NumberParser.amountPattern;
+    const suffixAmount = window.NumberParser.suffixAmountPattern;
+    const magnitude = window.NumberParser.getMagnitudePattern();
+    this.amountPattern = amount;
+
+    const symbols = window.getCurrencySymbols();
+    const allSymbols = symbols.map((entry) => entry.symbol);
+
+    this.symbolIndex = {};
+    this.caseInsensitiveSymbolIndex = {};
+    symbols.forEach((entry) => {
+      if (entry.caseInsensitive) {
+        this.caseInsensitiveSymbolIndex[entry.symbol.toLowerCase()] =
+          entry.currencies;
+      } else {
+        this.symbolIndex[entry.symbol] = entry.currencies;
+      }
+    });
+
+    const prefixSymbols = symbols
+      .map((entry) => this.prefixSymbolSource(entry, allSymbols))
+      .join("|");
+    const suffixSymbols = symbols
+      .filter((entry) => !entry.prefixOnly)
+      .map((entry) => this.suffixSymbolSource(entry))
+      .join("|");
 
-    const allPatterns = [
-      ...inrPatterns,
-      ...usdPatterns,
-      ...eurPatterns,
-      ...gbpPatterns,
-    ].join("|");
-    this.combinedPattern = new RegExp(`(${allPatterns})`, "gi");
+    // ₹1,234.56, Rs. 500, US$ 10, CHF 1'299.00, $1.5M, ₹45 lakh, $-25.00
+    const prefixPrice = `(?<prefixSymbol>${prefixSymbols})\\s*(?<prefixSign>[-−]\\s?)?(?<prefixAmount>${amount})(?<prefixMagnitude>${magnitude})?`;
+    // 49,99 €, 100 EUR, 1 299 kr, 2 Mio. € - the amount must start a number
+    // ("X100 EUR" is a model name, and "12 3456 kr" isn't 3456 kr) that
+    // doesn't number a standard ("ISO 9001 USD")
+    const notAfter = `(?<![\\w.,]|\\d |\\b(?:${this.standardDesignators})[\\s-]?)`;
+    // An alphabetic symbol must not run on into a sentence ("10 PHP
+    // scripts", see PriceScorer.followerWords); checked once after the
+    // symbol, not in each one
+    const followers = window.PriceScorer.followerWords;
+    const notSentence = `(?!(?<=[\\p{Lu}\\p{Ll}])\\s+(?!(?:${followers})(?!\\p{L}))\\p{Ll})`;
+    const suffixPrice = `${notAfter}(?<suffixAmount>${suffixAmount})(?<suffixMagnitude>${magnitude})?\\s*(?<suffixSymbol>${suffixSymbols})${notSentence}`;
+    const source = `${prefixPrice}|${suffixPrice}`;
+
+    this.combinedPattern = new RegExp(source, "gu");
+    this.pricePattern = new RegExp(source, "u");
+    this.exactPattern = new RegExp(`^(?:${source})$`, "u");
+
+    // Dashes and tildes, or a word between spaces ("€5 to €9", "5 bis 9 €")
+    const separator = "(?:\\s*[-–—~〜]\\s*|\\s+(?:to|bis|à)\\s+)";
+    // $10 – $20, $10-20, $1-2M (but not "$10 - 20%")
+    const prefixRange = `(?<prefixSymbol>${prefixSymbols})\\s*(?<prefixAmount>${amount})(?<prefixMagnitude>${magnitude})?${separator}(?:(?<prefixHighSymbol>${prefixSymbols})\\s*)?(?<prefixHigh>${amount})(?<prefixHighMagnitude>${magnitude})?(?!\\s*%)`;
+    // 10 – 20 €, 10 € - 20 €
+    const suffixRange = `${notAfter}(?<suffixAmount>${suffixAmount})(?<suffixMagnitude>${magnitude})?(?:\\s*(?<suffixLowSymbol>${suffixSymbols}))?${separator}(?<suffixHigh>${suffixAmount})(?<suffixHighMagnitude>${magnitude})?\\s*(?<suffixSymbol>${suffixSymbols})${notSentence}`;
+    const rangeSource = `${prefixRange}|${suffixRange}`;
+
+    this.combinedRangePattern = new RegExp(rangeSource, "gu");
+    this.rangePattern = new RegExp(rangeSource, "u");
+    this.exactRangePattern = new RegExp(`^(?:${rangeSource})$`, "u");
+    this.bareAmountPattern = new RegExp(`^(?:${amount})$`, "u");
+    this.symbolPattern = new RegExp(
+      `(?:${prefixSymbols})(?![\\p{Lu}\\p{Ll}])`,
+      "u",
+    );
+    this.symbolOnlyPattern = new RegExp(
+      `^(?:${prefixSymbols}|${suffixSymbols})$`,
+      "u",
+    );
+  },
+
+  /**
+   * Get the currencies that use a detected symbol or code
+   * @param {string} symbol - Symbol as written on the page (e.g., 'Rs.', 'kr')
+   * @returns {string[]} Currency codes, most likely first (empty if unknown)
+   */
+  getCurrenciesForSymbol(symbol) {
+    const candidates = [symbol, symbol.replace(/\.$/, "")];
+    for (const candidate of candidates) {
+      const currencies =
+        this.symbolIndex[candidate] ||
+        this.caseInsensitiveSymbolIndex[candidate.toLowerCase()];
+      if (currencies) return currencies;
+    }
+    return [];
+  },
+
+  /**
+   * Get the currency a detected symbol stands for, using page context to
+   * tell shared symbols ($, ¥, kr) apart
+   * @param {string} symbol - Symbol as written on the page
+   * @param {Element} [element] - Element containing the price
+   * @returns {object|null} { currency, confidence, ambiguous } or null
+   */
+  resolveSymbol(symbol, element = null) {
+    const candidates = this.getCurrenciesForSymbol(symbol);
+    const resolved = window.CurrencyResolver.resolve(
+      symbol,
+      candidates,
+      element,
+    );
+    if (!resolved) return null;
+
+    return { ...resolved, ambiguous: candidates.length > 1 };
+  },
+
+  /**
+   * Get the language of the page (from <html lang>)
+   * @returns {string|null} BCP 47 language tag or null
+   */
+  getPageLocale() {
+    const lang = document.documentElement?.getAttribute("lang");
+    return lang ? lang.trim() : null;
+  },
+
+  /**
+   * Parse an amount string using the page language and currency locale
+   * @param {string} amountStr - Amount text (e.g., '1.234,56')
+   * @param {string} currency - Currency code the amount is in
+   * @param {string} [magnitudeStr] - Magnitude written after it (e.g., 'M')
+   * @returns {number|null} Parsed full amount or null
+   */
+  parseAmount(amountStr, currency, magnitudeStr = null) {
+    const currencyConfig = window.SUPPORTED_CURRENCIES?.[currency];
+    const minorUnits = window.getMinorUnits?.(currency) ?? 2;
+    const magnitude = window.NumberParser.getMagnitude(magnitudeStr);
+    const value = window.NumberParser.parse(amountStr, {
+      locales: [this.getPageLocale(), currencyConfig?.locale],
+      // "$1.234M" has three fraction digits; plain prices have at most the
+      // currency's minor units ("¥1.500" is fifteen hundred yen)
+      maxFractionDigits: magnitude ? undefined : minorUnits,
+    });
+    if (value === null || !magnitude) return value;
+
+    // Scaled exactly, then rounded to the currency's minor units
+    const Money = window.Money;
+    return Money.toNumber(
+      Money.of(Money.multiply(value, magnitude.factor), currency),
+    );
+  },
+
+  /**
+   * Join a whole amount and fraction digits read from separate elements
+   * ("19" and "99" make 19.99), exactly
+   * @param {number} whole - Whole part
+   * @param {string} fraction - Fraction digits
+   * @param {string} currency - Currency code the amount is in
+   * @returns {number} The joined amount
+   */
+  joinFraction(whole, fraction, currency) {
+    const Money = window.Money;
+    return Money.toNumber(Money.of(`${whole}.${fraction}`, currency));
+  },
+
+  /**
+   * Read the symbol and amount text out of a price pattern match
+   * @param {RegExpMatchArray} match - Match of combinedPattern/pricePattern
+   * @param {Element} [element] - Element containing the price
+   * @returns {object|null} { amount, currency, confidence, symbol, ambiguous } or null
+   */
+  parsePriceMatch(match, element = null) {
+    const groups = match.groups;
+    const symbol = groups.prefixSymbol ?? groups.suffixSymbol;
+    const amountStr = groups.prefixAmount ?? groups.suffixAmount;
+    const magnitudeStr = groups.prefixMagnitude ?? groups.suffixMagnitude;
+
+    const resolved = this.resolveSymbol(symbol, element);
+    if (!resolved) return null;
+
+    const amount = this.parseAmount(amountStr, resolved.currency, magnitudeStr);
+    if (amount === null || amount <= 0) return null;
+
+    const parsed = { amount, symbol, ...resolved };
+    const magnitude = window.NumberParser.getMagnitude(magnitudeStr);
+    if (magnitude) parsed.compactStyle = magnitude.style;
+    // A minus between the symbol and the amount ("$-25.00")
+    if (groups.prefixSign) {
+      parsed.amount = -amount;
+      parsed.signStyle = "minus";
+    }
+    return parsed;
+  },
+
+  /**
+   * Read the sign written around a price: a minus before it ("-$25.00",
+   * "−€12"), accounting parentheses around an amount with cents
+   * ("($1,234.00)") or a statement's debit/credit mark ("Rs. 500 DR")
+   * @param {string} text - Text containing the price
+   * @param {number} start - Index of the price in the text
+   * @param {number} end - Index just after the price
+   * @returns {object} { start, end, negative, signStyle }: the price's
+   *   bounds including its sign, and the sign (signStyle is null if none)
+   */
+  readSign(text, start, end) {
+    const before = text.slice(0, start);
+    const after = text.slice(end);
+    const signed = (length, trailing, negative, signStyle) => ({
+      start: start - length,
+      end: end + trailing,
+      negative,
+      signStyle,
+    });
+
+    // Accounting amounts have cents: "(Rs. 750)" is an aside
+    const open = before.match(/\(\s?$/);
+    const close = after.match(/^\s?\)/);
+    const cents = /[.,]\d{2}(?!\d)/.test(text.slice(start, end));
+    if (open && close && cents) {
+      return signed(open[0].length, close[0].length, true, "accounting");
+    }
+
+    // A hyphen must touch the price ("Shirt - $20" is a title, not a
+    // refund) and can't follow a word or number ("10-$20")
+    const minus = before.match(/(?<![\p{L}\d])(?:-|−\s?)$/u);
+    if (minus) return signed(minus[0].length, 0, true, "minus");
+
+    const mark = after.match(/^\s?(DR|CR)\b\.?/);
+    if (mark) {
+      const debit = mark[1] === "DR";
+      return signed(0, mark[0].length, debit, debit ? "debit" : "credit");
+    }
+
+    return { start, end, negative: false, signStyle: null };
+  },
+
+  /**
+   * Give a parsed price the sign written around it (see readSign)
+   * @param {object} parsed - Result of parsePriceMatch
+   * @param {object} sign - Result of readSign
+   * @returns {object} The price, signed
+   */
+  applySign(parsed, sign) {
+    if (!sign.signStyle) return parsed;
+    return {
+      ...parsed,
+      amount: sign.negative ? -Math.abs(parsed.amount) : parsed.amount,
+      signStyle: sign.signStyle,
+    };
+  },
+
+  /**
+   * Read both ends of a price range match
+   * @param {RegExpMatchArray} match - Match of combinedRangePattern/rangePattern
+   * @param {Element} [element] - Element containing the range
+   * @returns {object|null} parsePriceMatch result plus amountHigh, or null
+   *   if the match isn't a valid range
+   */
+  parseRangeMatch(match, element = null) {
+    const groups = match.groups;
+    const low = this.parsePriceMatch(match, element);
+    if (!low) return null;
+
+    // Both ends must be in the same currency ("$10 - €20" isn't a range)
+    const otherSymbol = groups.prefixHighSymbol ?? groups.suffixLowSymbol;
+    if (
+      otherSymbol &&
+      this.getCurrenciesForSymbol(otherSymbol).join() !==
+        this.getCurrenciesForSymbol(low.symbol).join()
+    ) {
+      return null;
+    }
+
+    const highMagnitude =
+      groups.prefixHighMagnitude ?? groups.suffixHighMagnitude;
+    const amountHigh = this.parseAmount(
+      groups.prefixHigh ?? groups.suffixHigh,
+      low.currency,
+      highMagnitude,
+    );
+    if (amountHigh === null) return null;
+
+    // "$1-2M": a magnitude on the high end only applies to both ends
+    const range = { ...low, amountHigh };
+    if (highMagnitude && !low.compactStyle) {
+      range.amount = this.parseAmount(
+        groups.prefixAmount ?? groups.suffixAmount,
+        low.currency,
+        highMagnitude,
+      );
+      range.compactStyle =
+        window.NumberParser.getMagnitude(highMagnitude).style;
+    }
+    if (range.amountHigh <= range.amount) return null;
+
+    return range;
+  },
+
+  /**
+   * Parse a price range string
+   * @param {string} rangeStr - The matched range string (e.g., '$10 – $20')
+   * @returns {object|null} { amount, amountHigh, currency, original } or null
+   */
+  parsePriceRange(rangeStr) {
+    const str = rangeStr.trim();
+
+    const match = str.match(this.exactRangePattern);
+    if (!match) return null;
+
+    const parsed = this.parseRangeMatch(match);
+    if (!parsed) return null;
+
+    return {
+      amount: parsed.amount,
+      amountHigh: parsed.amountHigh,
+      currency: parsed.currency,
+      original: str,
+    };
   },
 
   /**
    * Parse a price string and extract amount and currency
-   * @param {string} priceStr - The matched price string
+   * @param {string} priceStr - The matched price string (may be signed:
+   *   "-$25.00", "($1,234.00)", "Rs. 500 DR")
    * @returns {object|null} { amount: number, currency: string } or null
    */
   parsePrice(priceStr) {
     const str = priceStr.trim();
 
-    // Detect currency and extract amount
-    let currency = null;
-    let amountStr = null;
+    let match = str.match(this.exactPattern);
+    let sign = null;
+    if (!match) {
+      // The string must be one price plus its sign
+      match = str.match(this.pricePattern);
+      if (!match) return null;
+      sign = this.readSign(str, match.index, match.index + match[0].length);
+      if (!sign.signStyle || sign.start !== 0 || sign.end !== str.length) {
+        return null;
+      }
+    }
+
+    let parsed = this.parsePriceMatch(match);
+    if (!parsed) return null;
+    if (sign) parsed = this.applySign(parsed, sign);
+
+    return { amount: parsed.amount, currency: parsed.currency, original: str };
+  },
+
+  /**
+   * Choose how detected prices are marked
+   * @param {string} mode - 'overlay' or 'wrap'
+   */
+  setMode(mode) {
+    this.mode = mode === "overlay" ? "overlay" : "wrap";
+  },
 
-    if (/^₹/.test(str) || /^Rs\.?/i.test(str) || /^INR/i.test(str)) {
-      currency = "INR";
-      amountStr = str.replace(/^(₹|Rs\.?|INR)\s*/i, "");
-    } else if (/\$/.test(str) || /^USD/i.test(str) || /^US\$/i.test(str)) {
-      currency = "USD";
-      amountStr = str.replace(/^(US\$|USD|\$)\s*/i, "");
+  /**
+   * Mark an element as a detected price
+   * @param {Element} element - The price element (wrapper span or container)
+   * @param {object} parsed - Result of parsePriceMatch
+   */
+  markPriceElement(element, parsed) {
+    if (this.mode === "overlay") {
+      this.recordPrice({ ...parsed, element });
+    } else {
+      this.writePriceAttributes(element, parsed);
     }
+  },
 
-    if (!currency) {
-      if (/^€/.test(str) || /^EUR/i.test(str)) {
-        currency = "EUR";
-        amountStr = str.replace(/^(€|EUR)\s*/i, "");
-      }
+  /**
+   * Store a price in an element's data-* attributes (wrap mode)
+   * @param {Element} element - The price element
+   * @param {object} parsed - Result of parsePriceMatch
+   */
+  writePriceAttributes(element, parsed) {
+    element.setAttribute("data-price-detected", "true");
+    element.setAttribute("data-amount", parsed.amount);
+    if (parsed.amountHigh !== undefined) {
+      element.setAttribute("data-amount-high", parsed.amountHigh);
+    }
+    // Written with a magnitude ("$1.5M"): the tooltip answers in kind
+    if (parsed.compactStyle) {
+      element.setAttribute("data-compact-style", parsed.compactStyle);
+    }
+    element.setAttribute("data-currency", parsed.currency);
+    element.setAttribute("data-currency-confidence", parsed.confidence);
+    // Keep the symbol of shared-symbol prices so they can be re-resolved
+    // when the user sets a per-site override
+    if (parsed.ambiguous) {
+      element.setAttribute("data-currency-symbol", parsed.symbol);
+    } else {
+      element.removeAttribute("data-currency-symbol");
+    }
+    if (parsed.source) {
+      element.setAttribute("data-price-source", parsed.source);
     }
+    if (parsed.score !== undefined) {
+      element.setAttribute("data-price-score", parsed.score);
+    }
+    if (parsed.signStyle) {
+      element.setAttribute("data-sign-style", parsed.signStyle);
+    }
+    element.classList.add("currency-converter-price");
+    element.classList.toggle(
+      "currency-converter-price-weak",
+      window.PriceScorer.isWeak(parsed.score),
+    );
+  },
 
-    if (!currency) {
-      if (/^£/.test(str) || /^GBP/i.test(str)) {
-        currency = "GBP";
-        amountStr = str.replace(/^(£|GBP)\s*/i, "");
-      }
+  /**
+   * Read a price back from an element's data-* attributes (wrap mode)
+   * @param {Element} element - The price element
+   * @returns {object} Price: { element, amount, amountHigh?, currency,
+   *   confidence, symbol, ambiguous, compactStyle?, source?, score?,
+   *   signStyle? }
+   */
+  readPriceElement(element) {
+    const number = (name) => parseFloat(element.getAttribute(name));
+    const symbol = element.getAttribute("data-currency-symbol");
+    const price = {
+      element,
+      amount: number("data-amount"),
+      currency: element.getAttribute("data-currency"),
+      confidence: number("data-currency-confidence"),
+      symbol,
+      ambiguous: !!symbol,
+    };
+    if (element.hasAttribute("data-amount-high")) {
+      price.amountHigh = number("data-amount-high");
+    }
+    if (element.hasAttribute("data-compact-style")) {
+      price.compactStyle = element.getAttribute("data-compact-style");
+    }
+    if (element.hasAttribute("data-price-source")) {
+      price.source = element.getAttribute("data-price-source");
+    }
+    if (element.hasAttribute("data-price-score")) {
+      price.score = number("data-price-score");
+    }
+    if (element.hasAttribute("data-sign-style")) {
+      price.signStyle = element.getAttribute("data-sign-style");
+    }
+    return price;
+  },
+
+  /**
+   * Record a price without touching the page (overlay mode)
+   * @param {object} price - Parsed price plus either element, or node
+   *   (a Text node) with the start/end offsets of the price in it
+   */
+  recordPrice(price) {
+    const target = price.element || price.node;
+    this.overlayPrices.add(price);
+    this.overlayIndex.set(target, [
+      ...(this.overlayIndex.get(target) || []),
+      price,
+    ]);
+
+    // Static ranges: live ones would be updated on every DOM change
+    const highlight = this.getHighlight(window.PriceScorer.isWeak(price.score));
+    if (highlight) {
+      price.highlightRange = new window.StaticRange(this.getRangeBounds(price));
+      highlight.add(price.highlightRange);
+    }
+  },
+
+  /**
+   * Get the boundary points of a price in the page
+   * @param {object} price - A recorded price
+   * @returns {object} { startContainer, startOffset, endContainer, endOffset }
+   */
+  getRangeBounds(price) {
+    if (price.element) {
+      return {
+        startContainer: price.element,
+        startOffset: 0,
+        endContainer: price.element,
+        endOffset: price.element.childNodes.length,
+      };
+    }
+    // The text may have been shortened since
+    const length = price.node.length;
+    return {
+      startContainer: price.node,
+      startOffset: Math.min(price.start, length),
+      endContainer: price.node,
+      endOffset: Math.min(price.end, length),
+    };
+  },
+
+  /**
+   * Make a Range covering a price (for layout: client rects and the like)
+   * @param {object} price - A detected price
+   * @returns {Range} The range
+   */
+  getPriceRange(price) {
+    const bounds = this.getRangeBounds(price);
+    const range = document.createRange();
+    range.setStart(bounds.startContainer, bounds.startOffset);
+    range.setEnd(bounds.endContainer, bounds.endOffset);
+    return range;
+  },
+
+  /**
+   * Drop a recorded price (overlay mode)
+   * @param {object} price - A price from recordPrice
+   */
+  forgetPrice(price) {
+    const target = price.element || price.node;
+    const remaining = (this.overlayIndex.get(target) || []).filter(
+      (other) => other !== price,
+    );
+    if (remaining.length > 0) {
+      this.overlayIndex.set(target, remaining);
+    } else {
+      this.overlayIndex.delete(target);
+    }
+    this.overlayPrices.delete(price);
+    if (price.highlightRange) {
+      this.highlight?.delete(price.highlightRange);
+      this.weakHighlight?.delete(price.highlightRange);
+    }
+  },
+
+  /**
+   * Drop recorded prices whose text or element left the page
+   */
+  pruneOverlay() {
+    this.overlayPrices.forEach((price) => {
+      if (!(price.element || price.node).isConnected) this.forgetPrice(price);
+    });
+  },
+
+  /**
+   * Get the highlight that underlines recorded prices, registering it on
+   * first use (where the CSS Custom Highlight API exists)
+   * @param {boolean} [weak] - Get the one for weak matches instead
+   * @returns {Highlight|null} The highlight or null
+   */
+  getHighlight(weak = false) {
+    if (!window.Highlight || !window.CSS?.highlights) return null;
+
+    const field = weak ? "weakHighlight" : "highlight";
+    if (!this[field]) {
+      this[field] = new window.Highlight();
+      window.CSS.highlights.set(
+        weak ? "currency-converter-weak-price" : "currency-converter-price",
+        this[field],
+      );
     }
+    return this[field];
+  },
+
+  /**
+   * Apply changes to a detected price, wherever it is stored
+   * @param {object} price - A price from getPrices
+   * @param {object} changes - Fields to change (currency, confidence, ...)
+   */
+  updatePrice(price, changes) {
+    Object.assign(price, changes);
+    if (this.mode === "wrap") {
+      this.writePriceAttributes(price.element, price);
+      return;
+    }
+
+    // Move the underline if the price stopped (or started) being weak
+    if (price.highlightRange && "score" in changes) {
+      const weak = window.PriceScorer.isWeak(price.score);
+      this.getHighlight(!weak).delete(price.highlightRange);
+      this.getHighlight(weak).add(price.highlightRange);
+    }
+  },
+
+  /**
+   * Get the current state of a price found earlier (after the page changed)
+   * @param {object} price - A price from getPrices or findPriceAt
+   * @returns {object|null} The price as detected now, or null if it's gone
+   */
+  getLatestPrice(price) {
+    if (this.mode === "overlay") {
+      return this.overlayPrices.has(price) ? price : null;
+    }
+    const { element } = price;
+    return element.isConnected && element.hasAttribute("data-price-detected")
+      ? this.readPriceElement(element)
+      : null;
+  },
+
+  /**
+   * Check whether a node is inside a root, looking through shadow roots
+   * @param {Node} root - The containing root
+   * @param {Node} node - The node to find
+   * @returns {boolean} True if node is root or inside it
+   */
+  containsNode(root, node) {
+    for (let current = node; current;) {
+      if (current === root) return true;
+      current = current.parentNode || current.host;
+    }
+    return false;
+  },
+
+  /**
+   * Get the prices detected under a root, including its shadow roots
+   * @param {Element|ShadowRoot} root - The root to search
+   * @returns {object[]} Prices (see readPriceElement / recordPrice)
+   */
+  getPrices(root = document.body) {
+    if (!root) return [];
+
+    if (this.mode === "overlay") {
+      return Array.from(this.overlayPrices).filter((price) =>
+        this.containsNode(root, price.element || price.node),
+      );
+    }
+
+    return [root, ...this.findShadowRoots(root)].flatMap((tree) =>
+      Array.from(tree.querySelectorAll("[data-price-detected]"), (el) =>
+        this.readPriceElement(el),
+      ),
+    );
+  },
+
+  /**
+   * Get the prices detected in some of an element's own text nodes,
+   * without looking through the rest of the page's prices
+   * @param {Element} element - The parent of the text nodes
+   * @param {Text[]} texts - The text nodes (as they were before wrap mode
+   *   split them)
+   * @returns {object[]} Prices (see readPriceElement / recordPrice)
+   */
+  getTextPrices(element, texts) {
+    if (this.mode === "overlay") {
+      return texts.flatMap((node) => this.overlayIndex.get(node) || []);
+    }
+    return Array.from(
+      element.querySelectorAll(":scope > [data-price-detected]"),
+      (el) => this.readPriceElement(el),
+    );
+  },
+
+  /**
+   * Check whether an element is a detected price
+   * @param {Element} element - The element to check
+   * @returns {boolean} True if the element was marked as a price
+   */
+  isPriceElement(element) {
+    return this.mode === "overlay"
+      ? this.overlayIndex.has(element)
+      : element.hasAttribute("data-price-detected");
+  },
+
+  /**
+   * Find the detected price element an element is, or is inside
+   * @param {Element} element - The element to check
+   * @returns {Element|null} The price element (wrapper span or container)
+   */
+  closestPriceElement(element) {
+    if (this.mode === "wrap") {
+      return element?.closest("[data-price-detected]") || null;
+    }
+    for (let current = element; current; current = current.parentElement) {
+      if (this.overlayIndex.has(current)) return current;
+    }
+    return null;
+  },
+
+  /**
+   * Check whether an element is, or is inside, a detected price element
+   * @param {Element} element - The element to check
+   * @returns {boolean} True if inside a price
+   */
+  isInsidePrice(element) {
+    return !!this.closestPriceElement(element);
+  },
+
+  /**
+   * Check whether an element contains a detected price
+   * @param {Element} element - The element to check
+   * @returns {boolean} True if a price was detected inside it
+   */
+  containsPrice(element) {
+    if (this.mode === "wrap") {
+      return !!element.querySelector("[data-price-detected]");
+    }
+    return this.getPrices(element).some(
+      (price) => (price.element || price.node) !== element,
+    );
+  },
+
+  /**
+   * Get the client rects a price occupies on screen
+   * @param {object} price - A detected price
+   * @returns {DOMRect[]} Rects (empty where layout isn't available)
+   */
+  getPriceRects(price) {
+    const target = price.element || this.getPriceRange(price);
+    return target.getClientRects ? Array.from(target.getClientRects()) : [];
+  },
 
-    if (!currency || !amountStr) return null;
+  /**
+   * Get the bounding rect of a price (to position the tooltip)
+   * @param {object} price - A detected price
+   * @returns {DOMRect} Bounding rect
+   */
+  getPriceRect(price) {
+    return (price.element || this.getPriceRange(price)).getBoundingClientRect();
+  },
 
-    // Parse the amount (remove commas)
-    const amount = parseFloat(amountStr.replace(/,/g, ""));
+  /**
+   * Find the price under the pointer
+   * @param {EventTarget[]} path - The event's composed path, innermost first
+   * @param {number} x - Pointer clientX
+   * @param {number} y - Pointer clientY
+   * @returns {object|null} The price or null
+   */
+  findPriceAt(path, x, y) {
+    if (this.mode === "wrap") {
+      const element = path.find((node) =>
+        node.classList?.contains("currency-converter-price"),
+      );
+      return element ? this.readPriceElement(element) : null;
+    }
 
-    if (isNaN(amount) || amount <= 0) return null;
+    // Text isn't an event target: the pointer is over one of the text
+    // nodes of the innermost element, and over a price if inside its rects
+    const inside = (rect) =>
+      x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom;
+    for (const child of path[0]?.childNodes || []) {
+      const hit = (this.overlayIndex.get(child) || []).find((price) =>
+        this.getPriceRects(price).some(inside),
+      );
+      if (hit) return hit;
+    }
 
-    return { amount, currency, original: str };
+    const element = path.find(
+      (node) =>
+        node.nodeType === Node.ELEMENT_NODE && this.overlayIndex.has(node),
+    );
+    return element ? this.overlayIndex.get(element)[0] : null;
   },
 
   /**
@@ -123,6 +890,39 @@ const PriceDetector = {
   shouldSkipElement(element) {
     if (!element) return true;
 
+    // Skip elements we've already processed
+    if (this.isPriceElement(element)) return true;
+
+    // getComputedStyle is the expensive part of a scan, and many text
+    // nodes share a parent: decide once per element
+    let skip = this.skipCache.get(element);
+    if (skip === undefined) {
+      skip = this.isHiddenOrInert(element);
+      this.skipCache.set(element, skip);
+    }
+    return skip;
+  },
+
+  /**
+   * Forget the cached skip decision for an element (its class, style,
+   * hidden or contenteditable attribute changed)
+   * @param {Element} element - The element that changed
+   * @returns {boolean} True if the element was being skipped, so it may
+   *   need scanning now
+   */
+  forgetSkipDecision(element) {
+    const wasSkipped = this.skipCache.get(element) === true;
+    this.skipCache.delete(element);
+    return wasSkipped;
+  },
+
+  /**
+   * Check whether an element's text is never shown or never a price
+   * (scripts, form fields, hidden, editable or code elements)
+   * @param {Element} element - The element to check
+   * @returns {boolean} True if the element should be skipped
+   */
+  isHiddenOrInert(element) {
     // Skip script, style, and other non-visible elements
     const skipTags = [
       "SCRIPT",
@@ -139,17 +939,44 @@ const PriceDetector = {
     const style = window.getComputedStyle(element);
     if (style.display === "none" || style.visibility === "hidden") return true;
 
-    // Skip elements we've already processed
-    if (element.hasAttribute("data-price-detected")) return true;
-
     // Skip editable elements
     if (element.isContentEditable) return true;
 
+    // Skip code samples and editable regions (see skipSelector)
+    if (element.closest(this.skipSelector)) return true;
+
     return false;
   },
 
   /**
-   * Wrap detected prices in a text node with span elements
+   * Score a price found in a text node (see PriceScorer), reading context
+   * words from the text around it and from its neighbouring nodes
+   * @param {RegExpMatchArray} match - Match of a price or range pattern
+   * @param {object} parsed - Result of parsePriceMatch / parseRangeMatch
+   * @param {Text} textNode - The text node the match is in
+   * @returns {number|null} The score, or null if too low for a price
+   */
+  scoreTextMatch(match, parsed, textNode) {
+    const end = match.index + match[0].length;
+    const score = window.PriceScorer.score({
+      text: match[0],
+      before:
+        (textNode.previousSibling?.textContent || "").slice(-40) +
+        match.input.slice(0, match.index),
+      after:
+        match.input.slice(end) +
+        (textNode.nextSibling?.textContent || "").slice(0, 40),
+      element: textNode.parentElement,
+      symbol: match.groups.prefixSymbol ?? match.groups.suffixSymbol,
+      amountText: match.groups.prefixAmount ?? match.groups.suffixAmount,
+      amountHigh: parsed.amountHigh,
+    });
+    return window.PriceScorer.isDropped(score) ? null : score;
+  },
+
+  /**
+   * Wrap detected prices in a text node with span elements (or, in overlay
+   * mode, record where they are)
    * @param {Text} textNode - The text node to process
    * @returns {boolean} True if any prices were detected
    */
@@ -157,28 +984,63 @@ const PriceDetector = {
     const text = textNode.textContent;
     if (!text || text.trim().length === 0) return false;
 
-    // Reset the pattern
-    this.combinedPattern.lastIndex = 0;
-
+    const element = textNode.parentElement;
     const matches = [];
     let match;
 
-    while ((match = this.combinedPattern.exec(text)) !== null) {
-      const parsed = this.parsePrice(match[0]);
-      if (parsed) {
+    // Find ranges first, so their two ends aren't taken as separate prices
+    this.combinedRangePattern.lastIndex = 0;
+    while ((match = this.combinedRangePattern.exec(text)) !== null) {
+      const parsed = this.parseRangeMatch(match, element);
+      const score = parsed && this.scoreTextMatch(match, parsed, textNode);
+      if (score !== null) {
         matches.push({
           start: match.index,
           end: match.index + match[0].length,
           text: match[0],
           ...parsed,
+          score,
+        });
+      }
+    }
+
+    // Reset the pattern
+    this.combinedPattern.lastIndex = 0;
+
+    while ((match = this.combinedPattern.exec(text)) !== null) {
+      // Include a sign written around the price ("-$25.00", "($12.00)")
+      const sign = this.readSign(
+        text,
+        match.index,
+        match.index + match[0].length,
+      );
+      const { start, end } = sign;
+      if (matches.some((m) => start < m.end && end > m.start)) continue;
+
+      const parsed = this.parsePriceMatch(match, element);
+      const score = parsed && this.scoreTextMatch(match, parsed, textNode);
+      if (score !== null) {
+        matches.push({
+          start,
+          end,
+          text: text.slice(start, end),
+          ...this.applySign(parsed, sign),
+          score,
         });
       }
     }
 
     if (matches.length === 0) return false;
+    matches.sort((a, b) => a.start - b.start);
+
+    if (this.mode === "overlay") {
+      matches.forEach((m) => this.recordPrice({ ...m, node: textNode }));
+      return true;
+    }
 
     // Create a document fragment to replace the text node
     const fragment = document.createDocumentFragment();
+    const split = { original: textNode, pieces: [] };
     let lastIndex = 0;
 
     matches.forEach((m) => {
@@ -191,12 +1053,10 @@ const PriceDetector = {
 
       // Create the price span
       const span = document.createElement("span");
-      span.className = "currency-converter-price";
-      span.setAttribute("data-price-detected", "true");
-      span.setAttribute("data-amount", m.amount);
-      span.setAttribute("data-currency", m.currency);
+      this.markPriceElement(span, m);
       span.textContent = m.text;
       fragment.appendChild(span);
+      this.wrappedText.set(span, split);
 
       lastIndex = m.end;
     });
@@ -207,171 +1067,716 @@ const PriceDetector = {
     }
 
     // Replace the text node with the fragment
+    split.pieces = Array.from(fragment.childNodes);
     textNode.parentNode.replaceChild(fragment, textNode);
 
     return true;
   },
 
   /**
-   * Detect structured price elements (like Amazon's split-element prices)
-   * @param {Element} root - The root element to scan
+   * Put the text node a wrapper span was cut from back in place of the
+   * pieces it was split into (or, if the page has since moved those
+   * around, just replace the span with its text)
+   * @param {Element} span - Wrapper span created by processTextNode
    */
-  scanStructuredPrices(root = document.body) {
+  unwrapPrice(span) {
+    const split = this.wrappedText.get(span);
+    const parent = span.parentNode;
+    if (!parent) return;
+
+    const intact =
+      split &&
+      !split.original.parentNode &&
+      split.pieces.every(
+        (piece, i) =>
+          piece.parentNode === parent &&
+          (i === 0 || piece.previousSibling === split.pieces[i - 1]),
+      );
+    if (!intact) {
+      span.replaceWith(span.textContent);
+      return;
+    }
+
+    const { original, pieces } = split;
+    original.data = pieces.map((piece) => piece.textContent).join("");
+    parent.insertBefore(original, pieces[0]);
+    pieces.forEach((piece) => piece.remove());
+  },
+
+  /**
+   * Remove every price mark under a root: unwrap wrapper spans, strip the
+   * attributes of price elements and forget recorded prices
+   * @param {Element|ShadowRoot} root - The root to clean up
+   */
+  clear(root = document.body) {
     if (!root) return;
 
-    // Amazon price selectors
-    const amazonPriceSelectors = [
-      ".a-price:not([data-price-detected])",
-      ".a-price-whole:not([data-price-detected])",
-      '[data-a-color="price"] .a-offscreen:not([data-price-detected])',
-    ];
+    // Recorded prices (overlay mode) leave nothing in the page itself
+    Array.from(this.overlayPrices)
+      .filter((price) => this.containsNode(root, price.element || price.node))
+      .forEach((price) => this.forgetPrice(price));
 
-    // Generic price element selectors used by various e-commerce sites
-    const genericSelectors = [
-      '[class*="price"]:not([data-price-detected])',
-      '[class*="Price"]:not([data-price-detected])',
-    ];
+    const marked = [root, ...this.findShadowRoots(root)].flatMap((tree) =>
+      Array.from(tree.querySelectorAll("[data-price-detected]")),
+    );
+    if (root.hasAttribute?.("data-price-detected")) marked.unshift(root);
 
-    // Process Amazon-style prices first
-    amazonPriceSelectors.forEach((selector) => {
-      try {
-        const elements = root.querySelectorAll(selector);
-        elements.forEach((el) => this.processStructuredPriceElement(el));
-      } catch (e) {
-        // Selector might be invalid, ignore
+    marked.forEach((el) => {
+      if (this.wrappedText.has(el)) {
+        this.unwrapPrice(el);
+        return;
       }
+      this.priceAttributes.forEach((name) => el.removeAttribute(name));
+      el.classList.remove("currency-converter-price");
+      if (el.classList.length === 0) el.removeAttribute("class");
     });
+  },
+
+  /**
+   * Detect prices again after the page changed some text (a variant picker
+   * rewriting the price, a re-rendered price container): the price the
+   * change happened in is stale, so forget it and scan its surroundings
+   * @param {Node} node - A text node whose data changed or was added, or
+   *   an element whose children changed
+   */
+  refreshNode(node) {
+    const element =
+      node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    if (!element?.isConnected) return;
+
+    // Prices recorded in a changed text node (overlay mode)
+    (this.overlayIndex.get(node) || []).forEach((price) =>
+      this.forgetPrice(price),
+    );
+
+    const priceElement = this.closestPriceElement(element);
+    if (!priceElement) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        this.scanTextNode(node);
+      } else {
+        this.scanDOM(element);
+      }
+      return;
+    }
+
+    const scope = priceElement.parentNode;
+    this.clear(priceElement);
+    this.scanDOM(scope);
+  },
+
+  /**
+   * Mark prices published as schema.org microdata on visible elements.
+   * Their amount and currency come from the markup, not the text.
+   * @param {Element} root - The root element to scan
+   */
+  scanStructuredData(root = document.body) {
+    if (!root) return;
+
+    window.StructuredData.getOffers().forEach((offer) => {
+      const element = offer.element;
+      if (!element || !root.contains(element)) return;
+      if (this.shouldSkipElement(element)) return;
+
+      this.markPriceElement(element, {
+        amount: offer.amount,
+        currency: offer.currency,
+        confidence: 1,
+        source: "structured",
+        score: 1,
+      });
+    });
+  },
+
+  /**
+   * Correct text-detected prices that match a structured offer (JSON-LD,
+   * meta tags): the offer's currency is authoritative
+   * @param {Element} root - The root element to update
+   * @param {object[]} [prices] - The prices to check, if not every price
+   *   under the root (see getTextPrices)
+   */
+  linkStructuredPrices(root = document.body, prices = null) {
+    if (!root || window.StructuredData.getOffers().length === 0) return;
+
+    (prices || this.getPrices(root))
+      .filter((price) => !price.source)
+      .forEach((price) => {
+        const offer = window.StructuredData.findOffer(price.amount);
+        if (!offer) return;
+
+        // Only link prices whose symbol can stand for the offer's currency
+        const sameCurrency = price.currency === offer.currency;
+        if (
+          !sameCurrency &&
+          !(
+            price.ambiguous &&
+            this.getCurrenciesForSymbol(price.symbol).includes(offer.currency)
+          )
+        ) {
+          return;
+        }
+
+        this.updatePrice(price, {
+          currency: offer.currency,
+          confidence: 1,
+          source: "structured",
+          ambiguous: false,
+          score: 1,
+        });
+      });
+  },
 
-    // Process generic price selectors (for IKEA, etc.)
-    genericSelectors.forEach((selector) => {
+  /**
+   * Detect price containers described by the page's site adapter (Amazon's
+   * split-element prices, etc.; class*="price" elements on other sites)
+   * @param {Element} root - The root element to scan
+   */
+  scanStructuredPrices(root = document.body) {
+    if (!root) return;
+
+    const adapter = window.SiteAdapters.getPageAdapter();
+    this.findStructuredPriceElements(root, adapter).forEach((el) =>
+      this.processStructuredPriceElement(el, adapter),
+    );
+  },
+
+  /**
+   * Find the price containers a site adapter describes under a root, then
+   * elements holding a price split around a <sup>/<sub> (on any site)
+   * @param {Element|ShadowRoot} root - The root to search
+   * @param {object} [adapter] - Site adapter (defaults to the page's)
+   * @returns {Element[]} Containers, in the order of the adapter's selectors
+   */
+  findStructuredPriceElements(
+    root,
+    adapter = window.SiteAdapters.getPageAdapter(),
+  ) {
+    const containers = adapter.priceSelectors.flatMap((selector) => {
       try {
-        const elements = root.querySelectorAll(selector);
-        elements.forEach((el) => this.processStructuredPriceElement(el));
+        return Array.from(root.querySelectorAll(selector));
       } catch (e) {
         // Selector might be invalid, ignore
+        return [];
       }
     });
+    return [...containers, ...this.findSplitPriceElements(root)];
+  },
+
+  /**
+   * Join the text of several elements: layout whitespace between them
+   * becomes one space (no-break spaces are kept, they group digits)
+   * @param {string} text - Text content
+   * @returns {string} Joined text
+   */
+  joinText(text) {
+    return text.replace(/[\t\n\r ]+/g, " ").trim();
+  },
+
+  /**
+   * Find elements holding a price whose cents are raised or lowered
+   * ("$19<sup>99</sup>")
+   * @param {Element|ShadowRoot} root - The root to search
+   * @returns {Element[]} The elements, in document order
+   */
+  findSplitPriceElements(root) {
+    const elements = new Set();
+    root.querySelectorAll("sup, sub").forEach((el) => {
+      if (!this.splitFractionPattern.test(el.textContent.trim())) return;
+      const container = this.findSplitPriceContainer(el);
+      if (container) elements.add(container);
+    });
+    return Array.from(elements);
+  },
+
+  /**
+   * Find the element holding a split price, from one of its pieces: a
+   * <sup>/<sub> fraction, a text node holding just a currency symbol
+   * ("<span>$</span><span>19.99</span>"), or a text node followed by
+   * raised or smaller cents ("$19<span class="cents">99</span>")
+   * @param {Node} node - The piece
+   * @returns {Element|null} The closest ancestor with the whole price, or
+   *   null if the piece isn't part of one
+   */
+  findSplitPriceContainer(node) {
+    const isText = node.nodeType === Node.TEXT_NODE;
+    if (isText && !this.isSplitPriceText(node)) return null;
+
+    // A few levels up at most: past that it's a whole card, not a price
+    let element = node.parentElement;
+    for (let level = 0; element && level < 3; level++) {
+      const text = this.joinText(element.textContent);
+      if (text.length > this.maxSplitPriceLength) return null;
+
+      const hasSymbol =
+        this.symbolPattern.test(text) || /\p{Sc}/u.test(text) || isText;
+      // A fraction needs the whole part and a symbol next to it; a symbol
+      // needs digits
+      const digits = text.replace(/\D/g, "").length;
+      if (hasSymbol && digits > (isText ? 0 : 2)) return element;
+      element = element.parentElement;
+    }
+    return null;
+  },
+
+  /**
+   * Check whether a text node is a piece of a split price: just a currency
+   * symbol, or digits followed by cents in a raised or smaller element
+   * @param {Text} node - The text node
+   * @returns {boolean} True if it may be part of a split price
+   */
+  isSplitPriceText(node) {
+    const text = node.data.trim();
+    if (node.length <= 6 && this.symbolOnlyPattern.test(text)) return true;
+
+    const next = node.nextSibling;
+    return (
+      /\d[.,]?$/.test(text) &&
+      next?.nodeType === Node.ELEMENT_NODE &&
+      next.children.length === 0 &&
+      this.splitFractionPattern.test(next.textContent.trim()) &&
+      this.isFractionElement(next, node.parentElement)
+    );
+  },
+
+  /**
+   * Find the fraction piece of a split price: the last element holding just
+   * two digits, if it's shown raised, lowered or smaller than the rest
+   * @param {Element} element - Element holding the price
+   * @returns {Element|null} The fraction element, or null if the price
+   *   isn't split that way
+   */
+  findFractionElement(element) {
+    const candidates = Array.from(element.querySelectorAll("*")).filter(
+      (el) =>
+        el.children.length === 0 &&
+        this.splitFractionPattern.test(el.textContent.trim()),
+    );
+    const fraction = candidates.pop();
+    return fraction && this.isFractionElement(fraction, element)
+      ? fraction
+      : null;
+  },
+
+  /**
+   * Check whether an element is shown like the cents of a price: in a
+   * <sup>/<sub>, raised or lowered, or smaller than the text around it
+   * @param {Element} element - The element holding the digits
+   * @param {Element} container - Element holding the whole price
+   * @returns {boolean} True if it looks like cents
+   */
+  isFractionElement(element, container) {
+    const script = element.closest("sup, sub");
+    if (script && container.contains(script)) return true;
+
+    const style = window.getComputedStyle(element);
+    if (["super", "sub", "top", "text-top"].includes(style.verticalAlign)) {
+      return true;
+    }
+
+    // Smaller than the rest: relative sizes ("60%", "0.6em") or pixels
+    const size = parseFloat(style.fontSize);
+    if (/(%|em)$/.test(style.fontSize)) {
+      return size < (style.fontSize.endsWith("%") ? 85 : 0.85);
+    }
+    const wholeSize = parseFloat(window.getComputedStyle(container).fontSize);
+    return !!size && !!wholeSize && size < wholeSize * 0.85;
+  },
+
+  /**
+   * Read a price whose cents are a separate, raised or smaller element:
+   * "$", "19" and "99" are read as 19.99, not 1999
+   * @param {Element} element - Element holding the price
+   * @param {object} adapter - Site adapter the element comes from
+   * @returns {object|null} { parsed, amountText } (see parsePriceMatch), or
+   *   null if the element doesn't hold a price split that way
+   */
+  parseSplitPrice(element, adapter) {
+    const fraction = this.findFractionElement(element);
+    if (!fraction) return null;
+
+    // Text before the fraction (symbol and whole part) and after it (a
+    // symbol written after the amount)
+    let before = "";
+    let after = "";
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      if (fraction.contains(node)) continue;
+      if (
+        fraction.compareDocumentPosition(node) &
+        Node.DOCUMENT_POSITION_PRECEDING
+      ) {
+        before += node.data;
+      } else {
+        after += node.data;
+      }
+    }
+    const normalize = adapter.normalizeText || ((value) => value);
+    const clean = (text) => normalize(this.joinText(text));
+    // "19.<sup>99</sup>": the whole part may end with the separator
+    const whole = clean(before).replace(/[.,]$/, "");
+    const rest = clean(after);
+
+    // The whole part must end right where the fraction starts
+    let parsed = null;
+    const prefix = whole.match(this.pricePattern);
+    const suffix = `${whole} ${rest}`.match(this.pricePattern);
+    if (
+      prefix?.groups.prefixAmount &&
+      prefix.index + prefix[0].length === whole.length
+    ) {
+      parsed = this.parsePriceMatch(prefix, element);
+    } else if (
+      suffix?.groups.suffixAmount &&
+      suffix.index + suffix.groups.suffixAmount.length === whole.length
+    ) {
+      parsed = this.parsePriceMatch(suffix, element);
+    } else if (this.bareAmountPattern.test(whole)) {
+      const resolved = this.resolveSiteDefault();
+      const amount = resolved && this.parseAmount(whole, resolved.currency);
+      if (amount > 0) parsed = { amount, symbol: null, ...resolved };
+    }
+    if (!parsed || !Number.isInteger(parsed.amount)) return null;
+
+    // Raised digits that aren't the currency's minor units are a footnote
+    // ("¥150<sup>12</sup>" is 150 yen, "$19<sup>999</sup>" is $19)
+    const cents = fraction.textContent.trim();
+    if (cents.length !== (window.getMinorUnits?.(parsed.currency) ?? 2)) {
+      return { parsed, amountText: `${parsed.amount}` };
+    }
+    return {
+      parsed: {
+        ...parsed,
+        amount: this.joinFraction(parsed.amount, cents, parsed.currency),
+      },
+      amountText: `${parsed.amount}.${cents}`,
+    };
+  },
+
+  /**
+   * Check whether the site adapter says an element never holds prices
+   * (ratings, unit-price badges)
+   * @param {Element} element - The element to check
+   * @param {object} [adapter] - Site adapter (defaults to the page's)
+   * @returns {boolean} True if the element should be ignored
+   */
+  isIgnoredBySite(element, adapter = window.SiteAdapters.getPageAdapter()) {
+    if (!element || adapter.ignoreSelectors.length === 0) return false;
+    try {
+      return !!element.closest(adapter.ignoreSelectors.join(","));
+    } catch (e) {
+      return false;
+    }
+  },
+
+  /**
+   * Get the storefront currency from the site adapter, for prices shown
+   * without a symbol
+   * @returns {object|null} { currency, confidence, ambiguous } or null
+   */
+  resolveSiteDefault() {
+    const currency = window.SiteAdapters.getPageDefaultCurrency();
+    if (!currency) return null;
+
+    return {
+      currency,
+      confidence: window.CurrencyResolver.weights.siteDefault,
+      ambiguous: false,
+    };
+  },
+
+  /**
+   * Build a price from the parts an adapter names: a complete price string,
+   * or whole / fraction / symbol elements
+   * @param {Element} element - The price container
+   * @param {object} adapter - Site adapter with parts selectors
+   * @returns {object|null} Parsed price (see parsePriceMatch) or null
+   */
+  parsePriceParts(element, adapter) {
+    const { parts } = adapter;
+    const normalize = adapter.normalizeText || ((text) => text);
+    const find = (selector) =>
+      selector ? element.querySelector(selector) : null;
+
+    // A complete price string (e.g., Amazon's screen-reader copy)
+    const textMatch = normalize(
+      find(parts.text)?.textContent.trim() || "",
+    ).match(this.exactPattern);
+    if (textMatch) return this.parsePriceMatch(textMatch, element);
+
+    const wholeEl = find(parts.whole);
+    if (!wholeEl) return null;
+
+    const symbol = normalize(find(parts.symbol)?.textContent.trim() || "");
+    const resolved = symbol
+      ? this.resolveSymbol(symbol, element)
+      : this.resolveSiteDefault();
+    if (!resolved) return null;
+
+    // "1,299." - the whole part may end with the decimal separator
+    const whole = wholeEl.textContent.trim().replace(/[.,\s]+$/u, "");
+    let amount = this.parseAmount(whole, resolved.currency);
+    if (amount === null) return null;
+
+    const fraction = (find(parts.fraction)?.textContent || "").replace(
+      /\D/g,
+      "",
+    );
+    if (fraction && Number.isInteger(amount)) {
+      amount = this.joinFraction(amount, fraction, resolved.currency);
+    }
+    if (amount <= 0) return null;
+
+    return { amount, symbol: symbol || null, ...resolved };
   },
 
   /**
    * Process a structured price element (extracts price from child elements)
    * @param {Element} element - The price container element
+   * @param {object} [adapter] - Site adapter the container comes from
    */
-  processStructuredPriceElement(element) {
-    if (!element || element.hasAttribute("data-price-detected")) return;
+  processStructuredPriceElement(
+    element,
+    adapter = window.SiteAdapters.getPageAdapter(),
+  ) {
+    if (!element || this.isPriceElement(element)) return;
 
     // Skip if already processed or hidden
     if (this.shouldSkipElement(element)) return;
 
-    // Try to extract price from the element's text content
-    const text = element.textContent.trim();
-    if (!text) return;
+    // Skip ratings, unit prices and the like
+    if (this.isIgnoredBySite(element, adapter)) return;
 
-    // Look for price patterns in the combined text
-    let amount = null;
-    let currency = null;
-
-    // Check for INR patterns (₹ or Rs.)
-    const inrMatch = text.match(/(?:₹|\bRs\.?)\s*([\d,]+(?:\.\d{1,2})?)/i);
-    if (inrMatch) {
-      currency = "INR";
-      amount = parseFloat(inrMatch[1].replace(/,/g, ""));
-    }
-
-    // Check for just numbers with rupee symbol somewhere in parent
-    if (!currency) {
-      const hasRupeeSymbol =
-        text.includes("₹") ||
-        /\bRs\.?/i.test(text) ||
-        (element.closest &&
-          /₹|\bRs\.?/i.test(
-            element.closest('[class*="price"]')?.textContent || "",
-          ));
-      const numberMatch = text.match(/^[\d,]+(?:\.\d{1,2})?$/);
-      if (hasRupeeSymbol && numberMatch) {
-        currency = "INR";
-        amount = parseFloat(numberMatch[0].replace(/,/g, ""));
-      }
-    }
+    // Skip containers of a price already detected (from structured data,
+    // or by a more specific selector), and parts of a detected container
+    if (this.containsPrice(element) || this.isInsidePrice(element)) return;
 
-    // Check for USD patterns
-    if (!currency) {
-      const usdMatch = text.match(/\$\s*([\d,]+(?:\.\d{1,2})?)/);
-      if (usdMatch) {
-        currency = "USD";
-        amount = parseFloat(usdMatch[1].replace(/,/g, ""));
-      }
-    }
+    // Nested containers: the innermost one holding a whole price wins
+    if (this.hasInnerPriceContainer(element, adapter)) return;
 
-    // Check for EUR patterns
-    if (!currency) {
-      const eurMatch = text.match(/€\s*([\d,]+(?:\.\d{1,2})?)/);
-      if (eurMatch) {
-        currency = "EUR";
-        amount = parseFloat(eurMatch[1].replace(/,/g, ""));
+    // Put split prices back together from the parts the adapter names
+    if (adapter.parts) {
+      const parsed = this.parsePriceParts(element, adapter);
+      if (parsed) {
+        this.markPriceElement(element, { ...parsed, score: 1 });
+        return;
       }
     }
 
-    if (!currency) {
-      const eurTextMatch = text.match(/\bEUR\s*([\d,]+(?:\.\d{1,2})?)/i);
-      if (eurTextMatch) {
-        currency = "EUR";
-        amount = parseFloat(eurTextMatch[1].replace(/,/g, ""));
-      }
+    // Cents in their own raised or smaller element ("$19<sup>99</sup>")
+    const split = this.parseSplitPrice(element, adapter);
+    if (split) {
+      this.markScoredPrice(element, split.parsed, {
+        text: element.textContent.trim(),
+        amountText: split.amountText,
+      });
+      return;
     }
 
-    // Check for GBP patterns
-    if (!currency) {
-      const gbpMatch = text.match(/£\s*([\d,]+(?:\.\d{1,2})?)/);
-      if (gbpMatch) {
-        currency = "GBP";
-        amount = parseFloat(gbpMatch[1].replace(/,/g, ""));
+    // Try to extract price from the element's text content (pieces in
+    // separate elements are joined: "<span>$</span><span>19.99</span>")
+    const normalize = adapter.normalizeText || ((value) => value);
+    const text = normalize(this.joinText(element.textContent));
+    if (!text) return;
+
+    // Look for a price range, then a price, in the combined text
+    const rangeMatch = text.match(this.rangePattern);
+    let parsed = rangeMatch && this.parseRangeMatch(rangeMatch, element);
+    const match = !parsed && text.match(this.pricePattern);
+    const found = parsed ? rangeMatch : match;
+    if (match) {
+      parsed = this.parsePriceMatch(match, element);
+      if (parsed) {
+        const end = match.index + match[0].length;
+        parsed = this.applySign(parsed, this.readSign(text, match.index, end));
+      }
+    } else if (!parsed && this.bareAmountPattern.test(text)) {
+      // Just a number: use a currency symbol from the surrounding price
+      // container (e.g. the symbol is rendered by a sibling element)
+      const container = element.parentElement?.closest('[class*="price"]');
+      const symbolMatch = `${text} ${container?.textContent || ""}`.match(
+        this.symbolPattern,
+      );
+      const resolved = symbolMatch
+        ? this.resolveSymbol(symbolMatch[0], element)
+        : this.resolveSiteDefault();
+      const amount = resolved && this.parseAmount(text, resolved.currency);
+      if (amount > 0) {
+        parsed = { amount, symbol: symbolMatch?.[0] ?? null, ...resolved };
       }
     }
 
-    if (!currency) {
-      const gbpTextMatch = text.match(/\bGBP\s*([\d,]+(?:\.\d{1,2})?)/i);
-      if (gbpTextMatch) {
-        currency = "GBP";
-        amount = parseFloat(gbpTextMatch[1].replace(/,/g, ""));
+    if (!parsed) return;
+
+    this.markScoredPrice(element, parsed, {
+      text: found ? found[0] : text,
+      before: found ? text.slice(0, found.index) : "",
+      after: found ? text.slice(found.index + found[0].length) : "",
+      amountText: found
+        ? (found.groups.prefixAmount ?? found.groups.suffixAmount)
+        : text,
+    });
+  },
+
+  /**
+   * Score a price container's price and mark it, unless the score is too
+   * low for a price
+   * @param {Element} element - The price container
+   * @param {object} parsed - Result of parsePriceMatch / parseRangeMatch
+   * @param {object} candidate - Text for PriceScorer.score ({ text,
+   *   before?, after?, amountText })
+   */
+  markScoredPrice(element, parsed, candidate) {
+    const score = window.PriceScorer.score({
+      ...candidate,
+      element,
+      amountHigh: parsed.amountHigh,
+      inPriceElement: true,
+    });
+    if (window.PriceScorer.isDropped(score)) return;
+
+    this.markPriceElement(element, { ...parsed, score });
+  },
+
+  /**
+   * Check whether a price container holds another container of the same
+   * adapter with a whole price of its own (so the outer one would detect
+   * the same price again)
+   * @param {Element} element - The price container
+   * @param {object} adapter - Site adapter the container comes from
+   * @returns {boolean} True if an inner container should be used instead
+   */
+  hasInnerPriceContainer(element, adapter) {
+    const normalize = adapter.normalizeText || ((value) => value);
+    return this.findStructuredPriceElements(element, adapter).some(
+      (inner) =>
+        inner !== element &&
+        !this.shouldSkipElement(inner) &&
+        !this.isIgnoredBySite(inner, adapter) &&
+        this.pricePattern.test(normalize(inner.textContent.trim())),
+    );
+  },
+
+  /**
+   * Re-resolve prices written with shared symbols (after the user changes a
+   * per-site override)
+   * @param {Element} root - The root element to update
+   */
+  refreshAmbiguousPrices(root = document.body) {
+    if (!root) return;
+
+    this.getPrices(root)
+      .filter((price) => price.ambiguous)
+      .forEach((price) => {
+        const resolved = this.resolveSymbol(
+          price.symbol,
+          price.element || price.node.parentElement,
+        );
+        if (!resolved) return;
+        this.updatePrice(price, {
+          currency: resolved.currency,
+          confidence: resolved.confidence,
+        });
+      });
+  },
+
+  /**
+   * Find the open shadow roots under a root, including shadow roots nested
+   * inside other shadow roots (closed ones can't be reached)
+   * @param {Element|ShadowRoot} root - The root to search
+   * @returns {ShadowRoot[]} Shadow roots, outermost first
+   */
+  findShadowRoots(root) {
+    if (!root) return [];
+
+    const roots = [];
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+    let element = root.shadowRoot ? root : walker.nextNode();
+
+    while (element) {
+      if (element.shadowRoot) {
+        roots.push(
+          element.shadowRoot,
+          ...this.findShadowRoots(element.shadowRoot),
+        );
       }
+      element = walker.nextNode();
     }
 
-    if (!currency || !amount || isNaN(amount) || amount <= 0) return;
-
-    // Mark as detected and add data attributes
-    element.setAttribute("data-price-detected", "true");
-    element.setAttribute("data-amount", amount);
-    element.setAttribute("data-currency", currency);
-    element.classList.add("currency-converter-price");
+    return roots;
   },
 
   /**
-   * Scan the DOM for prices using TreeWalker
-   * @param {Element} root - The root element to scan
+   * Scan the DOM for prices, including inside open shadow roots
+   * @param {Element|ShadowRoot} root - The root element to scan
    */
   scanDOM(root = document.body) {
     if (!root) return;
 
-    // First, scan for structured price elements (Amazon, etc.)
+    if (this.mode === "overlay") this.pruneOverlay();
+
+    this.scanTree(root);
+    this.findShadowRoots(root).forEach((shadowRoot) =>
+      this.scanTree(shadowRoot),
+    );
+  },
+
+  /**
+   * Check whether a text node should be scanned for prices
+   * @param {Text} node - The text node to check
+   * @returns {boolean} True if it may hold a price not yet detected
+   */
+  acceptTextNode(node) {
+    // Only look further at nodes with potential price content (cheap, and
+    // rules out most text before any style lookups)
+    if (!this.pricePattern.test(node.textContent)) return false;
+    // Skip text whose prices are already recorded (overlay mode)
+    if (this.overlayIndex.has(node)) return false;
+
+    const parent = node.parentElement;
+    if (this.shouldSkipElement(parent)) return false;
+    // Skip if parent already has price detection
+    if (this.isInsidePrice(parent)) return false;
+    // Skip ratings, unit prices and the like
+    if (this.isIgnoredBySite(parent)) return false;
+
+    return true;
+  },
+
+  /**
+   * Detect prices in a single text node, if it should be scanned
+   * @param {Text} node - The text node
+   * @returns {boolean} True if any prices were detected
+   */
+  scanTextNode(node) {
+    if (!node.isConnected || !this.acceptTextNode(node)) return false;
+    return this.processTextNode(node);
+  },
+
+  /**
+   * Scan one DOM tree for prices using TreeWalker (a TreeWalker doesn't
+   * enter shadow roots; scanDOM visits each of them)
+   * @param {Element|ShadowRoot} root - The root of the tree
+   */
+  scanTree(root) {
+    // Prices published as structured data are exact, so read them first
+    this.scanStructuredData(root);
+
+    // Then scan for structured price elements (Amazon, etc.)
     this.scanStructuredPrices(root);
 
-    // Then use TreeWalker for text-based detection
+    // Then use TreeWalker for text-based detection (a symbol on its own
+    // may start a price split over several elements)
+    const splitPrices = new Set();
     const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
       acceptNode: (node) => {
-        if (this.shouldSkipElement(node.parentElement)) {
+        const container = this.findSplitPriceContainer(node);
+        if (container) {
+          splitPrices.add(container);
           return NodeFilter.FILTER_REJECT;
         }
-        // Skip if parent already has price detection
-        if (node.parentElement?.closest("[data-price-detected]")) {
-          return NodeFilter.FILTER_REJECT;
-        }
-        // Only accept nodes with potential price content
-        if (this.combinedPattern.test(node.textContent)) {
-          this.combinedPattern.lastIndex = 0;
-          return NodeFilter.FILTER_ACCEPT;
-        }
-        return NodeFilter.FILTER_REJECT;
+        return this.acceptTextNode(node)
+          ? NodeFilter.FILTER_ACCEPT
+          : NodeFilter.FILTER_REJECT;
       },
     });
 
@@ -382,7 +1787,11 @@ const PriceDetector = {
     }
 
     // Process collected text nodes
+    splitPrices.forEach((el) => this.processStructuredPriceElement(el));
     textNodes.forEach((node) => this.processTextNode(node));
+
+    // Finally, let structured offers settle the currency of matching prices
+    this.linkStructuredPrices(root);
   },
 };
 
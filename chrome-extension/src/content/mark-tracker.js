@@ -0,0 +1,423 @@
+/**
+ * Mark tracking module
+ * Keeps track of the marks one detector puts on the page (measurements,
+ * times) the way PriceDetector keeps track of prices: wrapper spans
+ * carrying data-* attributes, or (overlay mode) offsets into the page's
+ * text nodes underlined by a CSS Custom Highlight. A detector creates one
+ * tracker with its class name, its patterns and how to read a match, and
+ * leaves scanning, hit-testing and cleanup to it. Which elements are
+ * skipped, the marking mode and how marks are positioned all come from
+ * PriceDetector.
+ */
+
+const MarkTracker = {
+  /**
+   * Create a tracker for one kind of mark
+   * @param {object} options - What to mark and how
+   * @param {string} options.className - Class of wrapper spans, also the
+   *   name of the overlay highlight
+   * @param {string} options.attribute - Attribute every wrapper span has
+   * @param {string[]} options.attributes - Attributes write may add
+   * @param {RegExp} options.pattern - Tests whether text may hold a mark
+   * @param {RegExp} options.combinedPattern - Global version of pattern,
+   *   for scanning text
+   * @param {Function} options.parse - (match, text) => mark with start/end
+   *   offsets into the text, or null if the match isn't one
+   * @param {Function} options.write - (element, mark) => stores a mark in
+   *   a wrapper span's attributes
+   * @param {Function} options.read - (element) => mark read back from a
+   *   wrapper span
+   * @param {Function} [options.isClaimed] - (element) => true if the
+   *   element is inside a mark of a detector that runs first
+   * @param {Function} [options.claimedIn] - (textNode) => marks recorded
+   *   in the text node by detectors that run first (overlay mode)
+   * @returns {object} The tracker
+   */
+  create(options) {
+    return Object.assign(Object.create(this), {
+      isClaimed: () => false,
+      claimedIn: () => [],
+      ...options,
+      // Overlay mode: every recorded mark, and the marks of each text node
+      overlayMarks: new Set(),
+      overlayIndex: new WeakMap(),
+      // Overlay mode: CSS Custom Highlight underlining recorded marks
+      highlight: null,
+    });
+  },
+
+  /**
+   * Check whether marks are recorded rather than wrapped
+   * @returns {boolean} True in overlay mode (see PriceDetector.setMode)
+   */
+  isOverlay() {
+    return window.PriceDetector.mode === "overlay";
+  },
+
+  /**
+   * Record a mark without touching the page (overlay mode)
+   * @param {object} mark - Parsed mark plus node (a Text node) and the
+   *   start/end offsets of the mark in it
+   */
+  record(mark) {
+    this.overlayMarks.add(mark);
+    this.overlayIndex.set(mark.node, [...this.getNodeMarks(mark.node), mark]);
+
+    const highlight = this.getHighlight();
+    if (highlight) {
+      mark.highlightRange = new window.StaticRange(
+        window.PriceDetector.getRangeBounds(mark),
+      );
+      highlight.add(mark.highlightRange);
+    }
+  },
+
+  /**
+   * Drop a recorded mark (overlay mode)
+   * @param {object} mark - A mark from record
+   */
+  forget(mark) {
+    const remaining = this.getNodeMarks(mark.node).filter(
+      (other) => other !== mark,
+    );
+    if (remaining.length > 0) {
+      this.overlayIndex.set(mark.node, remaining);
+    } else {
+      this.overlayIndex.delete(mark.node);
+    }
+    this.overlayMarks.delete(mark);
+    if (mark.highlightRange) this.highlight?.delete(mark.highlightRange);
+  },
+
+  /**
+   * Drop recorded marks whose text left the page
+   */
+  pruneOverlay() {
+    this.overlayMarks.forEach((mark) => {
+      if (!mark.node.isConnected) this.forget(mark);
+    });
+  },
+
+  /**
+   * Get the marks recorded in a text node (overlay mode)
+   * @param {Node} node - The text node
+   * @returns {object[]} Its marks, in the order they were recorded
+   */
+  getNodeMarks(node) {
+    return this.overlayIndex.get(node) || [];
+  },
+
+  /**
+   * Get the highlight that underlines recorded marks, registering it on
+   * first use (where the CSS Custom Highlight API exists)
+   * @returns {Highlight|null} The highlight or null
+   */
+  getHighlight() {
+    if (!window.Highlight || !window.CSS?.highlights) return null;
+
+    if (!this.highlight) {
+      this.highlight = new window.Highlight();
+      window.CSS.highlights.set(this.className, this.highlight);
+    }
+    return this.highlight;
+  },
+
+  /**
+   * Get the marks under a root, including its shadow roots
+   * @param {Element|ShadowRoot} root - The root to search
+   * @returns {object[]} Marks (see read / record)
+   */
+  getMarks(root = document.body) {
+    if (!root) return [];
+    const detector = window.PriceDetector;
+
+    if (this.isOverlay()) {
+      return Array.from(this.overlayMarks).filter((mark) =>
+        detector.containsNode(root, mark.node),
+      );
+    }
+
+    return [root, ...detector.findShadowRoots(root)].flatMap((tree) =>
+      Array.from(tree.querySelectorAll(`[${this.attribute}]`), (el) =>
+        this.read(el),
+      ),
+    );
+  },
+
+  /**
+   * Find the wrapper span an element is, or is inside
+   * @param {Element} element - The element to check
+   * @returns {Element|null} The wrapper span (always null in overlay mode,
+   *   where marks are only recorded in text nodes)
+   */
+  closestElement(element) {
+    if (this.isOverlay()) return null;
+    return element?.closest(`[${this.attribute}]`) || null;
+  },
+
+  /**
+   * Check whether an element is, or is inside, a mark
+   * @param {Element} element - The element to check
+   * @returns {boolean} True if inside a mark
+   */
+  isInside(element) {
+    return !!this.closestElement(element);
+  },
+
+  /**
+   * Get the current state of a mark found earlier
+   * @param {object} mark - A mark from getMarks or findAt
+   * @returns {object|null} The mark as detected now, or null
+   */
+  getLatest(mark) {
+    if (this.isOverlay()) {
+      return this.overlayMarks.has(mark) ? mark : null;
+    }
+    const { element } = mark;
+    return element.isConnected && element.hasAttribute(this.attribute)
+      ? this.read(element)
+      : null;
+  },
+
+  /**
+   * Get the bounding rect of a mark (to position the tooltip)
+   * @param {object} mark - A detected mark
+   * @returns {DOMRect} Bounding rect
+   */
+  getRect(mark) {
+    return window.PriceDetector.getPriceRect(mark);
+  },
+
+  /**
+   * Find the mark under the pointer
+   * @param {EventTarget[]} path - The event's composed path, innermost first
+   * @param {number} x - Pointer clientX
+   * @param {number} y - Pointer clientY
+   * @returns {object|null} The mark or null
+   */
+  findAt(path, x, y) {
+    if (!this.isOverlay()) {
+      const element = path.find((node) =>
+        node.classList?.contains(this.className),
+      );
+      return element ? this.read(element) : null;
+    }
+
+    // As for prices: the pointer is over a text node of the innermost
+    // element, and over a mark if inside its rects
+    const inside = (rect) =>
+      x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom;
+    for (const child of path[0]?.childNodes || []) {
+      const hit = this.getNodeMarks(child).find((mark) =>
+        window.PriceDetector.getPriceRects(mark).some(inside),
+      );
+      if (hit) return hit;
+    }
+    return null;
+  },
+
+  /**
+   * Check whether a text node should be scanned for marks
+   * @param {Text} node - The text node to check
+   * @returns {boolean} True if it may hold a mark not yet detected
+   */
+  acceptTextNode(node) {
+    if (!this.pattern.test(node.textContent)) return false;
+    if (this.overlayIndex.has(node)) return false;
+
+    // Same skip decisions as prices (hidden, code, editable), and never
+    // inside a mark of an earlier detector or another mark
+    const parent = node.parentElement;
+    if (window.PriceDetector.shouldSkipElement(parent)) return false;
+    if (this.isClaimed(parent)) return false;
+    if (this.isInside(parent)) return false;
+
+    return true;
+  },
+
+  /**
+   * Wrap the marks in a text node with span elements (or, in overlay
+   * mode, record where they are)
+   * @param {Text} textNode - The text node to process
+   * @returns {boolean} True if any marks were detected
+   */
+  processTextNode(textNode) {
+    const text = textNode.textContent;
+    if (!text || text.trim().length === 0) return false;
+
+    // Marks earlier detectors recorded in the same text node (overlay
+    // mode) keep their text
+    const claimed = this.claimedIn(textNode);
+    const matches = [];
+    let match;
+
+    this.combinedPattern.lastIndex = 0;
+    while ((match = this.combinedPattern.exec(text)) !== null) {
+      const parsed = this.parse(match, text);
+      if (!parsed) continue;
+
+      const { start, end } = parsed;
+      if (claimed.some((other) => start < other.end && end > other.start)) {
+        continue;
+      }
+      matches.push({ ...parsed, text: text.slice(start, end) });
+    }
+
+    if (matches.length === 0) return false;
+
+    if (this.isOverlay()) {
+      matches.forEach((m) => this.record({ ...m, node: textNode }));
+      return true;
+    }
+
+    // Split the text node around wrapper spans; PriceDetector keeps track
+    // of the split so unwrapping puts the original text node back
+    const fragment = document.createDocumentFragment();
+    const split = { original: textNode, pieces: [] };
+    let lastIndex = 0;
+
+    matches.forEach((m) => {
+      if (m.start > lastIndex) {
+        fragment.appendChild(
+          document.createTextNode(text.slice(lastIndex, m.start)),
+        );
+      }
+
+      const span = document.createElement("span");
+      this.write(span, m);
+      span.textContent = m.text;
+      fragment.appendChild(span);
+      window.PriceDetector.wrappedText.set(span, split);
+
+      lastIndex = m.end;
+    });
+
+    if (lastIndex < text.length) {
+      fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+    }
+
+    split.pieces = Array.from(fragment.childNodes);
+    textNode.parentNode.replaceChild(fragment, textNode);
+
+    return true;
+  },
+
+  /**
+   * Detect marks in a single text node, if it should be scanned
+   * @param {Text} node - The text node
+   * @returns {boolean} True if any marks were detected
+   */
+  scanTextNode(node) {
+    if (!node.isConnected || !this.acceptTextNode(node)) return false;
+    return this.processTextNode(node);
+  },
+
+  /**
+   * Detect marks in the text directly inside an element (after earlier
+   * detectors have split it)
+   * @param {Element} element - The element
+   */
+  scanChildText(element) {
+    Array.from(element.childNodes)
+      .filter((node) => node.nodeType === Node.TEXT_NODE)
+      .forEach((node) => this.scanTextNode(node));
+  },
+
+  /**
+   * Scan one DOM tree for marks (a TreeWalker doesn't enter shadow roots;
+   * scanDOM visits each of them)
+   * @param {Element|ShadowRoot} root - The root of the tree
+   */
+  scanTree(root) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) =>
+        this.acceptTextNode(node)
+          ? NodeFilter.FILTER_ACCEPT
+          : NodeFilter.FILTER_REJECT,
+    });
+
+    // Collect text nodes first (to avoid modifying DOM while walking)
+    const textNodes = [];
+    while (walker.nextNode()) {
+      textNodes.push(walker.currentNode);
+    }
+    textNodes.forEach((node) => this.processTextNode(node));
+  },
+
+  /**
+   * Scan a root and its open shadow roots for marks
+   * @param {Element|ShadowRoot} root - The root to scan
+   */
+  scanDOM(root = document.body) {
+    if (!root) return;
+
+    if (this.isOverlay()) this.pruneOverlay();
+
+    this.scanTree(root);
+    window.PriceDetector.findShadowRoots(root).forEach((shadowRoot) =>
+      this.scanTree(shadowRoot),
+    );
+  },
+
+  /**
+   * Remove every mark under a root: unwrap wrapper spans and forget
+   * recorded marks
+   * @param {Element|ShadowRoot} root - The root to clean up
+   */
+  clear(root = document.body) {
+    if (!root) return;
+    const detector = window.PriceDetector;
+
+    Array.from(this.overlayMarks)
+      .filter((mark) => detector.containsNode(root, mark.node))
+      .forEach((mark) => this.forget(mark));
+
+    const marked = [root, ...detector.findShadowRoots(root)].flatMap((tree) =>
+      Array.from(tree.querySelectorAll(`[${this.attribute}]`)),
+    );
+    if (root.hasAttribute?.(this.attribute)) marked.unshift(root);
+
+    marked.forEach((el) => {
+      if (detector.wrappedText.has(el)) {
+        detector.unwrapPrice(el);
+        return;
+      }
+      this.attributes.forEach((name) => el.removeAttribute(name));
+      el.classList.remove(this.className);
+      if (el.classList.length === 0) el.removeAttribute("class");
+    });
+  },
+
+  /**
+   * Detect marks again after the page changed some text (see
+   * PriceDetector.refreshNode)
+   * @param {Node} node - A text node whose data changed or was added, or
+   *   an element whose children changed
+   */
+  refreshNode(node) {
+    const element =
+      node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    if (!element?.isConnected) return;
+
+    this.getNodeMarks(node).forEach((mark) => this.forget(mark));
+
+    const markElement = this.closestElement(element);
+    if (!markElement) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        this.scanTextNode(node);
+      } else {
+        this.scanDOM(element);
+      }
+      return;
+    }
+
+    const scope = markElement.parentNode;
+    this.clear(markElement);
+    this.scanDOM(scope);
+  },
+};
+
+// Make available globally
+if (typeof window !== "undefined") {
+  window.MarkTracker = MarkTracker;
+}
@@ -0,0 +1,187 @@
+/**
+ * Price scorer
+ * Rates how likely a detected candidate is to really be a price, from the
+ * element it's in, the words around it and the shape of its number, so
+ * "$HOME", "Rs 5 resistors" and product IDs can be dropped
+ */
+
+const PriceScorer = {
+  // How much each signal adds to (or takes from) the base score
+  weights: {
+    base: 0.5,
+    priceElement: 0.3,
+    priceWords: 0.15,
+    cents: 0.15,
+    grouped: 0.1,
+    range: 0.1,
+    alone: 0.15,
+    smallInteger: -0.15,
+    leadingZero: -0.3,
+    longInteger: -0.35,
+    otherWords: -0.4,
+    tickerChange: -0.45,
+    glued: -0.4,
+    codeLike: -0.4,
+    sentence: -0.3,
+    letterSymbol: -0.15,
+  },
+
+  // Below this score a candidate isn't treated as a price
+  dropThreshold: 0.3,
+
+  // Below this score a price is shown de-emphasised
+  weakThreshold: 0.5,
+
+  // Elements whose role is to show a price
+  priceElementSelector:
+    '[class*="price"], [class*="Price"], [itemprop="price"], [data-price]',
+
+  // Words that go with prices ("was $20, now $15", "Total: €40")
+  priceWords:
+    /\b(?:price[sd]?|costs?|total|subtotal|sale|buy|pay|paid|save|was|now|only|from|shipping|delivery|fees?|each|deal|offer|budget|rent|salary|worth|spend|spent|tax|vat|msrp|rrp)\b/i,
+
+  // Words that go with numbers that aren't prices: finance tickers (but
+  // not "in stock"), electronics (Rs = resistance), shell variables, IDs
+  otherWords:
+    /\b(?:(?<!\b(?:in|of)\s)stocks?|shares?|tickers?|nasdaq|nyse|dow|index|resistors?|resistance|ohms?|capacitors?|variables?|env|export|echo|shell|bash|regex|sku|isbn|serial|part\s+no|model\s+no)\b/i,
+
+  // Daily change next to a quote ("▲ 1.2%", "-0.45%")
+  tickerChange: /[▲▼↑↓]|[+−-]\s?\d+(?:[.,]\d+)?\s?%/,
+
+  // Code nearby: shell/template variables and placeholders ("$HOME", "${x}")
+  codeLike: /\$\{|\$[A-Za-z_]\w*/,
+
+  // Lowercase words that may follow a price written with a code or word
+  // symbol ("100 EUR per night", "299 kr inkl. moms", "50 lei pe lună");
+  // after any other lowercase word the symbol is part of the sentence
+  // ("10 PHP scripts", "12 CAD engineers"). Regex source, also used by
+  // PriceDetector's patterns
+  followerWords:
+    "per|pe|pro|pr|each|ea|a|an|only|off|plus|incl|inkl|excl|exkl|inc|ex|net|netto|brutto|total|and|or|to|for|för|och|og|und|et|i|på|til|till|bis|st|stk|moms|mva|vat|tax|ttc|ht",
+
+  // Symbols made of letters ("R", "kr", "TL", "S/", "Fr."), and ISO codes
+  letterSymbol: /^[\p{L}][\p{L}./]*$/u,
+  isoCode: /^[A-Z]{3}$/,
+
+  /**
+   * Score a price candidate
+   * @param {object} candidate - { text, before, after, element, amountText,
+   *   symbol?, amountHigh?, inPriceElement? }: the matched text, the text
+   *   around it, the element containing it, its amount as written, its
+   *   symbol as written, the high end of a range, and whether it's a site
+   *   adapter's price container
+   * @returns {number} Score between 0 and 1
+   */
+  score(candidate) {
+    const { text, element, amountText = "" } = candidate;
+    const before = candidate.before || "";
+    const after = candidate.after || "";
+    const context = `${before.slice(-40)} ${after.slice(0, 40)}`;
+    const w = this.weights;
+    let score = w.base;
+
+    // Element role
+    if (candidate.inPriceElement || this.isInPriceElement(element)) {
+      score += w.priceElement;
+    }
+
+    // Context words
+    if (this.priceWords.test(context)) score += w.priceWords;
+    if (this.otherWords.test(context)) score += w.otherWords;
+    if (this.tickerChange.test(after.slice(0, 20))) score += w.tickerChange;
+    if (this.codeLike.test(context)) score += w.codeLike;
+
+    // Symbols that are also letters and words
+    score += this.scoreLetterSymbol(candidate, context);
+
+    // Glued to letters, digits or symbols on either side ("x$5", "$1abc")
+    if (/[\p{L}\d_$#@]$/u.test(before) || /^[\p{L}\d_]/u.test(after)) {
+      score += w.glued;
+    }
+
+    // Number shape
+    const digits = amountText.replace(/\D/g, "");
+    const fraction = amountText.match(/[.,](\d+)$/);
+    if (fraction && fraction[1].length === 2) score += w.cents;
+    if (/\d[\s,.'’  ]\d{3}(?!\d)/u.test(amountText)) {
+      score += w.grouped;
+    }
+    if (candidate.amountHigh !== undefined) score += w.range;
+    if (/^0\d/.test(digits)) score += w.leadingZero;
+    if (!fraction && digits.length === 1) score += w.smallInteger;
+    if (/^\d{6,}$/.test(amountText.trim())) score += w.longInteger;
+
+    // An element holding nothing but the price (a price cell or badge)
+    if (!before.trim() && !after.trim() && text) score += w.alone;
+
+    return Math.max(0, Math.min(1, Math.round(score * 100) / 100));
+  },
+
+  /**
+   * Score what a symbol made of letters says: a code or word after the
+   * amount that runs on into a sentence ("10 PHP scripts") is likely a
+   * word, and so is a letter symbol with no price words nearby
+   * ("R 4 beginners")
+   * @param {object} candidate - See score
+   * @param {string} context - The text around the candidate
+   * @returns {number} Weight to add (0 or negative)
+   */
+  scoreLetterSymbol(candidate, context) {
+    const symbol = (candidate.symbol || "").trim();
+    if (!this.letterSymbol.test(symbol)) return 0;
+    const w = this.weights;
+    let score = 0;
+
+    const after = candidate.after || "";
+    const word = after.match(/^\s+(\p{Ll}\p{L}*)/u)?.[1];
+    const followers = new RegExp(`^(?:${this.followerWords})$`, "u");
+    if (
+      (candidate.text || "").trimEnd().endsWith(symbol) &&
+      word &&
+      !followers.test(word)
+    ) {
+      score += w.sentence;
+    }
+
+    if (!this.isoCode.test(symbol) && !this.priceWords.test(context)) {
+      score += w.letterSymbol;
+    }
+    return score;
+  },
+
+  /**
+   * Check whether an element is, or is inside, an element showing a price
+   * @param {Element} element - The element containing the candidate
+   * @returns {boolean} True if inside a price element
+   */
+  isInPriceElement(element) {
+    try {
+      return !!element?.closest(this.priceElementSelector);
+    } catch (e) {
+      return false;
+    }
+  },
+
+  /**
+   * Check whether a score is too low for a price
+   * @param {number} score - Score from score()
+   * @returns {boolean} True if the candidate should be dropped
+   */
+  isDropped(score) {
+    return score < this.dropThreshold;
+  },
+
+  /**
+   * Check whether a price should be shown de-emphasised
+   * @param {number} score - Score from score()
+   * @returns {boolean} True if the price is a weak match
+   */
+  isWeak(score) {
+    return score < this.weakThreshold;
+  },
+};
+
+// Make available globally
+if (typeof window !== "undefined") {
+  window.PriceScorer = PriceScorer;
+}
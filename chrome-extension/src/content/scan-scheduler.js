@@ -0,0 +1,419 @@
+/**
+ * Scan scheduler
+ * Runs price (and measurement and time) detection in small chunks while
+ * the browser is idle, so big pages and infinite scroll don't jank:
+ * changes are batched, each chunk stops after a time budget, and text on
+ * screen is scanned before the rest.
+ *
+ * Work, in the order it's done:
+ * - refreshes: nodes whose text changed (see PriceDetector.refreshNode,
+ *   UnitDetector.refreshNode and TimeDetector.refreshNode)
+ * - roots: subtrees to scan; their structured data and adapter price
+ *   containers are read first, then a TreeWalker collects candidate text
+ *   nodes a few at a time
+ * - candidate text nodes, grouped by parent element: visible ones first
+ *   (reported by an IntersectionObserver), then the rest
+ */
+
+const ScanScheduler = {
+  // Milliseconds of work per chunk (a frame is ~16ms)
+  budget: 8,
+
+  // Longest wait for an idle period before a chunk runs anyway
+  idleTimeout: 200,
+
+  // Changed nodes waiting for PriceDetector.refreshNode
+  refreshes: new Set(),
+
+  // Roots waiting to be scanned, and the root being walked
+  roots: new Set(),
+  job: null,
+
+  // Candidate text nodes by parent element, parents known to be on screen
+  // and parents the IntersectionObserver has reported on
+  waiting: new Map(),
+  visible: new Set(),
+  reported: new WeakSet(),
+  intersectionObserver: null,
+
+  // Nodes were removed from the page: forget their recorded prices before
+  // the next chunk (see pruneLater)
+  pruneNeeded: false,
+
+  // Pending chunk: { id, idle } (idle: a requestIdleCallback id, else a
+  // setTimeout one)
+  handle: null,
+
+  // Called with each open shadow root found while walking
+  onShadowRoot: null,
+
+  // Called after a chunk that refreshed changed text
+  onRefresh: null,
+
+  /**
+   * Queue a subtree for scanning
+   * @param {Element|ShadowRoot} root - The root to scan
+   */
+  scan(root) {
+    if (!root) return;
+
+    // Already covered by a queued root
+    for (let node = root; node; node = node.parentNode || node.host) {
+      if (this.roots.has(node)) return;
+    }
+
+    this.roots.add(root);
+    this.schedule();
+  },
+
+  /**
+   * Queue a node whose text changed for re-detection
+   * @param {Node} node - Changed text node, or element whose children changed
+   */
+  refresh(node) {
+    this.refreshes.add(node);
+    this.schedule();
+  },
+
+  /**
+   * Note that nodes left the page, so recorded prices may need forgetting
+   */
+  pruneLater() {
+    this.pruneNeeded = true;
+  },
+
+  /**
+   * Forget recorded prices of removed nodes, if any were removed
+   */
+  prune() {
+    if (!this.pruneNeeded) return;
+    this.pruneNeeded = false;
+    window.PriceDetector.pruneOverlay();
+    window.UnitDetector.pruneOverlay();
+    window.TimeDetector.pruneOverlay();
+    window.SizeDetector.prune();
+  },
+
+  /**
+   * Check whether any work is queued
+   * @returns {boolean} True if work is waiting
+   */
+  hasWork() {
+    return (
+      this.refreshes.size > 0 ||
+      this.roots.size > 0 ||
+      this.job !== null ||
+      this.hasReadyText()
+    );
+  },
+
+  /**
+   * Check whether candidate text can be processed now: it's on screen, or
+   * its visibility is known (or can't be known)
+   * @returns {boolean} True if a text group is ready
+   */
+  hasReadyText() {
+    return this.nextTextGroup() !== null;
+  },
+
+  /**
+   * Ask for a chunk of work to run when the browser is idle
+   */
+  schedule() {
+    if (this.handle !== null) return;
+
+    const run = (deadline) => {
+      this.handle = null;
+      this.work(deadline);
+    };
+    if (window.requestIdleCallback) {
+      const id = window.requestIdleCallback(run, {
+        timeout: this.idleTimeout,
+      });
+      this.handle = { id, idle: true };
+    } else {
+      this.handle = { id: setTimeout(() => run(null), 1), idle: false };
+    }
+  },
+
+  /**
+   * Cancel the pending chunk, if any
+   */
+  cancel() {
+    if (this.handle === null) return;
+    if (this.handle.idle) {
+      window.cancelIdleCallback(this.handle.id);
+    } else {
+      clearTimeout(this.handle.id);
+    }
+    this.handle = null;
+  },
+
+  /**
+   * Run one chunk of work, stopping once the time budget is spent
+   * @param {IdleDeadline|null} deadline - From requestIdleCallback (null
+   *   to use the full budget)
+   * @param {number} [budget] - Milliseconds this chunk may take
+   */
+  work(deadline, budget = this.budget) {
+    // After a timeout there's no idle time left, but the work must move on
+    const idle = deadline && !deadline.didTimeout && deadline.timeRemaining();
+    const end = performance.now() + (idle ? Math.min(idle, budget) : budget);
+    const hasTime = () => performance.now() < end;
+
+    this.prune();
+
+    let refreshed = false;
+    while (hasTime()) {
+      const done = this.step();
+      if (!done) break;
+      refreshed = refreshed || done === "refresh";
+    }
+    if (refreshed) this.onRefresh?.();
+
+    if (this.hasWork()) this.schedule();
+  },
+
+  /**
+   * Do one small unit of work
+   * @returns {string|null} What was done ('refresh', 'root' or 'text'), or
+   *   null if nothing can be done now
+   */
+  step() {
+    const detector = window.PriceDetector;
+
+    if (this.refreshes.size > 0) {
+      const [node] = this.refreshes;
+      this.refreshes.delete(node);
+      // Prices first: in wrap mode they may split the changed text node,
+      // and then its measurements are in what's left of its parent
+      const parent = node.parentNode;
+      detector.refreshNode(node);
+      const target = node.isConnected ? node : parent;
+      if (target) {
+        window.UnitDetector.refreshNode(target);
+        window.TimeDetector.refreshNode(target);
+      }
+      return "refresh";
+    }
+
+    if (!this.job && this.roots.size > 0) {
+      const [root] = this.roots;
+      this.roots.delete(root);
+      if (root.isConnected) this.startJob(root);
+      return "root";
+    }
+
+    if (this.job) {
+      this.continueJob();
+      return "root";
+    }
+
+    const group = this.nextTextGroup();
+    if (group) {
+      this.processTextGroup(group);
+      return "text";
+    }
+
+    return null;
+  },
+
+  /**
+   * Start scanning a root: read its structured prices and size pickers and
+   * set up a walker for its text
+   * @param {Element|ShadowRoot} root - The root to scan
+   */
+  startJob(root) {
+    const detector = window.PriceDetector;
+    detector.scanStructuredData(root);
+    window.SizeDetector.scanPickers(root);
+
+    if (root.shadowRoot) this.foundShadowRoot(root.shadowRoot);
+
+    this.job = {
+      root,
+      containers: detector.findStructuredPriceElements(root),
+      walker: document.createTreeWalker(
+        root,
+        NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT,
+      ),
+    };
+  },
+
+  // Nodes the walker visits per step, and adapter containers per step
+  walkBatch: 200,
+  containerBatch: 20,
+
+  /**
+   * Continue the current root: process a few adapter price containers, or
+   * walk a few nodes collecting candidate text
+   */
+  continueJob() {
+    const detector = window.PriceDetector;
+    const { job } = this;
+
+    if (job.containers.length > 0) {
+      const adapter = window.SiteAdapters.getPageAdapter();
+      job.containers
+        .splice(0, this.containerBatch)
+        .forEach((el) => detector.processStructuredPriceElement(el, adapter));
+      return;
+    }
+
+    for (let i = 0; i < this.walkBatch; i++) {
+      const node = job.walker.nextNode();
+      if (!node) {
+        // Split prices found on the way are still to be read
+        if (job.containers.length === 0) this.job = null;
+        return;
+      }
+      if (node.nodeType === Node.ELEMENT_NODE) {
+        if (node.shadowRoot) this.foundShadowRoot(node.shadowRoot);
+        continue;
+      }
+
+      // A piece of a price split over several elements
+      const container = detector.findSplitPriceContainer(node);
+      if (container) {
+        job.containers.push(container);
+      } else if (
+        detector.acceptTextNode(node) ||
+        window.UnitDetector.acceptTextNode(node) ||
+        window.TimeDetector.acceptTextNode(node)
+      ) {
+        this.addCandidate(node);
+      }
+    }
+  },
+
+  /**
+   * Queue an open shadow root found while walking
+   * @param {ShadowRoot} shadowRoot - The shadow root
+   */
+  foundShadowRoot(shadowRoot) {
+    this.onShadowRoot?.(shadowRoot);
+    this.scan(shadowRoot);
+  },
+
+  /**
+   * Add a candidate text node, watching its parent's visibility
+   * @param {Text} node - Text node that may hold a price
+   */
+  addCandidate(node) {
+    const parent = node.parentElement;
+    const texts = this.waiting.get(parent);
+    if (texts) {
+      texts.push(node);
+      return;
+    }
+
+    this.waiting.set(parent, [node]);
+    this.getIntersectionObserver()?.observe(parent);
+  },
+
+  /**
+   * Get the observer reporting which candidates are on screen (null where
+   * IntersectionObserver isn't available: then text is taken in order)
+   * @returns {IntersectionObserver|null} The observer
+   */
+  getIntersectionObserver() {
+    if (!this.intersectionObserver && window.IntersectionObserver) {
+      this.intersectionObserver = new window.IntersectionObserver((entries) => {
+        entries.forEach((entry) => {
+          this.reported.add(entry.target);
+          if (entry.isIntersecting) {
+            this.visible.add(entry.target);
+          } else {
+            this.visible.delete(entry.target);
+          }
+        });
+        this.schedule();
+      });
+    }
+    return this.intersectionObserver;
+  },
+
+  /**
+   * Pick the next parent element whose candidate text to process: one on
+   * screen, else one known to be off screen
+   * @returns {Element|null} The parent, or null if none is ready
+   */
+  nextTextGroup() {
+    for (const element of this.visible) {
+      if (this.waiting.has(element)) return element;
+      this.visible.delete(element);
+    }
+
+    const observed = !!this.intersectionObserver;
+    for (const element of this.waiting.keys()) {
+      if (!observed || this.reported.has(element)) return element;
+    }
+    return null;
+  },
+
+  /**
+   * Detect prices, then measurements, then times, in the candidate text of
+   * one parent element
+   * @param {Element} element - The parent element
+   */
+  processTextGroup(element) {
+    const detector = window.PriceDetector;
+    const texts = this.waiting.get(element);
+    this.waiting.delete(element);
+    this.visible.delete(element);
+    this.intersectionObserver?.unobserve(element);
+
+    // The page may have changed the text since it was collected
+    texts.forEach((node) => detector.scanTextNode(node));
+
+    // Prices may have split the text (wrap mode): scan what's there now
+    window.UnitDetector.scanChildText(element);
+    window.TimeDetector.scanChildText(element);
+
+    // Let structured offers settle the currency of the prices just found
+    // (not every price on the page: that would make scanning quadratic)
+    detector.linkStructuredPrices(
+      element,
+      detector.getTextPrices(element, texts),
+    );
+  },
+
+  /**
+   * Do all queued work now, without a time budget (tests, benchmarks)
+   */
+  flush() {
+    this.cancel();
+    this.prune();
+
+    let refreshed = false;
+    while (this.hasWork() || this.waiting.size > 0) {
+      const done = this.step();
+      // Nothing ready: don't wait for the IntersectionObserver
+      if (!done) this.processTextGroup(this.waiting.keys().next().value);
+      refreshed = refreshed || done === "refresh";
+    }
+    if (refreshed) this.onRefresh?.();
+  },
+
+  /**
+   * Drop all queued work and stop watching visibility
+   */
+  stop() {
+    this.cancel();
+    this.intersectionObserver?.disconnect();
+    this.intersectionObserver = null;
+
+    this.refreshes = new Set();
+    this.roots = new Set();
+    this.job = null;
+    this.pruneNeeded = false;
+    this.waiting = new Map();
+    this.visible = new Set();
+    this.reported = new WeakSet();
+  },
+};
+
+// Make available globally
+if (typeof window !== "undefined") {
+  window.ScanScheduler = ScanScheduler;
+}
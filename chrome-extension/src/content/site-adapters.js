@@ -0,0 +1,312 @@
+/**
+ * Site adapters
+ * Describe how known shops lay out their prices: which elements hold a
+ * price, how to put split prices back together, what to leave alone and
+ * which currency the storefront uses. Sites without an adapter get the
+ * generic one.
+ *
+ * Adapter fields:
+ * - name: identifier (e.g., 'amazon')
+ * - hosts: hostname patterns the adapter applies to
+ * - detect(document): optional, recognizes sites on any host (e.g., Shopify)
+ * - priceSelectors: price container selectors
+ * - parts: optional selectors inside a container - text (a complete price
+ *   string), whole, fraction and symbol
+ * - ignoreSelectors: elements that never hold prices (ratings, unit prices)
+ * - defaultCurrency(location): optional, the storefront's currency code
+ * - normalizeText(text): optional, rewrites price text before parsing
+ */
+
+/**
+ * Join split dollar prefixes ("US $19.99" -> "US$19.99") so they resolve
+ * to the right dollar
+ * @param {string} text - Price text
+ * @returns {string} Normalized text
+ */
+function joinDollarPrefix(text) {
+  return text.replace(/\b(US|CA|C|AU|A|NZ|HK|SG|S|MX) \$/g, "$1$$");
+}
+
+/**
+ * Build a defaultCurrency function from the storefront's domain suffix
+ * @param {object} suffixes - Map of domain suffix to currency code
+ * @returns {Function} (location) => currency code or null
+ */
+function currencyByDomain(suffixes) {
+  return (location) => {
+    const hostname = location.hostname.toLowerCase();
+    const suffix = Object.keys(suffixes)
+      .sort((a, b) => b.length - a.length)
+      .find((s) => hostname.endsWith(`.${s}`));
+    return suffix ? suffixes[suffix] : null;
+  };
+}
+
+const SiteAdapters = {
+  // Registered adapters; the first one matching the page wins
+  adapters: [],
+
+  // Used on sites no adapter matches
+  generic: {
+    name: "generic",
+    hosts: [],
+    priceSelectors: ['[class*="price"]', '[class*="Price"]'],
+    ignoreSelectors: [],
+  },
+
+  // Adapter for the current page (computed once per page, see getPageAdapter)
+  pageAdapter: null,
+
+  /**
+   * Add an adapter to the registry
+   * @param {object} adapter - Adapter definition (see top of file)
+   */
+  register(adapter) {
+    this.adapters.push(adapter);
+  },
+
+  /**
+   * Forget the cached page adapter (e.g., after navigation)
+   */
+  reset() {
+    this.pageAdapter = null;
+  },
+
+  /**
+   * Get the location of the current page
+   * @returns {object} Location ({ hostname, pathname })
+   */
+  getLocation() {
+    return document.location;
+  },
+
+  /**
+   * Find the adapter for a page
+   * @param {object} location - Page location ({ hostname, pathname })
+   * @param {Document} [doc] - Page document, for adapters that detect sites
+   * @returns {object} The matching adapter, or the generic one
+   */
+  getAdapter(location, doc = null) {
+    const hostname = (location?.hostname || "").toLowerCase();
+    return (
+      this.adapters.find(
+        (adapter) =>
+          adapter.hosts.some((pattern) => pattern.test(hostname)) ||
+          (doc && adapter.detect?.(doc)),
+      ) || this.generic
+    );
+  },
+
+  /**
+   * Get the adapter for the current page
+   * @returns {object} The matching adapter, or the generic one
+   */
+  getPageAdapter() {
+    if (!this.pageAdapter) {
+      this.pageAdapter = this.getAdapter(this.getLocation(), document);
+    }
+    return this.pageAdapter;
+  },
+
+  /**
+   * Get the storefront currency of the current page, if its adapter knows it
+   * @returns {string|null} Currency code or null
+   */
+  getPageDefaultCurrency() {
+    const adapter = this.getPageAdapter();
+    const code = adapter.defaultCurrency?.(this.getLocation()) || null;
+    return code && window.SUPPORTED_CURRENCIES?.[code] ? code : null;
+  },
+};
+
+// Amazon (all regional storefronts)
+SiteAdapters.register({
+  name: "amazon",
+  hosts: [
+    /(^|\.)amazon\.(com|ca|com\.mx|com\.br|co\.uk|de|fr|it|es|nl|se|pl|com\.be|com\.tr|ae|sa|eg|in|co\.jp|sg|com\.au)$/,
+  ],
+  priceSelectors: [
+    ".a-price",
+    "#priceblock_ourprice",
+    "#priceblock_dealprice",
+    ".a-color-price",
+  ],
+  parts: {
+    text: ".a-offscreen",
+    whole: ".a-price-whole",
+    fraction: ".a-price-fraction",
+    symbol: ".a-price-symbol",
+  },
+  ignoreSelectors: [
+    "#acrPopover",
+    "#acrCustomerReviewText",
+    ".a-icon-star",
+    ".a-icon-star-small",
+    ".pricePerUnit",
+  ],
+  defaultCurrency: currencyByDomain({
+    com: "USD",
+    ca: "CAD",
+    "com.mx": "MXN",
+    "com.br": "BRL",
+    "co.uk": "GBP",
+    de: "EUR",
+    fr: "EUR",
+    it: "EUR",
+    es: "EUR",
+    nl: "EUR",
+    "com.be": "EUR",
+    se: "SEK",
+    pl: "PLN",
+    "com.tr": "TRY",
+    ae: "AED",
+    sa: "SAR",
+    eg: "EGP",
+    in: "INR",
+    "co.jp": "JPY",
+    sg: "SGD",
+    "com.au": "AUD",
+  }),
+});
+
+// Flipkart
+SiteAdapters.register({
+  name: "flipkart",
+  hosts: [/(^|\.)flipkart\.com$/],
+  priceSelectors: ["._30jeq3", "._3I9_wc", ".Nx9bqj", ".yRaY8j"],
+  ignoreSelectors: ["._3LWZlK", ".XQDdHH", "._3Ay6Sb", ".UkUFwK"],
+  defaultCurrency: () => "INR",
+});
+
+// eBay
+SiteAdapters.register({
+  name: "ebay",
+  hosts: [
+    /(^|\.)ebay\.(com|ca|co\.uk|de|fr|it|es|nl|be|at|ch|ie|pl|com\.au|com\.sg|com\.my|ph|in)$/,
+  ],
+  priceSelectors: [
+    ".s-item__price",
+    ".s-item__shipping",
+    ".x-price-primary",
+    ".x-additional-info__item--0",
+    ".x-price-approx__price",
+  ],
+  ignoreSelectors: [
+    ".s-item__reviews",
+    ".x-star-rating",
+    ".s-item__hotness",
+    ".s-item__quantitySold",
+  ],
+  defaultCurrency: currencyByDomain({
+    com: "USD",
+    ca: "CAD",
+    "co.uk": "GBP",
+    de: "EUR",
+    fr: "EUR",
+    it: "EUR",
+    es: "EUR",
+    nl: "EUR",
+    be: "EUR",
+    at: "EUR",
+    ie: "EUR",
+    ch: "CHF",
+    pl: "PLN",
+    "com.au": "AUD",
+    "com.sg": "SGD",
+    "com.my": "MYR",
+    ph: "PHP",
+    in: "INR",
+  }),
+  normalizeText: joinDollarPrefix,
+});
+
+// IKEA (the country is the first path segment: ikea.com/gb/en/)
+SiteAdapters.register({
+  name: "ikea",
+  hosts: [/(^|\.)ikea\.com$/],
+  priceSelectors: [".pip-price", ".pip-temp-price"],
+  parts: {
+    whole: ".pip-price__integer, .pip-temp-price__integer",
+    fraction: ".pip-price__decimal, .pip-temp-price__decimal",
+    symbol:
+      ".pip-price__currency, .pip-price__currency-prefix, .pip-price__currency-suffix, .pip-temp-price__currency",
+  },
+  ignoreSelectors: [
+    ".pip-price__unit",
+    ".pip-temp-price__unit",
+    ".pip-price-package__unit-price",
+    ".pip-rating",
+    ".pip-price__sr-text",
+    ".pip-temp-price__sr-text",
+  ],
+  defaultCurrency: (location) => {
+    const country = (location.pathname || "").match(/^\/([a-z]{2})\//i);
+    return country
+      ? window.LOCALE_CURRENCY_MAP?.[country[1].toUpperCase()] || null
+      : null;
+  },
+});
+
+// Etsy (prices are shown in the currency the shopper picked)
+SiteAdapters.register({
+  name: "etsy",
+  hosts: [/(^|\.)etsy\.com$/],
+  priceSelectors: [
+    ".lc-price",
+    ".wt-text-strikethrough",
+    "[data-selector='price-only'] p",
+  ],
+  parts: {
+    whole: ".currency-value",
+    symbol: ".currency-symbol",
+  },
+  ignoreSelectors: [".wt-screen-reader-only", ".stars-svg", ".wt-badge"],
+});
+
+// AliExpress
+SiteAdapters.register({
+  name: "aliexpress",
+  hosts: [/(^|\.)aliexpress\.(com|us|ru)$/],
+  priceSelectors: [
+    ".product-price-value",
+    "[class*='price--currentPriceText']",
+    "[class*='price--originalText']",
+    "[class*='multi--price-sale']",
+    "[class*='multi--price-original']",
+  ],
+  ignoreSelectors: [
+    "[class*='evaluation']",
+    "[class*='trade--']",
+    "[class*='discount']",
+  ],
+  normalizeText: joinDollarPrefix,
+});
+
+// Shopify stores (on their own domains, recognized by Shopify's CDN)
+SiteAdapters.register({
+  name: "shopify",
+  hosts: [/\.myshopify\.com$/],
+  detect: (doc) =>
+    !!doc.querySelector(
+      'link[href*="cdn.shopify.com"], script[src*="cdn.shopify.com"], meta[name="shopify-digital-wallet"]',
+    ),
+  priceSelectors: [
+    ".price-item",
+    ".product__price",
+    ".product-price",
+    "[data-product-price]",
+    ".money",
+  ],
+  ignoreSelectors: [
+    ".visually-hidden",
+    ".unit-price",
+    ".price__badge-sale",
+    ".price__badge-sold-out",
+    ".jdgm-prev-badge",
+  ],
+});
+
+// Make available globally
+if (typeof window !== "undefined") {
+  window.SiteAdapters = SiteAdapters;
+}
@@ -0,0 +1,313 @@
+/**
+ * Size detection module
+ * Finds clothing and shoe size labels ("EU 42", "UK 8", "US 10.5 W") in
+ * size pickers and works out which chart in sizes.config.js they are from,
+ * using the picker's label and the page around it. The page is never
+ * changed: labels are remembered by element and read again when hovered
+ * (pickers relabel their options when switching regions), and underlined
+ * with the CSS Custom Highlight API where it exists.
+ */
+
+const SizeDetector = {
+  // Elements holding a size label: { context, range } (see
+  // getPickerContext; range: the underline in the highlight)
+  labels: new Map(),
+
+  // CSS Custom Highlight underlining size labels
+  highlight: null,
+
+  // Containers that may be size pickers (fieldsets only with a "Size"
+  // legend, see isSizePicker)
+  pickerSelector: [
+    '[class*="size" i]',
+    '[id*="size" i]',
+    '[name*="size" i]',
+    '[aria-label*="size" i]',
+    '[data-testid*="size" i]',
+    "fieldset",
+  ].join(", "),
+
+  // Elements in a picker that may hold one size label
+  labelSelector:
+    'select, option, button, label, li, a, span, [role="radio"], [role="option"]',
+
+  // A size label: optional region, the size, and an optional W(omen's) /
+  // M(en's) / C(hild) / Y(outh) / T(oddler) mark
+  labelPattern:
+    /^(?:size\s?)?(?:(?<region>US|UK|EUR?|IN|JP)\s?)?(?<size>\d{1,2}(?:[.,]5|\s?½)?)\s?(?<mark>[WMCYT])?$/i,
+
+  // Region named in a picker's label ("Size (UK)", "EU sizes")
+  regionPattern: /\b(US|UK|EUR?|IN|JP)\b/,
+
+  // Words telling shoes from clothing, and whose they are
+  kindPatterns: {
+    shoes: /shoe|sneaker|trainer|boot|sandal|footwear|heel|loafer/i,
+    clothing:
+      /dress|shirt|blouse|jacket|coat|jeans|trouser|pant|skirt|suit|sweater|hoodie|clothing|apparel/i,
+  },
+  groupPatterns: {
+    kids: /\b(?:kids?|kid's|child(?:ren)?(?:'s)?|girls?|boys?|baby|toddlers?|junior)\b/i,
+    women: /\b(?:women(?:'s)?|womens|ladies|female)\b/i,
+    men: /\b(?:men(?:'s)?|mens|male)\b/i,
+  },
+
+  /**
+   * Check whether an element is a size picker
+   * @param {Element} element - Element matching pickerSelector
+   * @returns {boolean} True if it may hold size labels
+   */
+  isSizePicker(element) {
+    if (element.tagName !== "FIELDSET") return true;
+    return /size/i.test(element.querySelector("legend")?.textContent || "");
+  },
+
+  /**
+   * Get the text labelling a picker: its aria-label, legend, <label> and a
+   * short "Size" heading just before it
+   * @param {Element} picker - The picker
+   * @returns {string} Label text (may be empty)
+   */
+  getPickerLabel(picker) {
+    const labels = picker.labels ? Array.from(picker.labels) : [];
+    const heading = picker.previousElementSibling?.textContent || "";
+    return [
+      picker.getAttribute("aria-label"),
+      picker.querySelector("legend")?.textContent,
+      ...labels.map((label) => label.textContent),
+      heading.length <= 40 && /size/i.test(heading) ? heading : "",
+    ]
+      .filter(Boolean)
+      .join(" ");
+  },
+
+  /**
+   * Work out what the labels of a picker are sizes of, from the picker's
+   * label and attributes and the page's title, heading and path
+   * @param {Element} picker - The picker
+   * @returns {object} { region, kind, group } (each null when unknown)
+   */
+  getPickerContext(picker) {
+    const label = this.getPickerLabel(picker);
+    const own = `${label} ${picker.className} ${picker.id}`;
+    const page = [
+      document.title,
+      document.querySelector("h1")?.textContent,
+      document.location?.pathname.replace(/[-_/]/g, " "),
+    ].join(" ");
+
+    const find = (patterns) =>
+      Object.keys(patterns).find((key) => patterns[key].test(own)) ||
+      Object.keys(patterns).find((key) => patterns[key].test(page)) ||
+      null;
+
+    const region = label.match(this.regionPattern)?.[1];
+    return {
+      region: region ? region.replace("EUR", "EU") : null,
+      kind: find(this.kindPatterns),
+      group: find(this.groupPatterns),
+    };
+  },
+
+  /**
+   * Read a size label
+   * @param {string} text - The label (e.g., 'US 10.5 W')
+   * @returns {object|null} { region, size, mark } (region and mark may be
+   *   null), or null if it isn't a size label
+   */
+  parseLabel(text) {
+    const match = text.trim().match(this.labelPattern);
+    if (!match) return null;
+    const { region, size, mark } = match.groups;
+    return {
+      region: region ? region.toUpperCase().replace("EUR", "EU") : null,
+      size: window.normalizeSize(size),
+      mark: mark ? mark.toUpperCase() : null,
+    };
+  },
+
+  /**
+   * Get the label text of an element (the chosen option of a <select>)
+   * @param {Element} element - The element
+   * @returns {string} Its label text
+   */
+  getLabelText(element) {
+    if (element.tagName === "SELECT") {
+      return element.selectedOptions?.[0]?.textContent || "";
+    }
+    return element.textContent || "";
+  },
+
+  /**
+   * Work out the size an element's label stands for
+   * @param {Element} element - The element
+   * @param {object} context - Its picker's context (see getPickerContext)
+   * @returns {object|null} Size: { element, text, region, size, chart }
+   *   (chart: a SIZE_CHARTS code), or null if it isn't a size we know
+   */
+  resolveSize(element, context) {
+    const text = this.getLabelText(element).trim();
+    const label = this.parseLabel(text);
+    const region = label?.region || context.region;
+    if (!label || !region) return null;
+
+    // Marks settle whose size it is; children's and toddler sizes keep
+    // theirs ("10C", "2T")
+    let { size } = label;
+    let { kind, group } = context;
+    if (label.mark === "W") group = "women";
+    if (label.mark === "M") group = "men";
+    if (["C", "Y", "T"].includes(label.mark)) {
+      group = "kids";
+      kind = label.mark === "T" ? "clothing" : "shoes";
+      if (region === "US") size += label.mark;
+    }
+
+    // The most specific guess that has the size
+    const [chart] = [{ kind, group }, { kind }, { group }, {}].flatMap(
+      (hints) => window.findSizeCharts(region, size, hints),
+    );
+    if (!chart) return null;
+
+    return { element, text, region, size, chart: chart.code };
+  },
+
+  /**
+   * Find the size labels in a picker
+   * @param {Element} picker - The picker
+   */
+  scanPicker(picker) {
+    if (!this.isSizePicker(picker)) return;
+    const context = this.getPickerContext(picker);
+
+    [picker, ...picker.querySelectorAll(this.labelSelector)].forEach(
+      (element) => {
+        if (this.labels.has(element)) return;
+        // A <select> is skipped as a form field; look at where it is
+        const shown =
+          element.tagName === "SELECT" ? element.parentElement : element;
+        if (window.PriceDetector.shouldSkipElement(shown)) return;
+
+        // Of nested elements with the same label, only the innermost
+        const text = this.getLabelText(element).trim();
+        if (
+          element.tagName !== "SELECT" &&
+          Array.from(element.children).some(
+            (child) => child.textContent.trim() === text,
+          )
+        ) {
+          return;
+        }
+
+        if (this.resolveSize(element, context)) {
+          this.recordLabel(element, context);
+        }
+      },
+    );
+  },
+
+  /**
+   * Find the size labels in the pickers of a subtree (and in the picker
+   * the subtree is part of)
+   * @param {Element|ShadowRoot} root - The subtree
+   */
+  scanPickers(root) {
+    if (!root?.querySelectorAll) return;
+    const pickers = new Set(root.querySelectorAll(this.pickerSelector));
+    const outer = root.closest?.(this.pickerSelector);
+    if (outer) pickers.add(outer);
+    pickers.forEach((picker) => this.scanPicker(picker));
+  },
+
+  /**
+   * Remember a size label and underline it
+   * @param {Element} element - The element holding the label
+   * @param {object} context - Its picker's context
+   */
+  recordLabel(element, context) {
+    let range = null;
+    const highlight = this.getHighlight();
+    if (highlight && element.tagName !== "SELECT") {
+      range = new window.StaticRange({
+        startContainer: element,
+        startOffset: 0,
+        endContainer: element,
+        endOffset: element.childNodes.length,
+      });
+      highlight.add(range);
+    }
+    this.labels.set(element, { context, range });
+  },
+
+  /**
+   * Get the highlight that underlines size labels, registering it on first
+   * use
+   * @returns {Highlight|null} The highlight or null
+   */
+  getHighlight() {
+    if (!window.Highlight || !window.CSS?.highlights) return null;
+
+    if (!this.highlight) {
+      this.highlight = new window.Highlight();
+      window.CSS.highlights.set("currency-converter-size", this.highlight);
+    }
+    return this.highlight;
+  },
+
+  /**
+   * Forget labels that have left the page
+   */
+  prune() {
+    this.labels.forEach(({ range }, element) => {
+      if (element.isConnected) return;
+      if (range) this.highlight?.delete(range);
+      this.labels.delete(element);
+    });
+  },
+
+  /**
+   * Get the sizes in a subtree
+   * @param {Node} [root] - The subtree
+   * @returns {object[]} Sizes (see resolveSize)
+   */
+  getSizes(root = document.body) {
+    return Array.from(this.labels)
+      .filter(([element]) => element.isConnected && root.contains(element))
+      .map(([element, { context }]) => this.resolveSize(element, context))
+      .filter(Boolean);
+  },
+
+  /**
+   * Find the size label under the pointer
+   * @param {EventTarget[]} path - Composed path of the mouse event
+   * @returns {object|null} Size (see resolveSize) or null
+   */
+  findSizeAt(path) {
+    const element = path.find((node) => this.labels.has(node));
+    return element ? this.getLatestSize(element) : null;
+  },
+
+  /**
+   * Read a size label again (the page may have relabelled it)
+   * @param {Element} element - The element holding the label
+   * @returns {object|null} Size (see resolveSize), or null if it's gone or
+   *   no longer a size
+   */
+  getLatestSize(element) {
+    const entry = this.labels.get(element);
+    if (!entry || !element.isConnected) return null;
+    return this.resolveSize(element, entry.context);
+  },
+
+  /**
+   * Forget every size label (the page is left as it is)
+   */
+  clear() {
+    this.labels = new Map();
+    this.highlight?.clear();
+  },
+};
+
+// Make available globally
+if (typeof window !== "undefined") {
+  window.SizeDetector = SizeDetector;
+}
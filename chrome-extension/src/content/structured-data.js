@@ -0,0 +1,214 @@
+/**
+ * Structured price data
+ * Reads the exact prices product pages publish for search engines:
+ * schema.org Offer JSON-LD, itemprop="price" microdata and
+ * product:price:amount meta tags
+ */
+
+const StructuredData = {
+  // Offers found on the page (computed once per page, see getOffers)
+  offers: null,
+
+  // Meta tag pairs carrying a price and its currency
+  metaPairs: [
+    ["product:price:amount", "product:price:currency"],
+    ["og:price:amount", "og:price:currency"],
+  ],
+
+  /**
+   * Forget cached offers (e.g., after navigation)
+   */
+  reset() {
+    this.offers = null;
+  },
+
+  /**
+   * Normalize a currency code, keeping only currencies we support
+   * @param {*} value - Raw priceCurrency value
+   * @returns {string|null} ISO 4217 code or null
+   */
+  normalizeCurrency(value) {
+    if (typeof value !== "string") return null;
+    const code = value.trim().toUpperCase();
+    return window.SUPPORTED_CURRENCIES?.[code] ? code : null;
+  },
+
+  /**
+   * Normalize a schema.org price (a number, or a string with "." decimals)
+   * @param {*} value - Raw price value
+   * @returns {number|null} Positive amount or null
+   */
+  normalizeAmount(value) {
+    let amount = null;
+    if (typeof value === "number") {
+      amount = value;
+    } else if (typeof value === "string") {
+      const str = value.trim();
+      amount = /^\d+(?:\.\d+)?$/.test(str)
+        ? parseFloat(str)
+        : window.NumberParser.parse(str, { maxFractionDigits: 2 });
+    }
+    return typeof amount === "number" && isFinite(amount) && amount > 0
+      ? amount
+      : null;
+  },
+
+  /**
+   * Check whether a JSON-LD node has a given @type
+   * @param {object} node - JSON-LD node
+   * @param {string[]} types - Accepted types
+   * @returns {boolean} True if the node is one of the types
+   */
+  hasType(node, types) {
+    const nodeTypes = [].concat(node["@type"] || []);
+    return nodeTypes.some((type) =>
+      types.includes(String(type).replace(/^.*[/:]/, "")),
+    );
+  },
+
+  /**
+   * Collect offers from a parsed JSON-LD value
+   * @param {*} node - Parsed JSON-LD (object, array or @graph)
+   * @param {object[]} offers - Offers found so far (appended to)
+   */
+  collectJsonLdOffers(node, offers) {
+    if (!node || typeof node !== "object") return;
+    if (Array.isArray(node)) {
+      node.forEach((item) => this.collectJsonLdOffers(item, offers));
+      return;
+    }
+
+    if (this.hasType(node, ["Offer", "AggregateOffer"])) {
+      const spec = [].concat(node.priceSpecification || [])[0] || {};
+      const currency = this.normalizeCurrency(
+        node.priceCurrency || spec.priceCurrency,
+      );
+      const amount = this.normalizeAmount(
+        node.price ?? spec.price ?? node.lowPrice,
+      );
+      if (currency && amount !== null) {
+        offers.push({ amount, currency, source: "json-ld", element: null });
+      }
+    }
+
+    Object.keys(node).forEach((key) => {
+      if (key !== "priceSpecification") {
+        this.collectJsonLdOffers(node[key], offers);
+      }
+    });
+  },
+
+  /**
+   * Read offers from <script type="application/ld+json"> blocks
+   * @returns {object[]} Offers
+   */
+  readJsonLd() {
+    const offers = [];
+    document
+      .querySelectorAll('script[type="application/ld+json"]')
+      .forEach((script) => {
+        try {
+          this.collectJsonLdOffers(JSON.parse(script.textContent), offers);
+        } catch (e) {
+          // Invalid JSON, ignore
+        }
+      });
+    return offers;
+  },
+
+  /**
+   * Read the value of a microdata property element
+   * @param {Element} element - Element with an itemprop
+   * @returns {string} The property value
+   */
+  getItempropValue(element) {
+    return element.getAttribute("content") ?? element.textContent;
+  },
+
+  /**
+   * Read offers from itemprop="price" microdata
+   * @returns {object[]} Offers (element is the visible price, if any)
+   */
+  readMicrodata() {
+    const offers = [];
+    document.querySelectorAll('[itemprop~="price"]').forEach((element) => {
+      const scope = element.closest("[itemscope]") || document;
+      const currencyEl = scope.querySelector('[itemprop~="priceCurrency"]');
+      const currency = this.normalizeCurrency(
+        currencyEl && this.getItempropValue(currencyEl),
+      );
+      const amount = this.normalizeAmount(this.getItempropValue(element));
+      if (!currency || amount === null) return;
+
+      const visible = !["META", "LINK"].includes(element.tagName);
+      offers.push({
+        amount,
+        currency,
+        source: "microdata",
+        element: visible ? element : null,
+      });
+    });
+    return offers;
+  },
+
+  /**
+   * Read offers from product:price:amount / og:price:amount meta tags
+   * @returns {object[]} Offers
+   */
+  readMeta() {
+    const offers = [];
+    this.metaPairs.forEach(([amountProperty, currencyProperty]) => {
+      const content = (property) =>
+        document
+          .querySelector(`meta[property="${property}"]`)
+          ?.getAttribute("content");
+      const amount = this.normalizeAmount(content(amountProperty));
+      const currency = this.normalizeCurrency(content(currencyProperty));
+      if (currency && amount !== null) {
+        offers.push({ amount, currency, source: "meta", element: null });
+      }
+    });
+    return offers;
+  },
+
+  /**
+   * Get every structured offer on the page
+   * @returns {object[]} Offers: { amount, currency, source, element }
+   */
+  getOffers() {
+    if (!this.offers) {
+      this.offers = [
+        ...this.readMicrodata(),
+        ...this.readJsonLd(),
+        ...this.readMeta(),
+      ];
+    }
+    return this.offers;
+  },
+
+  /**
+   * Get the currencies the page declares for its prices
+   * @returns {string[]} Currency codes, most specific source first
+   */
+  getCurrencies() {
+    return [...new Set(this.getOffers().map((offer) => offer.currency))];
+  },
+
+  /**
+   * Find the offer matching a detected amount
+   * @param {number} amount - Amount shown on the page
+   * @returns {object|null} The offer or null
+   */
+  findOffer(amount) {
+    return (
+      this.getOffers().find(
+        (offer) => Math.abs(offer.amount - amount) < 0.005,
+      ) || null
+    );
+  },
+};
+
+// Make available globally
+if (typeof window !== "undefined") {
+  window.StructuredData = StructuredData;
+}
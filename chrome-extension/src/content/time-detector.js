@@ -0,0 +1,272 @@
+/**
+ * Time detection module
+ * Detects times of day written with a time zone ("3pm EST", "11:59 PM PST",
+ * "15:00 CET", "10:00 UTC+5:30", "9:00 Europe/Paris") in DOM text nodes and
+ * marks them with a MarkTracker, as UnitDetector marks measurements:
+ * wrapped in spans, or recorded as offsets into the page's text nodes
+ * (overlay mode). Times without a zone are left alone: there is nothing to
+ * convert them from.
+ */
+
+const TimeDetector = {
+  // MarkTracker holding the times found (created by init)
+  marks: null,
+
+  // Attributes writeTimeAttributes may add
+  timeAttributes: [
+    "data-time-detected",
+    "data-time-hour",
+    "data-time-minute",
+    "data-time-zone",
+  ],
+
+  // Regions IANA zone names start with
+  zoneRegions: [
+    "Africa",
+    "America",
+    "Antarctica",
+    "Asia",
+    "Atlantic",
+    "Australia",
+    "Europe",
+    "Indian",
+    "Pacific",
+  ],
+
+  // A time followed by a zone: global (for scanning text), plain (for
+  // testing text) and anchored (for parseTime)
+  combinedPattern: null,
+  timePattern: null,
+  exactPattern: null,
+
+  /**
+   * Build the detection patterns from the time zone registry
+   */
+  init() {
+    // Longest first, so "AKST" wins over "AST"
+    const abbreviations = Object.keys(window.TIME_ZONE_ABBREVIATIONS)
+      .sort((a, b) => b.length - a.length)
+      .join("|");
+    const offset = "(?:UTC|GMT)\\s?[-+\\u2212]\\s?\\d{1,2}(?::?\\d{2})?";
+    const iana = `(?:${this.zoneRegions.join("|")})/[A-Za-z_]+(?:/[A-Za-z_]+)?`;
+
+    // "3pm", "3 p.m.", "11:59 PM", "15:00" (see parseTimeMatch for which
+    // parts a time needs)
+    const clock =
+      "(?<hour>\\d{1,2})(?::(?<minute>\\d{2}))?\\s?(?<meridiem>[AaPp]\\.?[Mm]\\.?)?";
+
+    // Not glued to letters, other digits or other parts of a time
+    const source = `(?<![\\p{L}\\d.:,])${clock}\\s?(?<zone>${offset}|${iana}|${abbreviations})(?![\\p{L}\\d])`;
+
+    this.combinedPattern = new RegExp(source, "gu");
+    this.timePattern = new RegExp(source, "u");
+    this.exactPattern = new RegExp(`^${source}$`, "u");
+
+    // Times are never read inside a price or a measurement
+    this.marks = window.MarkTracker.create({
+      className: "currency-converter-time",
+      attribute: "data-time-detected",
+      attributes: this.timeAttributes,
+      pattern: this.timePattern,
+      combinedPattern: this.combinedPattern,
+      parse: (match) => this.readMatch(match),
+      write: (element, parsed) => this.writeTimeAttributes(element, parsed),
+      read: (element) => this.readTimeElement(element),
+      isClaimed: (element) =>
+        window.PriceDetector.isInsidePrice(element) ||
+        window.UnitDetector.isInsideUnit(element),
+      claimedIn: (node) => [
+        ...(window.PriceDetector.overlayIndex.get(node) || []),
+        ...window.UnitDetector.marks.getNodeMarks(node),
+      ],
+    });
+  },
+
+  /**
+   * Read the time and zone out of a time pattern match
+   * @param {RegExpMatchArray} match - Match of combinedPattern/exactPattern
+   * @returns {object|null} { hour, minute, zone } (hour 0-23; zone: the
+   *   zone as written, see resolveTimeZone), or null if it isn't a time
+   *   ("5 EST" has neither minutes nor AM/PM)
+   */
+  parseTimeMatch(match) {
+    const { hour: hourText, minute: minuteText, meridiem } = match.groups;
+    const source = window.resolveTimeZone(match.groups.zone);
+    if (!source || (minuteText === undefined && !meridiem)) return null;
+
+    let hour = Number(hourText);
+    const minute = minuteText === undefined ? 0 : Number(minuteText);
+    if (minute > 59) return null;
+
+    if (meridiem) {
+      if (hour < 1 || hour > 12) return null;
+      hour = (hour % 12) + (/^p/i.test(meridiem) ? 12 : 0);
+    } else if (hour > 23) {
+      return null;
+    }
+
+    return { hour, minute, zone: source.name };
+  },
+
+  /**
+   * Parse a time string
+   * @param {string} text - The text (e.g., '3pm EST')
+   * @returns {object|null} See parseTimeMatch
+   */
+  parseTime(text) {
+    if (typeof text !== "string") return null;
+    const match = text.trim().match(this.exactPattern);
+    return match ? this.parseTimeMatch(match) : null;
+  },
+
+  /**
+   * Store a time in an element's data-* attributes (wrap mode)
+   * @param {Element} element - The wrapper span
+   * @param {object} parsed - Result of parseTimeMatch
+   */
+  writeTimeAttributes(element, parsed) {
+    element.setAttribute("data-time-detected", "true");
+    element.setAttribute("data-time-hour", parsed.hour);
+    element.setAttribute("data-time-minute", parsed.minute);
+    element.setAttribute("data-time-zone", parsed.zone);
+    element.classList.add("currency-converter-time");
+  },
+
+  /**
+   * Read a time back from an element's data-* attributes (wrap mode)
+   * @param {Element} element - The wrapper span
+   * @returns {object} Time: { element, hour, minute, zone }
+   */
+  readTimeElement(element) {
+    return {
+      element,
+      hour: Number(element.getAttribute("data-time-hour")),
+      minute: Number(element.getAttribute("data-time-minute")),
+      zone: element.getAttribute("data-time-zone"),
+    };
+  },
+
+  /**
+   * Read a time out of a match in a text node
+   * @param {RegExpMatchArray} match - Match of combinedPattern
+   * @returns {object|null} See parseTimeMatch, plus the start/end offsets
+   *   of the time in the text; null if it isn't one
+   */
+  readMatch(match) {
+    const parsed = this.parseTimeMatch(match);
+    if (!parsed) return null;
+    return {
+      start: match.index,
+      end: match.index + match[0].length,
+      ...parsed,
+    };
+  },
+
+  /**
+   * Drop recorded times whose text left the page
+   */
+  pruneOverlay() {
+    this.marks.pruneOverlay();
+  },
+
+  /**
+   * Get the times detected under a root, including its shadow roots
+   * @param {Element|ShadowRoot} root - The root to search
+   * @returns {object[]} Times (see readTimeElement; in overlay mode,
+   *   readMatch plus node)
+   */
+  getTimes(root = document.body) {
+    return this.marks.getMarks(root);
+  },
+
+  /**
+   * Check whether an element is, or is inside, a detected time
+   * @param {Element} element - The element to check
+   * @returns {boolean} True if inside a time
+   */
+  isInsideTime(element) {
+    return this.marks.isInside(element);
+  },
+
+  /**
+   * Get the current state of a time found earlier
+   * @param {object} time - A time from getTimes or findTimeAt
+   * @returns {object|null} The time as detected now, or null
+   */
+  getLatestTime(time) {
+    return this.marks.getLatest(time);
+  },
+
+  /**
+   * Get the bounding rect of a time (to position the tooltip)
+   * @param {object} time - A detected time
+   * @returns {DOMRect} Bounding rect
+   */
+  getTimeRect(time) {
+    return this.marks.getRect(time);
+  },
+
+  /**
+   * Find the time under the pointer
+   * @param {EventTarget[]} path - The event's composed path, innermost first
+   * @param {number} x - Pointer clientX
+   * @param {number} y - Pointer clientY
+   * @returns {object|null} The time or null
+   */
+  findTimeAt(path, x, y) {
+    return this.marks.findAt(path, x, y);
+  },
+
+  /**
+   * Check whether a text node should be scanned for times
+   * @param {Text} node - The text node to check
+   * @returns {boolean} True if it may hold a time not yet detected
+   */
+  acceptTextNode(node) {
+    return this.marks.acceptTextNode(node);
+  },
+
+  /**
+   * Detect times in the text directly inside an element (after prices and
+   * measurements have split it)
+   * @param {Element} element - The element
+   */
+  scanChildText(element) {
+    this.marks.scanChildText(element);
+  },
+
+  /**
+   * Scan a root and its open shadow roots for times
+   * @param {Element|ShadowRoot} root - The root to scan
+   */
+  scanDOM(root = document.body) {
+    this.marks.scanDOM(root);
+  },
+
+  /**
+   * Remove every time mark under a root: unwrap wrapper spans and forget
+   * recorded times
+   * @param {Element|ShadowRoot} root - The root to clean up
+   */
+  clear(root = document.body) {
+    this.marks.clear(root);
+  },
+
+  /**
+   * Detect times again after the page changed some text (see
+   * MarkTracker.refreshNode)
+   * @param {Node} node - A text node whose data changed or was added, or
+   *   an element whose children changed
+   */
+  refreshNode(node) {
+    this.marks.refreshNode(node);
+  },
+};
+
+// Initialize patterns
+TimeDetector.init();
+
+// Make available globally
+if (typeof window !== "undefined") {
+  window.TimeDetector = TimeDetector;
+}
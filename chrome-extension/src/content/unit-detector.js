@@ -0,0 +1,447 @@
+/**
+ * Unit detection module
+ * Detects measurements ("32 cm", "5.5 lbs", "2 L", "1,200 sq ft",
+ * "36.6 °C"), compound ones ("5'11\"", "3 lb 4 oz"), sides
+ * ("30 × 40 × 50 cm") and recipe quantities with their ingredient
+ * ("1 ½ cups flour") in DOM text nodes and marks them the
+ * way PriceDetector marks prices: wrapped in spans, or recorded as offsets
+ * into the page's text nodes (overlay mode). Marking, hit-testing and
+ * cleanup are left to a MarkTracker; which elements are skipped, the
+ * marking mode and how marks are positioned all come from PriceDetector.
+ */
+
+const UnitDetector = {
+  // MarkTracker holding the measurements found (created by init)
+  marks: null,
+
+  // Attributes writeUnitAttributes may add
+  unitAttributes: [
+    "data-unit-detected",
+    "data-unit-value",
+    "data-unit",
+    "data-unit-values",
+    "data-unit-compound",
+    "data-unit-ingredient",
+  ],
+
+  // COMPOUND_UNITS entries, in the order of their groups in the patterns
+  compoundForms: [],
+
+  // Fractions written as one character ("½ cup")
+  vulgarFractions: {
+    "½": 1 / 2,
+    "⅓": 1 / 3,
+    "⅔": 2 / 3,
+    "¼": 1 / 4,
+    "¾": 3 / 4,
+    "⅛": 1 / 8,
+    "⅜": 3 / 8,
+    "⅝": 5 / 8,
+    "⅞": 7 / 8,
+  },
+
+  // A number followed by a unit, a compound or sides: global (for scanning
+  // text), plain (for testing text) and anchored (for parseMeasurement)
+  combinedPattern: null,
+  unitPattern: null,
+  exactPattern: null,
+
+  /**
+   * Build the detection patterns from the unit registry
+   */
+  init() {
+    const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const anyCase = (text) =>
+      [...text]
+        .map((c) =>
+          c.toLowerCase() !== c.toUpperCase()
+            ? `[${c.toUpperCase()}${c.toLowerCase()}]`
+            : escape(c),
+        )
+        .join("");
+
+    // Symbols only, not unit codes (the code "in" is too common a word).
+    // Longest first, so "fl oz" wins over "oz" and "sq ft" over "ft";
+    // a space inside a symbol is optional ("sq ft", "sqft")
+    const alternatives = (symbols) =>
+      [...symbols]
+        .sort((a, b) => b.length - a.length)
+        .map((symbol) =>
+          (symbol.length > 3 ? anyCase(symbol) : escape(symbol)).replace(
+            / /g,
+            "\\s?",
+          ),
+        )
+        .join("|");
+    const units = Object.values(window.SUPPORTED_UNITS);
+    const plain = "\\d+(?:[.,]\\d+)?";
+
+    // Compounds: a whole number of the larger unit, then the smaller one
+    // ("5' 11\"", "3 lb 4 oz")
+    this.compoundForms = Object.values(window.COMPOUND_UNITS);
+    const compounds = this.compoundForms.map((form, i) => {
+      const [large, small] = form.units.map((code, part) =>
+        alternatives([
+          ...window.SUPPORTED_UNITS[code].symbols,
+          ...form.marks[part],
+        ]),
+      );
+      return `(?<large${i}>\\d+)\\s?(?:${large})\\s?(?<small${i}>${plain})\\s?(?:${small})`;
+    });
+
+    // Sides: two or three numbers and one length unit ("30 × 40 × 50 cm")
+    const lengths = units
+      .filter((unit) => unit.dimension === "length")
+      .flatMap((unit) => unit.symbols);
+    const sides = `(?<sides>${plain}(?:\\s?[×xX*]\\s?${plain}){1,2})\\s?(?<sidesUnit>${alternatives(lengths)})`;
+
+    // Fractions ("½", "1 ½", "1 1/2"), grouped numbers ("1,200", "1 200"
+    // with a no-break space) or plain ones ("5.5"); a minus sign is only
+    // kept for signed dimensions (see parseUnitMatch)
+    const vulgar = Object.keys(this.vulgarFractions).join("");
+    const fraction = `(?:\\d+\\s?)?[${vulgar}]|(?:\\d+\\s)?\\d+\\/\\d+`;
+    const single = `(?<sign>[-\\u2212])?(?<value>${fraction}|\\d{1,3}(?:[,.\\u00A0\\u202F]\\d{3})+(?:[.,]\\d+)?|${plain})\\s?(?<unit>${alternatives(units.flatMap((unit) => unit.symbols))})`;
+
+    // Not glued to letters or other digits (nor the end of a fraction)
+    const source = `(?<![\\p{L}\\d.,/])(?:${[...compounds, sides, single].join("|")})(?![\\p{L}\\d])`;
+
+    this.combinedPattern = new RegExp(source, "gu");
+    this.unitPattern = new RegExp(source, "u");
+    this.exactPattern = new RegExp(`^${source}$`, "u");
+
+    // Measurements are never read inside a price
+    this.marks = window.MarkTracker.create({
+      className: "currency-converter-unit",
+      attribute: "data-unit-detected",
+      attributes: this.unitAttributes,
+      pattern: this.unitPattern,
+      combinedPattern: this.combinedPattern,
+      parse: (match, text) => this.readMatch(match, text),
+      write: (element, parsed) => this.writeUnitAttributes(element, parsed),
+      read: (element) => this.readUnitElement(element),
+      isClaimed: (element) => window.PriceDetector.isInsidePrice(element),
+      claimedIn: (node) => window.PriceDetector.overlayIndex.get(node) || [],
+    });
+  },
+
+  /**
+   * Read the value and unit out of a unit pattern match
+   * @param {RegExpMatchArray} match - Match of combinedPattern/exactPattern
+   * @returns {object|null} { value, unit, dimension, systems } or null.
+   *   Compounds are read into the larger unit and add `compound` (the form
+   *   code); sides add `values`, `value` being the first side
+   */
+  parseUnitMatch(match) {
+    const { groups } = match;
+    if (groups.sides !== undefined) {
+      return this.parseSides(groups.sides, groups.sidesUnit);
+    }
+    const formIndex = this.compoundForms.findIndex(
+      (form, i) => groups[`large${i}`] !== undefined,
+    );
+    if (formIndex !== -1) {
+      return this.parseCompound(
+        this.compoundForms[formIndex],
+        groups[`large${formIndex}`],
+        groups[`small${formIndex}`],
+      );
+    }
+
+    const unit = window.getRegionalUnit(
+      window.getUnit(groups.unit),
+      window.PriceDetector.getPageLocale(),
+    );
+    if (!unit) return null;
+
+    const value = this.parseNumber(groups.value);
+    if (value === null) return null;
+
+    // Below zero only where the dimension has it ("-5 °C"); elsewhere a
+    // dash is a range or a separator ("3-5 kg") and zero is no measurement
+    const signed = window.UNIT_DIMENSIONS[unit.dimension]?.signed;
+    if (!signed && value <= 0) return null;
+
+    return {
+      value: signed && groups.sign ? -value : value,
+      unit: unit.code,
+      dimension: unit.dimension,
+      systems: unit.systems,
+    };
+  },
+
+  /**
+   * Read a number the way the page writes them, or a fraction
+   * @param {string} text - The number (e.g., '1,5', '1 ½', '3/4')
+   * @returns {number|null} The number, or null
+   */
+  parseNumber(text) {
+    const fraction = text.match(
+      /^(?:(?<whole>\d+)\s?)?(?:(?<vulgar>[½⅓⅔¼¾⅛⅜⅝⅞])|(?<top>\d+)\/(?<bottom>\d+))$/,
+    );
+    if (fraction) {
+      const { whole, vulgar, top, bottom } = fraction.groups;
+      const part = vulgar
+        ? this.vulgarFractions[vulgar]
+        : Number(top) / Number(bottom);
+      if (!Number.isFinite(part)) return null;
+      return Number(whole || 0) + part;
+    }
+
+    return window.NumberParser.parse(text, {
+      locales: [window.PriceDetector.getPageLocale()],
+    });
+  },
+
+  /**
+   * Read a compound measurement into its larger unit
+   * @param {object} form - COMPOUND_UNITS entry
+   * @param {string} largeText - Number of larger units (e.g., '5')
+   * @param {string} smallText - Number of smaller units (e.g., '11')
+   * @returns {object|null} See parseUnitMatch; null if the smaller part is
+   *   a whole larger unit or more ("5' 14\"")
+   */
+  parseCompound(form, largeText, smallText) {
+    const [large, small] = form.units.map((code) => window.getUnit(code));
+    const whole = this.parseNumber(largeText);
+    const part = this.parseNumber(smallText);
+    if (whole === null || part === null) return null;
+    if (small.toBase(part) >= large.toBase(1) || whole + part <= 0) {
+      return null;
+    }
+
+    return {
+      value: whole + large.fromBase(small.toBase(part)),
+      unit: large.code,
+      dimension: large.dimension,
+      systems: large.systems,
+      compound: form.code,
+    };
+  },
+
+  /**
+   * Read the sides of a measurement ("30 × 40 × 50" and "cm")
+   * @param {string} sidesText - The numbers and the signs between them
+   * @param {string} symbol - The unit after the last number
+   * @returns {object|null} See parseUnitMatch
+   */
+  parseSides(sidesText, symbol) {
+    const unit = window.getUnit(symbol);
+    const values = sidesText
+      .split(/\s?[×xX*]\s?/)
+      .map((text) => this.parseNumber(text));
+    if (!unit || values.some((value) => value === null || value <= 0)) {
+      return null;
+    }
+
+    return {
+      value: values[0],
+      values,
+      unit: unit.code,
+      dimension: unit.dimension,
+      systems: unit.systems,
+    };
+  },
+
+  /**
+   * Add the ingredient named after a recipe quantity ("2 cups flour") to
+   * a measurement
+   * @param {object} parsed - Result of parseUnitMatch
+   * @param {string} rest - The text after the measurement
+   * @returns {object|null} The measurement, with `ingredient` (an
+   *   INGREDIENTS code) if one is named; null if its unit is only read
+   *   before another ingredient ("2 sticks" of anything but butter)
+   */
+  readIngredient(parsed, rest) {
+    const ingredient = window.findIngredient?.(rest) || null;
+    const only = window.getUnit(parsed.unit)?.ingredient;
+    if (only && ingredient?.code !== only) return null;
+
+    const weighable = ["volume", "weight"].includes(parsed.dimension);
+    if (!ingredient || !weighable || parsed.values) return parsed;
+    return { ...parsed, ingredient: ingredient.code };
+  },
+
+  /**
+   * Parse a measurement string
+   * @param {string} text - The text (e.g., '5.5 lbs')
+   * @returns {object|null} See parseUnitMatch
+   */
+  parseMeasurement(text) {
+    if (typeof text !== "string") return null;
+    const match = text.trim().match(this.exactPattern);
+    const parsed = match && this.parseUnitMatch(match);
+    return parsed ? this.readIngredient(parsed, "") : null;
+  },
+
+  /**
+   * Store a measurement in an element's data-* attributes (wrap mode)
+   * @param {Element} element - The wrapper span
+   * @param {object} parsed - Result of parseUnitMatch
+   */
+  writeUnitAttributes(element, parsed) {
+    element.setAttribute("data-unit-detected", "true");
+    element.setAttribute("data-unit-value", parsed.value);
+    element.setAttribute("data-unit", parsed.unit);
+    if (parsed.values) {
+      element.setAttribute("data-unit-values", parsed.values.join(" "));
+    }
+    if (parsed.compound) {
+      element.setAttribute("data-unit-compound", parsed.compound);
+    }
+    if (parsed.ingredient) {
+      element.setAttribute("data-unit-ingredient", parsed.ingredient);
+    }
+    element.classList.add("currency-converter-unit");
+  },
+
+  /**
+   * Read a measurement back from an element's data-* attributes (wrap mode)
+   * @param {Element} element - The wrapper span
+   * @returns {object} Measurement: { element, value, unit, dimension,
+   *   systems }, plus `values` and `compound` as in parseUnitMatch and
+   *   `ingredient` as in readIngredient
+   */
+  readUnitElement(element) {
+    const unit = window.getUnit(element.getAttribute("data-unit"));
+    const measurement = {
+      element,
+      value: parseFloat(element.getAttribute("data-unit-value")),
+      unit: unit?.code,
+      dimension: unit?.dimension,
+      systems: unit?.systems,
+    };
+    const values = element.getAttribute("data-unit-values");
+    if (values) measurement.values = values.split(" ").map(Number);
+    const compound = element.getAttribute("data-unit-compound");
+    if (compound) measurement.compound = compound;
+    const ingredient = element.getAttribute("data-unit-ingredient");
+    if (ingredient) measurement.ingredient = ingredient;
+    return measurement;
+  },
+
+  /**
+   * Read a measurement out of a match in a text node
+   * @param {RegExpMatchArray} match - Match of combinedPattern
+   * @param {string} text - The text node's text
+   * @returns {object|null} See readIngredient, plus the start/end offsets
+   *   of the measurement in the text; null if it isn't one
+   */
+  readMatch(match, text) {
+    const end = match.index + match[0].length;
+    const unit = this.parseUnitMatch(match);
+    const parsed = unit && this.readIngredient(unit, text.slice(end));
+    if (!parsed) return null;
+
+    // A dash that isn't a minus sign stays outside the measurement
+    const sign = match.groups.sign && parsed.value > 0 ? 1 : 0;
+    return { start: match.index + sign, end, ...parsed };
+  },
+
+  /**
+   * Drop recorded measurements whose text left the page
+   */
+  pruneOverlay() {
+    this.marks.pruneOverlay();
+  },
+
+  /**
+   * Get the measurements detected under a root, including its shadow roots
+   * @param {Element|ShadowRoot} root - The root to search
+   * @returns {object[]} Measurements (see readUnitElement; in overlay
+   *   mode, readMatch plus node)
+   */
+  getUnits(root = document.body) {
+    return this.marks.getMarks(root);
+  },
+
+  /**
+   * Check whether an element is, or is inside, a detected measurement
+   * @param {Element} element - The element to check
+   * @returns {boolean} True if inside a measurement
+   */
+  isInsideUnit(element) {
+    return this.marks.isInside(element);
+  },
+
+  /**
+   * Get the current state of a measurement found earlier
+   * @param {object} unit - A measurement from getUnits or findUnitAt
+   * @returns {object|null} The measurement as detected now, or null
+   */
+  getLatestUnit(unit) {
+    return this.marks.getLatest(unit);
+  },
+
+  /**
+   * Get the bounding rect of a measurement (to position the tooltip)
+   * @param {object} unit - A detected measurement
+   * @returns {DOMRect} Bounding rect
+   */
+  getUnitRect(unit) {
+    return this.marks.getRect(unit);
+  },
+
+  /**
+   * Find the measurement under the pointer
+   * @param {EventTarget[]} path - The event's composed path, innermost first
+   * @param {number} x - Pointer clientX
+   * @param {number} y - Pointer clientY
+   * @returns {object|null} The measurement or null
+   */
+  findUnitAt(path, x, y) {
+    return this.marks.findAt(path, x, y);
+  },
+
+  /**
+   * Check whether a text node should be scanned for measurements
+   * @param {Text} node - The text node to check
+   * @returns {boolean} True if it may hold a measurement not yet detected
+   */
+  acceptTextNode(node) {
+    return this.marks.acceptTextNode(node);
+  },
+
+  /**
+   * Detect measurements in the text directly inside an element (after
+   * PriceDetector has split it around prices)
+   * @param {Element} element - The element
+   */
+  scanChildText(element) {
+    this.marks.scanChildText(element);
+  },
+
+  /**
+   * Scan a root and its open shadow roots for measurements
+   * @param {Element|ShadowRoot} root - The root to scan
+   */
+  scanDOM(root = document.body) {
+    this.marks.scanDOM(root);
+  },
+
+  /**
+   * Remove every measurement mark under a root: unwrap wrapper spans and
+   * forget recorded measurements
+   * @param {Element|ShadowRoot} root - The root to clean up
+   */
+  clear(root = document.body) {
+    this.marks.clear(root);
+  },
+
+  /**
+   * Detect measurements again after the page changed some text (see
+   * MarkTracker.refreshNode)
+   * @param {Node} node - A text node whose data changed or was added, or
+   *   an element whose children changed
+   */
+  refreshNode(node) {
+    this.marks.refreshNode(node);
+  },
+};
+
+// Initialize patterns
+UnitDetector.init();
+
+// Make available globally
+if (typeof window !== "undefined") {
+  window.UnitDetector = UnitDetector;
+}
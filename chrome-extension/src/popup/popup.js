@@ -1,141 +1,209 @@
 /**
  * Popup UI Logic
- * Manages home currency selection and displays exchange rates
+ * Manages home currency, measurement system, size region, time zone and
+ * clock selection and displays exchange rates
  */
 
 document.addEventListener("DOMContentLoaded", init);
 
-// Detected currencies (must match detector.js patterns)
-const DETECTED_CURRENCIES = ["USD", "INR", "EUR", "GBP"];
-
-// Locale-to-currency mapping for default home currency
-const LOCALE_CURRENCY_MAP = {
-  US: "USD",
-  GB: "GBP",
-  IN: "INR",
-  DE: "EUR",
-  FR: "EUR",
-  ES: "EUR",
-  IT: "EUR",
-  NL: "EUR",
-  AT: "EUR",
-  BE: "EUR",
-  PT: "EUR",
-  IE: "EUR",
-  FI: "EUR",
-};
-
-// Currency display names for the dropdown
-const CURRENCY_NAMES = {
-  USD: "US Dollar",
-  EUR: "Euro",
-  GBP: "British Pound",
-  INR: "Indian Rupee",
-  JPY: "Japanese Yen",
-  CAD: "Canadian Dollar",
-  AUD: "Australian Dollar",
-  CHF: "Swiss Franc",
-  CNY: "Chinese Yuan",
-  KRW: "South Korean Won",
-  SEK: "Swedish Krona",
-  NOK: "Norwegian Krone",
-  DKK: "Danish Krone",
-  NZD: "New Zealand Dollar",
-  SGD: "Singapore Dollar",
-  HKD: "Hong Kong Dollar",
-  MXN: "Mexican Peso",
-  BRL: "Brazilian Real",
-  PLN: "Polish Zloty",
-  THB: "Thai Baht",
-  ZAR: "South African Rand",
-  AED: "UAE Dirham",
-  SAR: "Saudi Riyal",
-  TWD: "New Taiwan Dollar",
-  MYR: "Malaysian Ringgit",
-  PHP: "Philippine Peso",
-  IDR: "Indonesian Rupiah",
-  TRY: "Turkish Lira",
-  RUB: "Russian Ruble",
-  CZK: "Czech Koruna",
-  HUF: "Hungarian Forint",
-  ILS: "Israeli Shekel",
-  CLP: "Chilean Peso",
-  ARS: "Argentine Peso",
-  COP: "Colombian Peso",
-  PEN: "Peruvian Sol",
-  EGP: "Egyptian Pound",
-  NGN: "Nigerian Naira",
-  KES: "Kenyan Shilling",
-  PKR: "Pakistani Rupee",
-  BDT: "Bangladeshi Taka",
-  VND: "Vietnamese Dong",
-  RON: "Romanian Leu",
-  BGN: "Bulgarian Lev",
-  HRK: "Croatian Kuna",
-  UAH: "Ukrainian Hryvnia",
-  QAR: "Qatari Riyal",
-  KWD: "Kuwaiti Dinar",
-  BHD: "Bahraini Dinar",
-  OMR: "Omani Rial",
-  JOD: "Jordanian Dinar",
-  LKR: "Sri Lankan Rupee",
-  MMK: "Myanmar Kyat",
-  NPR: "Nepalese Rupee",
-};
+// Detected currencies (from the currency registry in currencies.config.js)
+const DETECTED_CURRENCIES = Object.keys(SUPPORTED_CURRENCIES);
 
 // DOM Elements
 let enabledToggle;
 let homeCurrencySelect;
+let measurementSystemSelect;
+let sizeRegionSelect;
+let homeTimeZoneSelect;
+let timeFormatSelect;
+let detectionModeSelect;
+let roundingModeSelect;
 let rateRowsEl;
 let rateSourceEl;
 let lastUpdatedEl;
 let refreshBtn;
 let popupContainer;
+let siteSectionEl;
+let siteHostEl;
+let siteOverridesEl;
 
 // State
 let allRates = null;
 let rateTimestamp = null;
 let homeCurrency = "USD";
-
-function getDefaultHomeCurrency() {
-  const locale = navigator.language || "en-US";
-  if (!locale.includes("-")) return "USD";
-  const countryCode = locale.split("-").pop().toUpperCase();
-  return LOCALE_CURRENCY_MAP[countryCode] || "USD";
-}
+let siteHostname = null;
+let siteCurrencyOverrides = {};
 
 function init() {
   enabledToggle = document.getElementById("enabledToggle");
   homeCurrencySelect = document.getElementById("homeCurrencySelect");
+  measurementSystemSelect = document.getElementById("measurementSystemSelect");
+  sizeRegionSelect = document.getElementById("sizeRegionSelect");
+  homeTimeZoneSelect = document.getElementById("homeTimeZoneSelect");
+  timeFormatSelect = document.getElementById("timeFormatSelect");
+  detectionModeSelect = document.getElementById("detectionModeSelect");
+  roundingModeSelect = document.getElementById("roundingModeSelect");
   rateRowsEl = document.getElementById("rateRows");
   rateSourceEl = document.getElementById("rateSource");
   lastUpdatedEl = document.getElementById("lastUpdated");
   refreshBtn = document.getElementById("refreshBtn");
   popupContainer = document.querySelector(".popup-container");
+  siteSectionEl = document.getElementById("siteSection");
+  siteHostEl = document.getElementById("siteHost");
+  siteOverridesEl = document.getElementById("siteOverrides");
 
+  populateTimeZoneSelect();
   loadExchangeRates();
   loadSettings();
+  loadSiteOverrides();
   setupEventListeners();
 }
 
 async function loadSettings() {
   try {
-    const result = await chrome.storage.sync.get(["enabled", "homeCurrency"]);
+    const result = await chrome.storage.sync.get([
+      "enabled",
+      "homeCurrency",
+      "detectionMode",
+      "roundingMode",
+      "measurementSystem",
+      "sizeRegion",
+      "homeTimeZone",
+      "timeFormat",
+    ]);
 
     enabledToggle.checked = result.enabled !== false;
-    homeCurrency = result.homeCurrency || getDefaultHomeCurrency();
+    detectionModeSelect.value =
+      result.detectionMode === "wrap" ? "wrap" : "overlay";
+    roundingModeSelect.value =
+      result.roundingMode === "cash" ? "cash" : "exact";
+    homeCurrency =
+      result.homeCurrency ||
+      getDefaultHomeCurrency(navigator.language || "en-US");
 
     // If no homeCurrency was stored yet, save the default
     if (!result.homeCurrency) {
       await chrome.storage.sync.set({ homeCurrency });
     }
 
+    // Same for the measurement system
+    const measurementSystem = MEASUREMENT_SYSTEMS.includes(
+      result.measurementSystem,
+    )
+      ? result.measurementSystem
+      : getDefaultMeasurementSystem(navigator.language || "en-US");
+    measurementSystemSelect.value = measurementSystem;
+    if (result.measurementSystem !== measurementSystem) {
+      await chrome.storage.sync.set({ measurementSystem });
+    }
+
+    // And the region clothing and shoe sizes are converted into
+    const sizeRegion = SIZE_REGIONS.includes(result.sizeRegion)
+      ? result.sizeRegion
+      : getDefaultSizeRegion(navigator.language || "en-US");
+    sizeRegionSelect.value = sizeRegion;
+    if (result.sizeRegion !== sizeRegion) {
+      await chrome.storage.sync.set({ sizeRegion });
+    }
+
+    // "auto" (the default) follows the computer's time zone
+    homeTimeZoneSelect.value = isValidTimeZone(result.homeTimeZone)
+      ? result.homeTimeZone
+      : "auto";
+
+    // And the clock times are written on
+    const timeFormat = TIME_FORMATS.includes(result.timeFormat)
+      ? result.timeFormat
+      : getDefaultTimeFormat(navigator.language || "en-US");
+    timeFormatSelect.value = timeFormat;
+    if (result.timeFormat !== timeFormat) {
+      await chrome.storage.sync.set({ timeFormat });
+    }
+
     updateUIState();
   } catch (e) {
     console.error("Error loading settings:", e);
   }
 }
 
+async function loadSiteOverrides() {
+  try {
+    const [tab] = await chrome.tabs.query({
+      active: true,
+      currentWindow: true,
+    });
+    const url = tab && tab.url ? new URL(tab.url) : null;
+    if (!url || !/^https?:$/.test(url.protocol)) return;
+
+    siteHostname = url.hostname;
+    const result = await chrome.storage.sync.get(["siteCurrencyOverrides"]);
+    siteCurrencyOverrides = result.siteCurrencyOverrides || {};
+
+    renderSiteOverrides();
+  } catch (e) {
+    console.error("Error loading site overrides:", e);
+  }
+}
+
+function renderSiteOverrides() {
+  // Only symbols shared by several currencies need an override
+  const sharedSymbols = getCurrencySymbols().filter(
+    (entry) => entry.currencies.length > 1,
+  );
+  const overrides = siteCurrencyOverrides[siteHostname] || {};
+
+  siteHostEl.textContent = siteHostname;
+  siteOverridesEl.innerHTML = "";
+
+  sharedSymbols.forEach(({ symbol, currencies }) => {
+    const row = document.createElement("label");
+    row.className = "site-override-row";
+
+    const label = document.createElement("span");
+    label.textContent = `${symbol} means`;
+
+    const select = document.createElement("select");
+    select.className = "currency-select";
+    select.dataset.symbol = symbol;
+    [["", "Auto-detect"], ...currencies.map((c) => [c, c])].forEach(
+      ([value, text]) => {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = text;
+        option.selected = value === (overrides[symbol] || "");
+        select.appendChild(option);
+      },
+    );
+    select.addEventListener("change", () =>
+      saveSiteOverride(symbol, select.value),
+    );
+
+    row.appendChild(label);
+    row.appendChild(select);
+    siteOverridesEl.appendChild(row);
+  });
+
+  siteSectionEl.hidden = sharedSymbols.length === 0;
+}
+
+async function saveSiteOverride(symbol, currency) {
+  const overrides = { ...(siteCurrencyOverrides[siteHostname] || {}) };
+  if (currency) {
+    overrides[symbol] = currency;
+  } else {
+    delete overrides[symbol];
+  }
+
+  siteCurrencyOverrides = { ...siteCurrencyOverrides };
+  if (Object.keys(overrides).length > 0) {
+    siteCurrencyOverrides[siteHostname] = overrides;
+  } else {
+    delete siteCurrencyOverrides[siteHostname];
+  }
+
+  await chrome.storage.sync.set({ siteCurrencyOverrides });
+}
+
 async function loadExchangeRates() {
   try {
     const response = await chrome.runtime.sendMessage({
@@ -156,6 +224,20 @@ async function loadExchangeRates() {
   }
 }
 
+function populateTimeZoneSelect() {
+  // Every zone the browser knows, offline
+  const zones = Intl.supportedValuesOf?.("timeZone") || [];
+
+  homeTimeZoneSelect.options[0].textContent = `Automatic (${getDefaultTimeZone().replace(/_/g, " ")})`;
+
+  zones.forEach((zone) => {
+    const option = document.createElement("option");
+    option.value = zone;
+    option.textContent = zone.replace(/_/g, " ");
+    homeTimeZoneSelect.appendChild(option);
+  });
+}
+
 function populateCurrencySelect() {
   if (!allRates) return;
 
@@ -167,7 +249,7 @@ function populateCurrencySelect() {
   currencies.forEach((code) => {
     const option = document.createElement("option");
     option.value = code;
-    const name = CURRENCY_NAMES[code] || code;
+    const name = SUPPORTED_CURRENCIES[code]?.name || code;
     option.textContent = `${code} - ${name}`;
     if (code === homeCurrency) {
       option.selected = true;
@@ -187,7 +269,7 @@ function updateRateDisplay() {
 
   // Show rates for each detected currency except the home currency
   const foreignCurrencies = DETECTED_CURRENCIES.filter(
-    (c) => c !== homeCurrency,
+    (c) => c !== homeCurrency && allRates[c],
   );
 
   if (foreignCurrencies.length === 0) {
@@ -196,15 +278,16 @@ function updateRateDisplay() {
   } else {
     rateRowsEl.innerHTML = foreignCurrencies
       .map((code) => {
-        // Calculate: 1 [foreign] = X [home]
-        const rateInUSD = 1 / allRates[code]; // 1 foreign in USD
-        const rateInHome = rateInUSD * (allRates[homeCurrency] || 1); // USD to home
-        const displayRate = homeCurrency === "USD" ? rateInUSD : rateInHome;
+        // 1 [foreign] = X [home], in exact decimal maths (see Money)
+        const displayRate = Money.rate(code, homeCurrency, {
+          USD: 1,
+          ...allRates,
+        });
 
         return `
         <div class="rate-row">
           <span class="rate-row-from">1 ${code}</span>
-          <span class="rate-row-value">${displayRate.toFixed(4)} ${homeCurrency}</span>
+          <span class="rate-row-value">${displayRate ?? "–"} ${homeCurrency}</span>
         </div>
       `;
       })
@@ -264,6 +347,36 @@ function setupEventListeners() {
     updateRateDisplay();
   });
 
+  measurementSystemSelect.addEventListener("change", async () => {
+    await chrome.storage.sync.set({
+      measurementSystem: measurementSystemSelect.value,
+    });
+  });
+
+  sizeRegionSelect.addEventListener("change", async () => {
+    await chrome.storage.sync.set({ sizeRegion: sizeRegionSelect.value });
+  });
+
+  homeTimeZoneSelect.addEventListener("change", async () => {
+    await chrome.storage.sync.set({ homeTimeZone: homeTimeZoneSelect.value });
+  });
+
+  timeFormatSelect.addEventListener("change", async () => {
+    await chrome.storage.sync.set({ timeFormat: timeFormatSelect.value });
+  });
+
+  detectionModeSelect.addEventListener("change", async () => {
+    await chrome.storage.sync.set({
+      detectionMode: detectionModeSelect.value,
+    });
+  });
+
+  roundingModeSelect.addEventListener("change", async () => {
+    await chrome.storage.sync.set({
+      roundingMode: roundingModeSelect.value,
+    });
+  });
+
   refreshBtn.addEventListener("click", async () => {
     refreshBtn.classList.add("loading");
 
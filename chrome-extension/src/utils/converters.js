@@ -4,54 +4,61 @@
  */
 
 const Converters = {
+  // Fraction digits kept by convertCurrency (its result isn't rounded to
+  // the target's minor units; Money.convert does that)
+  conversionScale: 10,
+
   /**
-   * Convert currency amount from one currency to another
+   * Convert currency amount from one currency to another. The maths is
+   * exact decimal (see Money.exchange); only the result is a float
    * @param {number} amount - The amount to convert
    * @param {string} from - Source currency code (e.g., 'INR', 'USD')
    * @param {string} to - Target currency code
    * @param {object} rates - Exchange rates object with USD as base
-   * @returns {number} Converted amount
+   * @returns {number} Converted amount (NaN if a rate is missing)
    */
   convertCurrency(amount, from, to, rates) {
     if (from === to) return amount;
 
-    // Convert to USD first (base currency), then to target
-    const amountInUSD = from === "USD" ? amount : amount / rates[from];
-    const convertedAmount =
-      to === "USD" ? amountInUSD : amountInUSD * rates[to];
-
-    return convertedAmount;
+    const Money = window.Money;
+    const converted = Money.exchange(
+      amount,
+      from,
+      to,
+      { USD: 1, ...rates },
+      this.conversionScale,
+    );
+    return converted ? Number(Money.formatDecimal(converted)) : NaN;
   },
 
   /**
-   * Format currency for display
+   * Format currency for display, with the currency's ISO 4217 minor units
+   * ("$25.00", "¥1,500", "KWD 12.345"). Negative amounts follow the
+   * currency's locale ("-$25.00", "-25,00 €")
    * @param {number} amount - The amount to format
    * @param {string} currency - Currency code
+   * @param {object} [options] - { accounting }: write negative amounts the
+   *   way the locale's accountants do ("($25.00)" in en-US)
    * @returns {string} Formatted currency string
    */
-  formatCurrency(amount, currency) {
-    const currencyLocales = {
-      USD: "en-US",
-      INR: "en-IN",
-      EUR: "de-DE",
-      GBP: "en-GB",
-    };
-
-    const locale = currencyLocales[currency] || "en-US";
+  formatCurrency(amount, currency, options = {}) {
+    const locale = window.SUPPORTED_CURRENCIES?.[currency]?.locale || "en-US";
+    const digits = window.getMinorUnits?.(currency) ?? 2;
 
     try {
       return new Intl.NumberFormat(locale, {
         style: "currency",
         currency: currency,
-        minimumFractionDigits: 2,
-        maximumFractionDigits: 2,
+        currencySign: options.accounting ? "accounting" : "standard",
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits,
       }).format(amount);
     } catch (e) {
       // Fallback for unknown currency codes
       return (
         new Intl.NumberFormat("en-US", {
-          minimumFractionDigits: 2,
-          maximumFractionDigits: 2,
+          minimumFractionDigits: digits,
+          maximumFractionDigits: digits,
         }).format(amount) +
         " " +
         currency
@@ -60,28 +67,363 @@ const Converters = {
   },
 
   /**
-   * Convert units (for future cm/inches support)
+   * Format a money value (see Money) for display
+   * @param {object} money - Money value
+   * @param {object} [options] - See formatCurrency
+   * @returns {string} Formatted currency string
+   */
+  formatMoney(money, options = {}) {
+    return this.formatCurrency(
+      window.Money.toNumber(money),
+      money.currency,
+      options,
+    );
+  },
+
+  /**
+   * Round an amount to what is paid in cash, for currencies whose smallest
+   * coin is bigger than the minor unit (CHF 12.34 is paid as CHF 12.35)
+   * @param {number|object} amount - The amount to round, or a money value
+   * @param {string} [currency] - Currency code (for a plain amount)
+   * @returns {number|object} Rounded amount, or money value (unchanged if
+   *   cash is paid exactly)
+   */
+  roundToCash(amount, currency) {
+    const Money = window.Money;
+    const step = window.getCashRounding?.(
+      typeof amount === "number" ? currency : amount.currency,
+    );
+    if (!step) return amount;
+
+    // Ties go up, as at the till. A plain amount is rounded from its exact
+    // value, not from its minor units (CHF 12.325 is paid as CHF 12.35)
+    if (typeof amount === "number") {
+      return Money.toNumber(Money.ofStep(amount, currency, step, "half-up"));
+    }
+    return Money.roundToStep(amount, step, "half-up");
+  },
+
+  // Locales whose compact notation writes each magnitude style
+  // ("$1.5M", "₹45L", "1,4 Mio. €")
+  compactLocales: {
+    short: "en-US",
+    indian: "en-IN",
+    european: "de-DE",
+  },
+
+  /**
+   * Format currency in compact notation, in the style a page used
+   * @param {number} amount - The amount to format
+   * @param {string} currency - Currency code
+   * @param {string} style - Magnitude style ('short', 'indian', 'european')
+   * @returns {string} Formatted currency string
+   */
+  formatCompactCurrency(amount, currency, style) {
+    const locale = this.compactLocales[style];
+    if (!locale) return this.formatCurrency(amount, currency);
+
+    try {
+      return new Intl.NumberFormat(locale, {
+        style: "currency",
+        currency: currency,
+        notation: "compact",
+        maximumSignificantDigits: 3,
+      }).format(amount);
+    } catch (e) {
+      return this.formatCurrency(amount, currency);
+    }
+  },
+
+  /**
+   * Convert a value between two units of the same dimension, through the
+   * dimension's base unit (see SUPPORTED_UNITS in units.config.js)
    * @param {number} value - The value to convert
-   * @param {string} from - Source unit
-   * @param {string} to - Target unit
-   * @returns {number} Converted value
+   * @param {string} from - Source unit code or symbol (e.g., 'cm', 'lbs')
+   * @param {string} to - Target unit code or symbol
+   * @returns {number} Converted value (unchanged for unknown or
+   *   incompatible units)
    */
   convertUnits(value, from, to) {
-    const conversions = {
-      cm_to_inches: 0.393701,
-      inches_to_cm: 2.54,
-      m_to_feet: 3.28084,
-      feet_to_m: 0.3048,
-      kg_to_lbs: 2.20462,
-      lbs_to_kg: 0.453592,
+    const fromUnit = window.getUnit?.(from);
+    const toUnit = window.getUnit?.(to);
+    if (!fromUnit || !toUnit || fromUnit.dimension !== toUnit.dimension) {
+      return value;
+    }
+    if (fromUnit === toUnit) return value;
+
+    return toUnit.fromBase(fromUnit.toBase(value));
+  },
+
+  /**
+   * Convert a measurement into a measurement system, picking the unit that
+   * suits its size there (32 cm -> 12.6 in, 2 km -> 1.24 mi, 36.6 °C ->
+   * 97.9 °F)
+   * @param {number} value - The value
+   * @param {string} unit - Its unit code or symbol
+   * @param {string} system - Target system ('metric', 'us' or 'uk')
+   * @param {boolean} [kitchen] - Convert into kitchen measures (cups and
+   *   spoons; by default only quantities already in them)
+   * @returns {object|null} { value, unit } (unit: registry entry), plus
+   *   `parts` (see toCompound) where the system writes such values in a
+   *   compound form (180 cm -> 5′ 11″), or null if the measurement is
+   *   already in that system
+   */
+  convertMeasurement(value, unit, system, kitchen) {
+    const fromUnit = window.getUnit?.(unit);
+    if (!fromUnit || fromUnit.systems.includes(system)) return null;
+
+    const base = fromUnit.toBase(value);
+    if (!Number.isFinite(base)) return null;
+    const toUnit = window.getTargetUnit(
+      fromUnit.dimension,
+      system,
+      base,
+      kitchen ?? !!fromUnit.kitchen,
+    );
+    if (!toUnit) return null;
+
+    const converted = { value: toUnit.fromBase(base), unit: toUnit };
+    const form = window.getCompoundUnit?.(fromUnit.dimension, system, base);
+    if (form) converted.parts = this.toCompound(value, fromUnit.code, form);
+    return converted;
+  },
+
+  /**
+   * Express a quantity of an ingredient both as a volume and as a weight in
+   * a measurement system, through the ingredient's density (2 cups of
+   * flour -> 473 ml and 250 g). The side the quantity is written in keeps
+   * its unit if the system has it.
+   * @param {number} value - The value
+   * @param {string} unit - Its unit code or symbol (a volume or weight)
+   * @param {string} ingredient - Ingredient code (see INGREDIENTS in
+   *   ingredients.config.js)
+   * @param {string} system - Target system ('metric', 'us' or 'uk')
+   * @returns {object|null} { volume, weight, ingredient } (volume and
+   *   weight: { value, unit }, unit being a registry entry; ingredient: the
+   *   INGREDIENTS entry), or null for unknown units and ingredients
+   */
+  convertIngredient(value, unit, ingredient, system) {
+    const fromUnit = window.getUnit?.(unit);
+    const item = window.getIngredient?.(ingredient);
+    if (!fromUnit || !item) return null;
+    if (!["volume", "weight"].includes(fromUnit.dimension)) return null;
+
+    // Litres times kilograms per litre
+    const base = fromUnit.toBase(value);
+    const litres = fromUnit.dimension === "volume" ? base : base / item.density;
+    const express = (dimension, baseValue) => {
+      if (
+        dimension === fromUnit.dimension &&
+        fromUnit.systems.includes(system)
+      ) {
+        return { value, unit: fromUnit };
+      }
+      const toUnit = window.getTargetUnit(dimension, system, baseValue, true);
+      return toUnit && { value: toUnit.fromBase(baseValue), unit: toUnit };
     };
 
-    const key = `${from}_to_${to}`;
-    if (conversions[key]) {
-      return value * conversions[key];
-    }
+    const volume = express("volume", litres);
+    const weight = express("weight", litres * item.density);
+    return volume && weight ? { volume, weight, ingredient: item } : null;
+  },
 
-    return value;
+  /**
+   * Convert the sides of a measurement such as "30 × 40 × 50 cm" into a
+   * measurement system, all in the unit that suits the longest side
+   * @param {number[]} values - The values
+   * @param {string} unit - Their unit code or symbol
+   * @param {string} system - Target system ('metric', 'us' or 'uk')
+   * @returns {object|null} { values, unit } (unit: registry entry), or null
+   *   if the measurement is already in that system
+   */
+  convertDimensions(values, unit, system) {
+    const fromUnit = window.getUnit?.(unit);
+    if (!fromUnit || fromUnit.systems.includes(system)) return null;
+
+    const bases = values.map((value) => fromUnit.toBase(value));
+    const longest = Math.max(...bases.map(Math.abs));
+    const toUnit = window.getTargetUnit(fromUnit.dimension, system, longest);
+    if (!toUnit) return null;
+
+    return { values: bases.map((base) => toUnit.fromBase(base)), unit: toUnit };
+  },
+
+  /**
+   * Split a value into the parts of a compound form, the smaller unit
+   * rounded to a whole number (71 in -> 5 ft 11 in)
+   * @param {number} value - The value
+   * @param {string} unit - Its unit code or symbol
+   * @param {object} form - COMPOUND_UNITS entry (units.config.js)
+   * @returns {object[]} Parts: { value, unit, label }, larger unit first
+   */
+  toCompound(value, unit, form) {
+    const [large, small] = form.units.map((code) => window.getUnit(code));
+    const perLarge = Math.round(large.toBase(1) / small.toBase(1));
+    const total = Math.round(this.convertUnits(value, unit, small.code));
+
+    return [
+      {
+        value: Math.trunc(total / perLarge),
+        unit: large,
+        label: form.labels[0],
+      },
+      { value: total % perLarge, unit: small, label: form.labels[1] },
+    ];
+  },
+
+  /**
+   * Format the number of a measurement, with fewer decimals for bigger
+   * values (12.6, 1,200, 0.25)
+   * @param {number} value - The value
+   * @param {string} [locale] - Locale to write the number in
+   * @returns {string} Formatted number
+   */
+  formatQuantity(value, locale = "en-US") {
+    const size = Math.abs(value);
+    const digits = size >= 100 ? 0 : size >= 10 ? 1 : 2;
+    return new Intl.NumberFormat(locale, {
+      maximumFractionDigits: digits,
+    }).format(value);
+  },
+
+  /**
+   * Format a measurement for display, with fewer decimals for bigger
+   * values ("12.6 in", "1,200 sq ft", "0.25 L")
+   * @param {number} value - The value
+   * @param {string} unit - Its unit code or symbol
+   * @param {string} [locale] - Locale to write the number in
+   * @returns {string} Formatted measurement
+   */
+  formatMeasurement(value, unit, locale = "en-US") {
+    const label = window.getUnit?.(unit)?.label || unit;
+    return `${this.formatQuantity(value, locale)} ${label}`;
+  },
+
+  /**
+   * Format a compound measurement ("5′ 11″", "3 lb 4 oz")
+   * @param {object[]} parts - Parts from toCompound
+   * @param {string} [locale] - Locale to write the numbers in
+   * @returns {string} Formatted measurement
+   */
+  formatCompound(parts, locale = "en-US") {
+    return parts
+      .map((part) => `${this.formatQuantity(part.value, locale)}${part.label}`)
+      .join(" ");
+  },
+
+  /**
+   * Format the sides of a measurement ("11.8 × 15.7 × 19.7 in")
+   * @param {number[]} values - The values
+   * @param {string} unit - Their unit code or symbol
+   * @param {string} [locale] - Locale to write the numbers in
+   * @returns {string} Formatted measurement
+   */
+  formatDimensions(values, unit, locale = "en-US") {
+    const label = window.getUnit?.(unit)?.label || unit;
+    const numbers = values.map((value) => this.formatQuantity(value, locale));
+    return `${numbers.join(" × ")} ${label}`;
+  },
+
+  /**
+   * Convert a clothing or shoe size into another region's sizing (see
+   * SIZE_CHARTS in sizes.config.js)
+   * @param {string} chartCode - Chart the size is from (e.g., 'shoes-men')
+   * @param {string} region - Region of the size (e.g., 'EU')
+   * @param {string} size - The size (e.g., '44')
+   * @param {string} targetRegion - Region to convert into (e.g., 'US')
+   * @returns {object|null} { region, size, measurement } (measurement:
+   *   { name, value, unit }), or null if the size isn't in the chart or is
+   *   already in that region
+   */
+  convertSize(chartCode, region, size, targetRegion) {
+    if (region === targetRegion) return null;
+    const row = window.findSizeRow?.(chartCode, region, size);
+    if (!row || !row.sizes[targetRegion]) return null;
+
+    return {
+      region: targetRegion,
+      size: row.sizes[targetRegion],
+      measurement: window.getSizeMeasurement(chartCode, region, size),
+    };
+  },
+
+  /**
+   * Convert a time of day written in one time zone into another, on the
+   * day it is now where it was written. Offsets of IANA zones are those of
+   * that day (daylight saving time included).
+   * @param {object} time - { hour, minute, zone } (hour 0-23; zone as
+   *   written: 'EST', 'UTC+5:30', 'Europe/Paris')
+   * @param {string} targetZone - IANA zone to convert into
+   * @param {Date} [now] - The current moment
+   * @returns {object|null} { date, source, dayShift } (date: the moment;
+   *   source: the resolved zone, see resolveTimeZone; dayShift: days the
+   *   target's date is ahead, -1 to 1), or null for unknown zones and
+   *   zones at the target's offset
+   */
+  convertTime(time, targetZone, now = new Date()) {
+    const source = window.resolveTimeZone?.(time.zone);
+    if (!source || !window.isValidTimeZone(targetZone)) return null;
+    const offsetAt = (date) =>
+      source.zone ? window.getTimeZoneOffset(source.zone, date) : source.offset;
+    const minutes = 60000;
+
+    // The written time on today's date there, then the offset of that
+    // moment (it differs from now's across a DST change)
+    const today = new Date(now.getTime() + offsetAt(now) * minutes);
+    const wallClock = Date.UTC(
+      today.getUTCFullYear(),
+      today.getUTCMonth(),
+      today.getUTCDate(),
+      time.hour,
+      time.minute,
+    );
+    const guess = new Date(wallClock - offsetAt(now) * minutes);
+    const date = new Date(wallClock - offsetAt(guess) * minutes);
+
+    const sourceOffset = offsetAt(date);
+    const targetOffset = window.getTimeZoneOffset(targetZone, date);
+    if (sourceOffset === targetOffset) return null;
+
+    const day = (offset) =>
+      Math.floor((date.getTime() + offset * minutes) / 86400000);
+    return { date, source, dayShift: day(targetOffset) - day(sourceOffset) };
+  },
+
+  /**
+   * Format a time of day as written, on a 12- or 24-hour clock ("3:00 PM",
+   * "15:00")
+   * @param {number} hour - Hour (0-23)
+   * @param {number} minute - Minute
+   * @param {string} format - '12h' or '24h'
+   * @param {string} [locale] - Locale to write the time in
+   * @returns {string} Formatted time
+   */
+  formatClock(hour, minute, format, locale = "en-US") {
+    return this.formatTime(
+      new Date(Date.UTC(1970, 0, 1, hour, minute)),
+      "UTC",
+      format,
+      locale,
+    );
+  },
+
+  /**
+   * Format a moment as a time of day in a time zone ("8:00 AM PDT")
+   * @param {Date} date - The moment
+   * @param {string} zone - IANA zone
+   * @param {string} format - '12h' or '24h'
+   * @param {string} [locale] - Locale to write the time in
+   * @param {boolean} [withZone] - Add the zone's short name
+   * @returns {string} Formatted time
+   */
+  formatTime(date, zone, format, locale = "en-US", withZone = false) {
+    return new Intl.DateTimeFormat(locale, {
+      hour: "numeric",
+      minute: "2-digit",
+      hourCycle: format === "12h" ? "h12" : "h23",
+      timeZone: zone,
+      ...(withZone && { timeZoneName: "short" }),
+    }).format(date);
   },
 
   /**
@@ -0,0 +1,302 @@
+/**
+ * Money
+ * Exact decimal money arithmetic: a money value is an integer amount of a
+ * currency's minor units (cents, fils, yen) plus its currency code, so
+ * conversions don't pick up floating-point drift and round only once.
+ *
+ * Decimals used along the way are { units, scale } pairs: the BigInt
+ * `units` divided by 10^scale ("12.345" is { units: 12345n, scale: 3 }).
+ */
+
+const Money = {
+  // Rounding modes: "half-even" (banker's rounding, 0.125 -> 0.12) and
+  // "half-up" (away from zero on a tie, 0.125 -> 0.13)
+  roundingModes: ["half-even", "half-up"],
+  defaultRounding: "half-even",
+
+  /**
+   * Read a number or numeric string as an exact decimal
+   * @param {number|string|object} value - e.g. 19.99, "1.5e-7", or a decimal
+   * @returns {object|null} { units, scale }, or null if it isn't a number
+   */
+  decimal(value) {
+    if (typeof value === "object" && value !== null) return value;
+
+    // String(number) gives the shortest text that reads back as the same
+    // number, so 0.1 is exactly 1/10 here
+    const match = String(value)
+      .trim()
+      .match(/^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i);
+    if (!match || (!match[2] && !match[3])) return null;
+
+    const [, sign, whole, fraction = "", exponent = "0"] = match;
+    let units = BigInt(`${whole}${fraction}` || "0");
+    let scale = fraction.length - parseInt(exponent, 10);
+    if (scale < 0) {
+      units *= 10n ** BigInt(-scale);
+      scale = 0;
+    }
+    return { units: sign === "-" ? -units : units, scale };
+  },
+
+  /**
+   * Divide two BigInts, rounding the quotient
+   * @param {bigint} numerator - Dividend
+   * @param {bigint} denominator - Divisor (not zero)
+   * @param {string} [rounding] - Rounding mode (see roundingModes)
+   * @returns {bigint} Rounded quotient
+   */
+  divide(numerator, denominator, rounding = this.defaultRounding) {
+    const negative = numerator < 0n !== denominator < 0n;
+    const n = numerator < 0n ? -numerator : numerator;
+    const d = denominator < 0n ? -denominator : denominator;
+
+    let quotient = n / d;
+    const twice = (n % d) * 2n;
+    if (
+      twice > d ||
+      (twice === d && (rounding === "half-up" || quotient % 2n === 1n))
+    ) {
+      quotient += 1n;
+    }
+    return negative ? -quotient : quotient;
+  },
+
+  /**
+   * Round a decimal to a number of fraction digits
+   * @param {number|string|object} value - The decimal
+   * @param {number} scale - Fraction digits to keep
+   * @param {string} [rounding] - Rounding mode (see roundingModes)
+   * @returns {bigint} The rounded value, in units of 10^-scale
+   */
+  rescale(value, scale, rounding) {
+    const { units, scale: from } = this.decimal(value);
+    if (from <= scale) return units * 10n ** BigInt(scale - from);
+    return this.divide(units, 10n ** BigInt(from - scale), rounding);
+  },
+
+  /**
+   * Multiply two decimals exactly
+   * @param {number|string|object} a - First factor
+   * @param {number|string|object} b - Second factor
+   * @returns {object} The product, as a decimal
+   */
+  multiply(a, b) {
+    const x = this.decimal(a);
+    const y = this.decimal(b);
+    return { units: x.units * y.units, scale: x.scale + y.scale };
+  },
+
+  /**
+   * Create a money value, rounding the amount to the currency's minor units
+   * @param {number|string|object} amount - Amount in major units (12.34)
+   * @param {string} currency - Currency code
+   * @param {string} [rounding] - Rounding mode (see roundingModes)
+   * @returns {object|null} { minor, currency }, or null if the amount isn't
+   *   a number
+   */
+  of(amount, currency, rounding) {
+    if (this.decimal(amount) === null) return null;
+    const minor = this.rescale(amount, this.minorUnits(currency), rounding);
+    return this.fromMinor(minor, currency);
+  },
+
+  /**
+   * Create a money value from an amount in minor units
+   * @param {bigint|number} minor - Amount in minor units (1234 for $12.34)
+   * @param {string} currency - Currency code
+   * @returns {object} { minor, currency }
+   */
+  fromMinor(minor, currency) {
+    return Object.freeze({ minor: BigInt(minor), currency });
+  },
+
+  /**
+   * Get the number of minor units digits of a currency
+   * @param {string} currency - Currency code
+   * @returns {number} Digits after the decimal point
+   */
+  minorUnits(currency) {
+    return window.getMinorUnits?.(currency) ?? 2;
+  },
+
+  /**
+   * Read a money value as an exact decimal
+   * @param {object} money - Money value
+   * @returns {object} { units, scale }
+   */
+  toDecimal(money) {
+    return { units: money.minor, scale: this.minorUnits(money.currency) };
+  },
+
+  /**
+   * Write a decimal as plain text ("-12.345", "1500")
+   * @param {object} value - The decimal
+   * @returns {string} Decimal text
+   */
+  formatDecimal({ units, scale }) {
+    const sign = units < 0n ? "-" : "";
+    const digits = (units < 0n ? -units : units)
+      .toString()
+      .padStart(scale + 1, "0");
+    if (scale === 0) return `${sign}${digits}`;
+    return `${sign}${digits.slice(0, -scale)}.${digits.slice(-scale)}`;
+  },
+
+  /**
+   * Write a money value's amount as plain decimal text ("12.30")
+   * @param {object} money - Money value
+   * @returns {string} Amount in major units
+   */
+  toDecimalString(money) {
+    return this.formatDecimal(this.toDecimal(money));
+  },
+
+  /**
+   * Read a money value's amount as a number (for display and storage; the
+   * amount has at most the currency's minor units, so nothing is lost)
+   * @param {object} money - Money value
+   * @returns {number} Amount in major units
+   */
+  toNumber(money) {
+    return Number(this.toDecimalString(money));
+  },
+
+  /**
+   * Add two money values of the same currency
+   * @param {object} a - Money value
+   * @param {object} b - Money value
+   * @returns {object} The sum
+   */
+  add(a, b) {
+    if (a.currency !== b.currency) {
+      throw new Error(`Cannot add ${b.currency} to ${a.currency}`);
+    }
+    return this.fromMinor(a.minor + b.minor, a.currency);
+  },
+
+  /**
+   * Negate a money value
+   * @param {object} money - Money value
+   * @returns {object} The same amount with the other sign
+   */
+  negate(money) {
+    return this.fromMinor(-money.minor, money.currency);
+  },
+
+  /**
+   * Convert a decimal amount between currencies exactly, through the rates'
+   * base currency, rounding once at the end
+   * @param {number|string|object} amount - Amount in major units of `from`
+   * @param {string} from - Source currency code
+   * @param {string} to - Target currency code
+   * @param {object} rates - Exchange rates: units of each currency per one
+   *   unit of the base currency
+   * @param {number} scale - Fraction digits of the result
+   * @param {string} [rounding] - Rounding mode (see roundingModes)
+   * @returns {object|null} The converted decimal, or null if a rate is
+   *   missing
+   */
+  exchange(amount, from, to, rates, scale, rounding) {
+    const value = this.decimal(amount);
+    if (value === null) return null;
+    if (from === to) {
+      return { units: this.rescale(value, scale, rounding), scale };
+    }
+
+    const fromRate = this.decimal(rates?.[from] ?? "");
+    const toRate = this.decimal(rates?.[to] ?? "");
+    if (!fromRate?.units || !toRate?.units) return null;
+
+    // amount / fromRate * toRate, scaled up by 10^scale
+    const pow = (n) => 10n ** BigInt(n);
+    const numerator =
+      value.units * toRate.units * pow(fromRate.scale) * pow(scale);
+    const denominator = pow(value.scale) * pow(toRate.scale) * fromRate.units;
+    return { units: this.divide(numerator, denominator, rounding), scale };
+  },
+
+  /**
+   * Convert a money value to another currency, rounded to its minor units
+   * @param {object} money - Money value
+   * @param {string} to - Target currency code
+   * @param {object} rates - Exchange rates (see exchange)
+   * @param {string} [rounding] - Rounding mode (see roundingModes)
+   * @returns {object|null} Converted money value, or null if a rate is
+   *   missing
+   */
+  convert(money, to, rates, rounding) {
+    const converted = this.exchange(
+      this.toDecimal(money),
+      money.currency,
+      to,
+      rates,
+      this.minorUnits(to),
+      rounding,
+    );
+    return converted && this.fromMinor(converted.units, to);
+  },
+
+  /**
+   * Get the exchange rate between two currencies (one `from` in `to`)
+   * @param {string} from - Source currency code
+   * @param {string} to - Target currency code
+   * @param {object} rates - Exchange rates (see exchange)
+   * @param {number} [digits] - Fraction digits to round to
+   * @param {string} [rounding] - Rounding mode (see roundingModes)
+   * @returns {string|null} The rate as decimal text ("83.5000"), or null
+   *   if a rate is missing
+   */
+  rate(from, to, rates, digits = 4, rounding) {
+    const rate = this.exchange(1, from, to, rates, digits, rounding);
+    return rate && this.formatDecimal(rate);
+  },
+
+  /**
+   * Round a money value to a multiple of a step (cash rounding: CHF 0.05)
+   * @param {object} money - Money value
+   * @param {number|string} step - Step in major units
+   * @param {string} [rounding] - Rounding mode (see roundingModes)
+   * @returns {object} Rounded money value
+   */
+  roundToStep(money, step, rounding) {
+    const stepMinor = this.rescale(step, this.minorUnits(money.currency));
+    if (stepMinor <= 0n) return money;
+
+    const steps = this.divide(money.minor, stepMinor, rounding);
+    return this.fromMinor(steps * stepMinor, money.currency);
+  },
+
+  /**
+   * Create a money value rounded straight to a multiple of a step, without
+   * rounding to minor units first (CHF 12.325 to 0.05 is 12.35 half-up;
+   * 12.32 first would make it 12.30)
+   * @param {number|string|object} amount - Amount in major units
+   * @param {string} currency - Currency code
+   * @param {number|string} step - Step in major units
+   * @param {string} [rounding] - Rounding mode (see roundingModes)
+   * @returns {object|null} Rounded money value, or null if the amount isn't
+   *   a number
+   */
+  ofStep(amount, currency, step, rounding) {
+    const value = this.decimal(amount);
+    if (value === null) return null;
+    const scale = this.minorUnits(currency);
+    const stepMinor = this.rescale(step, scale);
+    if (stepMinor <= 0n) return this.of(amount, currency, rounding);
+
+    // amount / step, both brought to the finer of the two scales
+    const pow = (n) => 10n ** BigInt(Math.max(n, 0));
+    const steps = this.divide(
+      value.units * pow(scale - value.scale),
+      stepMinor * pow(value.scale - scale),
+      rounding,
+    );
+    return this.fromMinor(steps * stepMinor, currency);
+  },
+};
+
+// Make available globally
+if (typeof window !== "undefined") {
+  window.Money = Money;
+}
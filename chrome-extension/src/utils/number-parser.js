@@ -0,0 +1,219 @@
+/**
+ * Locale-aware number parsing
+ * Reads amounts written with comma or dot decimals and dot, comma,
+ * apostrophe or (thin / non-breaking) space digit grouping
+ */
+
+const NumberParser = {
+  // Regex source matching a formatted amount (digits plus separators).
+  // Plain ASCII spaces are deliberately not treated as grouping so that
+  // neighbouring numbers ("$10 100 pieces") are not merged.
+  amountPattern:
+    "\\d+(?:[,.]\\d{2,3}(?!\\d)|[\\u00A0\\u202F\\u2009'’]\\d{3}(?!\\d))*(?:[.,]\\d{1,2})?",
+
+  // The same for an amount a currency symbol follows ("1 234,56 zł",
+  // "1 299 kr"), where plain spaces do group digits: nothing can follow
+  // to be merged with
+  suffixAmountPattern:
+    "\\d+(?:[,.]\\d{2,3}(?!\\d)|[ \\u00A0\\u202F\\u2009'’]\\d{3}(?!\\d))*(?:[.,]\\d{1,2})?",
+
+  // Magnitude suffixes and words written after an amount ("$1.5M",
+  // "₹45 lakh", "2 Mio. €"), with the compact style they belong to.
+  // Attached tokens must follow the digits directly ("$5m", not "$5 m").
+  magnitudes: [
+    { tokens: ["k", "K"], factor: 1e3, style: "short", attached: true },
+    { tokens: ["thousand"], factor: 1e3, style: "short" },
+    { tokens: ["m", "M"], factor: 1e6, style: "short", attached: true },
+    { tokens: ["mn", "million", "millions"], factor: 1e6, style: "short" },
+    { tokens: ["b", "B"], factor: 1e9, style: "short", attached: true },
+    { tokens: ["bn", "billion", "billions"], factor: 1e9, style: "short" },
+    { tokens: ["T"], factor: 1e12, style: "short", attached: true },
+    { tokens: ["tn", "trillion"], factor: 1e12, style: "short" },
+    {
+      tokens: ["L", "lakh", "lakhs", "lac", "lacs"],
+      factor: 1e5,
+      style: "indian",
+    },
+    { tokens: ["Cr", "cr", "crore", "crores"], factor: 1e7, style: "indian" },
+    { tokens: ["Tsd.", "Tsd"], factor: 1e3, style: "european" },
+    { tokens: ["Mio.", "Mio", "Millionen"], factor: 1e6, style: "european" },
+    {
+      tokens: ["Mrd.", "Mrd", "Md", "Milliarden", "milliards"],
+      factor: 1e9,
+      style: "european",
+    },
+  ],
+
+  // Characters that are only ever used for digit grouping
+  groupingOnlyChars: /[\s'’]/g,
+
+  // Cache of locale -> decimal separator
+  decimalSeparators: {},
+
+  /**
+   * Get the decimal separator used by a locale
+   * @param {string} locale - BCP 47 locale (e.g., 'de-DE')
+   * @returns {string|null} "." or "," (null if the locale is unknown)
+   */
+  getDecimalSeparator(locale) {
+    if (!locale) return null;
+    if (locale in this.decimalSeparators) {
+      return this.decimalSeparators[locale];
+    }
+
+    let separator = null;
+    try {
+      const parts = new Intl.NumberFormat(locale).formatToParts(1.5);
+      const decimal = parts.find((p) => p.type === "decimal");
+      separator = decimal ? decimal.value : null;
+    } catch (e) {
+      // Invalid locale tag, ignore
+    }
+
+    this.decimalSeparators[locale] = separator;
+    return separator;
+  },
+
+  /**
+   * Look up a magnitude suffix or word
+   * @param {string} token - Token as written (e.g., 'M', 'lakh', 'Mio.')
+   * @returns {object|null} { factor, style } or null if unknown
+   */
+  getMagnitude(token) {
+    if (!token) return null;
+    const text = token.trim();
+
+    // Words match in any case ("Million"); abbreviations are case-sensitive
+    // so "CR" (credit) isn't read as crore
+    const entry = this.magnitudes.find((m) =>
+      m.tokens.some(
+        (t) =>
+          t === text ||
+          (t.length > 3 && t.toLowerCase() === text.toLowerCase()),
+      ),
+    );
+    return entry ? { factor: entry.factor, style: entry.style } : null;
+  },
+
+  /**
+   * Build the regex source matching a magnitude written after an amount
+   * @returns {string} Regex source (matches the optional leading space too)
+   */
+  getMagnitudePattern() {
+    const escape = (t) => t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const anyCase = (t) =>
+      Array.from(t)
+        .map((c) =>
+          c.toLowerCase() !== c.toUpperCase()
+            ? `[${c.toUpperCase()}${c.toLowerCase()}]`
+            : escape(c),
+        )
+        .join("");
+    const byLength = (a, b) => b.length - a.length;
+
+    const attached = this.magnitudes
+      .filter((m) => m.attached)
+      .flatMap((m) => m.tokens);
+    const spaced = this.magnitudes
+      .filter((m) => !m.attached)
+      .flatMap((m) => m.tokens)
+      .sort(byLength)
+      .map((t) => (t.length > 3 ? anyCase(t) : escape(t)));
+
+    // The token must end the word ("$5 more" has no magnitude)
+    return `(?:\\s?(?:${spaced.join("|")})|(?:${attached.map(escape).join("|")}))(?![\\p{L}\\d])`;
+  },
+
+  /**
+   * Decide whether a lone separator followed by exactly three digits is a
+   * decimal point ("1.234" = 1.234) or a thousands separator (= 1234)
+   * @param {string} separator - "." or ","
+   * @param {object} hints - Parsing hints (see parse)
+   * @returns {boolean} True if the separator should be read as decimal
+   */
+  isAmbiguousSeparatorDecimal(separator, hints) {
+    // Amounts that can't carry three fraction digits (most prices) must
+    // be using the separator for grouping
+    if (
+      typeof hints.maxFractionDigits === "number" &&
+      hints.maxFractionDigits < 3
+    ) {
+      return false;
+    }
+
+    const locales = (hints.locales || []).filter(Boolean);
+    for (const locale of locales) {
+      const decimal = this.getDecimalSeparator(locale);
+      if (decimal) return decimal === separator;
+    }
+
+    return false;
+  },
+
+  /**
+   * Parse a formatted number string
+   * @param {string} text - The number text (e.g., '1.234,56', "1'299.00")
+   * @param {object} hints - Optional parsing hints
+   * @param {string[]} hints.locales - Locales to consult, most specific first
+   * @param {number} hints.maxFractionDigits - Most fraction digits the value can have
+   * @returns {number|null} Parsed number or null if the text isn't a number
+   */
+  parse(text, hints = {}) {
+    if (typeof text !== "string") return null;
+
+    const str = text.trim().replace(this.groupingOnlyChars, "");
+    if (!/^\d[\d.,]*$/.test(str) || /[.,]$/.test(str)) return null;
+
+    const lastComma = str.lastIndexOf(",");
+    const lastDot = str.lastIndexOf(".");
+    let decimalSeparator = null;
+
+    if (lastComma !== -1 && lastDot !== -1) {
+      // Both present: whichever comes last is the decimal separator
+      decimalSeparator = lastComma > lastDot ? "," : ".";
+
+      // ...so more fraction digits than the value can have (beyond
+      // trailing zeros) make it no amount at all: "$1,234.567"
+      const fraction = str.slice(Math.max(lastComma, lastDot) + 1);
+      if (
+        typeof hints.maxFractionDigits === "number" &&
+        /[1-9]/.test(fraction.slice(hints.maxFractionDigits))
+      ) {
+        return null;
+      }
+    } else if (lastComma !== -1 || lastDot !== -1) {
+      const separator = lastComma !== -1 ? "," : ".";
+      const parts = str.split(separator);
+
+      if (parts.length === 2) {
+        const [intPart, fracPart] = parts;
+        if (fracPart.length !== 3) {
+          // "12,50", "10.5" - only a decimal reading makes sense
+          decimalSeparator = separator;
+        } else if (intPart.length > 3 || /^0+$/.test(intPart)) {
+          // "1234.567", "0,500" - can't be a thousands separator
+          decimalSeparator = separator;
+        } else if (this.isAmbiguousSeparatorDecimal(separator, hints)) {
+          decimalSeparator = separator;
+        }
+      }
+    }
+
+    let normalized = str;
+    if (decimalSeparator) {
+      const index = str.lastIndexOf(decimalSeparator);
+      const intPart = str.slice(0, index).replace(/[.,]/g, "");
+      normalized = `${intPart}.${str.slice(index + 1)}`;
+    } else {
+      normalized = str.replace(/[.,]/g, "");
+    }
+
+    const value = parseFloat(normalized);
+    return isNaN(value) ? null : value;
+  },
+};
+
+// Make available globally
+if (typeof window !== "undefined") {
+  window.NumberParser = NumberParser;
+}
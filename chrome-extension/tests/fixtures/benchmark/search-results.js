@@ -0,0 +1,48 @@
+/**
+ * Benchmark fixture: a search results page with many priced items, in the
+ * shape of large shop listings (cards with a title, rating, price and a
+ * struck-through list price; every tenth card shows a range)
+ */
+
+// Price text formats the cards cycle through
+const FORMATS = [
+  (n) => `$${n}.99`,
+  (n) => `€${n},50`,
+  (n) => `₹${n},999`,
+  (n) => `£${n}.00`,
+  (n) => `${n} kr`,
+];
+
+/**
+ * Build the HTML of one result card
+ * @param {number} i - Card index
+ * @returns {string} HTML
+ */
+function card(i) {
+  const format = FORMATS[i % FORMATS.length];
+  const amount = 10 + (i % 90);
+  const price =
+    i % 10 === 9
+      ? `${format(amount)} – ${format(amount + 10)}`
+      : format(amount);
+
+  return `<li class="result">
+  <h3 class="result__title">Item ${i} with a longer description line</h3>
+  <div class="result__rating">4.${i % 10} out of 5 stars (${100 + i})</div>
+  <div class="result__offer"><span>${price}</span> <s>List: ${format(amount + 5)}</s></div>
+  <p class="result__shipping">Free delivery in ${1 + (i % 5)} days</p>
+</li>`;
+}
+
+/**
+ * Build a results page
+ * @param {number} count - Number of cards (each has two prices)
+ * @returns {string} HTML
+ */
+export function buildSearchResults(count) {
+  const cards = [];
+  for (let i = 0; i < count; i++) {
+    cards.push(card(i));
+  }
+  return `<ul class="results">${cards.join("")}</ul>`;
+}
@@ -5,20 +5,38 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+/**
+ * Create a window-like object that includes global browser APIs
+ * @returns {object} Fresh window context
+ */
+export function createWindowContext() {
+  return {
+    getComputedStyle: global.window.getComputedStyle.bind(global.window)
+  };
+}
+
+/**
+ * Load several source files into one shared window context, in order
+ * (mirrors the content_scripts order in manifest.json)
+ * @param {string[]} relativePaths - Paths relative to chrome-extension directory
+ * @returns {object} The window object with loaded modules
+ */
+export function loadWindowModules(relativePaths) {
+  const windowContext = createWindowContext();
+  relativePaths.forEach(p => loadWindowModule(p, windowContext));
+  return windowContext;
+}
+
 /**
  * Load a source file that uses window.X = {...} pattern into a test context
  * @param {string} relativePath - Path relative to chrome-extension directory
+ * @param {object} [windowContext] - Existing window object to load into (to share modules)
  * @returns {object} The window object with loaded modules
  */
-export function loadWindowModule(relativePath) {
+export function loadWindowModule(relativePath, windowContext = createWindowContext()) {
   const absolutePath = path.resolve(__dirname, '../../', relativePath);
   const code = fs.readFileSync(absolutePath, 'utf-8');
 
-  // Create a window-like object that includes global browser APIs
-  const windowContext = {
-    getComputedStyle: global.window.getComputedStyle.bind(global.window)
-  };
-
   // Create a context object that mimics the browser environment
   const context = {
     window: windowContext,
@@ -39,15 +57,121 @@ export function loadWindowModule(relativePath) {
  * @returns {object} The Converters object
  */
 export function loadConverters() {
-  const window = loadWindowModule('src/utils/converters.js');
+  const window = loadWindowModules([
+    'src/config/currencies.config.js',
+    'src/config/units.config.js',
+    'src/config/ingredients.config.js',
+    'src/config/sizes.config.js',
+    'src/config/timezones.config.js',
+    'src/utils/money.js',
+    'src/utils/converters.js'
+  ]);
   return window.Converters;
 }
 
+/**
+ * Load the Money module (with the registry it reads minor units from)
+ * @returns {object} The Money object
+ */
+export function loadMoney() {
+  const window = loadWindowModules([
+    'src/config/currencies.config.js',
+    'src/utils/money.js'
+  ]);
+  return window.Money;
+}
+
+/**
+ * Load the NumberParser module
+ * @returns {object} The NumberParser object
+ */
+export function loadNumberParser() {
+  const window = loadWindowModule('src/utils/number-parser.js');
+  return window.NumberParser;
+}
+
+/**
+ * Load the CurrencyResolver module (with the registry, structured data and site adapters it reads)
+ * @returns {object} The CurrencyResolver object
+ */
+export function loadCurrencyResolver() {
+  const window = loadWindowModules([
+    'src/config/currencies.config.js',
+    'src/utils/number-parser.js',
+    'src/content/structured-data.js',
+    'src/content/site-adapters.js',
+    'src/content/currency-resolver.js'
+  ]);
+  return window.CurrencyResolver;
+}
+
+/**
+ * Load the StructuredData module
+ * @returns {object} The StructuredData object
+ */
+export function loadStructuredData() {
+  const window = loadWindowModules([
+    'src/config/currencies.config.js',
+    'src/utils/number-parser.js',
+    'src/content/structured-data.js'
+  ]);
+  return window.StructuredData;
+}
+
+/**
+ * Load the content script modules PriceDetector depends on, in manifest order
+ * @returns {object} The window object with the loaded modules
+ */
+export function loadContentModules() {
+  return loadWindowModules([
+    'src/config/currencies.config.js',
+    'src/config/units.config.js',
+    'src/config/ingredients.config.js',
+    'src/config/sizes.config.js',
+    'src/config/timezones.config.js',
+    'src/utils/money.js',
+    'src/utils/number-parser.js',
+    'src/content/structured-data.js',
+    'src/content/site-adapters.js',
+    'src/content/currency-resolver.js',
+    'src/content/price-scorer.js',
+    'src/content/detector.js',
+    'src/content/mark-tracker.js',
+    'src/content/unit-detector.js',
+    'src/content/time-detector.js',
+    'src/content/size-detector.js',
+    'src/content/scan-scheduler.js'
+  ]);
+}
+
 /**
  * Load the PriceDetector module
  * @returns {object} The PriceDetector object
  */
 export function loadPriceDetector() {
-  const window = loadWindowModule('src/content/detector.js');
-  return window.PriceDetector;
+  return loadContentModules().PriceDetector;
+}
+
+/**
+ * Load the UnitDetector module
+ * @returns {object} The UnitDetector object
+ */
+export function loadUnitDetector() {
+  return loadContentModules().UnitDetector;
+}
+
+/**
+ * Load the TimeDetector module
+ * @returns {object} The TimeDetector object
+ */
+export function loadTimeDetector() {
+  return loadContentModules().TimeDetector;
+}
+
+/**
+ * Load the SizeDetector module
+ * @returns {object} The SizeDetector object
+ */
+export function loadSizeDetector() {
+  return loadContentModules().SizeDetector;
 }
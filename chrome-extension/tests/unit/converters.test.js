@@ -1,5 +1,5 @@
 import { describe, it, expect, beforeEach } from "vitest";
-import { loadConverters } from "../helpers/load-module.js";
+import { loadConverters, loadMoney } from "../helpers/load-module.js";
 
 describe("Converters", () => {
   let Converters;
@@ -71,6 +71,18 @@ describe("Converters", () => {
       expect(result).toBeCloseTo(83.5 / 0.79, 1);
     });
 
+    it("should not drift between very different magnitudes", () => {
+      const result = Converters.convertCurrency(1000000, "IDR", "KWD", {
+        IDR: 15750.5,
+        KWD: 0.3075,
+      });
+      expect(result).toBe(19.52318974);
+    });
+
+    it("should return NaN when a rate is missing", () => {
+      expect(Converters.convertCurrency(1, "USD", "XYZ", rates)).toBeNaN();
+    });
+
     it("should convert EUR to GBP correctly", () => {
       const result = Converters.convertCurrency(100, "EUR", "GBP", rates);
       expect(result).toBeCloseTo((100 / 0.92) * 0.79, 2);
@@ -122,6 +134,30 @@ describe("Converters", () => {
       expect(Converters.formatCurrency(100000, "INR")).toBe("₹1,00,000.00");
     });
 
+    it("should format with the locale from the currency registry", () => {
+      expect(Converters.formatCurrency(1234.56, "CHF")).toContain("1’234.56");
+      expect(Converters.formatCurrency(1234.56, "PLN")).toContain("1234,56");
+    });
+
+    it("should write negative amounts the currency's locale way", () => {
+      expect(Converters.formatCurrency(-25, "USD")).toBe("-$25.00");
+      expect(Converters.formatCurrency(-25, "EUR")).toMatch(/^-25,00\s€$/);
+    });
+
+    it("should use accounting parentheses where the locale does", () => {
+      const accounting = { accounting: true };
+      expect(Converters.formatCurrency(-25, "USD", accounting)).toBe(
+        "($25.00)",
+      );
+      expect(Converters.formatCurrency(25, "USD", accounting)).toBe("$25.00");
+    });
+
+    it("should show each currency's ISO 4217 minor units", () => {
+      expect(Converters.formatCurrency(1500, "JPY")).toMatch(/^￥1,500$/);
+      expect(Converters.formatCurrency(12.345, "KWD")).toContain("12.345");
+      expect(Converters.formatCurrency(12.3, "KWD")).toContain("12.300");
+    });
+
     it("should handle unknown currency codes gracefully", () => {
       const result = Converters.formatCurrency(100, "JPY");
       expect(result).toBeDefined();
@@ -129,6 +165,78 @@ describe("Converters", () => {
     });
   });
 
+  describe("formatMoney", () => {
+    it("should format a money value", () => {
+      const Money = loadMoney();
+      expect(Converters.formatMoney(Money.of(1234.5, "USD"))).toBe("$1,234.50");
+      expect(
+        Converters.formatMoney(Money.of(-25, "USD"), { accounting: true }),
+      ).toBe("($25.00)");
+    });
+  });
+
+  describe("roundToCash", () => {
+    it("should round to the currency's smallest coin", () => {
+      expect(Converters.roundToCash(12.34, "CHF")).toBe(12.35);
+      expect(Converters.roundToCash(12.32, "CHF")).toBe(12.3);
+      expect(Converters.roundToCash(99.5, "SEK")).toBe(100);
+      expect(Converters.roundToCash(-12.34, "CHF")).toBe(-12.35);
+    });
+
+    it("should round a tie between coins up from the exact amount", () => {
+      expect(Converters.roundToCash(12.325, "CHF")).toBe(12.35);
+      expect(Converters.roundToCash(12.324, "CHF")).toBe(12.3);
+      expect(Converters.roundToCash(-12.325, "CHF")).toBe(-12.35);
+    });
+
+    it("should round money values", () => {
+      const Money = loadMoney();
+      expect(Converters.roundToCash(Money.of(12.34, "CHF"))).toEqual(
+        Money.of(12.35, "CHF"),
+      );
+    });
+
+    it("should leave currencies paid to the minor unit alone", () => {
+      expect(Converters.roundToCash(12.34, "USD")).toBe(12.34);
+      expect(Converters.roundToCash(12.34, "XYZ")).toBe(12.34);
+    });
+  });
+
+  describe("formatCompactCurrency", () => {
+    it("should use k/M/B for the short style", () => {
+      expect(Converters.formatCompactCurrency(1500000, "USD", "short")).toBe(
+        "$1.5M",
+      );
+      expect(Converters.formatCompactCurrency(250000, "GBP", "short")).toBe(
+        "£250K",
+      );
+    });
+
+    it("should use lakh and crore for the Indian style", () => {
+      expect(Converters.formatCompactCurrency(4500000, "INR", "indian")).toBe(
+        "₹45L",
+      );
+      expect(Converters.formatCompactCurrency(32000000, "INR", "indian")).toBe(
+        "₹3.2Cr",
+      );
+    });
+
+    it("should use Mio./Mrd. for the European style", () => {
+      const result = Converters.formatCompactCurrency(
+        2000000000,
+        "EUR",
+        "european",
+      );
+      expect(result).toMatch(/^2\sMrd\.\s€$/);
+    });
+
+    it("should fall back to the full amount for unknown styles", () => {
+      expect(Converters.formatCompactCurrency(1500, "USD", "other")).toBe(
+        "$1,500.00",
+      );
+    });
+  });
+
   describe("convertUnits", () => {
     it("should convert cm to inches", () => {
       const result = Converters.convertUnits(100, "cm", "inches");
@@ -172,6 +280,305 @@ describe("Converters", () => {
       // No direct same-unit mapping, so returns original value
       expect(Converters.convertUnits(100, "cm", "cm")).toBe(100);
     });
+
+    it.each([
+      [36.6, "°C", "°F", 97.88],
+      [98.6, "°F", "°C", 37],
+      [-40, "°C", "°F", -40],
+      [0, "°C", "kelvin", 273.15],
+      [32, "°F", "kelvins", 273.15],
+    ])("should convert %s %s to %s with the offset", (value, from, to, to_) => {
+      expect(Converters.convertUnits(value, from, to)).toBeCloseTo(to_, 2);
+    });
+
+    it("should convert fuel economy as an inverse", () => {
+      expect(Converters.convertUnits(30, "mpg", "L/100 km")).toBeCloseTo(
+        7.84,
+        2,
+      );
+      expect(Converters.convertUnits(5, "L/100 km", "mpg")).toBeCloseTo(
+        47.04,
+        2,
+      );
+      expect(Converters.convertUnits(20, "km/L", "L/100 km")).toBe(5);
+    });
+
+    it("should convert gas marks along their table", () => {
+      expect(Converters.convertUnits(4, "gasmark", "°F")).toBeCloseTo(350, 6);
+      expect(Converters.convertUnits(0.5, "gasmark", "°F")).toBeCloseTo(250, 2);
+      expect(Converters.convertUnits(190, "°C", "gasmark")).toBeCloseTo(5, 0);
+    });
+
+    it("should not convert between dimensions", () => {
+      expect(Converters.convertUnits(20, "°C", "kg")).toBe(20);
+    });
+  });
+
+  describe("convertMeasurement", () => {
+    it("should convert into the other system, in a unit that suits", () => {
+      const inches = Converters.convertMeasurement(32, "cm", "us");
+      expect(inches.unit.code).toBe("in");
+      expect(inches.value).toBeCloseTo(12.6, 1);
+
+      const kg = Converters.convertMeasurement(5.5, "lbs", "metric");
+      expect(kg.unit.code).toBe("kg");
+      expect(kg.value).toBeCloseTo(2.49, 2);
+
+      const sqm = Converters.convertMeasurement(1200, "sq ft", "metric");
+      expect(sqm.unit.code).toBe("m2");
+      expect(sqm.value).toBeCloseTo(111.48, 2);
+    });
+
+    it("should convert temperatures and fuel economy", () => {
+      const fahrenheit = Converters.convertMeasurement(36.6, "°C", "us");
+      expect(fahrenheit.unit.code).toBe("f");
+      expect(fahrenheit.value).toBeCloseTo(97.88, 2);
+
+      const celsius = Converters.convertMeasurement(-4, "°F", "metric");
+      expect(celsius.unit.code).toBe("c");
+      expect(celsius.value).toBeCloseTo(-20, 6);
+
+      const litres = Converters.convertMeasurement(40, "mpg", "metric");
+      expect(litres.unit.code).toBe("l100km");
+      expect(litres.value).toBeCloseTo(5.88, 2);
+    });
+
+    it("should tell US and UK gallons apart", () => {
+      const imperial = Converters.convertMeasurement(2, "gallons", "uk");
+      expect(imperial.unit.code).toBe("ukgal");
+      expect(imperial.value).toBeCloseTo(1.665, 3);
+
+      const pints = Converters.convertMeasurement(1, "imperial pints", "us");
+      expect(pints.unit.code).toBe("floz");
+      expect(pints.value).toBeCloseTo(19.22, 2);
+    });
+
+    it("should give UK body weights in stones and pounds", () => {
+      const weight = Converters.convertMeasurement(75, "kg", "uk");
+      expect(weight.unit.code).toBe("lb");
+      expect(Converters.formatCompound(weight.parts)).toBe("11 st 11 lb");
+    });
+
+    it("should not convert units the UK shares with the US or metric", () => {
+      expect(Converters.convertMeasurement(5, "ft", "uk")).toBeNull();
+      expect(Converters.convertMeasurement(20, "°C", "uk")).toBeNull();
+      expect(Converters.convertMeasurement(68, "°F", "uk").unit.code).toBe("c");
+    });
+
+    it("should not convert within a system", () => {
+      expect(Converters.convertMeasurement(32, "cm", "metric")).toBeNull();
+      expect(Converters.convertMeasurement(5, "lb", "us")).toBeNull();
+    });
+
+    it("should return null for unknown units", () => {
+      expect(Converters.convertMeasurement(5, "parsecs", "us")).toBeNull();
+    });
+
+    it("should convert kitchen measures into kitchen measures", () => {
+      const ml = Converters.convertMeasurement(2, "tbsp", "metric");
+      expect(ml.unit.code).toBe("ml");
+      expect(ml.value).toBeCloseTo(29.57, 2);
+
+      const cups = Converters.convertMeasurement(250, "ml", "us", true);
+      expect(cups.unit.code).toBe("cup");
+      expect(cups.value).toBeCloseTo(1.06, 2);
+      expect(Converters.convertMeasurement(250, "ml", "us").unit.code).toBe(
+        "floz",
+      );
+    });
+  });
+
+  describe("convertIngredient", () => {
+    it("should give a volume of an ingredient its weight", () => {
+      const { volume, weight } = Converters.convertIngredient(
+        2,
+        "cups",
+        "flour",
+        "metric",
+      );
+      expect(volume.unit.code).toBe("ml");
+      expect(volume.value).toBeCloseTo(473.18, 2);
+      expect(weight.unit.code).toBe("g");
+      expect(weight.value).toBeCloseTo(250, 0);
+    });
+
+    it("should keep the side already in the system", () => {
+      const { volume, weight } = Converters.convertIngredient(
+        1,
+        "stick",
+        "butter",
+        "us",
+      );
+      expect(volume).toMatchObject({ value: 1, unit: { code: "stick" } });
+      expect(weight.unit.code).toBe("oz");
+      expect(weight.value).toBeCloseTo(4, 1);
+    });
+
+    it("should give a weight of an ingredient its volume", () => {
+      const { volume, weight } = Converters.convertIngredient(
+        200,
+        "g",
+        "sugar",
+        "us",
+      );
+      expect(volume.unit.code).toBe("cup");
+      expect(volume.value).toBeCloseTo(1, 1);
+      expect(weight.unit.code).toBe("oz");
+      expect(weight.value).toBeCloseTo(7.05, 2);
+    });
+
+    it("should return null for unknown ingredients and other dimensions", () => {
+      expect(
+        Converters.convertIngredient(2, "cups", "gravel", "us"),
+      ).toBeNull();
+      expect(Converters.convertIngredient(2, "cm", "flour", "us")).toBeNull();
+    });
+  });
+
+  describe("compound measurements", () => {
+    it("should give heights in feet and inches", () => {
+      const height = Converters.convertMeasurement(180, "cm", "us");
+      expect(Converters.formatCompound(height.parts)).toBe("5′ 11″");
+      expect(
+        Converters.convertMeasurement(32, "cm", "us").parts,
+      ).toBeUndefined();
+    });
+
+    it("should carry a rounded-up smaller unit", () => {
+      const form = { units: ["ft", "in"], labels: ["′", "″"] };
+      expect(
+        Converters.formatCompound(Converters.toCompound(5.99, "ft", form)),
+      ).toBe("6′ 0″");
+    });
+
+    it("should write pounds and ounces spaced out", () => {
+      const form = { units: ["lb", "oz"], labels: [" lb", " oz"] };
+      expect(
+        Converters.formatCompound(Converters.toCompound(3.25, "lb", form)),
+      ).toBe("3 lb 4 oz");
+    });
+
+    it("should convert a compound into a single metric unit", () => {
+      const metres = Converters.convertMeasurement(5 + 11 / 12, "ft", "metric");
+      expect(metres.unit.code).toBe("m");
+      expect(metres.value).toBeCloseTo(1.803, 3);
+      expect(metres.parts).toBeUndefined();
+    });
+  });
+
+  describe("convertDimensions", () => {
+    it("should convert every side into the unit of the longest", () => {
+      const converted = Converters.convertDimensions([30, 40, 50], "cm", "us");
+      expect(converted.unit.code).toBe("in");
+      expect(Converters.formatDimensions(converted.values, "in")).toBe(
+        "11.8 × 15.7 × 19.7 in",
+      );
+    });
+
+    it("should not convert within a system", () => {
+      expect(Converters.convertDimensions([30, 40], "cm", "metric")).toBeNull();
+    });
+  });
+
+  describe("convertSize", () => {
+    it("should convert a size into another region's", () => {
+      expect(Converters.convertSize("shoes-men", "EU", "44", "US")).toEqual({
+        region: "US",
+        size: "10",
+        measurement: { name: "Foot length", value: 28, unit: "cm" },
+      });
+      expect(
+        Converters.convertSize("clothing-kids", "US", "2T", "EU").size,
+      ).toBe("92");
+    });
+
+    it("should not convert within a region or sizes not in the chart", () => {
+      expect(Converters.convertSize("shoes-men", "EU", "44", "EU")).toBeNull();
+      expect(Converters.convertSize("shoes-men", "EU", "60", "US")).toBeNull();
+    });
+  });
+
+  describe("convertTime", () => {
+    const summer = new Date("2026-07-15T12:00:00Z");
+    const winter = new Date("2026-01-15T12:00:00Z");
+
+    it("should convert a time at a fixed offset", () => {
+      const { date, dayShift } = Converters.convertTime(
+        { hour: 15, minute: 0, zone: "EST" },
+        "Europe/Berlin",
+        winter,
+      );
+      expect(date.toISOString()).toBe("2026-01-15T20:00:00.000Z");
+      expect(dayShift).toBe(0);
+      expect(Converters.formatTime(date, "Europe/Berlin", "24h")).toBe("21:00");
+    });
+
+    it("should take the offset of an IANA zone on that day", () => {
+      const time = { hour: 9, minute: 0, zone: "PT" };
+      expect(
+        Converters.convertTime(time, "UTC", summer).date.toISOString(),
+      ).toBe("2026-07-15T16:00:00.000Z");
+      expect(
+        Converters.convertTime(time, "UTC", winter).date.toISOString(),
+      ).toBe("2026-01-15T17:00:00.000Z");
+    });
+
+    it("should tell when the time falls on another day", () => {
+      const late = Converters.convertTime(
+        { hour: 23, minute: 59, zone: "PST" },
+        "Asia/Kolkata",
+        winter,
+      );
+      expect(late.dayShift).toBe(1);
+      expect(Converters.formatTime(late.date, "Asia/Kolkata", "12h")).toBe(
+        "1:29 PM",
+      );
+
+      const early = Converters.convertTime(
+        { hour: 2, minute: 0, zone: "UTC+5:30" },
+        "America/New_York",
+        winter,
+      );
+      expect(early.dayShift).toBe(-1);
+    });
+
+    it("should not convert a time at the target's offset", () => {
+      expect(
+        Converters.convertTime(
+          { hour: 9, minute: 0, zone: "CEST" },
+          "Europe/Paris",
+          summer,
+        ),
+      ).toBeNull();
+      expect(
+        Converters.convertTime(
+          { hour: 9, minute: 0, zone: "XYZ" },
+          "Europe/Paris",
+          summer,
+        ),
+      ).toBeNull();
+    });
+  });
+
+  describe("formatClock", () => {
+    it("should write a time on the chosen clock", () => {
+      expect(Converters.formatClock(15, 0, "12h")).toBe("3:00 PM");
+      expect(Converters.formatClock(15, 0, "24h")).toBe("15:00");
+      expect(Converters.formatClock(0, 5, "24h")).toBe("00:05");
+      expect(Converters.formatClock(0, 5, "12h")).toBe("12:05 AM");
+    });
+  });
+
+  describe("formatMeasurement", () => {
+    it("should use fewer decimals for bigger values", () => {
+      expect(Converters.formatMeasurement(12.598, "in")).toBe("12.6 in");
+      expect(Converters.formatMeasurement(1200.4, "sqft")).toBe("1,200 sq ft");
+      expect(Converters.formatMeasurement(0.25, "l")).toBe("0.25 L");
+    });
+
+    it("should write the number in the locale given", () => {
+      expect(Converters.formatMeasurement(2.5, "kg", "de-DE")).toBe("2,5 kg");
+    });
   });
 
   describe("formatUnit", () => {
@@ -2,13 +2,17 @@ import { describe, it, expect, beforeEach } from 'vitest';
 import { loadWindowModule } from '../helpers/load-module.js';
 
 describe('CurrenciesConfig', () => {
-  let SUPPORTED_CURRENCIES, LOCALE_CURRENCY_MAP, getDefaultHomeCurrency;
+  let SUPPORTED_CURRENCIES, LOCALE_CURRENCY_MAP, getDefaultHomeCurrency, getCurrencySymbols;
+  let getMinorUnits, getCashRounding;
 
   beforeEach(() => {
     const window = loadWindowModule('src/config/currencies.config.js');
     SUPPORTED_CURRENCIES = window.SUPPORTED_CURRENCIES;
     LOCALE_CURRENCY_MAP = window.LOCALE_CURRENCY_MAP;
     getDefaultHomeCurrency = window.getDefaultHomeCurrency;
+    getCurrencySymbols = window.getCurrencySymbols;
+    getMinorUnits = window.getMinorUnits;
+    getCashRounding = window.getCashRounding;
   });
 
   describe('SUPPORTED_CURRENCIES', () => {
@@ -17,18 +21,35 @@ describe('CurrenciesConfig', () => {
       expect(Object.keys(SUPPORTED_CURRENCIES)).toEqual(
         expect.arrayContaining(['USD', 'INR', 'EUR', 'GBP'])
       );
-      expect(Object.keys(SUPPORTED_CURRENCIES).length).toBe(4);
+    });
+
+    it('should define 30+ currencies including the popular ones', () => {
+      expect(Object.keys(SUPPORTED_CURRENCIES).length).toBeGreaterThanOrEqual(30);
+      expect(Object.keys(SUPPORTED_CURRENCIES)).toEqual(
+        expect.arrayContaining([
+          'JPY', 'CNY', 'CAD', 'AUD', 'CHF', 'SGD', 'HKD', 'AED', 'SEK',
+          'NOK', 'DKK', 'PLN', 'BRL', 'MXN', 'ZAR', 'KRW', 'THB'
+        ])
+      );
     });
 
     it('should have required fields for each currency', () => {
-      Object.values(SUPPORTED_CURRENCIES).forEach(currency => {
+      Object.entries(SUPPORTED_CURRENCIES).forEach(([code, currency]) => {
+        expect(currency.code).toBe(code);
         expect(currency.symbol).toBeDefined();
-        expect(currency.code).toBeDefined();
         expect(currency.name).toBeDefined();
         expect(currency.locale).toBeDefined();
-        expect(currency.detectPatterns).toBeDefined();
-        expect(Array.isArray(currency.detectPatterns)).toBe(true);
-        expect(currency.detectPatterns.length).toBeGreaterThan(0);
+        expect(Array.isArray(currency.symbols)).toBe(true);
+        expect(currency.symbols.length).toBeGreaterThan(0);
+        expect(Array.isArray(currency.countries)).toBe(true);
+      });
+    });
+
+    it('should use locales that Intl can format the currency with', () => {
+      Object.values(SUPPORTED_CURRENCIES).forEach(currency => {
+        expect(() =>
+          new Intl.NumberFormat(currency.locale, { style: 'currency', currency: currency.code })
+        ).not.toThrow();
       });
     });
 
@@ -60,6 +81,65 @@ describe('CurrenciesConfig', () => {
     });
   });
 
+  describe('getCurrencySymbols', () => {
+    it('should list shared symbols once with every currency using them', () => {
+      const dollar = getCurrencySymbols().find(entry => entry.symbol === '$');
+      expect(dollar.currencies[0]).toBe('USD');
+      expect(dollar.currencies).toEqual(expect.arrayContaining(['CAD', 'AUD', 'SGD']));
+    });
+
+    it('should include ISO codes as symbols', () => {
+      const chf = getCurrencySymbols().find(entry => entry.symbol === 'CHF');
+      expect(chf.currencies).toEqual(['CHF']);
+    });
+
+    it('should sort longer symbols first', () => {
+      const symbols = getCurrencySymbols().map(entry => entry.symbol);
+      expect(symbols.indexOf('US$')).toBeLessThan(symbols.indexOf('$'));
+      expect(symbols.indexOf('R$')).toBeLessThan(symbols.indexOf('R'));
+    });
+
+    it('should mark symbols only detected before an amount', () => {
+      const symbols = getCurrencySymbols();
+      const find = symbol => symbols.find(entry => entry.symbol === symbol);
+      expect(find('R').prefixOnly).toBe(true);
+      expect(find('S/').prefixOnly).toBe(true);
+      expect(find('kr').prefixOnly).toBe(false);
+      expect(find('ZAR').prefixOnly).toBe(false);
+    });
+
+    it('should mark case-insensitive symbols', () => {
+      const rs = getCurrencySymbols().find(entry => entry.symbol === 'Rs');
+      expect(rs.caseInsensitive).toBe(true);
+      expect(rs.currencies[0]).toBe('INR');
+    });
+  });
+
+  describe('getMinorUnits', () => {
+    it('should follow ISO 4217', () => {
+      expect(getMinorUnits('USD')).toBe(2);
+      expect(getMinorUnits('JPY')).toBe(0);
+      expect(getMinorUnits('KRW')).toBe(0);
+      expect(getMinorUnits('KWD')).toBe(3);
+    });
+
+    it('should default to 2 for unknown currencies', () => {
+      expect(getMinorUnits('XYZ')).toBe(2);
+    });
+  });
+
+  describe('getCashRounding', () => {
+    it('should return the cash step where coins stop above the minor unit', () => {
+      expect(getCashRounding('CHF')).toBe(0.05);
+      expect(getCashRounding('SEK')).toBe(1);
+    });
+
+    it('should return null where cash is paid exactly', () => {
+      expect(getCashRounding('USD')).toBeNull();
+      expect(getCashRounding('XYZ')).toBeNull();
+    });
+  });
+
   describe('getDefaultHomeCurrency', () => {
     it('should return USD for en-US locale', () => {
       expect(getDefaultHomeCurrency('en-US')).toBe('USD');
@@ -77,6 +157,12 @@ describe('CurrenciesConfig', () => {
       expect(getDefaultHomeCurrency('de-DE')).toBe('EUR');
     });
 
+    it('should return the currency of newly supported countries', () => {
+      expect(getDefaultHomeCurrency('ja-JP')).toBe('JPY');
+      expect(getDefaultHomeCurrency('fr-CA')).toBe('CAD');
+      expect(getDefaultHomeCurrency('de-CH')).toBe('CHF');
+    });
+
     it('should return USD as fallback for unknown locale', () => {
       expect(getDefaultHomeCurrency('xx-YY')).toBe('USD');
     });
@@ -0,0 +1,178 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { loadCurrencyResolver } from "../helpers/load-module.js";
+
+describe("CurrencyResolver", () => {
+  let CurrencyResolver;
+  const DOLLAR = ["USD", "CAD", "AUD", "NZD", "SGD", "HKD", "MXN"];
+  const KRONA = ["SEK", "NOK", "DKK", "ISK"];
+
+  const onHost = (hostname) => {
+    CurrencyResolver.getHostname = () => hostname;
+    CurrencyResolver.reset();
+  };
+
+  const addToHead = (html) => {
+    const template = document.createElement("template");
+    template.innerHTML = html;
+    const el = template.content.firstElementChild;
+    el.setAttribute("data-test-head", "");
+    document.head.appendChild(el);
+  };
+
+  beforeEach(() => {
+    CurrencyResolver = loadCurrencyResolver();
+    onHost("www.example.com");
+  });
+
+  afterEach(() => {
+    document.documentElement.removeAttribute("lang");
+    document.head
+      .querySelectorAll("[data-test-head]")
+      .forEach((el) => el.remove());
+  });
+
+  describe("resolve", () => {
+    it("should return unique symbols with full confidence", () => {
+      expect(CurrencyResolver.resolve("€", ["EUR"])).toEqual({
+        currency: "EUR",
+        confidence: 1,
+      });
+    });
+
+    it("should return null without candidates", () => {
+      expect(CurrencyResolver.resolve("?", [])).toBeNull();
+    });
+
+    it("should fall back to the first candidate with low confidence", () => {
+      const result = CurrencyResolver.resolve("$", DOLLAR);
+      expect(result.currency).toBe("USD");
+      expect(CurrencyResolver.isAssumed(result.confidence)).toBe(true);
+    });
+
+    it.each([
+      ["www.amazon.ca", "CAD"],
+      ["shop.example.com.au", "AUD"],
+      ["store.co.nz", "NZD"],
+      ["tienda.com.mx", "MXN"],
+      ["lazada.sg", "SGD"],
+      ["shop.hk", "HKD"],
+    ])("should use the TLD of %s", (hostname, currency) => {
+      onHost(hostname);
+      const result = CurrencyResolver.resolve("$", DOLLAR);
+      expect(result.currency).toBe(currency);
+      expect(CurrencyResolver.isAssumed(result.confidence)).toBe(false);
+    });
+
+    it("should use the region of <html lang>", () => {
+      document.documentElement.setAttribute("lang", "en-CA");
+      expect(CurrencyResolver.resolve("$", DOLLAR).currency).toBe("CAD");
+    });
+
+    it.each([
+      ["sv", "SEK"],
+      ["nb", "NOK"],
+      ["da", "DKK"],
+      ["is", "ISK"],
+    ])("should use the language %s for kr", (lang, currency) => {
+      document.documentElement.setAttribute("lang", lang);
+      expect(CurrencyResolver.resolve("kr", KRONA).currency).toBe(currency);
+    });
+
+    it("should use the language to tell yen from yuan", () => {
+      document.documentElement.setAttribute("lang", "zh");
+      expect(CurrencyResolver.resolve("¥", ["JPY", "CNY"]).currency).toBe(
+        "CNY",
+      );
+    });
+
+    it("should use og:locale", () => {
+      addToHead('<meta property="og:locale" content="en_AU">');
+      expect(CurrencyResolver.resolve("$", DOLLAR).currency).toBe("AUD");
+    });
+
+    it("should use schema.org microdata priceCurrency", () => {
+      addToHead('<meta itemprop="priceCurrency" content="SGD">');
+      expect(CurrencyResolver.resolve("$", DOLLAR).currency).toBe("SGD");
+    });
+
+    it("should use JSON-LD priceCurrency", () => {
+      addToHead(
+        '<script type="application/ld+json">{"@type":"Offer","price":"20","priceCurrency":"NZD"}</script>',
+      );
+      expect(CurrencyResolver.resolve("$", DOLLAR).currency).toBe("NZD");
+    });
+
+    it("should prefer an ISO code written next to the price", () => {
+      onHost("www.amazon.ca");
+      const p = document.createElement("p");
+      p.innerHTML = "<span>$25</span> USD";
+      document.body.appendChild(p);
+
+      const result = CurrencyResolver.resolve("$", DOLLAR, p.firstChild);
+      expect(result.currency).toBe("USD");
+
+      p.remove();
+    });
+
+    it("should let the user override the symbol for the site", () => {
+      onHost("www.amazon.ca");
+      CurrencyResolver.setSiteOverrides({ $: "USD" });
+      expect(CurrencyResolver.resolve("$", DOLLAR)).toEqual({
+        currency: "USD",
+        confidence: 1,
+      });
+    });
+
+    it("should ignore overrides for currencies that don't use the symbol", () => {
+      CurrencyResolver.setSiteOverrides({ $: "EUR" });
+      expect(CurrencyResolver.resolve("$", DOLLAR).currency).toBe("USD");
+    });
+
+    it("should add up agreeing signals", () => {
+      onHost("www.example.ca");
+      document.documentElement.setAttribute("lang", "en-CA");
+      const result = CurrencyResolver.resolve("$", DOLLAR);
+      expect(result).toEqual({ currency: "CAD", confidence: 1 });
+    });
+  });
+
+  describe("parseLocaleTag", () => {
+    it("should split language and region", () => {
+      expect(CurrencyResolver.parseLocaleTag("en-CA")).toEqual({
+        language: "en",
+        region: "CA",
+      });
+      expect(CurrencyResolver.parseLocaleTag("en_au")).toEqual({
+        language: "en",
+        region: "AU",
+      });
+      expect(CurrencyResolver.parseLocaleTag("zh-Hant-TW")).toEqual({
+        language: "zh",
+        region: "TW",
+      });
+    });
+
+    it("should handle missing tags and regions", () => {
+      expect(CurrencyResolver.parseLocaleTag("sv")).toEqual({
+        language: "sv",
+        region: null,
+      });
+      expect(CurrencyResolver.parseLocaleTag(null)).toEqual({
+        language: null,
+        region: null,
+      });
+    });
+  });
+
+  describe("getTldCountry", () => {
+    it("should map country-code TLDs", () => {
+      expect(CurrencyResolver.getTldCountry("amazon.co.uk")).toBe("GB");
+      expect(CurrencyResolver.getTldCountry("amazon.de")).toBe("DE");
+    });
+
+    it("should ignore generic TLDs", () => {
+      expect(CurrencyResolver.getTldCountry("amazon.com")).toBeNull();
+      expect(CurrencyResolver.getTldCountry("localhost")).toBeNull();
+    });
+  });
+});
@@ -1,5 +1,8 @@
-import { describe, it, expect, beforeEach } from "vitest";
-import { loadPriceDetector } from "../helpers/load-module.js";
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import {
+  loadPriceDetector,
+  loadContentModules,
+} from "../helpers/load-module.js";
 
 describe("PriceDetector", () => {
   let PriceDetector;
@@ -258,9 +261,16 @@ describe("PriceDetector", () => {
         expect(PriceDetector.parsePrice("₹0.00")).toBeNull();
       });
 
-      it("should return null for negative amounts", () => {
-        // parsePrice doesn't handle negative, should return null
-        expect(PriceDetector.parsePrice("$-50")).toBeNull();
+      it("should keep the sign of negative amounts", () => {
+        expect(PriceDetector.parsePrice("$-50")).toMatchObject({
+          amount: -50,
+          currency: "USD",
+        });
+      });
+
+      it("should return null for a sign on its own", () => {
+        expect(PriceDetector.parsePrice("-$")).toBeNull();
+        expect(PriceDetector.parsePrice("$-")).toBeNull();
       });
 
       it("should trim whitespace", () => {
@@ -274,9 +284,634 @@ describe("PriceDetector", () => {
       });
 
       it("should return null for unrecognized currency", () => {
-        expect(PriceDetector.parsePrice("¥1000")).toBeNull();
-        expect(PriceDetector.parsePrice("₩50000")).toBeNull();
+        expect(PriceDetector.parsePrice("¤1000")).toBeNull();
+        expect(PriceDetector.parsePrice("₿50000")).toBeNull();
+      });
+    });
+  });
+
+  describe("parsePrice - Locale-aware amounts", () => {
+    afterEach(() => {
+      document.documentElement.removeAttribute("lang");
+    });
+
+    it("should parse dot grouping with comma decimals", () => {
+      expect(PriceDetector.parsePrice("€1.234,56").amount).toBe(1234.56);
+      expect(PriceDetector.parsePrice("EUR 1.234.567,89").amount).toBe(
+        1234567.89,
+      );
+    });
+
+    it("should parse a comma decimal without grouping", () => {
+      expect(PriceDetector.parsePrice("€12,50").amount).toBe(12.5);
+    });
+
+    it("should parse non-breaking space grouping", () => {
+      expect(PriceDetector.parsePrice("€1\u00A0234,56").amount).toBe(1234.56);
+    });
+
+    it("should parse apostrophe grouping", () => {
+      expect(PriceDetector.parsePrice("$1'299.00").amount).toBe(1299);
+    });
+
+    it("should read a lone three-digit group as thousands for prices", () => {
+      document.documentElement.setAttribute("lang", "en");
+      expect(PriceDetector.parsePrice("€1.234").amount).toBe(1234);
+      document.documentElement.setAttribute("lang", "de");
+      expect(PriceDetector.parsePrice("€1,234").amount).toBe(1234);
+    });
+
+    it("should report the page language", () => {
+      document.documentElement.setAttribute("lang", "de-DE");
+      expect(PriceDetector.getPageLocale()).toBe("de-DE");
+      document.documentElement.removeAttribute("lang");
+      expect(PriceDetector.getPageLocale()).toBeNull();
+    });
+
+    it("should detect German formatted prices in the DOM", () => {
+      document.documentElement.setAttribute("lang", "de");
+      const container = document.createElement("div");
+      container.innerHTML = "<p>Preis: €1.234,56 inkl. MwSt.</p>";
+      document.body.appendChild(container);
+
+      PriceDetector.scanDOM(container);
+      const priceSpan = container.querySelector(".currency-converter-price");
+
+      expect(priceSpan.textContent).toBe("€1.234,56");
+      expect(priceSpan.getAttribute("data-amount")).toBe("1234.56");
+
+      container.remove();
+    });
+
+    it("should parse locale formats in structured price elements", () => {
+      const container = document.createElement("div");
+      container.innerHTML =
+        '<span class="product-price"><span>€</span><span>1.299,00</span></span>';
+      document.body.appendChild(container);
+
+      PriceDetector.scanStructuredPrices(container);
+      const priceEl = container.querySelector(".product-price");
+
+      expect(priceEl.getAttribute("data-currency")).toBe("EUR");
+      expect(priceEl.getAttribute("data-amount")).toBe("1299");
+
+      container.remove();
+    });
+  });
+
+  describe("Suffix-position currencies", () => {
+    it("should parse symbols after the amount", () => {
+      expect(PriceDetector.parsePrice("49,99 €")).toEqual({
+        amount: 49.99,
+        currency: "EUR",
+        original: "49,99 €",
+      });
+      expect(PriceDetector.parsePrice("1.234,56€").amount).toBe(1234.56);
+      expect(PriceDetector.parsePrice("12 £").currency).toBe("GBP");
+      expect(PriceDetector.parsePrice("99 $").currency).toBe("USD");
+      expect(PriceDetector.parsePrice("500 ₹").currency).toBe("INR");
+    });
+
+    it("should parse ISO codes after the amount", () => {
+      expect(PriceDetector.parsePrice("100 EUR")).toEqual({
+        amount: 100,
+        currency: "EUR",
+        original: "100 EUR",
+      });
+      expect(PriceDetector.parsePrice("1,234.50 USD").amount).toBe(1234.5);
+      expect(PriceDetector.parsePrice("250 GBP").currency).toBe("GBP");
+      expect(PriceDetector.parsePrice("1,00,000 INR").amount).toBe(100000);
+      expect(PriceDetector.parsePrice("500 Rs").currency).toBe("INR");
+    });
+
+    it("should match suffix prices in the combined pattern", () => {
+      ["49,99 €", "100 EUR", "12.50 $", "250 GBP", "99\u00A0£"].forEach(
+        (price) => {
+          PriceDetector.combinedPattern.lastIndex = 0;
+          expect(PriceDetector.combinedPattern.test(price)).toBe(true);
+        },
+      );
+    });
+
+    it("should wrap suffix prices like prefix prices", () => {
+      const container = document.createElement("div");
+      container.innerHTML = "<p>Jetzt nur 49,99 € statt 59,99 €</p>";
+      document.body.appendChild(container);
+
+      PriceDetector.scanDOM(container);
+      const prices = container.querySelectorAll(".currency-converter-price");
+
+      expect(prices.length).toBe(2);
+      expect(prices[0].textContent).toBe("49,99 €");
+      expect(prices[0].getAttribute("data-amount")).toBe("49.99");
+      expect(prices[0].getAttribute("data-currency")).toBe("EUR");
+      expect(prices[1].getAttribute("data-amount")).toBe("59.99");
+
+      container.remove();
+    });
+
+    it("should not treat codes inside words as suffixes", () => {
+      const container = document.createElement("div");
+      container.textContent = "Model X100 EUR edition, 20 USDC, 3 Rsvps";
+      document.body.appendChild(container);
+
+      PriceDetector.scanDOM(container);
+      const prices = container.querySelectorAll(".currency-converter-price");
+
+      expect(prices.length).toBe(0);
+      container.remove();
+    });
+
+    it("should not steal the symbol of a following prefix price", () => {
+      const container = document.createElement("div");
+      container.textContent = "Pack of 100 $200";
+      document.body.appendChild(container);
+
+      PriceDetector.scanDOM(container);
+      const prices = container.querySelectorAll(".currency-converter-price");
+
+      expect(prices.length).toBe(1);
+      expect(prices[0].textContent).toBe("$200");
+      container.remove();
+    });
+
+    it("should detect suffix prices in structured price elements", () => {
+      const container = document.createElement("div");
+      container.innerHTML =
+        '<span class="price"><span>1.299</span><span>,00</span> <span>€</span></span>';
+      document.body.appendChild(container);
+
+      PriceDetector.scanStructuredPrices(container);
+      const priceEl = container.querySelector(".price");
+
+      expect(priceEl.getAttribute("data-currency")).toBe("EUR");
+      expect(priceEl.getAttribute("data-amount")).toBe("1299");
+
+      container.remove();
+    });
+  });
+
+  describe("Registry-driven currencies", () => {
+    it.each([
+      ["¥1,500", 1500, "JPY"],
+      ["1,500円", 1500, "JPY"],
+      ["CN¥88", 88, "CNY"],
+      ["C$25.99", 25.99, "CAD"],
+      ["A$ 40", 40, "AUD"],
+      ["CHF 1'299.00", 1299, "CHF"],
+      ["Fr. 45.50", 45.5, "CHF"],
+      ["S$12", 12, "SGD"],
+      ["HK$100", 100, "HKD"],
+      ["AED 250", 250, "AED"],
+      ["1\u00A0299,00 kr", 1299, "SEK"],
+      ["NOK 399", 399, "NOK"],
+      ["DKK 75", 75, "DKK"],
+      ["99,99 zł", 99.99, "PLN"],
+      ["R$ 1.234,56", 1234.56, "BRL"],
+      ["MX$499", 499, "MXN"],
+      ["R 350", 350, "ZAR"],
+      ["₩50,000", 50000, "KRW"],
+      ["฿1,200", 1200, "THB"],
+      ["₺150", 150, "TRY"],
+      ["1.500 Ft", 1500, "HUF"],
+      ["Rp 150.000", 150000, "IDR"],
+    ])("should parse %s", (text, amount, currency) => {
+      expect(PriceDetector.parsePrice(text)).toEqual({
+        amount,
+        currency,
+        original: text,
+      });
+    });
+
+    it("should default shared symbols to the first registry currency", () => {
+      expect(PriceDetector.parsePrice("$10").currency).toBe("USD");
+      expect(PriceDetector.parsePrice("¥10").currency).toBe("JPY");
+      expect(PriceDetector.parsePrice("10 kr").currency).toBe("SEK");
+      expect(PriceDetector.parsePrice("Rs 10").currency).toBe("INR");
+    });
+
+    it("should list every currency that uses a symbol", () => {
+      expect(PriceDetector.getCurrenciesForSymbol("kr")).toEqual([
+        "SEK",
+        "NOK",
+        "DKK",
+        "ISK",
+      ]);
+      expect(PriceDetector.getCurrenciesForSymbol("RS.")).toContain("PKR");
+      expect(PriceDetector.getCurrenciesForSymbol("?")).toEqual([]);
+    });
+
+    it("should match ISO codes in uppercase only", () => {
+      expect(PriceDetector.parsePrice("try 5")).toBeNull();
+      expect(PriceDetector.parsePrice("TRY 5").currency).toBe("TRY");
+    });
+
+    it.each([
+      ["a letter symbol after a number", "Top 10 R packages"],
+      ["a code that starts a noun phrase", "Learn 10 PHP scripts"],
+      ["a code used as an adjective", "We hired 12 CAD engineers"],
+      ["a code after a standard's number", "Certified to ISO 9001 USD"],
+      ["a prefix-only symbol after a number", "Chapter 4 S/ notes"],
+    ])("should not read %s as a price", (name, text) => {
+      const container = document.createElement("div");
+      container.textContent = text;
+      document.body.appendChild(container);
+
+      PriceDetector.scanDOM(container);
+
+      expect(PriceDetector.getPrices(container)).toEqual([]);
+      container.remove();
+    });
+
+    it.each([
+      ["R 350", 350, "ZAR"],
+      ["S/ 50", 50, "PEN"],
+      ["100 EUR per night", 100, "EUR"],
+      ["299 kr inkl. moms", 299, "SEK"],
+      ["50 lei pe lună", 50, "RON"],
+      ["75 TL", 75, "TRY"],
+    ])("should still read %s", (text, amount, currency) => {
+      const container = document.createElement("div");
+      container.textContent = text;
+      document.body.appendChild(container);
+
+      PriceDetector.scanDOM(container);
+
+      expect(
+        PriceDetector.getPrices(container).map((p) => [p.amount, p.currency]),
+      ).toEqual([[amount, currency]]);
+      container.remove();
+    });
+
+    it("should not read lowercase abbreviations as case-sensitive symbols", () => {
+      const container = document.createElement("div");
+      container.textContent = "The room is 1,200 ft wide, wind 5 knots";
+      document.body.appendChild(container);
+
+      PriceDetector.scanDOM(container);
+      const prices = container.querySelectorAll(".currency-converter-price");
+
+      expect(prices.length).toBe(0);
+      container.remove();
+    });
+
+    it("should detect new currencies in the DOM", () => {
+      const container = document.createElement("div");
+      container.innerHTML =
+        "<p>Tokyo: ¥12,800</p><p>Zürich: CHF 1'299.00</p><p>Oslo: 499 kr</p>";
+      document.body.appendChild(container);
+
+      PriceDetector.scanDOM(container);
+      const prices = Array.from(
+        container.querySelectorAll(".currency-converter-price"),
+      ).map((p) => [
+        p.getAttribute("data-currency"),
+        p.getAttribute("data-amount"),
+      ]);
+
+      expect(prices).toEqual([
+        ["JPY", "12800"],
+        ["CHF", "1299"],
+        ["SEK", "499"],
+      ]);
+      container.remove();
+    });
+
+    it("should use a symbol from the price container for bare numbers", () => {
+      const container = document.createElement("div");
+      container.innerHTML =
+        '<div class="price-box"><span class="currency">zł</span> <span class="price-value">1\u00A0299,00</span></div>';
+      document.body.appendChild(container);
+
+      PriceDetector.processStructuredPriceElement(
+        container.querySelector(".price-value"),
+      );
+      const valueEl = container.querySelector(".price-value");
+
+      expect(valueEl.getAttribute("data-currency")).toBe("PLN");
+      expect(valueEl.getAttribute("data-amount")).toBe("1299");
+      container.remove();
+    });
+  });
+
+  describe("Ambiguous symbol resolution", () => {
+    let window;
+    let container;
+
+    beforeEach(() => {
+      window = loadContentModules();
+      PriceDetector = window.PriceDetector;
+      container = document.createElement("div");
+      document.body.appendChild(container);
+    });
+
+    afterEach(() => {
+      container.remove();
+    });
+
+    const onHost = (hostname) => {
+      window.CurrencyResolver.getHostname = () => hostname;
+      window.CurrencyResolver.reset();
+    };
+
+    it("should resolve $ from the page's TLD", () => {
+      onHost("www.example.ca");
+      container.innerHTML = "<p>Only $25.00 today</p>";
+      PriceDetector.processTextNode(container.querySelector("p").firstChild);
+
+      const span = container.querySelector("[data-price-detected]");
+      expect(span.getAttribute("data-currency")).toBe("CAD");
+      expect(span.getAttribute("data-currency-symbol")).toBe("$");
+      expect(
+        Number(span.getAttribute("data-currency-confidence")),
+      ).toBeGreaterThanOrEqual(0.5);
+    });
+
+    it("should record a low confidence when nothing points anywhere", () => {
+      onHost("www.example.com");
+      container.innerHTML = "<p>Only $25.00 today</p>";
+      PriceDetector.processTextNode(container.querySelector("p").firstChild);
+
+      const span = container.querySelector("[data-price-detected]");
+      expect(span.getAttribute("data-currency")).toBe("USD");
+      expect(
+        window.CurrencyResolver.isAssumed(
+          Number(span.getAttribute("data-currency-confidence")),
+        ),
+      ).toBe(true);
+    });
+
+    it("should not keep the symbol of unambiguous prices", () => {
+      container.innerHTML = "<p>Only €25.00 today</p>";
+      PriceDetector.processTextNode(container.querySelector("p").firstChild);
+
+      const span = container.querySelector("[data-price-detected]");
+      expect(span.getAttribute("data-currency")).toBe("EUR");
+      expect(span.getAttribute("data-currency-confidence")).toBe("1");
+      expect(span.hasAttribute("data-currency-symbol")).toBe(false);
+    });
+
+    it("should re-resolve detected prices after a site override", () => {
+      onHost("www.example.ca");
+      container.innerHTML = "<p>Only $25.00 today</p>";
+      PriceDetector.processTextNode(container.querySelector("p").firstChild);
+
+      window.CurrencyResolver.setSiteOverrides({ $: "USD" });
+      PriceDetector.refreshAmbiguousPrices(container);
+
+      const span = container.querySelector("[data-price-detected]");
+      expect(span.getAttribute("data-currency")).toBe("USD");
+      expect(span.getAttribute("data-currency-confidence")).toBe("1");
+    });
+  });
+
+  describe("Structured data", () => {
+    let container;
+    let jsonLd;
+
+    beforeEach(() => {
+      container = document.createElement("div");
+      document.body.appendChild(container);
+    });
+
+    afterEach(() => {
+      container.remove();
+      jsonLd?.remove();
+      jsonLd = null;
+    });
+
+    const addOffer = (price, priceCurrency) => {
+      jsonLd = document.createElement("script");
+      jsonLd.type = "application/ld+json";
+      jsonLd.textContent = JSON.stringify({
+        "@type": "Product",
+        offers: { "@type": "Offer", price, priceCurrency },
+      });
+      document.head.appendChild(jsonLd);
+    };
+
+    it("should mark visible microdata prices with their declared currency", () => {
+      container.innerHTML = `
+        <div itemscope>
+          <meta itemprop="priceCurrency" content="AUD">
+          <span class="price" itemprop="price" content="1299.00"><span>$</span>1,299</span>
+        </div>`;
+      PriceDetector.scanDOM(container);
+
+      const detected = container.querySelectorAll("[data-price-detected]");
+      expect(detected).toHaveLength(1);
+      expect(detected[0].getAttribute("itemprop")).toBe("price");
+      expect(detected[0].getAttribute("data-amount")).toBe("1299");
+      expect(detected[0].getAttribute("data-currency")).toBe("AUD");
+      expect(detected[0].getAttribute("data-currency-confidence")).toBe("1");
+      expect(detected[0].getAttribute("data-price-source")).toBe("structured");
+    });
+
+    it("should link a JSON-LD offer to the matching visible price", () => {
+      addOffer("49.99", "CAD");
+      container.innerHTML = "<p>Now $49.99, was $59.99</p>";
+      PriceDetector.scanDOM(container);
+
+      const [now, was] = container.querySelectorAll("[data-price-detected]");
+      expect(now.getAttribute("data-currency")).toBe("CAD");
+      expect(now.getAttribute("data-price-source")).toBe("structured");
+      expect(now.hasAttribute("data-currency-symbol")).toBe(false);
+
+      // Other $ prices on the page follow the declared currency
+      expect(was.getAttribute("data-currency")).toBe("CAD");
+      expect(was.hasAttribute("data-price-source")).toBe(false);
+    });
+
+    it("should not link prices whose symbol can't be the offer's currency", () => {
+      addOffer("20", "CAD");
+      container.innerHTML = "<p>€20</p>";
+      PriceDetector.scanDOM(container);
+
+      const span = container.querySelector("[data-price-detected]");
+      expect(span.getAttribute("data-currency")).toBe("EUR");
+      expect(span.hasAttribute("data-price-source")).toBe(false);
+    });
+  });
+
+  describe("Price ranges", () => {
+    describe("parsePriceRange", () => {
+      it.each([
+        ["$10 – $20", 10, 20, "USD"],
+        ["$10-20", 10, 20, "USD"],
+        ["$10 - $20", 10, 20, "USD"],
+        ["€5 to €9", 5, 9, "EUR"],
+        ["₹1,499 - ₹2,999", 1499, 2999, "INR"],
+        ["¥1,000~¥2,000", 1000, 2000, "JPY"],
+        ["10 – 20 €", 10, 20, "EUR"],
+        ["10 € - 20 €", 10, 20, "EUR"],
+        ["5 bis 9 EUR", 5, 9, "EUR"],
+      ])("should parse %s", (text, low, high, currency) => {
+        expect(PriceDetector.parsePriceRange(text)).toEqual({
+          amount: low,
+          amountHigh: high,
+          currency,
+          original: text,
+        });
+      });
+
+      it("should reject ranges mixing currencies", () => {
+        expect(PriceDetector.parsePriceRange("$10 - €20")).toBeNull();
+        expect(PriceDetector.parsePriceRange("10 € - 20 £")).toBeNull();
+      });
+
+      it("should reject ranges that don't go up", () => {
+        expect(PriceDetector.parsePriceRange("$20 - $10")).toBeNull();
+        expect(PriceDetector.parsePriceRange("$10 - $10")).toBeNull();
+      });
+
+      it("should not treat percentages as the high end", () => {
+        expect(PriceDetector.parsePriceRange("$10 - 20%")).toBeNull();
+      });
+    });
+
+    describe("processTextNode", () => {
+      let container;
+
+      beforeEach(() => {
+        container = document.createElement("div");
+        document.body.appendChild(container);
+      });
+
+      afterEach(() => {
+        container.remove();
+      });
+
+      const process = (text) => {
+        container.innerHTML = `<p>${text}</p>`;
+        PriceDetector.processTextNode(container.querySelector("p").firstChild);
+        return container.querySelectorAll("[data-price-detected]");
+      };
+
+      it("should wrap a range in one span with low and high amounts", () => {
+        const spans = process("From ₹1,499 - ₹2,999 only");
+
+        expect(spans).toHaveLength(1);
+        expect(spans[0].textContent).toBe("₹1,499 - ₹2,999");
+        expect(spans[0].getAttribute("data-amount")).toBe("1499");
+        expect(spans[0].getAttribute("data-amount-high")).toBe("2999");
+        expect(spans[0].getAttribute("data-currency")).toBe("INR");
+      });
+
+      it("should keep ranges and single prices apart", () => {
+        const spans = process("Was $5, now $10-20 or £8");
+
+        expect(Array.from(spans).map((s) => s.textContent)).toEqual([
+          "$5",
+          "$10-20",
+          "£8",
+        ]);
+        expect(spans[0].hasAttribute("data-amount-high")).toBe(false);
+        expect(spans[1].getAttribute("data-amount-high")).toBe("20");
+      });
+
+      it("should fall back to two prices when the ends differ in currency", () => {
+        const spans = process("$10 - €20");
+
+        expect(spans).toHaveLength(2);
+        expect(spans[0].getAttribute("data-currency")).toBe("USD");
+        expect(spans[1].getAttribute("data-currency")).toBe("EUR");
+      });
+    });
+
+    it("should detect ranges in price containers", () => {
+      const container = document.createElement("div");
+      container.innerHTML =
+        '<div class="price-range"><span>€5</span> to <span>€9</span></div>';
+      document.body.appendChild(container);
+
+      PriceDetector.scanStructuredPrices(container);
+      const el = container.querySelector(".price-range");
+
+      expect(el.getAttribute("data-amount")).toBe("5");
+      expect(el.getAttribute("data-amount-high")).toBe("9");
+      container.remove();
+    });
+  });
+
+  describe("Magnitude suffixes", () => {
+    it.each([
+      ["$1.5M", 1500000, "USD"],
+      ["€2bn", 2000000000, "EUR"],
+      ["£250k", 250000, "GBP"],
+      ["$5 million", 5000000, "USD"],
+      ["$1.25B", 1250000000, "USD"],
+      ["₹45 lakh", 4500000, "INR"],
+      ["₹45L", 4500000, "INR"],
+      ["Rs 3.2 crore", 32000000, "INR"],
+      ["Rs. 3.2 Cr", 32000000, "INR"],
+      ["2 Mio. €", 2000000, "EUR"],
+      ["3,5 Mrd. EUR", 3500000000, "EUR"],
+      ["1.5 million USD", 1500000, "USD"],
+    ])("should read %s as the full amount", (text, amount, currency) => {
+      expect(PriceDetector.parsePrice(text)).toEqual({
+        amount,
+        currency,
+        original: text,
+      });
+    });
+
+    it("should allow three fraction digits before a magnitude", () => {
+      expect(PriceDetector.parsePrice("$1.234M").amount).toBe(1234000);
+    });
+
+    it("should not read more fraction digits than the currency has", () => {
+      expect(PriceDetector.parsePrice("$1,234.567")).toBeNull();
+      expect(PriceDetector.parsePrice("KD 1,234.567").amount).toBe(1234.567);
+    });
+
+    it("should not read words starting with a magnitude letter", () => {
+      const matches = "Save $5 more on $10 bags".match(
+        PriceDetector.combinedPattern,
+      );
+      expect(matches).toEqual(["$5", "$10"]);
+    });
+
+    it("should not read CR (credit) as crore", () => {
+      const match = "Rs. 500 CR".match(PriceDetector.pricePattern);
+      expect(match[0]).toBe("Rs. 500");
+    });
+
+    it("should apply a magnitude on the high end to both ends of a range", () => {
+      expect(PriceDetector.parsePriceRange("$1-2M")).toMatchObject({
+        amount: 1000000,
+        amountHigh: 2000000,
       });
+      expect(PriceDetector.parsePriceRange("₹50 L - ₹1.2 Cr")).toMatchObject({
+        amount: 5000000,
+        amountHigh: 12000000,
+      });
+    });
+
+    it("should mark the compact style on the price span", () => {
+      const container = document.createElement("div");
+      container.innerHTML = "<p>Flats from ₹45 lakh and $1.5M</p>";
+      document.body.appendChild(container);
+
+      PriceDetector.processTextNode(container.querySelector("p").firstChild);
+      const spans = container.querySelectorAll("[data-price-detected]");
+
+      expect(spans[0].getAttribute("data-amount")).toBe("4500000");
+      expect(spans[0].getAttribute("data-compact-style")).toBe("indian");
+      expect(spans[1].getAttribute("data-amount")).toBe("1500000");
+      expect(spans[1].getAttribute("data-compact-style")).toBe("short");
+      container.remove();
+    });
+
+    it("should not mark a compact style on plain prices", () => {
+      const container = document.createElement("div");
+      container.innerHTML = "<p>$15</p>";
+      document.body.appendChild(container);
+
+      PriceDetector.processTextNode(container.querySelector("p").firstChild);
+      const span = container.querySelector("[data-price-detected]");
+
+      expect(span.hasAttribute("data-compact-style")).toBe(false);
+      container.remove();
     });
   });
 
@@ -503,9 +1138,33 @@ describe("PriceDetector", () => {
     });
   });
 
-  describe("scanDOM", () => {
-    it("should find prices in nested elements", () => {
-      const html = `
+  describe("findShadowRoots", () => {
+    it("should return open shadow roots, outermost first", () => {
+      const container = document.createElement("div");
+      container.innerHTML = "<a-el></a-el><b-el></b-el>";
+      const a = container.querySelector("a-el").attachShadow({ mode: "open" });
+      a.innerHTML = "<c-el></c-el>";
+      const c = a.querySelector("c-el").attachShadow({ mode: "open" });
+      container.querySelector("b-el").attachShadow({ mode: "closed" });
+
+      expect(PriceDetector.findShadowRoots(container)).toEqual([a, c]);
+    });
+
+    it("should include the root's own shadow root", () => {
+      const host = document.createElement("div");
+      const shadow = host.attachShadow({ mode: "open" });
+
+      expect(PriceDetector.findShadowRoots(host)).toEqual([shadow]);
+    });
+
+    it("should handle a missing root", () => {
+      expect(PriceDetector.findShadowRoots(null)).toEqual([]);
+    });
+  });
+
+  describe("scanDOM", () => {
+    it("should find prices in nested elements", () => {
+      const html = `
         <div>
           <p>First price: ₹50</p>
           <div>
@@ -525,6 +1184,25 @@ describe("PriceDetector", () => {
       container.remove();
     });
 
+    it("should read amounts grouped with plain spaces before a symbol", () => {
+      const container = document.createElement("div");
+      container.innerHTML =
+        "<p>Cena: 1 234,56 zł</p><p>Pris: 1 299 kr</p><p>Art. 12 3456 kr</p>";
+      document.body.appendChild(container);
+
+      PriceDetector.scanDOM(container);
+      const prices = container.querySelectorAll(".currency-converter-price");
+
+      expect(prices.length).toBe(2);
+      expect(prices[0].textContent).toBe("1 234,56 zł");
+      expect(prices[0].getAttribute("data-amount")).toBe("1234.56");
+      expect(prices[0].getAttribute("data-currency")).toBe("PLN");
+      expect(prices[1].textContent).toBe("1 299 kr");
+      expect(prices[1].getAttribute("data-amount")).toBe("1299");
+
+      container.remove();
+    });
+
     it("should not process prices inside SCRIPT tags", () => {
       const container = document.createElement("div");
       container.innerHTML = '<script>var price = "₹100";</script><p>₹50</p>';
@@ -539,6 +1217,45 @@ describe("PriceDetector", () => {
       container.remove();
     });
 
+    it("should find prices inside open shadow roots", () => {
+      const container = document.createElement("div");
+      container.innerHTML = "<p>Outside: ₹50</p><product-card></product-card>";
+      document.body.appendChild(container);
+
+      const host = container.querySelector("product-card");
+      const shadow = host.attachShadow({ mode: "open" });
+      shadow.innerHTML = "<div><span>Inside: €25</span></div>";
+
+      PriceDetector.scanDOM(container);
+
+      expect(
+        container.querySelectorAll(".currency-converter-price").length,
+      ).toBe(1);
+      const inside = shadow.querySelector(".currency-converter-price");
+      expect(inside.getAttribute("data-currency")).toBe("EUR");
+      expect(inside.getAttribute("data-amount")).toBe("25");
+
+      container.remove();
+    });
+
+    it("should find prices in nested shadow roots and shadow hosts", () => {
+      const host = document.createElement("outer-el");
+      document.body.appendChild(host);
+      const outer = host.attachShadow({ mode: "open" });
+      outer.innerHTML = "<inner-el></inner-el>";
+      const inner = outer
+        .querySelector("inner-el")
+        .attachShadow({ mode: "open" });
+      inner.innerHTML = "<p>£8</p>";
+
+      PriceDetector.scanDOM(host);
+
+      expect(inner.querySelector("[data-price-detected]").textContent).toBe(
+        "£8",
+      );
+      host.remove();
+    });
+
     it("should handle null root gracefully", () => {
       expect(() => PriceDetector.scanDOM(null)).not.toThrow();
     });
@@ -633,6 +1350,589 @@ describe("PriceDetector", () => {
     });
   });
 
+  describe("Overlay mode", () => {
+    let window;
+    let container;
+
+    beforeEach(() => {
+      window = loadContentModules();
+      PriceDetector = window.PriceDetector;
+      PriceDetector.setMode("overlay");
+      container = document.createElement("div");
+      document.body.appendChild(container);
+    });
+
+    afterEach(() => {
+      container.remove();
+    });
+
+    // Lay text out as 10px per character on one 10px line
+    const stubLayout = () => {
+      PriceDetector.getPriceRects = (price) =>
+        price.node
+          ? [
+              {
+                left: price.start * 10,
+                right: price.end * 10,
+                top: 0,
+                bottom: 10,
+              },
+            ]
+          : [];
+    };
+
+    it("should leave the page's DOM untouched", () => {
+      container.innerHTML =
+        '<p>Was $10, now $8</p><div class="price">€12</div>';
+      const html = container.innerHTML;
+      const text = container.querySelector("p").firstChild;
+
+      PriceDetector.scanDOM(container);
+
+      expect(container.innerHTML).toBe(html);
+      expect(container.querySelector("p").firstChild).toBe(text);
+      expect(
+        PriceDetector.getPrices(container).map((p) => [p.amount, p.currency]),
+      ).toEqual([
+        [12, "EUR"],
+        [10, "USD"],
+        [8, "USD"],
+      ]);
+    });
+
+    it("should record text prices as positions in their text node", () => {
+      container.innerHTML = "<p>Was $10, now $8</p>";
+      PriceDetector.scanDOM(container);
+
+      const [price] = PriceDetector.getPrices(container);
+      expect(price.node).toBe(container.querySelector("p").firstChild);
+      expect(PriceDetector.getPriceRange(price).toString()).toBe("$10");
+    });
+
+    it("should find the price under the pointer", () => {
+      container.innerHTML = "<p>Was $10, now $8</p>";
+      PriceDetector.scanDOM(container);
+      stubLayout();
+      const path = [container.querySelector("p"), container];
+
+      expect(PriceDetector.findPriceAt(path, 45, 5).amount).toBe(10);
+      expect(PriceDetector.findPriceAt(path, 145, 5).amount).toBe(8);
+      expect(PriceDetector.findPriceAt(path, 85, 5)).toBeNull();
+    });
+
+    it("should find price elements along the event path", () => {
+      container.innerHTML = '<div class="price"><b>€12</b></div>';
+      PriceDetector.scanDOM(container);
+      stubLayout();
+
+      const price = PriceDetector.findPriceAt(
+        [container.querySelector("b"), container.firstChild, container],
+        0,
+        0,
+      );
+      expect(price.element).toBe(container.firstChild);
+      expect(price.amount).toBe(12);
+    });
+
+    it("should not record the same prices twice", () => {
+      container.innerHTML = "<p>Only $25.00 today</p>";
+      PriceDetector.scanDOM(container);
+      PriceDetector.scanDOM(container);
+
+      expect(PriceDetector.getPrices(container)).toHaveLength(1);
+    });
+
+    it("should forget prices removed from the page", () => {
+      container.innerHTML = "<p>Only $25.00 today</p><p>€5</p>";
+      PriceDetector.scanDOM(container);
+      container.firstChild.remove();
+      PriceDetector.scanDOM(container);
+
+      expect(Array.from(PriceDetector.overlayPrices, (p) => p.amount)).toEqual([
+        5,
+      ]);
+    });
+
+    it("should re-resolve recorded prices after a site override", () => {
+      window.CurrencyResolver.getHostname = () => "www.example.ca";
+      window.CurrencyResolver.reset();
+      container.innerHTML = "<p>Only $25.00 today</p>";
+      PriceDetector.scanDOM(container);
+
+      window.CurrencyResolver.setSiteOverrides({ $: "USD" });
+      PriceDetector.refreshAmbiguousPrices(container);
+
+      const [price] = PriceDetector.getPrices(container);
+      expect(price.currency).toBe("USD");
+      expect(price.confidence).toBe(1);
+    });
+  });
+
+  describe("clear", () => {
+    let container;
+
+    beforeEach(() => {
+      container = document.createElement("div");
+      document.body.appendChild(container);
+    });
+
+    afterEach(() => {
+      container.remove();
+    });
+
+    it("should put wrapped prices back into their original text node", () => {
+      container.innerHTML = "<p>Was $10, now $8 only</p>";
+      const paragraph = container.querySelector("p");
+      const text = paragraph.firstChild;
+
+      PriceDetector.scanDOM(container);
+      expect(paragraph.childNodes.length).toBe(5);
+
+      PriceDetector.clear(container);
+      expect(paragraph.childNodes.length).toBe(1);
+      expect(paragraph.firstChild).toBe(text);
+      expect(text.data).toBe("Was $10, now $8 only");
+    });
+
+    it("should keep edits the page made to the wrapped text", () => {
+      container.innerHTML = "<p>Total: $10 today</p>";
+      PriceDetector.scanDOM(container);
+
+      container.querySelector("p").lastChild.data = " tomorrow";
+      PriceDetector.clear(container);
+
+      expect(container.innerHTML).toBe("<p>Total: $10 tomorrow</p>");
+    });
+
+    it("should fall back to plain text when the page moved the pieces", () => {
+      container.innerHTML = "<p>Total: $10 today</p>";
+      PriceDetector.scanDOM(container);
+
+      const span = container.querySelector(".currency-converter-price");
+      container.appendChild(span);
+      PriceDetector.clear(container);
+
+      expect(container.innerHTML).toBe("<p>Total:  today</p>$10");
+    });
+
+    it("should strip the marks from price elements", () => {
+      container.innerHTML =
+        '<span class="a-price"><span class="a-offscreen">$19.99</span></span><div itemscope><meta itemprop="priceCurrency" content="USD"><span itemprop="price">5</span></div>';
+      const html = container.innerHTML;
+      PriceDetector.scanDOM(container);
+      expect(container.querySelectorAll("[data-price-detected]").length).toBe(
+        2,
+      );
+
+      PriceDetector.clear(container);
+      expect(container.innerHTML).toBe(html);
+    });
+
+    it("should clean up inside shadow roots", () => {
+      const host = document.createElement("product-card");
+      container.appendChild(host);
+      const shadow = host.attachShadow({ mode: "open" });
+      shadow.innerHTML = "<span>Inside: €25</span>";
+
+      PriceDetector.scanDOM(container);
+      PriceDetector.clear(container);
+
+      expect(shadow.innerHTML).toBe("<span>Inside: €25</span>");
+    });
+
+    it("should forget recorded prices in overlay mode", () => {
+      PriceDetector.setMode("overlay");
+      container.innerHTML = "<p>Only $25.00 today</p>";
+      PriceDetector.scanDOM(container);
+
+      PriceDetector.clear(container);
+      expect(PriceDetector.getPrices(container)).toEqual([]);
+
+      PriceDetector.scanDOM(container);
+      expect(PriceDetector.getPrices(container)).toHaveLength(1);
+    });
+  });
+
+  describe("refreshNode", () => {
+    let container;
+
+    beforeEach(() => {
+      container = document.createElement("div");
+      document.body.appendChild(container);
+    });
+
+    afterEach(() => {
+      container.remove();
+    });
+
+    const amounts = () =>
+      PriceDetector.getPrices(container).map((price) => price.amount);
+
+    it("should re-parse a wrapped price whose text changed", () => {
+      container.innerHTML = "<p>Size M: $25.00 in stock</p>";
+      PriceDetector.scanDOM(container);
+
+      const span = container.querySelector(".currency-converter-price");
+      span.firstChild.data = "$27.50";
+      PriceDetector.refreshNode(span.firstChild);
+
+      expect(amounts()).toEqual([27.5]);
+      expect(container.querySelector("p").textContent).toBe(
+        "Size M: $27.50 in stock",
+      );
+    });
+
+    it("should unwrap a price whose text is no longer a price", () => {
+      container.innerHTML = "<p>Now $25.00</p>";
+      PriceDetector.scanDOM(container);
+
+      const span = container.querySelector(".currency-converter-price");
+      span.firstChild.data = "sold out";
+      PriceDetector.refreshNode(span.firstChild);
+
+      expect(amounts()).toEqual([]);
+      expect(container.innerHTML).toBe("<p>Now sold out</p>");
+    });
+
+    it("should re-parse a price container whose children were replaced", () => {
+      container.innerHTML =
+        '<span class="a-price"><span class="a-offscreen">$19.99</span></span>';
+      PriceDetector.scanDOM(container);
+
+      const price = container.querySelector(".a-price");
+      price.innerHTML = '<span class="a-offscreen">$24.99</span>';
+      PriceDetector.refreshNode(price);
+
+      expect(amounts()).toEqual([24.99]);
+      expect(price.getAttribute("data-amount")).toBe("24.99");
+    });
+
+    it("should detect prices in text that didn't have one", () => {
+      container.innerHTML = "<p>Pick a size</p>";
+      PriceDetector.scanDOM(container);
+
+      container.querySelector("p").firstChild.data = "Size L: €32";
+      PriceDetector.refreshNode(container.querySelector("p").firstChild);
+
+      expect(amounts()).toEqual([32]);
+    });
+
+    it("should re-parse recorded prices in overlay mode", () => {
+      PriceDetector.setMode("overlay");
+      container.innerHTML = "<p>Size M: $25.00 in stock</p>";
+      const text = container.querySelector("p").firstChild;
+      PriceDetector.scanDOM(container);
+      const [before] = PriceDetector.getPrices(container);
+
+      text.data = "Size L: $29.00 in stock";
+      PriceDetector.refreshNode(text);
+
+      const [after] = PriceDetector.getPrices(container);
+      expect(after.amount).toBe(29);
+      expect(after.node).toBe(text);
+      expect(PriceDetector.getLatestPrice(before)).toBeNull();
+      expect(PriceDetector.getLatestPrice(after)).toBe(after);
+    });
+
+    it("should give the latest state of a wrapped price", () => {
+      container.innerHTML =
+        '<span class="a-price"><span class="a-offscreen">$19.99</span></span>';
+      PriceDetector.scanDOM(container);
+      const [before] = PriceDetector.getPrices(container);
+
+      container.querySelector(".a-offscreen").textContent = "$9.99";
+      PriceDetector.refreshNode(container.querySelector(".a-offscreen"));
+
+      expect(PriceDetector.getLatestPrice(before).amount).toBe(9.99);
+    });
+  });
+
+  describe("Confidence scoring", () => {
+    let window;
+    let container;
+
+    beforeEach(() => {
+      window = loadContentModules();
+      PriceDetector = window.PriceDetector;
+      container = document.createElement("div");
+      document.body.appendChild(container);
+    });
+
+    afterEach(() => {
+      container.remove();
+    });
+
+    const amounts = () =>
+      PriceDetector.getPrices(container).map((price) => price.amount);
+
+    it.each([
+      ["<pre>", "<pre>cost = $5.00</pre>"],
+      ["<code>", "<p>Run <code>echo $25.00</code></p>"],
+      ["editable regions", '<div contenteditable="true"><b>$25.00</b></div>'],
+      ["text boxes", '<div role="textbox">$25.00</div>'],
+    ])("should skip %s", (name, html) => {
+      container.innerHTML = html;
+      PriceDetector.scanDOM(container);
+
+      expect(amounts()).toEqual([]);
+    });
+
+    it("should drop unlikely prices in prose", () => {
+      container.innerHTML =
+        "<p>Set $HOME, then pass $1 to the script.</p><p>Use a Rs 5 resistor.</p>";
+      PriceDetector.scanDOM(container);
+
+      expect(amounts()).toEqual([]);
+    });
+
+    it("should keep likely prices next to unlikely ones", () => {
+      container.innerHTML =
+        "<p>Order #123456: total $42.50</p><p>AAPL $189.50 ▲ 1.2%</p>";
+      PriceDetector.scanDOM(container);
+
+      expect(amounts()).toEqual([42.5]);
+    });
+
+    it("should store the score and mark weak prices", () => {
+      container.innerHTML = "<p>I have $5 left</p><p>Price: $19.99</p>";
+      PriceDetector.scanDOM(container);
+
+      const [weak, strong] = PriceDetector.getPrices(container);
+      expect(weak.score).toBeLessThan(window.PriceScorer.weakThreshold);
+      expect(weak.element.classList).toContain("currency-converter-price-weak");
+      expect(strong.score).toBeGreaterThanOrEqual(
+        window.PriceScorer.weakThreshold,
+      );
+      expect(strong.element.classList).not.toContain(
+        "currency-converter-price-weak",
+      );
+    });
+
+    it("should keep only the innermost of nested price containers", () => {
+      container.innerHTML = `
+        <div class="price-box">
+          Now <span class="price-sale">$10.00</span>
+          was <span class="price-old">$20.00</span>
+        </div>`;
+      PriceDetector.scanDOM(container);
+
+      expect(amounts()).toEqual([10, 20]);
+      expect(
+        container
+          .querySelector(".price-box")
+          .hasAttribute("data-price-detected"),
+      ).toBe(false);
+    });
+
+    it("should keep the outer container when inner ones hold parts", () => {
+      container.innerHTML = `
+        <div class="price"><span class="price-symbol">$</span><span class="price-whole">19.</span><span class="price-fraction">99</span></div>`;
+      PriceDetector.scanDOM(container);
+
+      expect(amounts()).toEqual([19.99]);
+      expect(
+        container.querySelector(".price").hasAttribute("data-price-detected"),
+      ).toBe(true);
+    });
+  });
+
+  describe("Minor units", () => {
+    it.each([
+      ["¥1.500", 1500, "JPY"],
+      ["KWD 12.345", 12.345, "KWD"],
+      ["KWD 1,234", 1234, "KWD"],
+      ["$1.500", 1500, "USD"],
+    ])(
+      "should read %s with its currency's decimals",
+      (text, amount, currency) => {
+        expect(PriceDetector.parsePrice(text)).toMatchObject({
+          amount,
+          currency,
+        });
+      },
+    );
+  });
+
+  describe("Signed amounts", () => {
+    describe("parsePrice", () => {
+      it.each([
+        ["-$25.00", -25, "USD"],
+        ["−€12", -12, "EUR"],
+        ["($1,234.00)", -1234, "USD"],
+        ["Rs. 500 DR", -500, "INR"],
+        ["Rs. 500 CR", 500, "INR"],
+        ["-25,00 €", -25, "EUR"],
+      ])("should read %s", (text, amount, currency) => {
+        expect(PriceDetector.parsePrice(text)).toMatchObject({
+          amount,
+          currency,
+        });
+      });
+    });
+
+    describe("processTextNode", () => {
+      let container;
+
+      beforeEach(() => {
+        container = document.createElement("div");
+        document.body.appendChild(container);
+      });
+
+      afterEach(() => {
+        container.remove();
+      });
+
+      const scan = (text) => {
+        container.textContent = text;
+        PriceDetector.scanDOM(container);
+        return Array.from(
+          container.querySelectorAll(".currency-converter-price"),
+          (el) => [
+            el.textContent,
+            el.getAttribute("data-amount"),
+            el.getAttribute("data-sign-style"),
+          ],
+        );
+      };
+
+      it("should wrap the sign with the price", () => {
+        expect(scan("Refund: -$25.00 on 3 May")).toEqual([
+          ["-$25.00", "-25", "minus"],
+        ]);
+      });
+
+      it("should read accounting parentheses", () => {
+        expect(scan("Balance ($1,234.00)")).toEqual([
+          ["($1,234.00)", "-1234", "accounting"],
+        ]);
+      });
+
+      it("should read statement debit and credit marks", () => {
+        expect(scan("Rs. 500 DR, Rs. 250 CR")).toEqual([
+          ["Rs. 500 DR", "-500", "debit"],
+          ["Rs. 250 CR", "250", "credit"],
+        ]);
+      });
+
+      it("should not take a dash between words for a minus", () => {
+        expect(scan("Blue shirt - $20.00")).toEqual([["$20.00", "20", null]]);
+        expect(scan("Sizes 10-$20.00")).toEqual([["$20.00", "20", null]]);
+      });
+
+      it("should keep the sign in overlay mode", () => {
+        PriceDetector.setMode("overlay");
+        container.textContent = "Credit −€12.50";
+        PriceDetector.scanDOM(container);
+
+        const [price] = PriceDetector.getPrices(container);
+        expect(price).toMatchObject({
+          amount: -12.5,
+          signStyle: "minus",
+          text: "−€12.50",
+        });
+      });
+    });
+  });
+
+  describe("Split prices", () => {
+    let container;
+
+    beforeEach(() => {
+      container = document.createElement("div");
+      document.body.appendChild(container);
+    });
+
+    afterEach(() => {
+      container.remove();
+    });
+
+    const prices = () =>
+      PriceDetector.getPrices(container).map((price) => [
+        price.amount,
+        price.currency,
+      ]);
+
+    it.each([
+      ["cents in <sup>", "<p><span>$</span><span>19</span><sup>99</sup></p>"],
+      ["cents in <sub>", "<p>$19<sub>99</sub></p>"],
+      ["a separator before the cents", "<p>$19.<sup>99</sup></p>"],
+      [
+        "smaller cents",
+        '<p style="font-size: 20px"><span>$</span>19<span style="font-size: 12px">99</span></p>',
+      ],
+      [
+        "relatively smaller cents",
+        '<p><span>$</span>19<span style="font-size: 60%">99</span></p>',
+      ],
+      [
+        "raised cents",
+        '<p>$19<span style="vertical-align: super">99</span></p>',
+      ],
+    ])("should read %s", (name, html) => {
+      container.innerHTML = html;
+      PriceDetector.scanDOM(container);
+
+      expect(prices()).toEqual([[19.99, "USD"]]);
+      expect(
+        container.querySelector("p").getAttribute("data-price-detected"),
+      ).toBe("true");
+    });
+
+    it("should read a symbol after split cents", () => {
+      container.innerHTML = "<div><span>24</span><sup>50</sup> €</div>";
+      PriceDetector.scanDOM(container);
+
+      expect(prices()).toEqual([[24.5, "EUR"]]);
+    });
+
+    it("should read a symbol in its own element", () => {
+      container.innerHTML =
+        "<p><span>€</span><span>24.50</span></p><p><span>1\u00A0299</span> <span>kr</span></p>";
+      PriceDetector.scanDOM(container);
+
+      expect(prices()).toEqual([
+        [24.5, "EUR"],
+        [1299, "SEK"],
+      ]);
+    });
+
+    it("should read split cents inside a price container", () => {
+      container.innerHTML =
+        '<div class="product-price"><span class="sym">$</span><span class="int">7</span><sup class="dec">49</sup></div>';
+      PriceDetector.scanDOM(container);
+
+      expect(prices()).toEqual([[7.49, "USD"]]);
+    });
+
+    it("should not treat footnotes as cents", () => {
+      container.innerHTML =
+        "<p>Delivery takes 3 days<sup>12</sup> for most orders.</p><p>Costs $5 <sup>1</sup></p>";
+      PriceDetector.scanDOM(container);
+
+      expect(prices()).toEqual([[5, "USD"]]);
+    });
+
+    it("should read as many split decimals as the currency has", () => {
+      container.innerHTML =
+        "<p>KWD 12<sup>345</sup></p><p>$19<sup>999</sup></p><p>¥150<sup>12</sup></p>";
+      PriceDetector.scanDOM(container);
+
+      expect(prices()).toEqual([
+        [12.345, "KWD"],
+        [19, "USD"],
+        [150, "JPY"],
+      ]);
+    });
+
+    it("should not join digits that aren't smaller or raised", () => {
+      container.innerHTML =
+        "<p><span>$</span><span>19</span><span>99</span></p>";
+      PriceDetector.scanDOM(container);
+
+      expect(prices()).toEqual([[1999, "USD"]]);
+    });
+  });
+
   describe("False Positive Prevention - Rs word boundary", () => {
     describe('should NOT match "rs" within words (false positives)', () => {
       it('should not match "12 hours 20 minutes"', () => {
@@ -851,7 +2151,7 @@ describe("PriceDetector", () => {
       });
 
       it("should not match unrelated currency symbols", () => {
-        const nonMatches = ["¥1000", "₩50000"];
+        const nonMatches = ["¤1000", "₿50000"];
 
         nonMatches.forEach((text) => {
           PriceDetector.combinedPattern.lastIndex = 0;
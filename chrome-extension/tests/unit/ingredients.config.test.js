@@ -0,0 +1,64 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { loadWindowModule } from '../helpers/load-module.js';
+
+describe('IngredientsConfig', () => {
+  let INGREDIENTS, findIngredient, getIngredient;
+
+  beforeEach(() => {
+    const window = loadWindowModule('src/config/ingredients.config.js');
+    INGREDIENTS = window.INGREDIENTS;
+    findIngredient = window.findIngredient;
+    getIngredient = window.getIngredient;
+  });
+
+  describe('INGREDIENTS', () => {
+    it('should give every ingredient a density and names', () => {
+      Object.values(INGREDIENTS).forEach(ingredient => {
+        expect(INGREDIENTS[ingredient.code]).toBe(ingredient);
+        expect(ingredient.density).toBeGreaterThan(0);
+        expect(ingredient.density).toBeLessThan(2);
+        expect(ingredient.names.length).toBeGreaterThan(0);
+      });
+    });
+
+    it('should weigh a US cup the way recipes do', () => {
+      const cup = 236.5882365;
+      expect(cup * INGREDIENTS.flour.density).toBeCloseTo(125, 0);
+      expect(cup * INGREDIENTS.sugar.density).toBeCloseTo(200, 0);
+      expect(cup * INGREDIENTS.butter.density).toBeCloseTo(227, 0);
+    });
+  });
+
+  describe('findIngredient', () => {
+    it.each([
+      [' flour', 'flour'],
+      [' of flour', 'flour'],
+      [' all-purpose flour, sifted', 'flour'],
+      [' (250 g) flour', 'flour'],
+      [' packed brown sugar', 'brownsugar'],
+      [" confectioners' sugar", 'powderedsugar'],
+      [' unsalted butter, softened', 'butter'],
+      [' whole milk', 'milk'],
+      [' Rice', 'rice'],
+      [' water to boil', 'water']
+    ])('should read %s', (text, code) => {
+      expect(findIngredient(text).code).toBe(code);
+    });
+
+    it.each([
+      ['an ingredient named later', ' chopped fresh basil and flour'],
+      ['an ingredient used as an adjective', ' milk chocolate chips'],
+      ['unknown ingredients', ' chopped nuts'],
+      ['nothing', '']
+    ])('should not read %s', (name, text) => {
+      expect(findIngredient(text)).toBeNull();
+    });
+  });
+
+  describe('getIngredient', () => {
+    it('should get ingredients by code', () => {
+      expect(getIngredient('milk').label).toBe('milk');
+      expect(getIngredient('gravel')).toBeNull();
+    });
+  });
+});
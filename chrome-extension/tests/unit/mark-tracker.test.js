@@ -0,0 +1,110 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { loadContentModules } from "../helpers/load-module.js";
+
+describe("MarkTracker", () => {
+  let PriceDetector;
+  let tracker;
+  let container;
+
+  const tags = () => tracker.getMarks(container).map((mark) => mark.tag);
+
+  beforeEach(() => {
+    const window = loadContentModules();
+    PriceDetector = window.PriceDetector;
+
+    // A toy detector: "#tag" marks, never inside a <b>
+    const source = "#(?<tag>[a-z]+)";
+    tracker = window.MarkTracker.create({
+      className: "test-tag",
+      attribute: "data-tag-detected",
+      attributes: ["data-tag-detected", "data-tag"],
+      pattern: new RegExp(source),
+      combinedPattern: new RegExp(source, "g"),
+      parse: (match) =>
+        match.groups.tag === "skip"
+          ? null
+          : {
+              start: match.index,
+              end: match.index + match[0].length,
+              tag: match.groups.tag,
+            },
+      write: (element, mark) => {
+        element.setAttribute("data-tag-detected", "true");
+        element.setAttribute("data-tag", mark.tag);
+        element.classList.add("test-tag");
+      },
+      read: (element) => ({ element, tag: element.getAttribute("data-tag") }),
+      isClaimed: (element) => !!element.closest("b"),
+    });
+
+    container = document.createElement("div");
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    container.remove();
+  });
+
+  describe.each(["wrap", "overlay"])("%s mode", (mode) => {
+    beforeEach(() => {
+      PriceDetector.setMode(mode);
+    });
+
+    it("should mark what parse accepts, outside claimed elements", () => {
+      container.innerHTML = "<p>#one and #skip, #two</p><b>#three</b>";
+      tracker.scanDOM(container);
+
+      expect(tags()).toEqual(["one", "two"]);
+    });
+
+    it("should put the page back as it was on clear", () => {
+      container.innerHTML = "<p>Say #hello to #world</p>";
+      const html = container.innerHTML;
+      tracker.scanDOM(container);
+      tracker.clear(container);
+
+      expect(tags()).toEqual([]);
+      expect(container.innerHTML).toBe(html);
+    });
+
+    it("should forget a mark once its text changed", () => {
+      container.innerHTML = "<p>Tagged #old</p>";
+      tracker.scanDOM(container);
+      const [mark] = tracker.getMarks(container);
+      const text = Array.from(container.querySelectorAll("p, span"))
+        .flatMap((el) => Array.from(el.childNodes))
+        .find(
+          (node) => node.nodeType === Node.TEXT_NODE && /old/.test(node.data),
+        );
+
+      text.data = text.data.replace("old", "new");
+      tracker.refreshNode(text);
+
+      expect(tags()).toEqual(["new"]);
+      expect(tracker.getLatest(mark)).toBeNull();
+    });
+  });
+
+  it("should find a wrapped mark on the event path by its class", () => {
+    PriceDetector.setMode("wrap");
+    container.innerHTML = "<p>Find #me</p>";
+    tracker.scanDOM(container);
+    const span = container.querySelector(".test-tag");
+
+    expect(span.textContent).toBe("#me");
+    expect(tracker.findAt([span, span.parentNode], 0, 0)).toEqual(
+      expect.objectContaining({ tag: "me" }),
+    );
+  });
+
+  it("should leave marks claimed by an earlier detector alone", () => {
+    PriceDetector.setMode("overlay");
+    container.innerHTML = "<p>#first #second</p>";
+    const node = container.querySelector("p").firstChild;
+    tracker.claimedIn = (textNode) =>
+      textNode === node ? [{ start: 0, end: 6 }] : [];
+    tracker.scanDOM(container);
+
+    expect(tags()).toEqual(["second"]);
+  });
+});
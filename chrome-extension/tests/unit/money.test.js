@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { loadMoney } from "../helpers/load-module.js";
+
+describe("Money", () => {
+  let Money;
+
+  beforeEach(() => {
+    Money = loadMoney();
+  });
+
+  describe("decimal", () => {
+    it.each([
+      [19.99, 1999n, 2],
+      ["-12.345", -12345n, 3],
+      [1500, 1500n, 0],
+      [1.5e-7, 15n, 8],
+      ["2e3", 2000n, 0],
+    ])("should read %s exactly", (value, units, scale) => {
+      expect(Money.decimal(value)).toEqual({ units, scale });
+    });
+
+    it("should return null for text that isn't a number", () => {
+      expect(Money.decimal("abc")).toBeNull();
+      expect(Money.decimal("")).toBeNull();
+    });
+  });
+
+  describe("of", () => {
+    it("should store amounts in the currency's minor units", () => {
+      expect(Money.of(12.34, "USD")).toEqual({ minor: 1234n, currency: "USD" });
+      expect(Money.of(1500, "JPY")).toEqual({ minor: 1500n, currency: "JPY" });
+      expect(Money.of("12.345", "KWD")).toEqual({
+        minor: 12345n,
+        currency: "KWD",
+      });
+    });
+
+    it("should not pick up floating-point error", () => {
+      // 0.1 + 0.2 is 0.30000000000000004 as a float
+      const sum = Money.add(Money.of(0.1, "USD"), Money.of(0.2, "USD"));
+      expect(Money.toDecimalString(sum)).toBe("0.30");
+      expect(Money.of(1.005, "USD").minor).toBe(100n);
+      expect(Money.of(1.005, "USD", "half-up").minor).toBe(101n);
+    });
+  });
+
+  describe("divide", () => {
+    it.each([
+      [125n, 10n, "half-even", 12n],
+      [135n, 10n, "half-even", 14n],
+      [125n, 10n, "half-up", 13n],
+      [-125n, 10n, "half-even", -12n],
+      [-125n, 10n, "half-up", -13n],
+      [124n, 10n, "half-up", 12n],
+    ])("should round %s / %s %s to %s", (n, d, rounding, expected) => {
+      expect(Money.divide(n, d, rounding)).toBe(expected);
+    });
+  });
+
+  describe("toDecimalString", () => {
+    it("should write the currency's minor units", () => {
+      expect(Money.toDecimalString(Money.fromMinor(5, "USD"))).toBe("0.05");
+      expect(Money.toDecimalString(Money.fromMinor(-1230, "USD"))).toBe(
+        "-12.30",
+      );
+      expect(Money.toDecimalString(Money.fromMinor(1500, "JPY"))).toBe("1500");
+    });
+  });
+
+  describe("add", () => {
+    it("should refuse to add different currencies", () => {
+      expect(() => Money.add(Money.of(1, "USD"), Money.of(1, "EUR"))).toThrow(
+        "Cannot add EUR to USD",
+      );
+    });
+  });
+
+  describe("convert", () => {
+    const rates = { USD: 1, INR: 83.5, EUR: 0.92, IDR: 15750.5, KWD: 0.3075 };
+
+    it("should round once, to the target's minor units", () => {
+      const converted = Money.convert(Money.of(100, "USD"), "INR", rates);
+      expect(converted).toEqual({ minor: 835000n, currency: "INR" });
+    });
+
+    it("should convert between very different magnitudes exactly", () => {
+      // 1,000,000 IDR / 15750.5 * 0.3075 = 19.5232... KWD
+      const converted = Money.convert(Money.of(1000000, "IDR"), "KWD", rates);
+      expect(Money.toDecimalString(converted)).toBe("19.523");
+    });
+
+    it("should use the rounding mode asked for", () => {
+      // 0.01 USD = 0.835 INR exactly
+      const cent = Money.of(0.01, "USD");
+      expect(Money.convert(cent, "INR", rates, "half-even").minor).toBe(84n);
+      expect(Money.convert(cent, "INR", { USD: 1, INR: 82.5 }).minor).toBe(82n);
+      expect(
+        Money.convert(cent, "INR", { USD: 1, INR: 82.5 }, "half-up").minor,
+      ).toBe(83n);
+    });
+
+    it("should return null when a rate is missing", () => {
+      expect(Money.convert(Money.of(1, "USD"), "XYZ", rates)).toBeNull();
+    });
+  });
+
+  describe("rate", () => {
+    it("should give one unit of a currency in another", () => {
+      const rates = { USD: 1, INR: 83.5, EUR: 0.92 };
+      expect(Money.rate("USD", "INR", rates)).toBe("83.5000");
+      expect(Money.rate("INR", "EUR", rates, 6)).toBe("0.011018");
+    });
+  });
+
+  describe("roundToStep", () => {
+    it("should round to a multiple of the step", () => {
+      const chf = (amount) => Money.of(amount, "CHF");
+      expect(Money.roundToStep(chf(12.34), 0.05)).toEqual(chf(12.35));
+      expect(Money.roundToStep(chf(12.32), 0.05)).toEqual(chf(12.3));
+    });
+
+    it("should break ties with the rounding mode", () => {
+      const sek = Money.of(12.5, "SEK");
+      expect(Money.roundToStep(sek, 1)).toEqual(Money.of(12, "SEK"));
+      expect(Money.roundToStep(sek, 1, "half-up")).toEqual(Money.of(13, "SEK"));
+    });
+  });
+
+  describe("ofStep", () => {
+    it("should round the exact amount, not its minor units", () => {
+      expect(Money.ofStep(12.325, "CHF", 0.05, "half-up")).toEqual(
+        Money.of(12.35, "CHF"),
+      );
+      expect(Money.ofStep("12.3249", "CHF", 0.05, "half-up")).toEqual(
+        Money.of(12.3, "CHF"),
+      );
+      expect(Money.ofStep(12.5, "SEK", 1)).toEqual(Money.of(12, "SEK"));
+      expect(Money.ofStep(1234, "JPY", 10)).toEqual(Money.of(1230, "JPY"));
+    });
+  });
+});
@@ -0,0 +1,195 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { loadNumberParser } from "../helpers/load-module.js";
+
+describe("NumberParser", () => {
+  let NumberParser;
+
+  beforeEach(() => {
+    NumberParser = loadNumberParser();
+  });
+
+  describe("parse", () => {
+    it("should parse plain integers and decimals", () => {
+      expect(NumberParser.parse("1234")).toBe(1234);
+      expect(NumberParser.parse("10.5")).toBe(10.5);
+    });
+
+    it("should parse comma grouping with dot decimals", () => {
+      expect(NumberParser.parse("1,234.56")).toBe(1234.56);
+      expect(NumberParser.parse("1,234,567.89")).toBe(1234567.89);
+    });
+
+    it("should parse dot grouping with comma decimals", () => {
+      expect(NumberParser.parse("1.234,56")).toBe(1234.56);
+      expect(NumberParser.parse("1.234.567,89")).toBe(1234567.89);
+    });
+
+    it("should parse a lone comma followed by two digits as decimal", () => {
+      expect(NumberParser.parse("12,50")).toBe(12.5);
+      expect(NumberParser.parse("0,99")).toBe(0.99);
+    });
+
+    it("should parse Indian lakh/crore grouping", () => {
+      expect(NumberParser.parse("1,00,00,000")).toBe(10000000);
+      expect(NumberParser.parse("12,34,567.50")).toBe(1234567.5);
+    });
+
+    it("should parse non-breaking and thin space grouping", () => {
+      expect(NumberParser.parse("1\u00A0234,56")).toBe(1234.56);
+      expect(NumberParser.parse("1\u202F234\u202F567")).toBe(1234567);
+      expect(NumberParser.parse("1\u2009234.50")).toBe(1234.5);
+    });
+
+    it("should parse apostrophe grouping", () => {
+      expect(NumberParser.parse("1'299.00")).toBe(1299);
+      expect(NumberParser.parse("1’299.00")).toBe(1299);
+    });
+
+    it("should read an unambiguous separator regardless of locale", () => {
+      expect(NumberParser.parse("1234.567", { locales: ["de-DE"] })).toBe(
+        1234.567,
+      );
+      expect(NumberParser.parse("0,500", { locales: ["en-US"] })).toBe(0.5);
+    });
+
+    describe("ambiguous three-digit groups", () => {
+      it("should default to grouping without hints", () => {
+        expect(NumberParser.parse("1,234")).toBe(1234);
+        expect(NumberParser.parse("1.234")).toBe(1234);
+      });
+
+      it("should use the locale decimal separator when given", () => {
+        expect(NumberParser.parse("1.234", { locales: ["en-US"] })).toBe(1.234);
+        expect(NumberParser.parse("1.234", { locales: ["de-DE"] })).toBe(1234);
+        expect(NumberParser.parse("1,234", { locales: ["fr-FR"] })).toBe(1.234);
+      });
+
+      it("should prefer the first usable locale", () => {
+        expect(
+          NumberParser.parse("1,234", { locales: [null, "de-DE", "en-US"] }),
+        ).toBe(1.234);
+        expect(
+          NumberParser.parse("1,234", { locales: ["not a locale", "en-US"] }),
+        ).toBe(1234);
+      });
+
+      it("should read grouping when three fraction digits are impossible", () => {
+        expect(
+          NumberParser.parse("1.234", {
+            locales: ["en-US"],
+            maxFractionDigits: 2,
+          }),
+        ).toBe(1234);
+        expect(
+          NumberParser.parse("1,234", {
+            locales: ["de-DE"],
+            maxFractionDigits: 2,
+          }),
+        ).toBe(1234);
+      });
+
+      it("should reject more fraction digits than the value can have", () => {
+        const hints = { locales: ["en-US"], maxFractionDigits: 2 };
+        expect(NumberParser.parse("1,234.567", hints)).toBeNull();
+        expect(NumberParser.parse("1.234,567", hints)).toBeNull();
+        expect(NumberParser.parse("1,234.50", hints)).toBe(1234.5);
+        expect(NumberParser.parse("1,234.500", hints)).toBe(1234.5);
+        expect(NumberParser.parse("1,234.567", { maxFractionDigits: 3 })).toBe(
+          1234.567,
+        );
+        expect(NumberParser.parse("1,234.00", { maxFractionDigits: 0 })).toBe(
+          1234,
+        );
+      });
+    });
+
+    it("should return null for non-numeric input", () => {
+      expect(NumberParser.parse("")).toBeNull();
+      expect(NumberParser.parse("abc")).toBeNull();
+      expect(NumberParser.parse("-50")).toBeNull();
+      expect(NumberParser.parse("12.")).toBeNull();
+      expect(NumberParser.parse(null)).toBeNull();
+    });
+  });
+
+  describe("getDecimalSeparator", () => {
+    it("should return the decimal separator for a locale", () => {
+      expect(NumberParser.getDecimalSeparator("en-US")).toBe(".");
+      expect(NumberParser.getDecimalSeparator("de-DE")).toBe(",");
+    });
+
+    it("should return null for missing or invalid locales", () => {
+      expect(NumberParser.getDecimalSeparator("")).toBeNull();
+      expect(NumberParser.getDecimalSeparator("not a locale")).toBeNull();
+    });
+  });
+
+  describe("getMagnitude", () => {
+    it("should look up English, Indian and European magnitudes", () => {
+      expect(NumberParser.getMagnitude("k")).toEqual({
+        factor: 1e3,
+        style: "short",
+      });
+      expect(NumberParser.getMagnitude("bn").factor).toBe(1e9);
+      expect(NumberParser.getMagnitude("lakh")).toEqual({
+        factor: 1e5,
+        style: "indian",
+      });
+      expect(NumberParser.getMagnitude("Cr").factor).toBe(1e7);
+      expect(NumberParser.getMagnitude("Mio.")).toEqual({
+        factor: 1e6,
+        style: "european",
+      });
+    });
+
+    it("should match words in any case but abbreviations exactly", () => {
+      expect(NumberParser.getMagnitude(" Million").factor).toBe(1e6);
+      expect(NumberParser.getMagnitude("CRORE").factor).toBe(1e7);
+      expect(NumberParser.getMagnitude("CR")).toBeNull();
+    });
+
+    it("should return null for unknown tokens", () => {
+      expect(NumberParser.getMagnitude("x")).toBeNull();
+      expect(NumberParser.getMagnitude(null)).toBeNull();
+    });
+  });
+
+  describe("getMagnitudePattern", () => {
+    const matchMagnitude = (text) =>
+      text.match(
+        new RegExp(`^${NumberParser.getMagnitudePattern()}`, "u"),
+      )?.[0];
+
+    it("should match attached and spaced magnitudes", () => {
+      expect(matchMagnitude("M")).toBe("M");
+      expect(matchMagnitude(" lakh")).toBe(" lakh");
+      expect(matchMagnitude(" Mio. €")).toBe(" Mio.");
+    });
+
+    it("should only match single letters attached to the digits", () => {
+      expect(matchMagnitude(" m")).toBeUndefined();
+      expect(matchMagnitude(" L")).toBe(" L");
+    });
+
+    it("should not match the start of a word", () => {
+      expect(matchMagnitude("more")).toBeUndefined();
+      expect(matchMagnitude(" crores")).toBe(" crores");
+      expect(matchMagnitude("kr")).toBeUndefined();
+    });
+  });
+
+  describe("amountPattern", () => {
+    const matchAmount = (text) =>
+      text.match(new RegExp(NumberParser.amountPattern))?.[0];
+
+    it("should match European and Swiss formatted amounts", () => {
+      expect(matchAmount("1.234,56")).toBe("1.234,56");
+      expect(matchAmount("1\u00A0234,56")).toBe("1\u00A0234,56");
+      expect(matchAmount("1'299.00")).toBe("1'299.00");
+    });
+
+    it("should not merge numbers separated by a plain space", () => {
+      expect(matchAmount("10 100")).toBe("10");
+    });
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { loadContentModules } from "../helpers/load-module.js";
+
+describe("PriceScorer", () => {
+  let PriceScorer;
+  let container;
+
+  // Score the first price in a snippet of text, as PriceDetector would
+  const scoreText = (before, text, after, amountText, extra = {}) =>
+    PriceScorer.score({
+      text,
+      before,
+      after,
+      element: container,
+      amountText,
+      ...extra,
+    });
+
+  beforeEach(() => {
+    PriceScorer = loadContentModules().PriceScorer;
+    container = document.createElement("div");
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    container.remove();
+  });
+
+  describe("score", () => {
+    it("should score a price in a price element highly", () => {
+      container.className = "product-price";
+      expect(scoreText("", "$19.99", "", "19.99")).toBe(1);
+    });
+
+    it("should raise prices next to price words", () => {
+      const plain = scoreText("It is ", "$25", " today", "25");
+      const worded = scoreText("Now only ", "$25", " today", "25");
+      expect(worded).toBeGreaterThan(plain);
+    });
+
+    it("should prefer amounts shaped like prices", () => {
+      const cents = scoreText("about ", "$12.99", " here", "12.99");
+      const grouped = scoreText("about ", "$1,299", " here", "1,299");
+      const integer = scoreText("about ", "$12", " here", "12");
+      expect(cents).toBeGreaterThan(integer);
+      expect(grouped).toBeGreaterThan(integer);
+    });
+
+    it.each([
+      ["shell variables", "Use ", "$1", " and $HOME in the script", "1"],
+      ["resistors", "a 10k ", "Rs 5", " resistor", "5"],
+      ["long IDs", "Order ", "$1234567", "", "1234567"],
+      ["leading zeros", "Code ", "$0123", " entered", "0123"],
+      ["letters around the match", "x", "$5", "y", "5"],
+      ["stock tickers", "AAPL ", "$189.50", " ▲ 1.2%", "189.50"],
+    ])("should drop %s", (name, before, text, after, amountText) => {
+      expect(
+        PriceScorer.isDropped(scoreText(before, text, after, amountText)),
+      ).toBe(true);
+    });
+
+    it.each([
+      [
+        "a code starting a noun phrase",
+        "Learn ",
+        "10 PHP",
+        " scripts",
+        "10",
+        "PHP",
+      ],
+      [
+        "a letter symbol in a list title",
+        "Top ",
+        "10 R",
+        " packages",
+        "10",
+        "R",
+      ],
+      [
+        "a small number after a letter symbol",
+        "Read ",
+        "R 4",
+        " beginners",
+        "4",
+        "R",
+      ],
+      ["a small number before a letter symbol", "Wait ", "3 TL", "", "3", "TL"],
+    ])("should drop %s", (name, before, text, after, amountText, symbol) => {
+      const score = scoreText(before, text, after, amountText, { symbol });
+      expect(PriceScorer.isDropped(score)).toBe(true);
+    });
+
+    it("should keep letter symbols next to price words", () => {
+      expect(
+        PriceScorer.isWeak(
+          scoreText("Price: ", "R 350", "", "350", { symbol: "R" }),
+        ),
+      ).toBe(false);
+      expect(
+        PriceScorer.isWeak(
+          scoreText("Only ", "100 EUR", " per night", "100", { symbol: "EUR" }),
+        ),
+      ).toBe(false);
+    });
+
+    it("should mark a letter symbol in prose as weak", () => {
+      const score = scoreText("It is ", "R 350", " at the door", "350", {
+        symbol: "R",
+      });
+      expect(PriceScorer.isDropped(score)).toBe(false);
+      expect(PriceScorer.isWeak(score)).toBe(true);
+    });
+
+    it("should not mistake 'in stock' for a ticker", () => {
+      const score = scoreText("Size M: ", "$25.00", " in stock", "25.00");
+      expect(PriceScorer.isWeak(score)).toBe(false);
+    });
+
+    it("should mark bare small numbers in prose as weak", () => {
+      const score = scoreText("I have ", "$5", " left", "5");
+      expect(PriceScorer.isDropped(score)).toBe(false);
+      expect(PriceScorer.isWeak(score)).toBe(true);
+    });
+
+    it("should stay between 0 and 1", () => {
+      container.className = "price";
+      expect(
+        scoreText("Total price: ", "$1,299.99", "", "1,299.99", {
+          amountHigh: 1500,
+        }),
+      ).toBe(1);
+      expect(
+        scoreText("echo $PATH x", "$0", "abc stock", "0"),
+      ).toBeGreaterThanOrEqual(0);
+    });
+  });
+
+  describe("isWeak", () => {
+    it("should treat prices without a score as strong", () => {
+      expect(PriceScorer.isWeak(undefined)).toBe(false);
+    });
+  });
+});
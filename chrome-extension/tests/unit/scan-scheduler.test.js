@@ -0,0 +1,409 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { loadContentModules } from "../helpers/load-module.js";
+import { buildSearchResults } from "../fixtures/benchmark/search-results.js";
+
+describe("ScanScheduler", () => {
+  let window;
+  let ScanScheduler;
+  let PriceDetector;
+  let container;
+
+  const amounts = (root = container) =>
+    PriceDetector.getPrices(root).map((p) => p.amount);
+
+  beforeEach(() => {
+    window = loadContentModules();
+    ScanScheduler = window.ScanScheduler;
+    PriceDetector = window.PriceDetector;
+    PriceDetector.setMode("overlay");
+    container = document.createElement("div");
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    ScanScheduler.stop();
+    container.remove();
+  });
+
+  describe("scan", () => {
+    it("should find the same prices as a full scan", () => {
+      container.innerHTML = buildSearchResults(20);
+
+      ScanScheduler.scan(container);
+      ScanScheduler.flush();
+      const scheduled = amounts();
+
+      PriceDetector.clear(container);
+      PriceDetector.scanDOM(container);
+
+      expect(scheduled).toHaveLength(40);
+      expect(scheduled.sort()).toEqual(amounts().sort());
+    });
+
+    it("should put prices split over several elements back together", () => {
+      container.innerHTML =
+        "<p><span>$</span><span>19</span><sup>99</sup></p><p><span>€</span><span>5.50</span></p>";
+
+      ScanScheduler.scan(container);
+      ScanScheduler.flush();
+
+      expect(amounts()).toEqual([19.99, 5.5]);
+    });
+
+    it("should find measurements along with prices", () => {
+      container.innerHTML = "<p>$5 for 2 kg</p><p>32 cm wide</p>";
+
+      ScanScheduler.scan(container);
+      ScanScheduler.flush();
+
+      expect(amounts()).toEqual([5]);
+      expect(
+        window.UnitDetector.getUnits(container).map((unit) => unit.value),
+      ).toEqual([2, 32]);
+    });
+
+    it.each(["overlay", "wrap"])(
+      "should link the prices of each group to structured offers (%s mode)",
+      (mode) => {
+        PriceDetector.setMode(mode);
+        const jsonLd = document.createElement("script");
+        jsonLd.type = "application/ld+json";
+        jsonLd.textContent = JSON.stringify({
+          "@type": "Offer",
+          price: "49.99",
+          priceCurrency: "CAD",
+        });
+        document.head.appendChild(jsonLd);
+        container.innerHTML = Array.from(
+          { length: 50 },
+          (_, i) => `<p>Now $49.99, was $${i + 50}</p>`,
+        ).join("");
+
+        let walks = 0;
+        const getPrices = PriceDetector.getPrices;
+        PriceDetector.getPrices = function (...args) {
+          walks++;
+          return getPrices.apply(this, args);
+        };
+        try {
+          ScanScheduler.scan(container);
+          ScanScheduler.flush();
+        } finally {
+          PriceDetector.getPrices = getPrices;
+          jsonLd.remove();
+        }
+
+        const linked = PriceDetector.getPrices(container).filter(
+          (price) => price.source === "structured",
+        );
+        expect(linked).toHaveLength(50);
+        expect(linked.every((price) => price.currency === "CAD")).toBe(true);
+        // Not a look through every price on the page per group
+        expect(walks).toBeLessThan(5);
+      },
+    );
+
+    it("should not queue roots inside a queued root", () => {
+      container.innerHTML = "<p><span>$5</span></p>";
+
+      ScanScheduler.scan(container);
+      ScanScheduler.scan(container.querySelector("span"));
+
+      expect([...ScanScheduler.roots]).toEqual([container]);
+    });
+
+    it("should report shadow roots it walks into", () => {
+      const host = document.createElement("div");
+      host.attachShadow({ mode: "open" }).innerHTML = "<span>€7</span>";
+      container.appendChild(host);
+      const found = [];
+      ScanScheduler.onShadowRoot = (shadowRoot) => found.push(shadowRoot);
+
+      ScanScheduler.scan(container);
+      ScanScheduler.flush();
+
+      expect(found).toEqual([host.shadowRoot]);
+      expect(amounts(host.shadowRoot)).toEqual([7]);
+    });
+
+    it("should skip roots removed before their turn", () => {
+      container.innerHTML = "<span>$5</span>";
+      ScanScheduler.scan(container);
+      container.remove();
+
+      ScanScheduler.flush();
+
+      expect(amounts()).toEqual([]);
+    });
+  });
+
+  describe("refresh", () => {
+    it("should re-detect changed text before scanning new roots", () => {
+      container.innerHTML = "<p>$5</p><div>$6</div>";
+      const [p, div] = container.children;
+      PriceDetector.scanDOM(p);
+      const order = [];
+      const refreshNode = PriceDetector.refreshNode.bind(PriceDetector);
+      PriceDetector.refreshNode = (node) => {
+        order.push("refresh");
+        refreshNode(node);
+      };
+      const startJob = ScanScheduler.startJob.bind(ScanScheduler);
+      ScanScheduler.startJob = (root) => {
+        order.push("root");
+        startJob(root);
+      };
+
+      ScanScheduler.scan(div);
+      p.firstChild.data = "$9";
+      ScanScheduler.refresh(p.firstChild);
+      ScanScheduler.flush();
+
+      expect(order).toEqual(["refresh", "root"]);
+      expect(amounts()).toEqual([9, 6]);
+    });
+
+    it("should call onRefresh after refreshing", () => {
+      container.innerHTML = "<p>$5</p>";
+      let calls = 0;
+      ScanScheduler.onRefresh = () => calls++;
+
+      ScanScheduler.refresh(container.querySelector("p").firstChild);
+      ScanScheduler.flush();
+
+      expect(calls).toBe(1);
+    });
+  });
+
+  describe("work", () => {
+    it("should split a big page into chunks", () => {
+      container.innerHTML = buildSearchResults(200);
+      ScanScheduler.scan(container);
+
+      let chunks = 0;
+      while (ScanScheduler.hasWork()) {
+        ScanScheduler.cancel();
+        ScanScheduler.work(null, 1);
+        chunks++;
+      }
+      ScanScheduler.cancel();
+
+      expect(chunks).toBeGreaterThan(1);
+      expect(amounts()).toHaveLength(400);
+    });
+
+    it("should stop within the idle time it was given", () => {
+      container.innerHTML = buildSearchResults(200);
+      ScanScheduler.scan(container);
+      let steps = 0;
+      const step = ScanScheduler.step.bind(ScanScheduler);
+      ScanScheduler.step = () => {
+        steps++;
+        return step();
+      };
+
+      ScanScheduler.work({ didTimeout: false, timeRemaining: () => 0.001 });
+      ScanScheduler.cancel();
+
+      expect(steps).toBeLessThanOrEqual(1);
+    });
+
+    it("should ask for another chunk while work remains", () => {
+      container.innerHTML = buildSearchResults(50);
+      ScanScheduler.scan(container);
+      ScanScheduler.cancel();
+
+      ScanScheduler.work(null, 0);
+
+      expect(ScanScheduler.handle).not.toBeNull();
+    });
+
+    it("should forget prices of removed nodes before the next chunk", () => {
+      container.innerHTML = "<p>$5</p><p>$6</p>";
+      PriceDetector.scanDOM(container);
+      container.firstChild.remove();
+
+      ScanScheduler.pruneLater();
+      ScanScheduler.work(null);
+
+      expect([...PriceDetector.overlayPrices].map((p) => p.amount)).toEqual([
+        6,
+      ]);
+    });
+  });
+
+  describe("visibility", () => {
+    let observed;
+    let report;
+
+    beforeEach(() => {
+      observed = new Set();
+      window.IntersectionObserver = class {
+        constructor(callback) {
+          report = (target, isIntersecting) =>
+            callback([{ target, isIntersecting }]);
+        }
+        observe(target) {
+          observed.add(target);
+        }
+        unobserve(target) {
+          observed.delete(target);
+        }
+        disconnect() {
+          observed.clear();
+        }
+      };
+    });
+
+    // Collect candidate text without processing any of it
+    const collect = () => {
+      while (ScanScheduler.roots.size > 0 || ScanScheduler.job) {
+        ScanScheduler.step();
+      }
+    };
+
+    it("should process text on screen first", () => {
+      container.innerHTML = "<p>$1</p><p>$2</p><p>$3</p>";
+      const [first, , third] = container.children;
+      ScanScheduler.scan(container);
+      collect();
+
+      expect(observed.size).toBe(3);
+      expect(ScanScheduler.step()).toBeNull();
+
+      report(first, false);
+      report(third, true);
+      ScanScheduler.step();
+      expect(amounts()).toEqual([3]);
+
+      ScanScheduler.step();
+      expect(amounts()).toEqual([3, 1]);
+      expect(observed.size).toBe(1);
+    });
+
+    it("should process unreported text when flushed", () => {
+      container.innerHTML = "<p>$1</p><p>$2</p>";
+      ScanScheduler.scan(container);
+
+      ScanScheduler.flush();
+
+      expect(amounts()).toEqual([1, 2]);
+    });
+  });
+
+  describe("stop", () => {
+    it("should drop queued work", () => {
+      container.innerHTML = "<p>$5</p>";
+      ScanScheduler.scan(container);
+
+      ScanScheduler.stop();
+
+      expect(ScanScheduler.hasWork()).toBe(false);
+      expect(ScanScheduler.handle).toBeNull();
+    });
+  });
+
+  describe("benchmark", () => {
+    // A results page with 10,000 prices, run through work() chunk by chunk
+    // as the browser would
+    const CARDS = 5000;
+
+    // Run work() until everything is done; returns when each step started
+    // within its chunk, how long each chunk took and the parents whose
+    // text was processed, in order
+    const runChunks = () => {
+      const run = { starts: [], chunks: [], groups: [] };
+      let chunkStart = 0;
+      const { step, processTextGroup } = ScanScheduler;
+      ScanScheduler.step = function () {
+        run.starts.push(performance.now() - chunkStart);
+        return step.call(this);
+      };
+      ScanScheduler.processTextGroup = function (element) {
+        run.groups.push(element);
+        return processTextGroup.call(this, element);
+      };
+      try {
+        while (ScanScheduler.hasWork() || ScanScheduler.waiting.size > 0) {
+          ScanScheduler.cancel();
+          chunkStart = performance.now();
+          const before = run.starts.length;
+          ScanScheduler.work(null);
+          run.chunks.push(performance.now() - chunkStart);
+          if (run.starts.length === before) throw new Error("No progress");
+        }
+      } finally {
+        ScanScheduler.cancel();
+        delete ScanScheduler.step;
+        delete ScanScheduler.processTextGroup;
+      }
+      return run;
+    };
+
+    const percentile = (values, p) =>
+      [...values].sort((a, b) => a - b)[Math.floor(values.length * p)];
+
+    it("should scan 10,000 prices in budgeted chunks, text on screen first", () => {
+      container.innerHTML = buildSearchResults(CARDS);
+      const onScreen = Array.from(container.querySelectorAll(".result")).slice(
+        -10,
+      );
+      const isOnScreen = (node) => onScreen.some((card) => card.contains(node));
+
+      // The browser reports on each element as soon as it's observed
+      window.IntersectionObserver = class {
+        constructor(callback) {
+          this.callback = callback;
+        }
+        observe(target) {
+          this.callback([{ target, isIntersecting: isOnScreen(target) }]);
+        }
+        unobserve() {}
+        disconnect() {}
+      };
+      ScanScheduler.scan(container);
+      const run = runChunks();
+      delete window.IntersectionObserver;
+
+      expect(PriceDetector.getPrices(container)).toHaveLength(10000);
+
+      // The budget is checked before each step: none starts after it is
+      // spent (the odd late one is a jsdom garbage collection pause)
+      const { budget } = ScanScheduler;
+      expect(percentile(run.starts, 0.99)).toBeLessThan(budget + 2);
+      // A step is a short walk or one parent's text, so chunks end soon
+      // after their budget (past the one-off queries a root starts with)
+      expect(run.chunks.length).toBeGreaterThan(10);
+      expect(percentile(run.chunks, 0.5)).toBeLessThan(budget * 2);
+
+      // Text on screen is processed before any other
+      const visible = run.groups.filter(isOnScreen);
+      expect(visible.length).toBeGreaterThan(0);
+      expect(run.groups.slice(0, visible.length)).toEqual(visible);
+    }, 60000);
+
+    it("should take no longer in chunks than a full scan", () => {
+      container.innerHTML = buildSearchResults(CARDS);
+      let start = performance.now();
+      PriceDetector.scanDOM(container);
+      const full = performance.now() - start;
+
+      const other = document.createElement("div");
+      other.innerHTML = buildSearchResults(CARDS);
+      document.body.appendChild(other);
+      try {
+        start = performance.now();
+        ScanScheduler.scan(other);
+        runChunks();
+        const chunked = performance.now() - start;
+
+        expect(PriceDetector.getPrices(other)).toHaveLength(10000);
+        // Chunking adds scheduling, not rescans (a quadratic step would
+        // make this many times slower)
+        expect(chunked).toBeLessThan(full * 1.5 + 500);
+      } finally {
+        other.remove();
+      }
+    }, 60000);
+  });
+});
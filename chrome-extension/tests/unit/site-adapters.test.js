@@ -0,0 +1,187 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { loadContentModules } from "../helpers/load-module.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Read a saved page fixture
+ * @param {string} name - Fixture name (e.g., 'amazon')
+ * @returns {string} HTML
+ */
+function readFixture(name) {
+  return fs.readFileSync(
+    path.resolve(__dirname, `../fixtures/sites/${name}.html`),
+    "utf-8",
+  );
+}
+
+describe("SiteAdapters", () => {
+  let window;
+  let SiteAdapters;
+  let container;
+
+  const onPage = (url) => {
+    const location = new URL(url);
+    SiteAdapters.getLocation = () => location;
+    SiteAdapters.reset();
+    window.CurrencyResolver.getHostname = () => location.hostname;
+    window.CurrencyResolver.reset();
+  };
+
+  beforeEach(() => {
+    window = loadContentModules();
+    SiteAdapters = window.SiteAdapters;
+    container = document.createElement("div");
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    container.remove();
+  });
+
+  describe("getAdapter", () => {
+    it.each([
+      ["https://www.amazon.com/dp/B0", "amazon"],
+      ["https://www.amazon.co.jp/dp/B0", "amazon"],
+      ["https://www.amazon.com.au/dp/B0", "amazon"],
+      ["https://www.flipkart.com/p/itm", "flipkart"],
+      ["https://www.ebay.co.uk/itm/1", "ebay"],
+      ["https://www.ikea.com/gb/en/p/x", "ikea"],
+      ["https://www.etsy.com/listing/1", "etsy"],
+      ["https://www.aliexpress.us/item/1.html", "aliexpress"],
+      ["https://my-store.myshopify.com/products/x", "shopify"],
+      ["https://www.example.com/", "generic"],
+    ])("should pick the adapter for %s", (url, name) => {
+      expect(SiteAdapters.getAdapter(new URL(url)).name).toBe(name);
+    });
+
+    it("should not match look-alike hosts", () => {
+      expect(
+        SiteAdapters.getAdapter(new URL("https://amazon.com.evil.net/")).name,
+      ).toBe("generic");
+    });
+
+    it("should recognize Shopify stores on their own domain", () => {
+      container.innerHTML =
+        '<script src="https://cdn.shopify.com/s/trekkie.js"></script>';
+
+      expect(
+        SiteAdapters.getAdapter(new URL("https://shop.example.com/"), document)
+          .name,
+      ).toBe("shopify");
+    });
+
+    it("should use adapters registered later", () => {
+      SiteAdapters.register({
+        name: "custom",
+        hosts: [/^shop\.test$/],
+        priceSelectors: [".cost"],
+        ignoreSelectors: [],
+      });
+
+      expect(SiteAdapters.getAdapter(new URL("https://shop.test/")).name).toBe(
+        "custom",
+      );
+    });
+  });
+
+  describe("getPageDefaultCurrency", () => {
+    it.each([
+      ["https://www.amazon.com/dp/B0", "USD"],
+      ["https://www.amazon.co.uk/dp/B0", "GBP"],
+      ["https://www.amazon.de/dp/B0", "EUR"],
+      ["https://www.flipkart.com/p/itm", "INR"],
+      ["https://www.ebay.com.au/itm/1", "AUD"],
+      ["https://www.ikea.com/ca/en/p/x", "CAD"],
+      ["https://www.ikea.com/de/de/p/x", "EUR"],
+      ["https://www.etsy.com/listing/1", null],
+      ["https://www.example.com/", null],
+    ])("should give the storefront currency of %s", (url, currency) => {
+      onPage(url);
+      expect(SiteAdapters.getPageDefaultCurrency()).toBe(currency);
+    });
+  });
+
+  describe("saved pages", () => {
+    const scan = (fixture, url) => {
+      onPage(url);
+      container.innerHTML = readFixture(fixture);
+      window.PriceDetector.scanDOM(container);
+
+      return Array.from(
+        container.querySelectorAll("[data-price-detected]"),
+        (el) => [
+          Number(el.getAttribute("data-amount")),
+          el.getAttribute("data-currency"),
+        ],
+      );
+    };
+
+    it("should read Amazon's split prices and skip unit prices", () => {
+      expect(scan("amazon", "https://www.amazon.in/dp/B0")).toEqual([
+        [1499, "INR"],
+        [2999, "INR"],
+        [24990.5, "INR"],
+      ]);
+    });
+
+    it("should read Flipkart prices, using INR for bare numbers", () => {
+      expect(scan("flipkart", "https://www.flipkart.com/p/itm")).toEqual([
+        [1499, "INR"],
+        [2999, "INR"],
+        [24990, "INR"],
+        [3499, "INR"],
+      ]);
+    });
+
+    it("should read eBay prices and their US $ / C $ prefixes", () => {
+      const prices = scan("ebay", "https://www.ebay.ca/sch/i.html");
+      expect(prices).toEqual([
+        [24.99, "CAD"],
+        [5, "CAD"],
+        [10, "USD"],
+        [19.99, "USD"],
+        [27.45, "CAD"],
+      ]);
+
+      const range = container.querySelector("[data-amount-high]");
+      expect(range.getAttribute("data-amount-high")).toBe("20");
+    });
+
+    it("should read IKEA prices in the storefront's currency", () => {
+      expect(scan("ikea", "https://www.ikea.com/ca/en/p/x")).toEqual([
+        [199.99, "CAD"],
+        [1299, "CAD"],
+      ]);
+    });
+
+    it("should read Etsy prices and skip screen-reader copies", () => {
+      expect(scan("etsy", "https://www.etsy.com/search?q=mug")).toEqual([
+        [18, "USD"],
+        [24, "USD"],
+        [45, "EUR"],
+      ]);
+    });
+
+    it("should read AliExpress prices split across characters", () => {
+      expect(scan("aliexpress", "https://www.aliexpress.com/w/x.html")).toEqual(
+        [
+          [12.34, "USD"],
+          [24.68, "USD"],
+          [10.99, "EUR"],
+          [21.98, "EUR"],
+        ],
+      );
+    });
+
+    it("should read Shopify prices and skip unit prices", () => {
+      expect(scan("shopify", "https://shop.example.com/products/tea")).toEqual([
+        [24, "CAD"],
+        [19, "CAD"],
+      ]);
+    });
+  });
+});
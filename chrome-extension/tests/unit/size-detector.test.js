@@ -0,0 +1,157 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { loadContentModules } from "../helpers/load-module.js";
+
+describe("SizeDetector", () => {
+  let SizeDetector;
+  let container;
+
+  const sizes = () =>
+    SizeDetector.getSizes(container).map((size) => [
+      size.region,
+      size.size,
+      size.chart,
+    ]);
+
+  beforeEach(() => {
+    const window = loadContentModules();
+    SizeDetector = window.SizeDetector;
+    container = document.createElement("div");
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    container.remove();
+    document.title = "";
+  });
+
+  describe("parseLabel", () => {
+    it.each([
+      ["EU 42", "EU", "42", null],
+      ["UK 8", "UK", "8", null],
+      ["US 10.5 W", "US", "10.5", "W"],
+      ["IN 9", "IN", "9", null],
+      ["EUR 44½", "EU", "44.5", null],
+      ["10C", null, "10", "C"],
+      ["42", null, "42", null],
+    ])("should read %s", (text, region, size, mark) => {
+      expect(SizeDetector.parseLabel(text)).toEqual({ region, size, mark });
+    });
+
+    it.each(["Add to bag", "XL", "EU 420", "3 colours"])(
+      "should not read %s",
+      (text) => {
+        expect(SizeDetector.parseLabel(text)).toBeNull();
+      },
+    );
+  });
+
+  describe("scanPickers", () => {
+    it("should find labelled sizes in a picker", () => {
+      document.title = "Running shoes for men";
+      container.innerHTML = `
+        <div class="size-picker">
+          <button><span>EU 42</span></button>
+          <button><span>EU 44</span></button>
+        </div>`;
+      SizeDetector.scanPickers(container);
+
+      expect(sizes()).toEqual([
+        ["EU", "42", "shoes-men"],
+        ["EU", "44", "shoes-men"],
+      ]);
+      expect(SizeDetector.getSizes(container)[0].element.tagName).toBe("SPAN");
+    });
+
+    it("should take the region of bare sizes from the picker's label", () => {
+      container.innerHTML = `
+        <fieldset>
+          <legend>Women's dress size (UK)</legend>
+          <label><input type="radio" name="s"> 8</label>
+          <label><input type="radio" name="s"> 10</label>
+        </fieldset>`;
+      SizeDetector.scanPickers(container);
+
+      expect(sizes()).toEqual([
+        ["UK", "8", "clothing-women"],
+        ["UK", "10", "clothing-women"],
+      ]);
+    });
+
+    it("should let a label's mark say whose size it is", () => {
+      container.innerHTML = `
+        <ul class="sizes"><li>US 10.5 W</li><li>US 10.5 M</li><li>US 12C</li></ul>`;
+      SizeDetector.scanPickers(container);
+
+      expect(sizes()).toEqual([
+        ["US", "10.5", "shoes-women"],
+        ["US", "10.5", "shoes-men"],
+        ["US", "12C", "shoes-kids"],
+      ]);
+    });
+
+    it("should read the chosen option of a size <select>", () => {
+      container.innerHTML = `
+        <label for="shoe-size">Shoe size (EU)</label>
+        <select id="shoe-size">
+          <option>40</option>
+          <option selected>41</option>
+        </select>`;
+      SizeDetector.scanPickers(container);
+      const select = container.querySelector("select");
+
+      expect(SizeDetector.findSizeAt([select, container])).toMatchObject({
+        region: "EU",
+        size: "41",
+      });
+
+      select.value = "40";
+      expect(SizeDetector.findSizeAt([select, container]).size).toBe("40");
+    });
+
+    it("should leave numbers outside size pickers and unlabelled ones alone", () => {
+      container.innerHTML = `
+        <p>EU 42</p>
+        <div class="size-guide"><span>42</span></div>
+        <fieldset><legend>Colour</legend><label>EU 42</label></fieldset>`;
+      SizeDetector.scanPickers(container);
+
+      expect(sizes()).toEqual([]);
+    });
+
+    it("should never change the page", () => {
+      container.innerHTML = `<div class="size-picker"><button>EU 42</button></div>`;
+      const html = container.innerHTML;
+      SizeDetector.scanPickers(container);
+
+      expect(sizes()).toHaveLength(1);
+      expect(container.innerHTML).toBe(html);
+
+      SizeDetector.clear();
+      expect(sizes()).toEqual([]);
+    });
+  });
+
+  describe("findSizeAt", () => {
+    it("should read a relabelled size again", () => {
+      container.innerHTML = `<div class="size-picker"><button>EU 42</button></div>`;
+      SizeDetector.scanPickers(container);
+      const button = container.querySelector("button");
+
+      button.textContent = "UK 8";
+      expect(SizeDetector.findSizeAt([button, container])).toMatchObject({
+        region: "UK",
+        size: "8",
+      });
+    });
+
+    it("should forget removed labels on prune", () => {
+      container.innerHTML = `<div class="size-picker"><button>EU 42</button></div>`;
+      SizeDetector.scanPickers(container);
+      const button = container.querySelector("button");
+
+      button.remove();
+      SizeDetector.prune();
+      expect(SizeDetector.labels.size).toBe(0);
+    });
+  });
+});
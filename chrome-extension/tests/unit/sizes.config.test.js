@@ -0,0 +1,118 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { loadWindowModule } from '../helpers/load-module.js';
+
+describe('SizesConfig', () => {
+  let SIZE_REGIONS, SIZE_CHARTS, normalizeSize, findSizeRow;
+  let getSizeMeasurement, findSizeCharts, getDefaultSizeRegion;
+
+  beforeEach(() => {
+    const window = loadWindowModule('src/config/sizes.config.js');
+    SIZE_REGIONS = window.SIZE_REGIONS;
+    SIZE_CHARTS = window.SIZE_CHARTS;
+    normalizeSize = window.normalizeSize;
+    findSizeRow = window.findSizeRow;
+    getSizeMeasurement = window.getSizeMeasurement;
+    findSizeCharts = window.findSizeCharts;
+    getDefaultSizeRegion = window.getDefaultSizeRegion;
+  });
+
+  describe('SIZE_CHARTS', () => {
+    it('should give every row a measurement and a size in every region', () => {
+      Object.values(SIZE_CHARTS).forEach(chart => {
+        expect(['shoes', 'clothing']).toContain(chart.kind);
+        expect(['men', 'women', 'kids']).toContain(chart.group);
+        chart.rows.forEach(row => {
+          expect(row).toHaveLength(SIZE_REGIONS.length + 1);
+          expect(typeof row[0]).toBe('number');
+          row.slice(1).forEach(size => expect(typeof size).toBe('string'));
+        });
+      });
+    });
+
+    it('should list rows by growing measurement, one size per row in each region', () => {
+      Object.values(SIZE_CHARTS).forEach(chart => {
+        const measurements = chart.rows.map(row => row[0]);
+        expect(measurements).toEqual([...measurements].sort((a, b) => a - b));
+        SIZE_REGIONS.forEach((region, i) => {
+          const sizes = chart.rows.map(row => row[i + 1]);
+          expect(new Set(sizes).size).toBe(sizes.length);
+        });
+      });
+    });
+  });
+
+  describe('normalizeSize', () => {
+    it('should write sizes the way the charts do', () => {
+      expect(normalizeSize('10,5')).toBe('10.5');
+      expect(normalizeSize('10½')).toBe('10.5');
+      expect(normalizeSize('2 t')).toBe('2T');
+      expect(normalizeSize('42')).toBe('42');
+    });
+  });
+
+  describe('findSizeRow', () => {
+    it('should find a size and its equivalents', () => {
+      expect(findSizeRow('shoes-men', 'EU', '44')).toEqual({
+        measurement: 28,
+        sizes: { US: '10', UK: '9.5', EU: '44', IN: '9.5', JP: '28' }
+      });
+    });
+
+    it('should read sizes as written on labels', () => {
+      expect(findSizeRow('shoes-women', 'US', '7,5').sizes.EU).toBe('38.5');
+      expect(findSizeRow('shoes-kids', 'US', '10c').sizes.UK).toBe('9.5');
+    });
+
+    it('should return null for unknown charts, regions and sizes', () => {
+      expect(findSizeRow('hats', 'EU', '44')).toBeNull();
+      expect(findSizeRow('shoes-men', 'AU', '9')).toBeNull();
+      expect(findSizeRow('shoes-men', 'EU', '60')).toBeNull();
+    });
+  });
+
+  describe('getSizeMeasurement', () => {
+    it.each([
+      ['shoes-men', 'EU', '44', 'Foot length', 28],
+      ['shoes-men', 'JP', '26.5', 'Foot length', 26.5],
+      ['shoes-women', 'UK', '5', 'Foot length', 24.5],
+      ['shoes-kids', 'US', '1Y', 'Foot length', 20],
+      ['clothing-women', 'UK', '12', 'Bust', 92],
+      ['clothing-men', 'JP', 'L', 'Chest', 97],
+      ['clothing-kids', 'US', '4T', 'Height', 104]
+    ])('should map %s %s %s to its body measurement', (chart, region, size, name, value) => {
+      expect(getSizeMeasurement(chart, region, size)).toEqual({ name, value, unit: 'cm' });
+    });
+
+    it('should return null for a size not in the chart', () => {
+      expect(getSizeMeasurement('clothing-men', 'EU', '45')).toBeNull();
+    });
+  });
+
+  describe('findSizeCharts', () => {
+    const codes = (...args) => findSizeCharts(...args).map(chart => chart.code);
+
+    it('should find every chart that has the size', () => {
+      expect(codes('US', '10')).toEqual(['shoes-men', 'shoes-women', 'clothing-women', 'clothing-kids']);
+    });
+
+    it('should narrow the charts down by kind and group', () => {
+      expect(codes('US', '10', { kind: 'shoes' })).toEqual(['shoes-men', 'shoes-women']);
+      expect(codes('US', '10', { kind: 'shoes', group: 'women' })).toEqual(['shoes-women']);
+      expect(codes('US', '10', { group: 'men' })).toEqual(['shoes-men']);
+    });
+  });
+
+  describe('getDefaultSizeRegion', () => {
+    it.each([
+      ['en-US', 'US'],
+      ['en-CA', 'US'],
+      ['en-GB', 'UK'],
+      ['hi-IN', 'IN'],
+      ['ja-JP', 'JP'],
+      ['de-DE', 'EU'],
+      ['en', 'US']
+    ])('should use %s -> %s', (locale, region) => {
+      expect(getDefaultSizeRegion(locale)).toBe(region);
+    });
+  });
+});
@@ -0,0 +1,184 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { loadStructuredData } from "../helpers/load-module.js";
+
+describe("StructuredData", () => {
+  let StructuredData;
+  let container;
+
+  const addToHead = (html) => {
+    const template = document.createElement("template");
+    template.innerHTML = html;
+    const el = template.content.firstElementChild;
+    el.setAttribute("data-test-head", "");
+    document.head.appendChild(el);
+  };
+
+  const addJsonLd = (data) =>
+    addToHead(
+      `<script type="application/ld+json">${JSON.stringify(data)}</script>`,
+    );
+
+  beforeEach(() => {
+    StructuredData = loadStructuredData();
+    container = document.createElement("div");
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    container.remove();
+    document.head
+      .querySelectorAll("[data-test-head]")
+      .forEach((el) => el.remove());
+  });
+
+  describe("JSON-LD", () => {
+    it("should read a Product's Offer", () => {
+      addJsonLd({
+        "@context": "https://schema.org",
+        "@type": "Product",
+        name: "Kettle",
+        offers: { "@type": "Offer", price: "49.99", priceCurrency: "CAD" },
+      });
+
+      expect(StructuredData.getOffers()).toEqual([
+        { amount: 49.99, currency: "CAD", source: "json-ld", element: null },
+      ]);
+    });
+
+    it("should read offers inside arrays and @graph", () => {
+      addJsonLd({
+        "@graph": [
+          { "@type": "WebPage" },
+          {
+            "@type": "Product",
+            offers: [
+              { "@type": "Offer", price: 10, priceCurrency: "AUD" },
+              { "@type": "Offer", price: "12.50", priceCurrency: "AUD" },
+            ],
+          },
+        ],
+      });
+
+      expect(StructuredData.getOffers().map((o) => o.amount)).toEqual([
+        10, 12.5,
+      ]);
+    });
+
+    it("should read AggregateOffer low prices and priceSpecification", () => {
+      addJsonLd([
+        {
+          "@type": "AggregateOffer",
+          lowPrice: "5.00",
+          highPrice: "9.00",
+          priceCurrency: "EUR",
+        },
+        {
+          "@type": "http://schema.org/Offer",
+          priceSpecification: {
+            "@type": "UnitPriceSpecification",
+            price: 1299,
+            priceCurrency: "JPY",
+          },
+        },
+      ]);
+
+      expect(StructuredData.getOffers()).toMatchObject([
+        { amount: 5, currency: "EUR" },
+        { amount: 1299, currency: "JPY" },
+      ]);
+    });
+
+    it("should skip offers without a usable price or currency", () => {
+      addJsonLd([
+        { "@type": "Offer", price: "0", priceCurrency: "USD" },
+        { "@type": "Offer", price: "10" },
+        { "@type": "Offer", price: "10", priceCurrency: "XYZ" },
+      ]);
+
+      expect(StructuredData.getOffers()).toEqual([]);
+    });
+
+    it("should ignore invalid JSON", () => {
+      addToHead('<script type="application/ld+json">{ not json</script>');
+      expect(StructuredData.getOffers()).toEqual([]);
+    });
+  });
+
+  describe("microdata", () => {
+    it("should read itemprop price and priceCurrency in the same scope", () => {
+      container.innerHTML = `
+        <div itemscope itemtype="https://schema.org/Offer">
+          <meta itemprop="priceCurrency" content="GBP">
+          <span itemprop="price" content="19.99">£19.99</span>
+        </div>`;
+
+      const [offer] = StructuredData.getOffers();
+      expect(offer).toMatchObject({
+        amount: 19.99,
+        currency: "GBP",
+        source: "microdata",
+      });
+      expect(offer.element).toBe(container.querySelector("[itemprop=price]"));
+    });
+
+    it("should fall back to the element text", () => {
+      container.innerHTML = `
+        <div itemscope>
+          <span itemprop="priceCurrency">INR</span>
+          <span itemprop="price">1,299</span>
+        </div>`;
+
+      expect(StructuredData.getOffers()).toMatchObject([
+        { amount: 1299, currency: "INR" },
+      ]);
+    });
+
+    it("should not link hidden meta prices to an element", () => {
+      container.innerHTML = `
+        <div itemscope>
+          <meta itemprop="priceCurrency" content="USD">
+          <meta itemprop="price" content="5">
+        </div>`;
+
+      expect(StructuredData.getOffers()[0].element).toBeNull();
+    });
+  });
+
+  describe("meta tags", () => {
+    it("should read product:price:amount", () => {
+      addToHead('<meta property="product:price:amount" content="25.00">');
+      addToHead('<meta property="product:price:currency" content="nzd">');
+
+      expect(StructuredData.getOffers()).toEqual([
+        { amount: 25, currency: "NZD", source: "meta", element: null },
+      ]);
+    });
+  });
+
+  describe("getCurrencies", () => {
+    it("should list each declared currency once", () => {
+      addJsonLd({ "@type": "Offer", price: "1", priceCurrency: "SEK" });
+      addJsonLd({ "@type": "Offer", price: "2", priceCurrency: "SEK" });
+
+      expect(StructuredData.getCurrencies()).toEqual(["SEK"]);
+    });
+  });
+
+  describe("findOffer", () => {
+    it("should find the offer with a matching amount", () => {
+      addJsonLd({ "@type": "Offer", price: "49.99", priceCurrency: "CAD" });
+
+      expect(StructuredData.findOffer(49.99).currency).toBe("CAD");
+      expect(StructuredData.findOffer(50)).toBeNull();
+    });
+  });
+
+  it("should cache offers until reset", () => {
+    expect(StructuredData.getOffers()).toEqual([]);
+    addJsonLd({ "@type": "Offer", price: "3", priceCurrency: "USD" });
+    expect(StructuredData.getOffers()).toEqual([]);
+
+    StructuredData.reset();
+    expect(StructuredData.getOffers()).toHaveLength(1);
+  });
+});
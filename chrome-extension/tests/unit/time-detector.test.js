@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { loadContentModules } from "../helpers/load-module.js";
+
+describe("TimeDetector", () => {
+  let TimeDetector;
+  let UnitDetector;
+  let PriceDetector;
+  let container;
+
+  const times = () =>
+    TimeDetector.getTimes(container).map((time) => [
+      time.hour,
+      time.minute,
+      time.zone,
+    ]);
+
+  beforeEach(() => {
+    const window = loadContentModules();
+    TimeDetector = window.TimeDetector;
+    UnitDetector = window.UnitDetector;
+    PriceDetector = window.PriceDetector;
+    container = document.createElement("div");
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    container.remove();
+  });
+
+  describe("parseTime", () => {
+    it.each([
+      ["3pm EST", 15, 0, "EST"],
+      ["11:59 PM PST", 23, 59, "PST"],
+      ["12 a.m. ET", 0, 0, "ET"],
+      ["15:00 CET", 15, 0, "CET"],
+      ["10:00 UTC+5:30", 10, 0, "UTC+5:30"],
+      ["8:30 GMT-3", 8, 30, "GMT-3"],
+      ["9:00 Europe/Paris", 9, 0, "Europe/Paris"],
+      ["7:45am America/New_York", 7, 45, "America/New_York"],
+    ])("should read %s", (text, hour, minute, zone) => {
+      expect(TimeDetector.parseTime(text)).toEqual({ hour, minute, zone });
+    });
+
+    it.each([
+      ["a bare hour", "5 EST"],
+      ["hours past the clock", "25:00 UTC"],
+      ["13 o'clock PM", "13pm EST"],
+      ["minutes past the hour", "9:75 CET"],
+      ["zones in lower case", "3pm est"],
+      ["times without a zone", "15:00"],
+      ["unknown IANA zones", "9:00 Europe/Atlantis"],
+    ])("should not read %s", (name, text) => {
+      expect(TimeDetector.parseTime(text)).toBeNull();
+    });
+  });
+
+  describe.each(["wrap", "overlay"])("scanDOM (%s mode)", (mode) => {
+    beforeEach(() => {
+      PriceDetector.setMode(mode);
+    });
+
+    it("should find times written with a zone", () => {
+      container.innerHTML =
+        "<p>Kick-off at 3pm EST (20:00 GMT)</p><p>Doors open 18:30, stream at 10:00 UTC+5:30</p>";
+      TimeDetector.scanDOM(container);
+
+      expect(times()).toEqual([
+        [15, 0, "EST"],
+        [20, 0, "GMT"],
+        [10, 0, "UTC+5:30"],
+      ]);
+    });
+
+    it("should leave prices and measurements alone", () => {
+      container.innerHTML = "<p>$5 EST shipping, 10 m, call at 9:00 PT</p>";
+      PriceDetector.scanDOM(container);
+      UnitDetector.scanDOM(container);
+      TimeDetector.scanDOM(container);
+
+      expect(times()).toEqual([[9, 0, "PT"]]);
+      expect(UnitDetector.getUnits(container).map((u) => u.unit)).toEqual([
+        "m",
+      ]);
+    });
+
+    it("should put the page back as it was on clear", () => {
+      container.innerHTML = "<p>$5 for 2 kg, ships 3pm CET</p>";
+      const html = container.innerHTML;
+      PriceDetector.scanDOM(container);
+      UnitDetector.scanDOM(container);
+      TimeDetector.scanDOM(container);
+
+      TimeDetector.clear(container);
+      UnitDetector.clear(container);
+      PriceDetector.clear(container);
+
+      expect(times()).toEqual([]);
+      expect(container.innerHTML).toBe(html);
+    });
+
+    it("should re-detect a time whose text changed", () => {
+      container.innerHTML = "<p>Starts 3pm EST</p>";
+      TimeDetector.scanDOM(container);
+      const text = Array.from(container.querySelectorAll("p, span"))
+        .flatMap((el) => Array.from(el.childNodes))
+        .find(
+          (node) => node.nodeType === Node.TEXT_NODE && /3pm/.test(node.data),
+        );
+
+      text.data = text.data.replace("3pm", "4pm");
+      TimeDetector.refreshNode(text);
+
+      expect(times()).toEqual([[16, 0, "EST"]]);
+    });
+  });
+
+  describe("findTimeAt", () => {
+    it("should find a wrapped time on the event path", () => {
+      PriceDetector.setMode("wrap");
+      container.innerHTML = "<p>Live at 11:59 PM PST</p>";
+      TimeDetector.scanDOM(container);
+      const span = container.querySelector(".currency-converter-time");
+
+      expect(span.textContent).toBe("11:59 PM PST");
+      expect(TimeDetector.findTimeAt([span, span.parentNode], 0, 0)).toEqual(
+        expect.objectContaining({ hour: 23, minute: 59, zone: "PST" }),
+      );
+    });
+  });
+});
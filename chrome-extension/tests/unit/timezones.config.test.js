@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { loadWindowModule } from '../helpers/load-module.js';
+
+describe('TimezonesConfig', () => {
+  let TIME_ZONE_ABBREVIATIONS, isValidTimeZone, resolveTimeZone;
+  let getTimeZoneOffset, getDefaultTimeZone, getDefaultTimeFormat;
+
+  beforeEach(() => {
+    const window = loadWindowModule('src/config/timezones.config.js');
+    TIME_ZONE_ABBREVIATIONS = window.TIME_ZONE_ABBREVIATIONS;
+    isValidTimeZone = window.isValidTimeZone;
+    resolveTimeZone = window.resolveTimeZone;
+    getTimeZoneOffset = window.getTimeZoneOffset;
+    getDefaultTimeZone = window.getDefaultTimeZone;
+    getDefaultTimeFormat = window.getDefaultTimeFormat;
+  });
+
+  describe('TIME_ZONE_ABBREVIATIONS', () => {
+    it('should give every abbreviation a fixed offset or a known zone', () => {
+      Object.entries(TIME_ZONE_ABBREVIATIONS).forEach(([key, abbreviation]) => {
+        expect(abbreviation.code).toBe(key);
+        expect(abbreviation.label).toBeTruthy();
+        if (abbreviation.zone) {
+          expect(isValidTimeZone(abbreviation.zone)).toBe(true);
+        } else {
+          expect(Number.isInteger(abbreviation.offset)).toBe(true);
+        }
+      });
+    });
+  });
+
+  describe('resolveTimeZone', () => {
+    it('should resolve abbreviations', () => {
+      expect(resolveTimeZone('EST')).toMatchObject({ name: 'EST', offset: -300 });
+      expect(resolveTimeZone('PT')).toMatchObject({ name: 'PT', zone: 'America/Los_Angeles' });
+    });
+
+    it.each([
+      ['UTC+5:30', 330],
+      ['UTC+05:30', 330],
+      ['GMT-8', -480],
+      ['UTC −3', -180],
+      ['UTC+0545', 345]
+    ])('should resolve the offset %s', (text, offset) => {
+      expect(resolveTimeZone(text).offset).toBe(offset);
+    });
+
+    it('should resolve IANA names', () => {
+      expect(resolveTimeZone('Europe/Paris')).toEqual({
+        name: 'Europe/Paris',
+        label: 'Europe/Paris',
+        zone: 'Europe/Paris'
+      });
+      expect(resolveTimeZone('America/New_York').label).toBe('America/New York');
+    });
+
+    it('should return null for unknown zones and offsets out of range', () => {
+      expect(resolveTimeZone('XYZ')).toBeNull();
+      expect(resolveTimeZone('Mars/Olympus_Mons')).toBeNull();
+      expect(resolveTimeZone('UTC+15')).toBeNull();
+      expect(resolveTimeZone(null)).toBeNull();
+    });
+  });
+
+  describe('getTimeZoneOffset', () => {
+    it('should include daylight saving time', () => {
+      expect(getTimeZoneOffset('America/New_York', new Date('2026-01-15T12:00:00Z'))).toBe(-300);
+      expect(getTimeZoneOffset('America/New_York', new Date('2026-07-15T12:00:00Z'))).toBe(-240);
+      expect(getTimeZoneOffset('Europe/London', new Date('2026-07-15T12:00:00Z'))).toBe(60);
+      expect(getTimeZoneOffset('Australia/Sydney', new Date('2026-01-15T12:00:00Z'))).toBe(660);
+    });
+
+    it('should handle zones without DST and half hours', () => {
+      expect(getTimeZoneOffset('Asia/Kolkata', new Date('2026-07-15T12:00:00Z'))).toBe(330);
+      expect(getTimeZoneOffset('UTC', new Date('2026-07-15T12:00:00Z'))).toBe(0);
+    });
+
+    it('should switch at the DST change', () => {
+      // US clocks went forward at 2:00 local (7:00 UTC) on 8 March 2026
+      expect(getTimeZoneOffset('America/New_York', new Date('2026-03-08T06:59:00Z'))).toBe(-300);
+      expect(getTimeZoneOffset('America/New_York', new Date('2026-03-08T07:00:00Z'))).toBe(-240);
+    });
+  });
+
+  describe('getDefaultTimeZone', () => {
+    it('should return a zone Intl knows', () => {
+      expect(isValidTimeZone(getDefaultTimeZone())).toBe(true);
+    });
+  });
+
+  describe('getDefaultTimeFormat', () => {
+    it.each([
+      ['en-US', '12h'],
+      ['en-IN', '12h'],
+      ['en-GB', '24h'],
+      ['de-DE', '24h'],
+      ['ja-JP', '24h']
+    ])('should use %s -> %s', (locale, format) => {
+      expect(getDefaultTimeFormat(locale)).toBe(format);
+    });
+  });
+});
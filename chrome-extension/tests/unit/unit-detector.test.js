@@ -0,0 +1,273 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { loadContentModules } from "../helpers/load-module.js";
+
+describe("UnitDetector", () => {
+  let UnitDetector;
+  let PriceDetector;
+  let container;
+
+  const units = () =>
+    UnitDetector.getUnits(container).map((unit) => [unit.value, unit.unit]);
+
+  beforeEach(() => {
+    const window = loadContentModules();
+    UnitDetector = window.UnitDetector;
+    PriceDetector = window.PriceDetector;
+    container = document.createElement("div");
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    container.remove();
+  });
+
+  describe("parseMeasurement", () => {
+    it.each([
+      ["32 cm", 32, "cm", "length"],
+      ["5.5 lbs", 5.5, "lb", "weight"],
+      ["2 L", 2, "l", "volume"],
+      ["1,200 sq ft", 1200, "sqft", "area"],
+      ["750ml", 750, "ml", "volume"],
+      ["12 fl oz", 12, "floz", "volume"],
+      ["3 Kilometres", 3, "km", "length"],
+      ["80 m²", 80, "m2", "area"],
+      ["1,5 kg", 1.5, "kg", "weight"],
+      ["36.6 °C", 36.6, "c", "temperature"],
+      ["98.6°F", 98.6, "f", "temperature"],
+      ["-5 °C", -5, "c", "temperature"],
+      ["0 degrees Fahrenheit", 0, "f", "temperature"],
+      ["35 mpg", 35, "mpg", "fuel"],
+      ["6.5 L/100km", 6.5, "l100km", "fuel"],
+      ["2 tbsp", 2, "tbsp", "volume"],
+      ["½ cup", 0.5, "cup", "volume"],
+      ["1 ½ cups", 1.5, "cup", "volume"],
+      ["1 1/2 cups", 1.5, "cup", "volume"],
+      ["3/4 tsp", 0.75, "tsp", "volume"],
+    ])("should read %s", (text, value, unit, dimension) => {
+      expect(UnitDetector.parseMeasurement(text)).toMatchObject({
+        value,
+        unit,
+        dimension,
+      });
+    });
+
+    it("should read US units as imperial on British pages", () => {
+      document.documentElement.setAttribute("lang", "en-GB");
+      try {
+        expect(UnitDetector.parseMeasurement("2 gallons").unit).toBe("ukgal");
+        expect(UnitDetector.parseMeasurement("11 st 4 lb")).toMatchObject({
+          unit: "st",
+          compound: "st-lb",
+        });
+      } finally {
+        document.documentElement.removeAttribute("lang");
+      }
+      expect(UnitDetector.parseMeasurement("2 gallons").unit).toBe("gal");
+    });
+
+    it.each([
+      ["a bare 'in'", "2 in"],
+      ["minutes", "5 min"],
+      ["a number glued to letters", "A4 mm"],
+      ["short symbols in the wrong case", "5 M"],
+      ["zero", "0 kg"],
+      ["a bare 'K'", "5K"],
+      ["ordinals", "1st"],
+      ["sticks of anything but butter", "2 sticks"],
+    ])("should not read %s", (name, text) => {
+      expect(UnitDetector.parseMeasurement(text)).toBeNull();
+    });
+  });
+
+  describe("compound measurements", () => {
+    it.each([
+      [`5'11"`, 5 + 11 / 12, "ft", "ft-in"],
+      ["5′ 11″", 5 + 11 / 12, "ft", "ft-in"],
+      ["6 ft 2 in", 6 + 2 / 12, "ft", "ft-in"],
+      ["5 feet 4 inches", 5 + 4 / 12, "ft", "ft-in"],
+      ["3 lb 4 oz", 3.25, "lb", "lb-oz"],
+      ["7 pounds 8 ounces", 7.5, "lb", "lb-oz"],
+    ])("should read %s into the larger unit", (text, value, unit, compound) => {
+      const parsed = UnitDetector.parseMeasurement(text);
+      expect(parsed).toMatchObject({ unit, compound });
+      expect(parsed.value).toBeCloseTo(value, 9);
+    });
+
+    it("should not read a smaller part of a whole larger unit", () => {
+      expect(UnitDetector.parseMeasurement(`5' 14"`)).toBeNull();
+      expect(UnitDetector.parseMeasurement("3 lb 16 oz")).toBeNull();
+    });
+
+    it.each([
+      ["30 × 40 × 50 cm", [30, 40, 50], "cm"],
+      ["30x40 cm", [30, 40], "cm"],
+      ["12.5 X 8 in.", [12.5, 8], "in"],
+    ])("should read the sides of %s", (text, values, unit) => {
+      expect(UnitDetector.parseMeasurement(text)).toMatchObject({
+        value: values[0],
+        values,
+        unit,
+        dimension: "length",
+      });
+    });
+
+    it("should not read sides in other dimensions", () => {
+      expect(UnitDetector.parseMeasurement("2 x 50 ml")).toBeNull();
+    });
+
+    it("should keep compounds and sides through wrapping", () => {
+      PriceDetector.setMode("wrap");
+      container.innerHTML = `<p>Model is 5'11" and the box 30 × 40 × 50 cm</p>`;
+      UnitDetector.scanDOM(container);
+
+      const [height, box] = UnitDetector.getUnits(container);
+      expect(height.element.textContent).toBe(`5'11"`);
+      expect(height).toMatchObject({ unit: "ft", compound: "ft-in" });
+      expect(box.element.textContent).toBe("30 × 40 × 50 cm");
+      expect(box).toMatchObject({ unit: "cm", values: [30, 40, 50] });
+    });
+  });
+
+  describe.each(["wrap", "overlay"])("scanDOM (%s mode)", (mode) => {
+    beforeEach(() => {
+      PriceDetector.setMode(mode);
+    });
+
+    it("should find measurements in text", () => {
+      container.innerHTML =
+        "<p>Size: 32 cm × 20 cm, weighs 5.5 lbs</p><p>Holds 2 L</p>";
+      UnitDetector.scanDOM(container);
+
+      expect(units()).toEqual([
+        [32, "cm"],
+        [20, "cm"],
+        [5.5, "lb"],
+        [2, "l"],
+      ]);
+    });
+
+    it("should find temperatures, keeping only their minus signs", () => {
+      container.innerHTML =
+        "<p>Body temperature 36.6 °C (98.6°F), nights to −5 °C</p><p>Pack 3-5 kg</p>";
+      UnitDetector.scanDOM(container);
+
+      expect(units()).toEqual([
+        [36.6, "c"],
+        [98.6, "f"],
+        [-5, "c"],
+        [5, "kg"],
+      ]);
+      if (mode === "wrap") {
+        const spans = container.querySelectorAll(".currency-converter-unit");
+        expect(spans[2].textContent).toBe("−5 °C");
+        expect(spans[3].textContent).toBe("5 kg");
+      }
+    });
+
+    it("should skip code samples and hidden text like prices", () => {
+      container.innerHTML =
+        '<pre>margin: 10 mm</pre><p style="display: none">5 kg</p><p>7 kg</p>';
+      UnitDetector.scanDOM(container);
+
+      expect(units()).toEqual([[7, "kg"]]);
+    });
+
+    it("should leave prices alone", () => {
+      container.innerHTML = "<p>$5 for 2 kg</p>";
+      PriceDetector.scanDOM(container);
+      UnitDetector.scanDOM(container);
+
+      expect(units()).toEqual([[2, "kg"]]);
+      expect(PriceDetector.getPrices(container).map((p) => p.amount)).toEqual([
+        5,
+      ]);
+    });
+
+    it("should put the page back as it was on clear", () => {
+      container.innerHTML = "<p>$5 for 2 kg and 3 m</p>";
+      const html = container.innerHTML;
+      PriceDetector.scanDOM(container);
+      UnitDetector.scanDOM(container);
+
+      UnitDetector.clear(container);
+      PriceDetector.clear(container);
+
+      expect(units()).toEqual([]);
+      expect(container.innerHTML).toBe(html);
+    });
+
+    it("should re-detect a measurement whose text changed", () => {
+      container.innerHTML = "<p>Weight: 5 kg</p>";
+      UnitDetector.scanDOM(container);
+      const text = Array.from(container.querySelectorAll("p, span"))
+        .flatMap((el) => Array.from(el.childNodes))
+        .find(
+          (node) => node.nodeType === Node.TEXT_NODE && /5/.test(node.data),
+        );
+
+      text.data = text.data.replace("5", "8");
+      UnitDetector.refreshNode(text);
+
+      expect(units()).toEqual([[8, "kg"]]);
+    });
+  });
+
+  describe("recipe quantities", () => {
+    it.each(["wrap", "overlay"])(
+      "should read the ingredient after a quantity (%s mode)",
+      (mode) => {
+        PriceDetector.setMode(mode);
+        container.innerHTML = `
+          <ul>
+            <li>2 cups all-purpose flour, sifted</li>
+            <li>½ cup packed brown sugar</li>
+            <li>1 stick butter, softened</li>
+            <li>1 tsp vanilla extract</li>
+          </ul>`;
+        UnitDetector.scanDOM(container);
+
+        expect(
+          UnitDetector.getUnits(container).map((unit) => [
+            unit.value,
+            unit.unit,
+            unit.ingredient,
+          ]),
+        ).toEqual([
+          [2, "cup", "flour"],
+          [0.5, "cup", "brownsugar"],
+          [1, "stick", "butter"],
+          [1, "tsp", undefined],
+        ]);
+      },
+    );
+
+    it("should read a whole fraction, not the number after its slash", () => {
+      container.innerHTML = "<p>Add 1/2 cup milk and 2 sticks cinnamon</p>";
+      UnitDetector.scanDOM(container);
+
+      expect(units()).toEqual([[0.5, "cup"]]);
+    });
+
+    it("should read spoons as 5 ml and 15 ml on British pages", () => {
+      document.documentElement.setAttribute("lang", "en-GB");
+      try {
+        expect(UnitDetector.parseMeasurement("2 tbsp").unit).toBe("uktbsp");
+      } finally {
+        document.documentElement.removeAttribute("lang");
+      }
+    });
+  });
+
+  describe("findUnitAt", () => {
+    it("should find a wrapped measurement on the event path", () => {
+      PriceDetector.setMode("wrap");
+      container.innerHTML = "<p>Weighs 3 kg</p>";
+      UnitDetector.scanDOM(container);
+      const span = container.querySelector(".currency-converter-unit");
+
+      expect(UnitDetector.findUnitAt([span, span.parentNode], 0, 0)).toEqual(
+        expect.objectContaining({ value: 3, unit: "kg" }),
+      );
+    });
+  });
+});
@@ -0,0 +1,162 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { loadWindowModule } from '../helpers/load-module.js';
+
+describe('UnitsConfig', () => {
+  let MEASUREMENT_SYSTEMS, UNIT_DIMENSIONS, SUPPORTED_UNITS, getUnit;
+  let getRegionalUnit, getTargetUnit, getCompoundUnit, getDefaultMeasurementSystem;
+
+  beforeEach(() => {
+    const window = loadWindowModule('src/config/units.config.js');
+    MEASUREMENT_SYSTEMS = window.MEASUREMENT_SYSTEMS;
+    UNIT_DIMENSIONS = window.UNIT_DIMENSIONS;
+    SUPPORTED_UNITS = window.SUPPORTED_UNITS;
+    getUnit = window.getUnit;
+    getRegionalUnit = window.getRegionalUnit;
+    getTargetUnit = window.getTargetUnit;
+    getCompoundUnit = window.getCompoundUnit;
+    getDefaultMeasurementSystem = window.getDefaultMeasurementSystem;
+  });
+
+  describe('SUPPORTED_UNITS', () => {
+    it('should give every unit a dimension and systems', () => {
+      Object.values(SUPPORTED_UNITS).forEach(unit => {
+        expect(Object.keys(UNIT_DIMENSIONS)).toContain(unit.dimension);
+        expect(unit.systems.length).toBeGreaterThan(0);
+        unit.systems.forEach(system => expect(MEASUREMENT_SYSTEMS).toContain(system));
+        expect(Array.isArray(unit.symbols)).toBe(true);
+      });
+    });
+
+    it('should convert every unit to its base and back', () => {
+      Object.values(SUPPORTED_UNITS).forEach(unit => {
+        expect(unit.fromBase(unit.toBase(2.5))).toBeCloseTo(2.5, 9);
+      });
+    });
+
+    it('should have the base unit of each dimension', () => {
+      Object.values(UNIT_DIMENSIONS).forEach(({ base }) => {
+        expect(SUPPORTED_UNITS[base].toBase(3)).toBe(3);
+      });
+    });
+
+    it('should have a target unit from zero in each dimension and system', () => {
+      Object.keys(UNIT_DIMENSIONS).forEach(dimension => {
+        MEASUREMENT_SYSTEMS.forEach(system => {
+          expect(getTargetUnit(dimension, system, 0)).not.toBeNull();
+        });
+      });
+    });
+  });
+
+  describe('getUnit', () => {
+    it('should find units by code and symbol', () => {
+      expect(getUnit('cm').code).toBe('cm');
+      expect(getUnit('lbs').code).toBe('lb');
+      expect(getUnit('inches').code).toBe('in');
+      expect(getUnit('sq ft').code).toBe('sqft');
+      expect(getUnit('°C').code).toBe('c');
+      expect(getUnit('° F').code).toBe('f');
+      expect(getUnit('L/100km').code).toBe('l100km');
+    });
+
+    it('should match long names in any case, short symbols exactly', () => {
+      expect(getUnit('Kilometres').code).toBe('km');
+      expect(getUnit('L').code).toBe('l');
+      expect(getUnit('M')).toBeNull();
+      expect(getUnit('KG')).toBeNull();
+    });
+
+    it('should return null for unknown units', () => {
+      expect(getUnit('parsecs')).toBeNull();
+      expect(getUnit('')).toBeNull();
+    });
+  });
+
+  describe('getRegionalUnit', () => {
+    it('should read US units as imperial on British pages', () => {
+      expect(getRegionalUnit(getUnit('gallons'), 'en-GB').code).toBe('ukgal');
+      expect(getRegionalUnit(getUnit('pints'), 'en-GB').code).toBe('ukpt');
+      expect(getRegionalUnit(getUnit('mpg'), 'en-GB').code).toBe('ukmpg');
+    });
+
+    it('should leave other units and pages alone', () => {
+      expect(getRegionalUnit(getUnit('gallons'), 'en-US').code).toBe('gal');
+      expect(getRegionalUnit(getUnit('gallons'), null).code).toBe('gal');
+      expect(getRegionalUnit(getUnit('ft'), 'en-GB').code).toBe('ft');
+    });
+  });
+
+  describe('getTargetUnit', () => {
+    it('should pick the unit that suits the size', () => {
+      expect(getTargetUnit('length', 'us', 0.32).code).toBe('in');
+      expect(getTargetUnit('length', 'us', 2).code).toBe('ft');
+      expect(getTargetUnit('length', 'us', 5000).code).toBe('mi');
+      expect(getTargetUnit('length', 'metric', 0.14).code).toBe('cm');
+      expect(getTargetUnit('weight', 'metric', 2.5).code).toBe('kg');
+      expect(getTargetUnit('area', 'metric', 111).code).toBe('m2');
+    });
+
+    it('should use imperial volumes and Celsius for the UK', () => {
+      expect(getTargetUnit('volume', 'uk', 10).code).toBe('ukgal');
+      expect(getTargetUnit('volume', 'us', 10).code).toBe('gal');
+      expect(getTargetUnit('volume', 'uk', 0.6).code).toBe('ukpt');
+      expect(getTargetUnit('length', 'uk', 2).code).toBe('ft');
+      expect(getTargetUnit('temperature', 'uk', 300).code).toBe('c');
+    });
+
+    it('should use cups and spoons for recipe quantities', () => {
+      expect(getTargetUnit('volume', 'us', 0.005, true).code).toBe('tsp');
+      expect(getTargetUnit('volume', 'us', 0.03, true).code).toBe('tbsp');
+      expect(getTargetUnit('volume', 'us', 0.47, true).code).toBe('cup');
+      expect(getTargetUnit('volume', 'us', 0.47).code).toBe('floz');
+      expect(getTargetUnit('volume', 'uk', 0.015, true).code).toBe('uktbsp');
+      expect(getTargetUnit('volume', 'metric', 0.47, true).code).toBe('ml');
+    });
+
+    it('should use the usual units for recipe weights', () => {
+      expect(getTargetUnit('weight', 'metric', 0.25, true).code).toBe('g');
+      expect(getTargetUnit('weight', 'us', 0.25, true).code).toBe('oz');
+    });
+  });
+
+  describe('getCompoundUnit', () => {
+    it('should use feet and inches for US heights', () => {
+      expect(getCompoundUnit('length', 'us', 1.8).code).toBe('ft-in');
+      expect(getCompoundUnit('length', 'us', 0.3)).toBeNull();
+      expect(getCompoundUnit('length', 'us', 50)).toBeNull();
+      expect(getCompoundUnit('length', 'metric', 1.8)).toBeNull();
+    });
+
+    it('should not pick forms that are only read from pages', () => {
+      expect(getCompoundUnit('weight', 'us', 1.5)).toBeNull();
+    });
+
+    it('should use stones and pounds for UK body weights', () => {
+      expect(getCompoundUnit('weight', 'uk', 75).code).toBe('st-lb');
+      expect(getCompoundUnit('weight', 'uk', 2)).toBeNull();
+      expect(getCompoundUnit('weight', 'us', 75)).toBeNull();
+    });
+  });
+
+  describe('getDefaultMeasurementSystem', () => {
+    it('should return us for the US, Liberia and Myanmar', () => {
+      expect(getDefaultMeasurementSystem('en-US')).toBe('us');
+      expect(getDefaultMeasurementSystem('en-LR')).toBe('us');
+      expect(getDefaultMeasurementSystem('my-MM')).toBe('us');
+    });
+
+    it('should return uk for Britain', () => {
+      expect(getDefaultMeasurementSystem('en-GB')).toBe('uk');
+    });
+
+    it('should return metric elsewhere', () => {
+      expect(getDefaultMeasurementSystem('de-DE')).toBe('metric');
+      expect(getDefaultMeasurementSystem('en-IN')).toBe('metric');
+    });
+
+    it('should return us when there is no region', () => {
+      expect(getDefaultMeasurementSystem('en')).toBe('us');
+      expect(getDefaultMeasurementSystem(undefined)).toBe('us');
+    });
+  });
+});